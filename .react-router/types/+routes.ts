@@ -13,6 +13,9 @@ type Pages = {
   "/": {
     params: {};
   };
+  "/api/backgrounds/quarantine/sweep": {
+    params: {};
+  };
   "/blogs/:blogHandle/:articleHandle": {
     params: {
       "blogHandle": string;
@@ -22,6 +25,9 @@ type Pages = {
   "/api/backgrounds/telemetry": {
     params: {};
   };
+  "/api/backgrounds/telemetry/summary": {
+    params: {};
+  };
   "/sitemap/:type/:page.xml": {
     params: {
       "type": string;
@@ -33,20 +39,62 @@ type Pages = {
       "blogHandle": string;
     };
   };
+  "/api/backgrounds": {
+    params: {};
+  };
   "/api/backgrounds/active": {
     params: {};
   };
-  "/api/backgrounds": {
+  "/api/backgrounds/export": {
+    params: {};
+  };
+  "/api/backgrounds/import": {
+    params: {};
+  };
+  "/api/backgrounds/audit": {
     params: {};
   };
   "/api/backgrounds/token": {
     params: {};
   };
+  "/api/backgrounds/token/revoke": {
+    params: {};
+  };
+  "/api/backgrounds/lint": {
+    params: {};
+  };
   "/api/backgrounds/:id": {
     params: {
       "id": string;
     };
   };
+  "/api/backgrounds/:id/unquarantine": {
+    params: {
+      "id": string;
+    };
+  };
+  "/api/backgrounds/:id/revisions": {
+    params: {
+      "id": string;
+    };
+  };
+  "/api/backgrounds/:id/revisions/:revisionId/restore": {
+    params: {
+      "id": string;
+      "revisionId": string;
+    };
+  };
+  "/api/backgrounds/:id/revisions/:revisionId/diff": {
+    params: {
+      "id": string;
+      "revisionId": string;
+    };
+  };
+  "/api/backgrounds/:id/thumbnail": {
+    params: {
+      "id": string;
+    };
+  };
   "/api/backgrounds/:id/activate": {
     params: {
       "id": string;
@@ -99,6 +147,9 @@ type Pages = {
       "code": string;
     };
   };
+  "/sitemap.xml": {
+    params: {};
+  };
   "/favicon.ico": {
     params: {};
   };
@@ -107,15 +158,12 @@ type Pages = {
       "handle": string;
     };
   };
-  "/sitemap.xml": {
+  "/robots.txt": {
     params: {};
   };
   "/blogs": {
     params: {};
   };
-  "/robots.txt": {
-    params: {};
-  };
   "/api/product": {
     params: {};
   };
@@ -198,15 +246,15 @@ type Pages = {
       "code": string;
     };
   };
-  "/:locale?/pages/:handle": {
+  "/:locale?/sitemap.xml": {
     params: {
       "locale"?: string;
-      "handle": string;
     };
   };
-  "/:locale?/sitemap.xml": {
+  "/:locale?/pages/:handle": {
     params: {
       "locale"?: string;
+      "handle": string;
     };
   };
   "/:locale?/blogs": {
@@ -309,11 +357,15 @@ type Pages = {
 type RouteFiles = {
   "root.jsx": {
     id: "root";
-    page: "/" | "/blogs/:blogHandle/:articleHandle" | "/api/backgrounds/telemetry" | "/sitemap/:type/:page.xml" | "/blogs/:blogHandle" | "/api/backgrounds/active" | "/api/backgrounds" | "/api/backgrounds/token" | "/api/backgrounds/:id" | "/api/backgrounds/:id/activate" | "/collections/:handle" | "/account/authorize" | "/collections" | "/api/admin/config" | "/policies/:handle" | "/products/:handle" | "/account/logout" | "/api/products-3d" | "/api/test-client" | "/collections/all" | "/policies" | "/account/login" | "/discount/:code" | "/favicon.ico" | "/pages/:handle" | "/sitemap.xml" | "/blogs" | "/robots.txt" | "/api/product" | "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/pages/:handle" | "/:locale?/sitemap.xml" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*" | "/api/page" | "/account" | "/account/orders" | "/account/orders/:id" | "/account/profile" | "/account/*" | "/search" | "/admin" | "/cart" | "/cart/:lines" | "/*";
+    page: "/" | "/api/backgrounds/quarantine/sweep" | "/blogs/:blogHandle/:articleHandle" | "/api/backgrounds/telemetry" | "/api/backgrounds/telemetry/summary" | "/sitemap/:type/:page.xml" | "/blogs/:blogHandle" | "/api/backgrounds" | "/api/backgrounds/active" | "/api/backgrounds/export" | "/api/backgrounds/import" | "/api/backgrounds/audit" | "/api/backgrounds/token" | "/api/backgrounds/token/revoke" | "/api/backgrounds/lint" | "/api/backgrounds/:id" | "/api/backgrounds/:id/unquarantine" | "/api/backgrounds/:id/revisions" | "/api/backgrounds/:id/revisions/:revisionId/restore" | "/api/backgrounds/:id/revisions/:revisionId/diff" | "/api/backgrounds/:id/thumbnail" | "/api/backgrounds/:id/activate" | "/collections/:handle" | "/account/authorize" | "/collections" | "/api/admin/config" | "/policies/:handle" | "/products/:handle" | "/account/logout" | "/api/products-3d" | "/api/test-client" | "/collections/all" | "/policies" | "/account/login" | "/discount/:code" | "/sitemap.xml" | "/favicon.ico" | "/pages/:handle" | "/robots.txt" | "/blogs" | "/api/product" | "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/sitemap.xml" | "/:locale?/pages/:handle" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*" | "/api/page" | "/account" | "/account/orders" | "/account/orders/:id" | "/account/profile" | "/account/*" | "/search" | "/admin" | "/cart" | "/cart/:lines" | "/*";
   };
   "./layout.jsx": {
     id: "layout";
-    page: "/blogs/:blogHandle/:articleHandle" | "/api/backgrounds/telemetry" | "/sitemap/:type/:page.xml" | "/blogs/:blogHandle" | "/api/backgrounds/active" | "/api/backgrounds" | "/api/backgrounds/token" | "/api/backgrounds/:id" | "/api/backgrounds/:id/activate" | "/collections/:handle" | "/account/authorize" | "/collections" | "/api/admin/config" | "/policies/:handle" | "/products/:handle" | "/account/logout" | "/api/products-3d" | "/api/test-client" | "/collections/all" | "/policies" | "/account/login" | "/discount/:code" | "/favicon.ico" | "/pages/:handle" | "/sitemap.xml" | "/blogs" | "/robots.txt" | "/api/product" | "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/pages/:handle" | "/:locale?/sitemap.xml" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*" | "/api/page" | "/account" | "/account/orders" | "/account/orders/:id" | "/account/profile" | "/account/*" | "/search" | "/" | "/admin" | "/cart" | "/cart/:lines" | "/*";
+    page: "/api/backgrounds/quarantine/sweep" | "/blogs/:blogHandle/:articleHandle" | "/api/backgrounds/telemetry" | "/api/backgrounds/telemetry/summary" | "/sitemap/:type/:page.xml" | "/blogs/:blogHandle" | "/api/backgrounds" | "/api/backgrounds/active" | "/api/backgrounds/export" | "/api/backgrounds/import" | "/api/backgrounds/audit" | "/api/backgrounds/token" | "/api/backgrounds/token/revoke" | "/api/backgrounds/lint" | "/api/backgrounds/:id" | "/api/backgrounds/:id/unquarantine" | "/api/backgrounds/:id/revisions" | "/api/backgrounds/:id/revisions/:revisionId/restore" | "/api/backgrounds/:id/revisions/:revisionId/diff" | "/api/backgrounds/:id/thumbnail" | "/api/backgrounds/:id/activate" | "/collections/:handle" | "/account/authorize" | "/collections" | "/api/admin/config" | "/policies/:handle" | "/products/:handle" | "/account/logout" | "/api/products-3d" | "/api/test-client" | "/collections/all" | "/policies" | "/account/login" | "/discount/:code" | "/sitemap.xml" | "/favicon.ico" | "/pages/:handle" | "/robots.txt" | "/blogs" | "/api/product" | "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/sitemap.xml" | "/:locale?/pages/:handle" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*" | "/api/page" | "/account" | "/account/orders" | "/account/orders/:id" | "/account/profile" | "/account/*" | "/" | "/search" | "/admin" | "/cart" | "/cart/:lines" | "/*";
+  };
+  "routes/api.backgrounds.quarantine.sweep.tsx": {
+    id: "routes/api.backgrounds.quarantine.sweep";
+    page: "/api/backgrounds/quarantine/sweep";
   };
   "routes/blogs.$blogHandle.$articleHandle.jsx": {
     id: "routes/blogs.$blogHandle.$articleHandle";
@@ -321,7 +373,11 @@ type RouteFiles = {
   };
   "routes/api.backgrounds.telemetry.tsx": {
     id: "routes/api.backgrounds.telemetry";
-    page: "/api/backgrounds/telemetry";
+    page: "/api/backgrounds/telemetry" | "/api/backgrounds/telemetry/summary";
+  };
+  "routes/api.backgrounds.telemetry.summary.tsx": {
+    id: "routes/api.backgrounds.telemetry.summary";
+    page: "/api/backgrounds/telemetry/summary";
   };
   "routes/sitemap.$type.$page[.xml].jsx": {
     id: "routes/sitemap.$type.$page[.xml]";
@@ -331,21 +387,61 @@ type RouteFiles = {
     id: "routes/blogs.$blogHandle._index";
     page: "/blogs/:blogHandle";
   };
+  "routes/api.backgrounds._index.tsx": {
+    id: "routes/api.backgrounds._index";
+    page: "/api/backgrounds";
+  };
   "routes/api.backgrounds.active.tsx": {
     id: "routes/api.backgrounds.active";
     page: "/api/backgrounds/active";
   };
-  "routes/api.backgrounds._index.tsx": {
-    id: "routes/api.backgrounds._index";
-    page: "/api/backgrounds";
+  "routes/api.backgrounds.export.tsx": {
+    id: "routes/api.backgrounds.export";
+    page: "/api/backgrounds/export";
+  };
+  "routes/api.backgrounds.import.tsx": {
+    id: "routes/api.backgrounds.import";
+    page: "/api/backgrounds/import";
+  };
+  "routes/api.backgrounds.audit.tsx": {
+    id: "routes/api.backgrounds.audit";
+    page: "/api/backgrounds/audit";
   };
   "routes/api.backgrounds.token.tsx": {
     id: "routes/api.backgrounds.token";
-    page: "/api/backgrounds/token";
+    page: "/api/backgrounds/token" | "/api/backgrounds/token/revoke";
+  };
+  "routes/api.backgrounds.token.revoke.tsx": {
+    id: "routes/api.backgrounds.token.revoke";
+    page: "/api/backgrounds/token/revoke";
+  };
+  "routes/api.backgrounds.lint.tsx": {
+    id: "routes/api.backgrounds.lint";
+    page: "/api/backgrounds/lint";
   };
   "routes/api.backgrounds.$id.tsx": {
     id: "routes/api.backgrounds.$id";
-    page: "/api/backgrounds/:id" | "/api/backgrounds/:id/activate";
+    page: "/api/backgrounds/:id" | "/api/backgrounds/:id/unquarantine" | "/api/backgrounds/:id/revisions" | "/api/backgrounds/:id/revisions/:revisionId/restore" | "/api/backgrounds/:id/revisions/:revisionId/diff" | "/api/backgrounds/:id/thumbnail" | "/api/backgrounds/:id/activate";
+  };
+  "routes/api.backgrounds.$id.unquarantine.tsx": {
+    id: "routes/api.backgrounds.$id.unquarantine";
+    page: "/api/backgrounds/:id/unquarantine";
+  };
+  "routes/api.backgrounds.$id.revisions.tsx": {
+    id: "routes/api.backgrounds.$id.revisions";
+    page: "/api/backgrounds/:id/revisions" | "/api/backgrounds/:id/revisions/:revisionId/restore" | "/api/backgrounds/:id/revisions/:revisionId/diff";
+  };
+  "routes/api.backgrounds.$id.revisions.$revisionId.restore.tsx": {
+    id: "routes/api.backgrounds.$id.revisions.$revisionId.restore";
+    page: "/api/backgrounds/:id/revisions/:revisionId/restore";
+  };
+  "routes/api.backgrounds.$id.revisions.$revisionId.diff.tsx": {
+    id: "routes/api.backgrounds.$id.revisions.$revisionId.diff";
+    page: "/api/backgrounds/:id/revisions/:revisionId/diff";
+  };
+  "routes/api.backgrounds.$id.thumbnail.tsx": {
+    id: "routes/api.backgrounds.$id.thumbnail";
+    page: "/api/backgrounds/:id/thumbnail";
   };
   "routes/api.backgrounds.$id.activate.tsx": {
     id: "routes/api.backgrounds.$id.activate";
@@ -403,6 +499,10 @@ type RouteFiles = {
     id: "routes/discount.$code";
     page: "/discount/:code";
   };
+  "routes/[sitemap.xml].jsx": {
+    id: "routes/[sitemap.xml]";
+    page: "/sitemap.xml";
+  };
   "routes/favicon[.]ico.jsx": {
     id: "routes/favicon[.]ico";
     page: "/favicon.ico";
@@ -411,25 +511,21 @@ type RouteFiles = {
     id: "routes/pages.$handle";
     page: "/pages/:handle";
   };
-  "routes/[sitemap.xml].jsx": {
-    id: "routes/[sitemap.xml]";
-    page: "/sitemap.xml";
+  "routes/[robots.txt].jsx": {
+    id: "routes/[robots.txt]";
+    page: "/robots.txt";
   };
   "routes/blogs._index.jsx": {
     id: "routes/blogs._index";
     page: "/blogs";
   };
-  "routes/[robots.txt].jsx": {
-    id: "routes/[robots.txt]";
-    page: "/robots.txt";
-  };
   "routes/api.product.jsx": {
     id: "routes/api.product";
     page: "/api/product";
   };
   "routes/($locale).jsx": {
     id: "routes/($locale)";
-    page: "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/pages/:handle" | "/:locale?/sitemap.xml" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*";
+    page: "/:locale?" | "/:locale?/blogs/:blogHandle/:articleHandle" | "/:locale?/sitemap/:type/:page.xml" | "/:locale?/blogs/:blogHandle" | "/:locale?/collections/:handle" | "/:locale?/account/authorize" | "/:locale?/collections" | "/:locale?/policies/:handle" | "/:locale?/products/:handle" | "/:locale?/account/logout" | "/:locale?/collections/all" | "/:locale?/policies" | "/:locale?/account/login" | "/:locale?/discount/:code" | "/:locale?/sitemap.xml" | "/:locale?/pages/:handle" | "/:locale?/blogs" | "/:locale?/account" | "/:locale?/account/orders" | "/:locale?/account/orders/:id" | "/:locale?/account/profile" | "/:locale?/account/*" | "/:locale?/search" | "/:locale?/cart" | "/:locale?/cart/:lines" | "/:locale?/*";
   };
   "routes/($locale).blogs.$blogHandle.$articleHandle.jsx": {
     id: "routes/($locale).blogs.$blogHandle.$articleHandle";
@@ -483,14 +579,14 @@ type RouteFiles = {
     id: "routes/($locale).discount.$code";
     page: "/:locale?/discount/:code";
   };
-  "routes/($locale).pages.$handle.jsx": {
-    id: "routes/($locale).pages.$handle";
-    page: "/:locale?/pages/:handle";
-  };
   "routes/($locale).[sitemap.xml].jsx": {
     id: "routes/($locale).[sitemap.xml]";
     page: "/:locale?/sitemap.xml";
   };
+  "routes/($locale).pages.$handle.jsx": {
+    id: "routes/($locale).pages.$handle";
+    page: "/:locale?/pages/:handle";
+  };
   "routes/($locale).blogs._index.jsx": {
     id: "routes/($locale).blogs._index";
     page: "/:locale?/blogs";
@@ -519,14 +615,14 @@ type RouteFiles = {
     id: "routes/($locale).account.$";
     page: "/:locale?/account/*";
   };
-  "routes/($locale).search.jsx": {
-    id: "routes/($locale).search";
-    page: "/:locale?/search";
-  };
   "routes/($locale)._index.jsx": {
     id: "routes/($locale)._index";
     page: "/:locale?";
   };
+  "routes/($locale).search.jsx": {
+    id: "routes/($locale).search";
+    page: "/:locale?/search";
+  };
   "routes/($locale).cart.jsx": {
     id: "routes/($locale).cart";
     page: "/:locale?/cart" | "/:locale?/cart/:lines";
@@ -567,14 +663,14 @@ type RouteFiles = {
     id: "routes/account.$";
     page: "/account/*";
   };
-  "routes/search.jsx": {
-    id: "routes/search";
-    page: "/search";
-  };
   "routes/_index.jsx": {
     id: "routes/_index";
     page: "/";
   };
+  "routes/search.jsx": {
+    id: "routes/search";
+    page: "/search";
+  };
   "routes/admin.jsx": {
     id: "routes/admin";
     page: "/admin";
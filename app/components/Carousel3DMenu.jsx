@@ -1,5 +1,6 @@
 import {useEffect, useRef, useState, lazy, Suspense} from 'react';
 import ClientOnly from './ClientOnly';
+import {usePublishCarouselController} from './Carousel3DPro/CarouselControllerContext';
 // import {BackgroundStage} from './backgrounds/BackgroundStage';
 
 // Dynamic imports for browser-only test utilities - don't import at module level
@@ -8,10 +9,26 @@ import ClientOnly from './ClientOnly';
 // Lazy load Carousel3DProWrapper - the .client suffix ensures SSR exclusion
 const Carousel3DProWrapper = lazy(() => import('./Carousel3DPro/Carousel3DProWrapper.client'));
 
-export function Carousel3DMenu({menuData}) {
+/**
+ * @param {Object} props
+ * @param {Object} [props.menuData] - Carousel menu keyed by default-language titles
+ * @param {{language: string, country: string}} [props.locale] - Locale for labels and HUD strings
+ * @param {Object<string, string>} [props.menuLabels] - Titles translated in Shopify
+ */
+export function Carousel3DMenu({menuData, locale, menuLabels}) {
   const containerRef = useRef(null);
   const carouselInstanceRef = useRef(null);
   const [isClientReady, setIsClientReady] = useState(false);
+  const publishController = usePublishCarouselController();
+
+  // Loaders return new objects on every navigation: remount only when the menu itself changes,
+  // and switch locales on the mounted carousel
+  const menuKey = JSON.stringify(menuData ?? null);
+  const localeKey = JSON.stringify([locale ?? null, menuLabels ?? null]);
+  const menuDataRef = useRef(menuData);
+  const localeRef = useRef({locale, menuLabels});
+  menuDataRef.current = menuData;
+  localeRef.current = {locale, menuLabels};
 
   // Mark as ready on client-side only
   useEffect(() => {
@@ -24,33 +41,39 @@ export function Carousel3DMenu({menuData}) {
     const loadCarousel = async () => {
       try {
         // Dynamic imports to avoid global scope issues in Cloudflare Workers
-        const THREE = await import('three');
-        const {gsap} = await import('gsap');
-        const {OrbitControls} = await import('three/examples/jsm/controls/OrbitControls.js');
-        
-        // Import menu utilities dynamically (browser-only)
-        const menuTransformUtils = await import('../utils/menuTransform');
-        
-        // Load test utilities only in development (browser-only via .client suffix)
-        if (typeof window !== 'undefined') {
+        const {mountCarousel3D} = await import('./Carousel3DPro/main.client.js');
+        const {isCarouselDebugEnabled} = await import('./Carousel3DPro/modules/CarouselController.js');
+
+        // Console helpers and test utilities only behind the debug flag (browser-only via .client suffix)
+        if (isCarouselDebugEnabled()) {
+          const [THREE, {gsap}, {OrbitControls}, menuTransformUtils] = await Promise.all([
+            import('three'),
+            import('gsap'),
+            import('three/examples/jsm/controls/OrbitControls.js'),
+            import('../utils/menuTransform'),
+          ]);
+          window.THREE = THREE;
+          window.gsap = gsap;
+          window.OrbitControls = OrbitControls;
+          window.menuTransformUtils = menuTransformUtils;
           import('../utils/menuTestUtils.client').catch(() => {});
           import('../utils/watermelonIntegrationTests.client').catch(() => {});
         }
-        
-        window.THREE = THREE;
-        window.gsap = gsap;
-        window.OrbitControls = OrbitControls;
-
-        const {mountCarousel3D} = await import('./Carousel3DPro/main.client.js');
 
         if (containerRef.current && !carouselInstanceRef.current) {
-          carouselInstanceRef.current = mountCarousel3D(containerRef.current, menuData);
-          window.debugCarousel = carouselInstanceRef.current;
-          window.menuTransformUtils = menuTransformUtils;
+          const {locale: mountLocale, menuLabels: mountLabels} = localeRef.current;
+          carouselInstanceRef.current = mountCarousel3D(containerRef.current, menuDataRef.current, {
+            locale: mountLocale,
+            labels: mountLabels,
+          });
+          publishController(carouselInstanceRef.current);
+          if (isCarouselDebugEnabled()) {
+            window.debugCarousel = carouselInstanceRef.current;
+          }
 
           console.warn('[Menu] Carousel initialized with menu data:', {
-            hasMenuData: !!menuData,
-            itemCount: menuData?.items?.length || 0,
+            hasMenuData: !!menuDataRef.current,
+            itemCount: menuDataRef.current?.items?.length || 0,
           });
         }
       } catch (err) {
@@ -62,11 +85,21 @@ export function Carousel3DMenu({menuData}) {
 
     return () => {
       if (carouselInstanceRef.current?.dispose) {
+        if (window.debugCarousel === carouselInstanceRef.current) {
+          delete window.debugCarousel;
+        }
         carouselInstanceRef.current.dispose();
         carouselInstanceRef.current = null;
+        publishController(null);
       }
     };
-  }, [menuData]);
+  }, [menuKey, publishController]);
+
+  useEffect(() => {
+    // The mount above reads the current locale itself; this handles later switches
+    const {locale: nextLocale, menuLabels: nextLabels} = localeRef.current;
+    if (nextLocale) carouselInstanceRef.current?.setLocale?.(nextLocale, nextLabels);
+  }, [localeKey]);
 
   const items = menuData?.items || ['Item 1', 'Item 2', 'Item 3'];
 
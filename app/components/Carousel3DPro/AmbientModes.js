@@ -0,0 +1,302 @@
+/**
+ * AmbientModes - Time-of-day lighting for the 3D carousel scene
+ * Drives fog color, the camera spotlight/fill intensities, the BackgroundDome gradient and the
+ * active BackgroundManager module palette together, crossfading between modes with GSAP.
+ *
+ * @module AmbientModes
+ * @example
+ * const ambient = new AmbientModeController({ scene, spotlight, fillLight, getBackgroundManager });
+ * ambient.setPreference('auto');   // follow the visitor's local clock
+ * ambient.setPreference('dusk');   // pin a mode (admin config)
+ * ambient.setPreference('off');    // stop driving; Scene/Camera admin values apply
+ */
+
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Mode definitions. `palette` is four accent colors for module point lights;
+ * `night` matches the scene's original constants so it is the unchanged look.
+ */
+export const AMBIENT_MODES = {
+    dawn: {
+        label: 'Dawn',
+        fogColor: 0x2a1f3d,
+        spotlightIntensity: 0.8,
+        fillLightIntensity: 0.6,
+        fillLightColor: 0xffb38a,
+        domeTop: 0x3d2a55,
+        domeBottom: 0x8a4f5c,
+        domeIntensity: 0.35,
+        palette: [0xff8a66, 0xffc48a, 0xb36bd6, 0x6f8dff],
+    },
+    day: {
+        label: 'Day',
+        fogColor: 0x1c3550,
+        spotlightIntensity: 1.0,
+        fillLightIntensity: 0.8,
+        fillLightColor: 0xcfe8ff,
+        domeTop: 0x4a86c5,
+        domeBottom: 0x1c3550,
+        domeIntensity: 0.3,
+        palette: [0x66ccff, 0x99e6ff, 0x3399ff, 0xffe680],
+    },
+    dusk: {
+        label: 'Dusk',
+        fogColor: 0x24142e,
+        spotlightIntensity: 0.7,
+        fillLightIntensity: 0.5,
+        fillLightColor: 0xff9966,
+        domeTop: 0x5c2a4d,
+        domeBottom: 0x1c1026,
+        domeIntensity: 0.4,
+        palette: [0xff6a3d, 0xff9a5c, 0xc2417a, 0x7a4dff],
+    },
+    night: {
+        label: 'Night',
+        fogColor: 0x0a0a1a,
+        spotlightIntensity: 0.5,
+        fillLightIntensity: 0.4,
+        fillLightColor: 0x88aacc,
+        // sRGB hex for the dome's original linear vec3(0.1, 0.1, 0.2).
+        domeTop: 0x59597c,
+        domeBottom: 0x59597c,
+        domeIntensity: 0.2,
+        palette: [0x6688ff, 0x88aaff, 0x4466cc, 0x9988ff],
+    },
+};
+
+export const AMBIENT_MODE_IDS = Object.keys(AMBIENT_MODES);
+
+/** `auto` follows the local clock; `off` leaves lighting to the admin Scene/Camera values. */
+export const AMBIENT_PREFERENCES = ['auto', ...AMBIENT_MODE_IDS, 'off'];
+
+const DEFAULT_TRANSITION_SECONDS = 4;
+const CLOCK_CHECK_INTERVAL_MS = 60_000;
+
+/**
+ * Mode for a local hour: dawn 5–8, day 8–17, dusk 17–20, night otherwise.
+ * @param {number} hour - 0-23
+ * @returns {string}
+ */
+export function getAmbientModeForHour(hour) {
+    if (hour >= 5 && hour < 8) return 'dawn';
+    if (hour >= 8 && hour < 17) return 'day';
+    if (hour >= 17 && hour < 20) return 'dusk';
+    return 'night';
+}
+
+/**
+ * Snapshot of a mode as THREE.Color instances so transitions can lerp between them.
+ * @private
+ */
+function toAmbientState(mode) {
+    return {
+        fogColor: new THREE.Color(mode.fogColor),
+        spotlightIntensity: mode.spotlightIntensity,
+        fillLightIntensity: mode.fillLightIntensity,
+        fillLightColor: new THREE.Color(mode.fillLightColor),
+        domeTop: new THREE.Color(mode.domeTop),
+        domeBottom: new THREE.Color(mode.domeBottom),
+        domeIntensity: mode.domeIntensity,
+        palette: mode.palette.map(color => new THREE.Color(color)),
+    };
+}
+
+function lerpState(from, to, t) {
+    return {
+        fogColor: from.fogColor.clone().lerp(to.fogColor, t),
+        spotlightIntensity: THREE.MathUtils.lerp(from.spotlightIntensity, to.spotlightIntensity, t),
+        fillLightIntensity: THREE.MathUtils.lerp(from.fillLightIntensity, to.fillLightIntensity, t),
+        fillLightColor: from.fillLightColor.clone().lerp(to.fillLightColor, t),
+        domeTop: from.domeTop.clone().lerp(to.domeTop, t),
+        domeBottom: from.domeBottom.clone().lerp(to.domeBottom, t),
+        domeIntensity: THREE.MathUtils.lerp(from.domeIntensity, to.domeIntensity, t),
+        palette: from.palette.map((color, i) => color.clone().lerp(to.palette[i] ?? color, t)),
+    };
+}
+
+export class AmbientModeController {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene
+     * @param {THREE.SpotLight} [options.spotlight]
+     * @param {THREE.PointLight} [options.fillLight]
+     * @param {function(): (import('./backgrounds/BackgroundManager.js').BackgroundManager|null)} [options.getBackgroundManager]
+     * @param {number} [options.transitionSeconds=4]
+     * @param {function(): Date} [options.now] - Clock source (overridable for testing)
+     */
+    constructor({ scene, spotlight = null, fillLight = null, getBackgroundManager = () => null, transitionSeconds = DEFAULT_TRANSITION_SECONDS, now = () => new Date() }) {
+        this.scene = scene;
+        this.spotlight = spotlight;
+        this.fillLight = fillLight;
+        this.getBackgroundManager = getBackgroundManager;
+        this.transitionSeconds = transitionSeconds;
+        this.now = now;
+
+        /** @type {string} */
+        this.preference = 'off';
+        /** @type {string|null} */
+        this.modeId = null;
+        /** @type {Object|null} */
+        this.state = null;
+
+        this.tween = null;
+        this.clockTimer = null;
+    }
+
+    /**
+     * Choose how the mode is picked. Unknown values fall back to `off`.
+     * @param {string} preference - `auto`, a mode id, or `off`
+     * @param {Object} [options]
+     * @param {number} [options.transitionSeconds] - Crossfade length for this and later changes
+     * @param {boolean} [options.immediate=false] - Skip the crossfade
+     */
+    setPreference(preference, { transitionSeconds, immediate = false } = {}) {
+        if (typeof transitionSeconds === 'number' && transitionSeconds >= 0) {
+            this.transitionSeconds = transitionSeconds;
+        }
+        const next = AMBIENT_PREFERENCES.includes(preference) ? preference : 'off';
+        if (next === this.preference && next !== 'auto') return;
+        this.preference = next;
+
+        this._stopClock();
+        if (next === 'off') {
+            this._killTween();
+            this.modeId = null;
+            this.state = null;
+            return;
+        }
+        if (next === 'auto') {
+            this.clockTimer = setInterval(() => this._syncWithClock(), CLOCK_CHECK_INTERVAL_MS);
+            this._syncWithClock(immediate);
+            return;
+        }
+        this.transitionTo(next, { immediate });
+    }
+
+    /**
+     * Whether the controller owns fog color and camera light intensities right now.
+     * @returns {boolean}
+     */
+    isDriving() {
+        return this.preference !== 'off';
+    }
+
+    /** @returns {string|null} Current mode id, or null when off */
+    getMode() {
+        return this.modeId;
+    }
+
+    /**
+     * Crossfade to a mode.
+     * @param {string} modeId
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false]
+     */
+    transitionTo(modeId, { immediate = false } = {}) {
+        const mode = AMBIENT_MODES[modeId];
+        if (!mode) {
+            console.warn(`[AmbientModes] Unknown mode: ${modeId}`);
+            return;
+        }
+        if (modeId === this.modeId && !this.tween) return;
+
+        this._killTween();
+        const target = toAmbientState(mode);
+        const from = this.state ?? this._readSceneState(target);
+        this.modeId = modeId;
+
+        if (immediate || this.transitionSeconds === 0) {
+            this._apply(target);
+            return;
+        }
+
+        const progress = { t: 0 };
+        this.tween = gsap.to(progress, {
+            t: 1,
+            duration: this.transitionSeconds,
+            ease: 'sine.inOut',
+            onUpdate: () => this._apply(lerpState(from, target, progress.t)),
+            onComplete: () => { this.tween = null; },
+        });
+        console.log(`[AmbientModes] Transitioning to ${modeId}`);
+    }
+
+    /**
+     * Re-send the current state to the active background module (e.g. after it changes).
+     */
+    refreshBackground() {
+        if (this.state) {
+            this.getBackgroundManager()?.setAmbient(this._toModuleAmbient(this.state));
+        }
+    }
+
+    dispose() {
+        this._stopClock();
+        this._killTween();
+    }
+
+    /** @private */
+    _syncWithClock(immediate = false) {
+        this.transitionTo(getAmbientModeForHour(this.now().getHours()), { immediate });
+    }
+
+    /**
+     * Start point for the first transition: current scene values where available, the
+     * target elsewhere (the module palette and dome gradient cannot be read back).
+     * @private
+     */
+    _readSceneState(target) {
+        return {
+            ...target,
+            fogColor: this.scene.fog ? this.scene.fog.color.clone() : target.fogColor,
+            spotlightIntensity: this.spotlight?.intensity ?? target.spotlightIntensity,
+            fillLightIntensity: this.fillLight?.intensity ?? target.fillLightIntensity,
+            fillLightColor: this.fillLight ? this.fillLight.color.clone() : target.fillLightColor,
+        };
+    }
+
+    /** @private */
+    _apply(state) {
+        this.state = state;
+        if (this.scene.fog) this.scene.fog.color.copy(state.fogColor);
+        if (this.spotlight) this.spotlight.intensity = state.spotlightIntensity;
+        if (this.fillLight) {
+            this.fillLight.intensity = state.fillLightIntensity;
+            this.fillLight.color.copy(state.fillLightColor);
+        }
+        this.getBackgroundManager()?.setAmbient(this._toModuleAmbient(state));
+    }
+
+    /**
+     * Shape passed to background modules via `setAmbient` / the `ambient` init option.
+     * @private
+     */
+    _toModuleAmbient(state) {
+        return {
+            mode: this.modeId,
+            palette: state.palette.map(color => color.getHex()),
+            gradient: { top: state.domeTop.getHex(), bottom: state.domeBottom.getHex() },
+            intensity: state.domeIntensity,
+        };
+    }
+
+    /** @private */
+    _killTween() {
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+        }
+    }
+
+    /** @private */
+    _stopClock() {
+        if (this.clockTimer) {
+            clearInterval(this.clockTimer);
+            this.clockTimer = null;
+        }
+    }
+}
+
+export default AmbientModeController;
@@ -9,18 +9,32 @@
 
 import * as THREE from 'three';
 
+// The shader's original base color, vec3(0.1, 0.1, 0.2). Uniform colors reach the shader in
+// linear space, so it is set as linear RGB; a hex literal would be read as sRGB and come out darker.
+const DEFAULT_DOME_COLOR = new THREE.Color().setRGB(0.1, 0.1, 0.2, THREE.LinearSRGBColorSpace);
+
 export class BackgroundDome {
-    constructor(scene, radius = 30, segments = 64) {
+    /**
+     * Accepts either `(scene, radius, segments)` or the BackgroundManager signature
+     * `(scene, camera, renderer, options)`, where `options.radius`/`options.segments` apply.
+     */
+    constructor(scene, radius = 30, segments = 64, options = {}) {
+        const fromManager = typeof radius !== 'number';
         this.scene = scene;
-        this.radius = radius;
-        this.segments = segments;
+        this.radius = fromManager ? options.radius ?? 30 : radius;
+        this.segments = fromManager ? options.segments ?? 64 : segments;
         this.dome = null;
         this.uniforms = {
             time: { value: 0 },
-            intensity: { value: 0.2 }
+            intensity: { value: 0.2 },
+            topColor: { value: DEFAULT_DOME_COLOR.clone() },
+            bottomColor: { value: DEFAULT_DOME_COLOR.clone() },
         };
         
         this.createDome();
+        if (fromManager && options.ambient) {
+            this.setAmbient(options.ambient);
+        }
     }
     
     createDome() {
@@ -36,9 +50,11 @@ export class BackgroundDome {
             vertexShader: `
                 varying vec3 vNormal;
                 varying vec3 vViewPosition;
+                varying float vHeight;
                 
                 void main() {
                     vNormal = normalize(normalMatrix * normal);
+                    vHeight = normalize(position).y * 0.5 + 0.5; // -1..1 → 0..1, bottom to top
                     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
                     vViewPosition = -mvPosition.xyz;
                     gl_Position = projectionMatrix * mvPosition;
@@ -47,8 +63,11 @@ export class BackgroundDome {
             fragmentShader: `
                 uniform float time;
                 uniform float intensity;
+                uniform vec3 topColor;
+                uniform vec3 bottomColor;
                 varying vec3 vNormal;
                 varying vec3 vViewPosition;
+                varying float vHeight;
                 
                 // Function to convert hue to RGB
                 vec3 hue2rgb(float h) {
@@ -64,8 +83,8 @@ export class BackgroundDome {
                     float fresnel = dot(normalize(vViewPosition), vNormal);
                     fresnel = clamp(1.0 - fresnel, 0.0, 1.0);
                     
-                    // Base color - lighten the dark blue/purple base color
-                    vec3 baseColor = vec3(0.1, 0.1, 0.2);
+                    // Base color - vertical gradient (defaults to the original dark blue/purple)
+                    vec3 baseColor = mix(bottomColor, topColor, vHeight);
                     
                     // Iridescent colors based on viewing angle and time
                     float hue = fresnel * 0.7 + time * 0.05;
@@ -112,6 +131,25 @@ export class BackgroundDome {
         }
     }
     
+    /**
+     * Set the vertical base gradient
+     * @param {number|THREE.Color} top - Color at the crown
+     * @param {number|THREE.Color} bottom - Color at the rim
+     */
+    setGradient(top, bottom) {
+        if (this.uniforms) {
+            this.uniforms.topColor.value.set(top);
+            this.uniforms.bottomColor.value.set(bottom);
+        }
+    }
+    
+    // BackgroundManager ambient hook (time-of-day modes)
+    setAmbient(ambient) {
+        if (!ambient) return;
+        if (ambient.gradient) this.setGradient(ambient.gradient.top, ambient.gradient.bottom);
+        if (typeof ambient.intensity === 'number') this.setIntensity(ambient.intensity);
+    }
+    
     // Clean up method
     dispose() {
         if (this.dome) {
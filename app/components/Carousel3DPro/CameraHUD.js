@@ -20,6 +20,8 @@ import gsap from 'gsap';
  * HUD slot positions (named presets for common UI positions)
  * Coordinates are spherical: theta (horizontal), phi (vertical)
  * Center of view is theta=0, phi=Math.PI/2
+ * Left/right names are for left-to-right layouts; with `direction: 'rtl'` every slot is mirrored
+ * (TOP_RIGHT shows top-left, NAV_LEFT on the right, ...)
  */
 export const HUD_SLOTS = {
   // Corners
@@ -58,6 +60,7 @@ const DEFAULT_CONFIG = {
   enabled: true,
   mobileScaleFactor: 1.2, // Larger touch targets on mobile
   showDebugSphere: false, // Visualize the mounting sphere
+  direction: 'ltr', // 'rtl' mirrors slots horizontally
 };
 
 export class CameraHUD extends THREE.Group {
@@ -145,6 +148,29 @@ export class CameraHUD extends THREE.Group {
     );
   }
   
+  /**
+   * Resolve a slot (preset name or {theta, phi}) to the position used for the current direction
+   * @param {Object|string} slot
+   * @returns {{theta: number, phi: number}}
+   */
+  resolveSlot(slot) {
+    const preset = typeof slot === 'string' ? HUD_SLOTS[slot] : slot;
+    const theta = preset?.theta || 0;
+    const phi = preset?.phi || Math.PI / 2;
+    return { theta: this.config.direction === 'rtl' ? -theta : theta, phi };
+  }
+
+  /**
+   * Switch layout direction and move every element to its mirrored slot
+   * @param {'ltr'|'rtl'} direction
+   * @param {boolean} animate - Whether to animate movement
+   */
+  setDirection(direction, animate = true) {
+    if (direction === this.config.direction) return;
+    this.config.direction = direction;
+    this.elements.forEach((element, name) => this.moveElement(name, element.slot, animate));
+  }
+  
   /**
    * Add an element to the HUD
    * @param {string} name - Unique identifier for the element
@@ -166,8 +192,7 @@ export class CameraHUD extends THREE.Group {
     };
     
     // Calculate position from slot
-    const theta = typeof slot === 'object' ? slot.theta : HUD_SLOTS[slot]?.theta || 0;
-    const phi = typeof slot === 'object' ? slot.phi : HUD_SLOTS[slot]?.phi || Math.PI / 2;
+    const { theta, phi } = this.resolveSlot(slot);
     const position = this.sphericalToCartesian(theta, phi);
     
     mesh.position.copy(position);
@@ -307,7 +332,8 @@ export class CameraHUD extends THREE.Group {
     const slot = typeof newSlot === 'string' ? HUD_SLOTS[newSlot] : newSlot;
     if (!slot) return;
     
-    const newPosition = this.sphericalToCartesian(slot.theta, slot.phi);
+    const { theta, phi } = this.resolveSlot(slot);
+    const newPosition = this.sphericalToCartesian(theta, phi);
     element.slot = slot;
     
     if (animate) {
@@ -67,11 +67,10 @@
 
 import * as THREE from 'three';
 import { Group } from 'three';
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { getGlowShaderMaterial } from './CarouselShaderFX.js';
 import { defaultCarouselStyle, getMenuItemColor } from './CarouselStyleConfig.js';
 import { SelectionGuard, withSelectionLock } from './modules/selectionGuards.js';
+import { loadTextRenderer } from './modules/TextRenderer.js';
 
 
 import gsap from 'gsap';
@@ -89,6 +88,8 @@ export class Carousel3DPro extends Group {
     this.rotationSpeed = 0.05;
     this.cylinderRadius = 5;
     this.isSpinning = false; // Flag for smooth scroll animation in update
+    // 1: item order runs left to right around the ring, -1: right to left (config.direction 'rtl')
+    this.direction = this.config.direction === 'rtl' ? -1 : 1;
 
     this.userData.ringLocked = false;
     this.submenuState = { open: false, parentIndex: null, selectedChildIndex: null };
@@ -138,7 +139,7 @@ export class Carousel3DPro extends Group {
 
     this.userData.carouselCenter = this.carouselCenter;
     this.onItemClick = null;
-    this.font = null;
+    this.textRenderer = null; // modules/TextRenderer.js, picked by the theme's textRenderer key
 
     this.lastInteractionType = 'idle'; // Track interaction type ('click', 'scroll', 'idle')
 
@@ -147,8 +148,7 @@ export class Carousel3DPro extends Group {
       this.createItems();
       // After items are created and initial state set by selectItem(false),
       // ensure the target rotation matches the initial rotation.
-      const angleStep = (2 * Math.PI) / this.items.length;
-      this.targetRotation = -this.currentIndex * angleStep;
+      this.targetRotation = -this.getItemAngle(this.currentIndex);
       console.log(`[Constructor] Font loaded, items created. Initial currentIndex: ${this.currentIndex}, targetRotation: ${this.targetRotation.toFixed(2)}`); // Debug log
     });
 
@@ -193,6 +193,20 @@ export class Carousel3DPro extends Group {
     return { ...this.submenuState };
   }
 
+  /**
+   * Announces the front item so listeners outside the scene (e.g. the background bridge) can follow navigation.
+   * @param {number} index - Index of the newly selected item
+   */
+  notifySelectionChange(index) {
+    if (typeof window === 'undefined') return;
+    const mesh = this.itemMeshes[index];
+    window.dispatchEvent(
+      new CustomEvent('carousel-selection-change', {
+        detail: { index, label: mesh?.userData?.originalLabel || mesh?.name },
+      })
+    );
+  }
+
   /**
    * Formats a label for the main ring so multi-word titles stack across two lines.
    * Rule: split at the last space to keep punctuation like "/" with the first line.
@@ -206,23 +220,89 @@ export class Carousel3DPro extends Group {
   return typeof label === 'string' ? label : String(label ?? '');
   }
 
+  /**
+   * Text shown for an item: its label in the current locale (`config.translateLabel`), formatted
+   * for the ring. The item itself stays the key used for submenus, content and deep links.
+   * @param {*} item
+   * @returns {string}
+   */
+  getDisplayLabel(item) {
+    const label = item.toString();
+    return this.formatStackedLabel(this.config.translateLabel ? this.config.translateLabel(label) : label);
+  }
+
+  /**
+   * Angle of an item around the horizontal ring. Items follow the reading direction, so the next
+   * item sits to the right of the front one (left in right-to-left locales).
+   * @param {number} index
+   * @returns {number}
+   */
+  getItemAngle(index) {
+    return this.direction * index * ((2 * Math.PI) / this.items.length);
+  }
+
+  /**
+   * Builds the centered text geometry for a ring label, using the configured curve/bevel detail
+   * (extruded text) or wrapping long labels onto two lines (SDF text).
+   * @param {string} displayLabel
+   * @returns {THREE.BufferGeometry}
+   */
+  createItemGeometry(displayLabel) {
+    return this.textRenderer.createGeometry(displayLabel, {
+      size: 0.5,
+      maxWidth: 3.2,
+      depth: 0.1,
+      curveSegments: this.config.curveSegments ?? 12,
+      bevelThickness: 0.03,
+      bevelSize: 0.02,
+      bevelSegments: this.config.bevelSegments ?? 5
+    });
+  }
+
+  /**
+   * Label material from the text renderer (SDF labels need its atlas alpha map).
+   * @param {Object} params - MeshStandardMaterial parameters
+   * @returns {THREE.Material}
+   */
+  createItemMaterial(params) {
+    return this.textRenderer.createMaterial(params);
+  }
+
+  /**
+   * Glow material for the selected label; SDF labels keep their glyph shapes.
+   * @returns {THREE.ShaderMaterial}
+   */
+  createGlowMaterial() {
+    return getGlowShaderMaterial(undefined, this.textRenderer?.atlas?.texture ?? null);
+  }
+
+  /**
+   * Changes text geometry detail (quality tier) and rebuilds existing labels in place.
+   * Bounds barely change with segment counts, so scale, layout and hit areas are kept.
+   * Flat (SDF) labels have no outline detail to change.
+   * @param {{curveSegments: number, bevelSegments: number}} detail
+   */
+  setTextDetail({ curveSegments, bevelSegments }) {
+    if (this.config.curveSegments === curveSegments && this.config.bevelSegments === bevelSegments) return;
+    this.config = { ...this.config, curveSegments, bevelSegments };
+    if (!this.textRenderer || this.textRenderer.isFlat) return;
+
+    this.itemMeshes.forEach((mesh) => {
+      const previous = mesh.geometry;
+      mesh.geometry = this.createItemGeometry(mesh.userData.displayLabel ?? mesh.name);
+      previous.dispose();
+    });
+  }
+
+  /**
+   * Loads the theme's text renderer and the glyphs of every label, so createItems can build
+   * them synchronously.
+   */
   async loadFont() {
     try {
-      const fontURL = '/helvetiker_regular.typeface.json';
-      const loader = new FontLoader();
-      this.font = await new Promise((resolve, reject) => {
-        loader.load(
-          fontURL,
-          (font) => {
-            resolve(font);
-          },
-          undefined,
-          (error) => {
-            console.error('An error occurred while loading the font.', error);
-            reject(error);
-          }
-        );
-      });
+      const renderer = await loadTextRenderer(this.config);
+      await renderer.prepare(this.items.map((item) => this.getDisplayLabel(item)));
+      this.textRenderer = renderer;
     } catch (error) {
       console.error('Failed to load font:', error);
     }
@@ -232,12 +312,12 @@ export class Carousel3DPro extends Group {
    * Creates and arranges 3D text items in a cylindrical carousel.
    *
    * This method performs the following actions:
-   * 1. Checks if the required font (`this.font`) is loaded. If not, it exits.
+   * 1. Checks if the text renderer (`this.textRenderer`) is loaded. If not, it exits.
    * 2. Calculates the angular step for distributing items evenly around a cylinder.
    * 3. For each item in `this.items`:
-   *    a. Creates a `TextGeometry` for the item's string representation.
+   *    a. Creates the label geometry (SDF quads or extruded text) for the item's string representation.
    *    b. Computes the bounding box and centers the geometry.
-   *    c. Creates a `THREE.MeshStandardMaterial` using configured text color and opacity.
+   *    c. Creates a `THREE.MeshStandardMaterial` (through the text renderer) using configured text color and opacity.
    *    d. Creates a `THREE.Mesh` for the text item.
    *    e. Sets the mesh's name to the item's string representation.
    *    f. Positions the mesh on a cylinder defined by `this.cylinderRadius`, distributing items using the calculated angle.
@@ -256,7 +336,7 @@ export class Carousel3DPro extends Group {
    *       it calls `this.selectItem(savedIndex, true)` to animate the carousel to the item at the `savedIndex`.
    *
    * This method relies on several instance properties:
-   * - `this.font`: The THREE.Font instance to use for text geometry.
+   * - `this.textRenderer`: The text renderer (modules/TextRenderer.js) used for label geometry and materials.
    * - `this.items`: An array of items to be displayed in the carousel. Each item will be converted to a string.
    * - `this.cylinderRadius`: The radius of the cylinder on which items are placed.
    * - `this.config.textColor`: The color for the text material.
@@ -268,27 +348,13 @@ export class Carousel3DPro extends Group {
    * - `this.selectItem`: A method to select and animate to a specific item.
    */
   createItems() {
-    if (!this.font) return;
-    const angleStep = (2 * Math.PI) / this.items.length;
+    if (!this.textRenderer) return;
 
     // 1) Precompute geometries and measure widths to balance visual sizes
     const prepared = this.items.map((item) => {
       const originalLabel = item.toString();
-      const displayLabel = this.formatStackedLabel(originalLabel);
-      const geometry = new TextGeometry(displayLabel, {
-        font: this.font,
-        size: 0.5,
-        height: 0.1,
-        depth: 0.1,
-        curveSegments: 12,
-        bevelEnabled: true,
-        bevelThickness: 0.03,
-        bevelSize: 0.02,
-        bevelOffset: 0,
-        bevelSegments: 5
-      });
-      geometry.computeBoundingBox();
-      geometry.center();
+      const displayLabel = this.getDisplayLabel(originalLabel);
+      const geometry = this.createItemGeometry(displayLabel);
       const width = geometry.boundingBox.max.x - geometry.boundingBox.min.x;
       const height = geometry.boundingBox.max.y - geometry.boundingBox.min.y;
       return { originalLabel, displayLabel, geometry, width, height };
@@ -306,7 +372,7 @@ export class Carousel3DPro extends Group {
         : { glow: this.config.glowColor, text: this.config.textColor };
       
       // Use MeshStandardMaterial with SUBTLE EMISSIVE for readable glow
-      const material = new THREE.MeshStandardMaterial({
+      const material = this.createItemMaterial({
         color: 0xeeffff,           // Slightly cyan-tinted white for better visibility
         emissive: 0x4477aa,        // Subtle blue glow - not overwhelming
         emissiveIntensity: 0.3,    // Gentle emission - visible but not blinding
@@ -326,7 +392,7 @@ export class Carousel3DPro extends Group {
       const scaleFactor = THREE.MathUtils.clamp(targetWidth / Math.max(0.001, p.width), 0.75, 1.15);
       mesh.scale.setScalar(scaleFactor);
 
-      const angle = angleStep * index;
+      const angle = this.getItemAngle(index);
       mesh.position.x = this.cylinderRadius * Math.sin(angle);
       mesh.position.z = this.cylinderRadius * Math.cos(angle);
       mesh.rotation.y = Math.atan2(mesh.position.x, mesh.position.z);
@@ -655,7 +721,7 @@ selectItem(index, animate = true) {
     
     // For horizontal carousel: negative rotation brings item to front
     // For Ferris wheel: positive rotation brings item to front (inverted)
-    const targetAngle = isFerrisWheel ? (index * angleStep) : (-index * angleStep);
+    const targetAngle = isFerrisWheel ? (index * angleStep) : -this.getItemAngle(index);
 
     // Shortest angular distance (modulo 2π)
     const twoPi = Math.PI * 2;
@@ -674,6 +740,7 @@ selectItem(index, animate = true) {
     if (typeof localStorage !== 'undefined') {
       localStorage.setItem('carouselIndex', index.toString());
     }
+    this.notifySelectionChange(index);
 
     // Highlight visuals with status-coded colors
     this.itemMeshes.forEach((mesh, i) => {
@@ -688,7 +755,7 @@ selectItem(index, animate = true) {
 
       if (isSelected) {
         if (!(mesh.material instanceof THREE.ShaderMaterial)) {
-          const glowMaterial = getGlowShaderMaterial();
+          const glowMaterial = this.createGlowMaterial();
           glowMaterial.uniforms.glowColor.value = new THREE.Color(statusColor.glow);
           mesh.material = glowMaterial;
         } else {
@@ -703,7 +770,7 @@ selectItem(index, animate = true) {
         }
       } else {
         if (mesh.material instanceof THREE.ShaderMaterial) {
-          mesh.material = new THREE.MeshStandardMaterial({
+          mesh.material = this.createItemMaterial({
             color: statusColor.text,
             transparent: true,
             opacity: this.config.opacity
@@ -781,7 +848,7 @@ applyHighlightVisuals(indexToHighlight) {
       // Apply highlight with status-coded glow color
       mesh.userData.isSelected = true;
       if (!(mesh.material instanceof THREE.ShaderMaterial)) {
-        const glowMaterial = getGlowShaderMaterial();
+        const glowMaterial = this.createGlowMaterial();
         glowMaterial.uniforms.glowColor.value = new THREE.Color(statusColor.glow);
         mesh.material = glowMaterial;
       } else {
@@ -799,7 +866,7 @@ applyHighlightVisuals(indexToHighlight) {
       // Remove highlight - use status-coded text color
       mesh.userData.isSelected = false;
       if (mesh.material instanceof THREE.ShaderMaterial) {
-        mesh.material = new THREE.MeshStandardMaterial({
+        mesh.material = this.createItemMaterial({
           color: statusColor.text,
           transparent: true,
           opacity: this.config.opacity
@@ -858,7 +925,7 @@ handleWheel(event) {
   // --- Update Target Rotation for Smooth Scroll ---
   // Add the rotationDelta to the targetRotation.
   // The update loop will smoothly move the current rotation towards this new target.
-  this.targetRotation -= rotationDelta; // Keep this sign as it seems to match desired direction
+  this.targetRotation -= this.direction * rotationDelta; // Scrolling down moves to the next item in either direction
 
 
   console.log(`[handleWheel] New targetRotation: ${this.targetRotation.toFixed(2)}`); // Debug log
@@ -941,6 +1008,7 @@ update() {
         if (finalIndex !== this.currentIndex) {
           this.currentIndex = finalIndex;
           this.applyHighlightVisuals(finalIndex);
+          this.notifySelectionChange(finalIndex);
         }
       }
     }
@@ -987,7 +1055,7 @@ updateCurrentItemFromRotation() {
         // Apply highlight visuals with status-coded glow
         mesh.userData.isSelected = true;
         if (!(mesh.material instanceof THREE.ShaderMaterial)) {
-          const glowMaterial = getGlowShaderMaterial();
+          const glowMaterial = this.createGlowMaterial();
           glowMaterial.uniforms.glowColor.value = new THREE.Color(statusColor.glow);
           mesh.material = glowMaterial;
         } else {
@@ -1003,7 +1071,7 @@ updateCurrentItemFromRotation() {
         // Remove highlight visuals with status-coded text color
         mesh.userData.isSelected = false;
         if (mesh.material instanceof THREE.ShaderMaterial) {
-          mesh.material = new THREE.MeshStandardMaterial({
+          mesh.material = this.createItemMaterial({
             color: statusColor.text,
             transparent: true,
             opacity: this.config.opacity
@@ -1040,7 +1108,7 @@ calculateIndexFromRotation(rotation) {
   // For Ferris wheel mode, rotation direction is inverted relative to item angles
   // Positive rotation.x moves front items DOWN, so items with LOWER angles rise to front
   // This means we use +rotation instead of -rotation for Ferris mode
-  const effectiveRotation = isFerrisWheel ? rotation : -rotation;
+  const effectiveRotation = isFerrisWheel ? rotation : -rotation * this.direction;
   
   const frontAngleInGroupSpace = ((effectiveRotation % twoPi) + twoPi) % twoPi;
   let closestIndex = 0;
@@ -1189,8 +1257,6 @@ scatterRing(anchorIndex = this.currentIndex, onComplete = null) {
   this.scatterState.scatterTimeline = tl;
 
   // Calculate scatter directions and animate each item
-  const angleStep = (2 * Math.PI) / this.itemMeshes.length;
-
   this.itemMeshes.forEach((mesh, index) => {
     // Store original position for reassembly
     this.scatterState.originalPositions[index] = {
@@ -1204,7 +1270,7 @@ scatterRing(anchorIndex = this.currentIndex, onComplete = null) {
     };
 
     const isAnchor = index === anchorIndex;
-    const itemAngle = angleStep * index;
+    const itemAngle = this.getItemAngle(index);
 
     if (isAnchor) {
       // Anchor item: zoom forward toward camera, scale up, brighten
@@ -1,12 +1,14 @@
 import * as THREE from 'three';
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import gsap from 'gsap';
 import { SelectionGuard, withSelectionLock } from './modules/selectionGuards.js';
 import { FloatingPreview } from './modules/FloatingPreview.js';
+import { loadTextRenderer, peekTextRenderer } from './modules/TextRenderer.js';
 
-// Cache font to improve performance across instances
-let cachedFont = null;
+// Nested levels open beside their ancestors; ancestors stay on screen, faded and scaled down
+const NESTED_LEVEL_SPACING = 2.6;
+const DIMMED_OPACITY_FACTOR = 0.3;
+const DIMMED_SCALE = 0.8;
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
 
 export class Carousel3DSubmenu extends THREE.Group {
   constructor(parentItem, items = [], config = {}) {
@@ -23,6 +25,18 @@ export class Carousel3DSubmenu extends THREE.Group {
     this.parentItem = parentItem;
     this.items = items;
     this.config = config;
+    // 3D metadata per item from the menu tree (`menu_item_3d` metaobjects): shape, model3D, color.
+    // `config.getItemMeta(label)` resolves labels within this level's branch.
+    this.itemMeta = items.map((item) => (typeof item === 'object'
+      ? null
+      : config.getItemMeta?.(item) ?? null));
+
+    // Nesting: level 1 is the submenu of a main carousel item, deeper levels are sub-rings
+    this.nestingLevel = config.nestingLevel || 1;
+    // Right-to-left locales mirror the layout: levels open to the left, icons sit right of labels
+    this.mirror = config.direction === 'rtl' ? -1 : 1;
+    this.levelOffset = new THREE.Vector3(this.mirror * NESTED_LEVEL_SPACING * (this.nestingLevel - 1), 0, 0);
+    this.isDimmed = false;
 
     // State
     this.itemMeshes = [];
@@ -50,17 +64,18 @@ export class Carousel3DSubmenu extends THREE.Group {
     this.fixedElements = new THREE.Group();
     this.add(this.fixedElements);
 
-    // Loaders/visibility
-    this.fontLoader = new FontLoader();
+    // Text renderer (shared per theme font settings, see modules/TextRenderer.js)/visibility
+    this.textRenderer = null;
     this.visible = true;
 
     // Floating preview manager (lazy init)
     this.previewManager = null;
 
-    // Try cached font first
-  if (cachedFont) {
-      this.font = cachedFont;
-      console.warn('[Carousel3DSubmenu] Using cached font');
+    // Try the already loaded renderer first (sync build when its glyphs are cached)
+    const cachedRenderer = peekTextRenderer(this.config);
+    if (cachedRenderer) {
+      this.textRenderer = cachedRenderer;
+      console.warn('[Carousel3DSubmenu] Using cached text renderer');
       this.createItems();
       this.isInitialized = true;
       if (this.itemMeshes.length > 0) {
@@ -71,15 +86,8 @@ export class Carousel3DSubmenu extends THREE.Group {
         this.highlightItemAtIndex(0);
       }
     } else {
-      console.warn('[Carousel3DSubmenu] Loading font...');
-      const fontPaths = [
-        '/helvetiker_regular.typeface.json',
-        '/fonts/helvetiker_regular.typeface.json',
-        '/assets/fonts/helvetiker_regular.typeface.json',
-        'https://threejs.org/examples/fonts/helvetiker_regular.typeface.json',
-        '/public/helvetiker_regular.typeface.json'
-      ];
-      this.loadFontWithFallbacks(fontPaths, 0);
+      console.warn('[Carousel3DSubmenu] Loading text renderer...');
+      this.loadTextRenderer();
     }
 
     // Position relative to parent slightly forward
@@ -136,25 +144,20 @@ export class Carousel3DSubmenu extends THREE.Group {
           }
         }
 
-        // Create text label if font is loaded
+        // Create text label if the text renderer is loaded
         let text = null;
-        if (this.font) {
-          const labelString = item.label || item.title || item.name || item || `Item ${index}`;
-          const textGeometry = new TextGeometry(labelString, {
-            font: this.font,
+        if (this.textRenderer) {
+          const labelString = this.getItemTitle(item.label || item.title || item.name || item || `Item ${index}`);
+          const textGeometry = this.textRenderer.createGeometry(labelString, {
             size: 0.3,
+            maxWidth: 2.4,
             depth: 0.1,
-            height: 0.05,
-            bevelEnabled: true,
             bevelThickness: 0.01,
             bevelSize: 0.005,
-            bevelOffset: 0,
             bevelSegments: 3,
             curveSegments: 8
           });
-          textGeometry.computeBoundingBox();
-          textGeometry.center();
-          const textMaterial = new THREE.MeshStandardMaterial({
+          const textMaterial = this.textRenderer.createMaterial({
             color: 0xffffff,
             emissive: 0xaaddff,
             emissiveIntensity: 0.7,
@@ -170,34 +173,31 @@ export class Carousel3DSubmenu extends THREE.Group {
     });
   }
 
-  loadFontWithFallbacks(paths, index) {
-    if (index >= paths.length) {
-      console.error('[Carousel3DSubmenu] All font loading attempts failed! Using emergency fallback.');
+  async loadTextRenderer() {
+    try {
+      const renderer = await loadTextRenderer(this.config);
+      await renderer.prepare(this.items.map((item) => this.getItemTitle(item)));
+      if (this.isBeingDisposed) return;
+      console.warn(`[Carousel3DSubmenu] Text renderer ready (${renderer.type})`);
+      this.textRenderer = renderer;
+      this.createItems();
+      this.isInitialized = true;
+      if (this.itemMeshes.length > 0) {
+        const firstItem = this.itemMeshes[0];
+        this.itemGroup.rotation.x = -firstItem.userData.angle + this.mainCarouselHomeAngle;
+        this.targetRotation = this.itemGroup.rotation.x;
+      }
+    } catch (error) {
+      console.error('[Carousel3DSubmenu] Text renderer failed to load! Using emergency fallback.', error);
       this.createFallbackItems();
-      return;
     }
-    const path = paths[index];
-    console.warn(`[Carousel3DSubmenu] Attempting to load font from: ${path}`);
-    this.fontLoader.load(
-      path,
-      (font) => {
-        console.warn('[Carousel3DSubmenu] Font loaded successfully!');
-        cachedFont = font;
-        this.font = font;
-        this.createItems();
-        this.isInitialized = true;
-        if (this.itemMeshes.length > 0) {
-          const firstItem = this.itemMeshes[0];
-          this.itemGroup.rotation.x = -firstItem.userData.angle + this.mainCarouselHomeAngle;
-          this.targetRotation = this.itemGroup.rotation.x;
-        }
-      },
-      undefined,
-      (error) => {
-        console.warn(`[Carousel3DSubmenu] Font loading failed for ${path}:`, error);
-        this.loadFontWithFallbacks(paths, index + 1);
-      }
-    );
+  }
+
+  // Displayed label: the item's title in the current locale (config.translateLabel, keyed by the
+  // default-language title)
+  getItemTitle(item) {
+    const title = String(typeof item === 'object' ? (item.title || item.label || item.name) : item);
+    return this.config.translateLabel ? this.config.translateLabel(title) : title;
   }
 
   createFallbackItems() {
@@ -222,7 +222,7 @@ export class Carousel3DSubmenu extends THREE.Group {
       const iconGeometry = new THREE.SphereGeometry(0.1, 16, 16);
       const iconMaterial = new THREE.MeshBasicMaterial({ color: this.getIconColor(index), transparent: true, opacity: 0.9 });
       const iconMesh = new THREE.Mesh(iconGeometry, iconMaterial);
-      iconMesh.position.x = -0.7;
+      iconMesh.position.x = this.mirror * -0.7;
       iconMesh.userData.originalScale = iconMesh.scale.clone();
       container.add(iconMesh);
       container.userData.iconMesh = iconMesh;
@@ -257,7 +257,7 @@ export class Carousel3DSubmenu extends THREE.Group {
     const baseGeometry = new THREE.CylinderGeometry(0.22, 0.22, 0.05, 24);
     const baseMaterial = new THREE.MeshStandardMaterial({ color: 0xff3333, transparent: true, opacity: 0.45, metalness: 0.5, roughness: 0.3, emissive: 0xff0000, emissiveIntensity: 0.5 });
     this.closeButton = new THREE.Mesh(baseGeometry, baseMaterial);
-    this.closeButton.position.set(1.8, 1.8, 0.5);
+    this.closeButton.position.set(this.mirror * 1.8, 1.8, 0.5);
     this.closeButton.scale.set(0.8, 0.8, 0.8);
     this.closeButton.renderOrder = 9999;
     this.closeButton.userData = { isCloseButton: true, originalColor: baseMaterial.color.clone(), hoverColor: new THREE.Color(0xff0000) };
@@ -304,13 +304,15 @@ export class Carousel3DSubmenu extends THREE.Group {
   }
 
   getIconColor(index) {
+    const metaColor = this.itemMeta?.[index]?.color;
+    if (metaColor) return new THREE.Color(metaColor).getHex();
     const colors = [0x4285F4, 0xEA4335, 0xFBBC05, 0x34A853, 0xFF9900, 0x00ADEF, 0x7FBA00, 0xF25022];
     return colors[index % colors.length];
   }
 
   createItems() {
-    console.warn('[Carousel3DSubmenu] 📦 Creating items, font available:', !!this.font);
-    if (!this.font) return;
+    console.warn('[Carousel3DSubmenu] 📦 Creating items, text renderer available:', !!this.textRenderer);
+    if (!this.textRenderer) return;
 
     const isGallerySubmenu = this.parentItem?.userData?.item === 'Gallery';
     const regularShapes = [
@@ -392,25 +394,20 @@ export class Carousel3DSubmenu extends THREE.Group {
     };
 
     this.items.forEach((item, index) => {
-      const itemTitle = typeof item === 'object' ? (item.title || item.label || item.name) : item;
-      const geometry = new TextGeometry(itemTitle, {
-        font: this.font,
+      const itemTitle = this.getItemTitle(item);
+      const geometry = this.textRenderer.createGeometry(itemTitle, {
         size: 0.25,
-        height: 0.05,
+        maxWidth: 2.0, // Long product names wrap (SDF text)
         depth: 0.02,
-        curveSegments: 12,
-        bevelEnabled: true,
+        curveSegments: this.config.curveSegments ?? 12, // Quality tier detail, passed in with the theme
         bevelThickness: 0.02,
         bevelSize: 0.01,
-        bevelOffset: 0,
-        bevelSegments: 5
+        bevelSegments: this.config.bevelSegments ?? 5
       });
-      geometry.computeBoundingBox();
-      geometry.center();
       const textWidth = geometry.boundingBox.max.x - geometry.boundingBox.min.x;
       const textHeight = geometry.boundingBox.max.y - geometry.boundingBox.min.y;
       // Enhanced text material with STRONG glow for dark blue background
-      const material = new THREE.MeshStandardMaterial({ 
+      const material = this.textRenderer.createMaterial({ 
         color: this.config.textColor || 0xffffff, 
         transparent: true, 
         opacity: 1.0, 
@@ -448,13 +445,15 @@ export class Carousel3DSubmenu extends THREE.Group {
       let baseScale = new THREE.Vector3(1, 1, 1);
 
       const itemName = typeof item === 'object' ? (item.name || item.title || item.label) : item;
-      const itemShape = typeof item === 'object' ? item.shape : null;
+      const meta = this.itemMeta[index];
+      const itemShape = typeof item === 'object' ? item.shape : meta?.shape ?? null;
+      const itemModelPath = meta?.model3D?.glbPath ?? null;
 
       // Content-managed GLB shape (lazy GLTFLoader)
-      if (itemShape && itemShape !== 'null' && itemShape !== 'undefined') {
+      if (itemModelPath || (itemShape && itemShape !== 'null' && itemShape !== 'undefined')) {
         this.getGLTFLoader()?.then((loader) => {
           if (!loader) return;
-          const modelPath = `/assets/models/${itemShape}.glb`;
+          const modelPath = itemModelPath ?? `/assets/models/${itemShape}.glb`;
           loader.load(
             modelPath,
             (gltf) => {
@@ -462,7 +461,7 @@ export class Carousel3DSubmenu extends THREE.Group {
               baseScale.set(0.3, 0.3, 0.3);
               model.scale.copy(baseScale);
               model.userData.originalScale = baseScale.clone();
-              model.position.x = -textWidth / 2 - iconOffset;
+              model.position.x = this.mirror * (-textWidth / 2 - iconOffset);
               model.userData.isContentManagerIcon = true;
               model.userData.shapeName = itemShape;
               container.add(model);
@@ -511,7 +510,7 @@ export class Carousel3DSubmenu extends THREE.Group {
               baseScale.set(0.3, 0.3, 0.3);
               model.scale.copy(baseScale);
               model.userData.originalScale = baseScale.clone();
-              model.position.x = -textWidth / 2 - iconOffset;
+              model.position.x = this.mirror * (-textWidth / 2 - iconOffset);
               model.userData.isCartIcon = true;
               container.add(model);
               container.userData.iconMesh = model;
@@ -550,7 +549,7 @@ export class Carousel3DSubmenu extends THREE.Group {
         });
       } else if (isGallerySubmenu && galleryShapes[item]) {
         iconMesh = galleryShapes[item]();
-        iconMesh.position.x = -textWidth / 2 - iconOffset;
+        iconMesh.position.x = this.mirror * (-textWidth / 2 - iconOffset);
         iconMesh.userData.originalScale = baseScale.clone();
         container.add(iconMesh);
         container.userData.iconMesh = iconMesh;
@@ -560,7 +559,7 @@ export class Carousel3DSubmenu extends THREE.Group {
         const shapeGeometry = regularShapes[shapeIndex]();
         const shapeMaterial = new THREE.MeshStandardMaterial({ color: this.getIconColor(index), metalness: 0.3, roughness: 0.4, emissive: this.getIconColor(index), emissiveIntensity: 0.2 });
         iconMesh = new THREE.Mesh(shapeGeometry, shapeMaterial);
-        iconMesh.position.x = -textWidth / 2 - iconOffset;
+        iconMesh.position.x = this.mirror * (-textWidth / 2 - iconOffset);
         iconMesh.userData.originalScale = baseScale.clone();
         container.add(iconMesh);
         container.userData.iconMesh = iconMesh;
@@ -568,7 +567,7 @@ export class Carousel3DSubmenu extends THREE.Group {
       }
 
       if (textWidth > 2) {
-        mesh.position.x = iconOffset * 0.3;
+        mesh.position.x = this.mirror * iconOffset * 0.3;
       }
 
       const angle = (index / this.items.length) * (Math.PI * 2);
@@ -929,7 +928,7 @@ export class Carousel3DSubmenu extends THREE.Group {
 
   show() {
     this.visible = true;
-    if (!this.itemMeshes.length && this.font && this.items?.length) {
+    if (!this.itemMeshes.length && this.textRenderer && this.items?.length) {
       this.createItems();
       this.isInitialized = true;
     }
@@ -998,6 +997,9 @@ export class Carousel3DSubmenu extends THREE.Group {
         if (!isNaN(parentRot)) {
           this.rotation.y = isNaN(grandParentRot) ? parentRot : grandParentRot + parentRot;
         }
+        if (this.nestingLevel > 1) {
+          this.position.add(this.levelOffset.clone().applyAxisAngle(WORLD_UP, this.rotation.y));
+        }
       }
       if (this.itemMeshes?.length) {
         this.itemMeshes.forEach((container, i) => {
@@ -1097,7 +1099,7 @@ export class Carousel3DSubmenu extends THREE.Group {
     const shapeGeometry = regularShapes[shapeIndex]();
     const shapeMaterial = new THREE.MeshStandardMaterial({ color: this.getIconColor(index), metalness: 0.3, roughness: 0.4, emissive: this.getIconColor(index), emissiveIntensity: 0.2 });
     const iconMesh = new THREE.Mesh(shapeGeometry, shapeMaterial);
-    iconMesh.position.x = -textWidth / 2 - iconOffset;
+    iconMesh.position.x = this.mirror * (-textWidth / 2 - iconOffset);
     iconMesh.userData.originalScale = baseScale.clone();
     container.add(iconMesh);
     container.userData.iconMesh = iconMesh;
@@ -1105,6 +1107,44 @@ export class Carousel3DSubmenu extends THREE.Group {
     return iconMesh;
   }
 
+  /**
+   * Fade this level back while a nested level is open beside it, or bring it forward again.
+   * @param {boolean} dimmed
+   */
+  setDimmed(dimmed) {
+    if (dimmed === this.isDimmed) return;
+    this.isDimmed = dimmed;
+    this.traverse((obj) => {
+      const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+      materials.forEach((material) => {
+        // Skip the near-invisible hit areas
+        if (!material || obj.userData?.isHitArea) return;
+        if (material.userData.baseOpacity === undefined) {
+          material.userData.baseOpacity = material.opacity;
+          material.userData.baseTransparent = material.transparent;
+        }
+        const { baseOpacity, baseTransparent } = material.userData;
+        if (!material.transparent) {
+          material.transparent = true;
+          material.needsUpdate = true;
+        }
+        gsap.to(material, {
+          opacity: dimmed ? baseOpacity * DIMMED_OPACITY_FACTOR : baseOpacity,
+          duration: 0.3,
+          onComplete: () => {
+            if (!dimmed && material.transparent !== baseTransparent) {
+              material.transparent = baseTransparent;
+              material.needsUpdate = true;
+            }
+          }
+        });
+      });
+    });
+    const scale = dimmed ? DIMMED_SCALE : 1;
+    gsap.to(this.scale, { x: scale, y: scale, z: scale, duration: 0.3, ease: 'power2.out' });
+    if (this.closeButton) this.closeButton.visible = !dimmed;
+  }
+
   handleItemClick(index) {
     if (index < 0 || index >= this.itemMeshes.length) return;
     this.selectItem(index, true);
@@ -0,0 +1,57 @@
+import {createContext, useContext, useEffect, useMemo, useRef, useState} from 'react';
+
+// IMPORTANT: No imports of THREE.js or the carousel runtime here - this module is rendered on the
+// server. The controller itself comes from mountCarousel3D (modules/CarouselController.js).
+
+const CarouselControllerContext = createContext({
+  controller: null,
+  setController: () => {},
+});
+
+/**
+ * Holds the controller of the mounted carousel so components outside Carousel3DMenu (admin
+ * panel, HUD settings) can drive it. Rendered once in layout.jsx.
+ */
+export function CarouselControllerProvider({children}) {
+  const [controller, setController] = useState(null);
+  const value = useMemo(() => ({controller, setController}), [controller]);
+
+  return (
+    <CarouselControllerContext.Provider value={value}>
+      {children}
+    </CarouselControllerContext.Provider>
+  );
+}
+
+/**
+ * The mounted carousel's controller, or null while no carousel is mounted (other routes, SSR,
+ * still loading).
+ * @returns {import('./modules/CarouselController.js').CarouselController|null}
+ */
+export function useCarouselController() {
+  return useContext(CarouselControllerContext).controller;
+}
+
+/**
+ * Setter used by the component that mounts the carousel. Call it with null on unmount.
+ * @returns {function(Object|null): void}
+ */
+export function usePublishCarouselController() {
+  return useContext(CarouselControllerContext).setController;
+}
+
+/**
+ * Subscribe to a controller event for the lifetime of the component.
+ * @param {string} event - One of CAROUSEL_CONTROLLER_EVENTS
+ * @param {function(*): void} handler
+ */
+export function useCarouselEvent(event, handler) {
+  const controller = useCarouselController();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!controller) return undefined;
+    return controller.on(event, (payload) => handlerRef.current(payload));
+  }, [controller, event]);
+}
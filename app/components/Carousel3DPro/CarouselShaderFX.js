@@ -7,13 +7,32 @@
 
 import * as THREE from 'three';
 
+// 'full' or 'simple'; set from the quality tier and read when glow materials are created
+let glowShaderQuality = 'full';
+
+/**
+ * Apply quality tier settings to materials created from here on
+ * (the highlighted item picks up a change on its next highlight).
+ * @param {{glowShader: string}} settings
+ */
+export const setShaderFXQuality = ({ glowShader }) => {
+  glowShaderQuality = glowShader === 'simple' ? 'simple' : 'full';
+};
+
 // Vertex shader for glow effect - enhanced for brighter appearance
 const glowVertexShader = `
   varying vec3 vNormal;
   varying vec3 vViewPosition;
   varying float vIntensity;
+  #ifdef SDF_TEXT
+    uniform mat3 sdfMapTransform;
+    varying vec2 vSdfUv;
+  #endif
   
   void main() {
+  #ifdef SDF_TEXT
+    vSdfUv = (sdfMapTransform * vec3(uv, 1.0)).xy;
+  #endif
     vNormal = normalize(normalMatrix * normal);
     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
     vViewPosition = -mvPosition.xyz;
@@ -34,8 +53,16 @@ const glowFragmentShader = `
   varying vec3 vNormal;
   varying vec3 vViewPosition;
   varying float vIntensity;
+  #ifdef SDF_TEXT
+    uniform sampler2D sdfMap;
+    varying vec2 vSdfUv;
+  #endif
   
   void main() {
+  #ifdef SIMPLE_GLOW
+    // Low quality tier: steady view-angle glow, no Fresnel pass or pulse
+    gl_FragColor = vec4(glowColor * (0.4 + vIntensity * 0.6) * intensity, 0.8);
+  #else
     // Enhanced Fresnel effect - brighter at edges
     float fresnel = dot(normalize(vViewPosition), vNormal);
     fresnel = clamp(1.0 - fresnel, 0.0, 1.0);
@@ -55,6 +82,16 @@ const glowFragmentShader = `
     float alpha = clamp(fresnel * 0.9 + 0.2, 0.0, 1.0);
     
     gl_FragColor = vec4(finalColor, alpha);
+  #endif
+  #ifdef SDF_TEXT
+    // Flat SDF labels: glyph shape plus a soft halo, instead of the whole quad
+    vec3 sdfSample = texture2D(sdfMap, vSdfUv).rgb;
+    float sdfDistance = max(min(sdfSample.r, sdfSample.g), min(max(sdfSample.r, sdfSample.g), sdfSample.b));
+    float sdfWidth = max(fwidth(sdfDistance), 1e-4);
+    float glyph = smoothstep(0.5 - sdfWidth, 0.5 + sdfWidth, sdfDistance);
+    float halo = smoothstep(0.2, 0.5, sdfDistance) * 0.5;
+    gl_FragColor.a = max(glyph, halo);
+  #endif
   }
 `;
 
@@ -108,13 +145,26 @@ const brightOutlineFragmentShader = `
   }
 `;
 
-export const getGlowShaderMaterial = (intensityValue = 1.5) => {
+/**
+ * @param {number} [intensityValue=1.5]
+ * @param {THREE.Texture|null} [sdfMap] - Glyph atlas of an SDF label (modules/SDFText.js); the
+ *   glow then follows the glyphs instead of filling the label's quads
+ */
+export const getGlowShaderMaterial = (intensityValue = 1.5, sdfMap = null) => {
+  const defines = glowShaderQuality === 'simple' ? { SIMPLE_GLOW: '' } : {};
+  const uniforms = {
+    glowColor: { value: new THREE.Color(0xffffff) },
+    time: { value: 0.0 },
+    intensity: { value: intensityValue }
+  };
+  if (sdfMap) {
+    defines.SDF_TEXT = '';
+    uniforms.sdfMap = { value: sdfMap };
+    uniforms.sdfMapTransform = { value: sdfMap.matrix };
+  }
   return new THREE.ShaderMaterial({
-    uniforms: {
-      glowColor: { value: new THREE.Color(0xffffff) },
-      time: { value: 0.0 },
-      intensity: { value: intensityValue }
-    },
+    uniforms,
+    defines,
     vertexShader: glowVertexShader,
     fragmentShader: glowFragmentShader,
     transparent: true,
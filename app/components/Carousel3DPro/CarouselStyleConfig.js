@@ -18,6 +18,15 @@ export const defaultCarouselStyle = {
   font: 'Roboto',
   fontSize: 0.5,
   fontHeight: 0.1,
+  fontWeight: 500,
+  // CSS families tried per character after `font` (SDF renderers). List a web font only together
+  // with its file in fontSources, e.g. 'Noto Sans Arabic' for Arabic labels
+  fontFallbacks: ['system-ui', 'sans-serif'],
+  fontSources: {},               // family -> font file URL (served from /public or Shopify Files)
+  // 'geometry' (extruded, Latin only), 'sdf' (runtime glyph atlas, any script the fonts cover) or
+  // 'msdf' (prebuilt atlas at msdfFont) - see modules/TextRenderer.js
+  textRenderer: 'geometry',
+  msdfFont: null,                // e.g. '/fonts/roboto-msdf.json' (msdf-bmfont JSON)
   
   // Colors - VERY BRIGHT menu for contrast against blue background
   glowColor: 0xffffff,           // White glow for selected
@@ -70,11 +79,12 @@ export const defaultCarouselStyle = {
   glowSize: 1.2,
   pulseSpeed: 2.0,
   
-  // Bevel settings for text
+  // Bevel settings for text (geometry renderer only)
   bevelEnabled: true,
   bevelThickness: 0.03,
   bevelSize: 0.02,
-  bevelSegments: 5
+  bevelSegments: 5,
+  curveSegments: 12              // Text outline detail (lowered by the quality tier)
 };
 
 // Light theme with blue glow
@@ -106,7 +116,8 @@ export const cyberpunkTheme = {
   glowColor: 0xffff00,
   opacity: 0.9,
   selectionScale: 1.3,
-  glowIntensity: 2.0
+  glowIntensity: 2.0,
+  textRenderer: 'geometry'       // Chunky extruded neon letters
 };
 
 // Minimal theme
@@ -168,10 +179,21 @@ export const carouselConfig = {
     submenuOrbitRadius: 2.5,         // How far submenu orbits from selected item
     breakpoint: 768,                 // Width below which mobile mode activates
   },
+  // Gamepad / TV remote input (kiosk and TV setups). Partial mappings merge over
+  // DEFAULT_GAMEPAD_MAPPING in modules/GamepadInput.js, e.g. buttons: { 2: 'back' }
+  gamepad: {
+    enabled: true,
+    deadzone: 0.5,
+  },
   visual: {
     submenuDim: 0.55,
     mainDimWhenSubmenu: 0.6,
     cameraFade: { near: 2.0, far: 8.0 },
     effectsEnabled: false,
   },
+  // Publish the legacy window.* globals (window.watermelonAdmin, window.contentManager, ...) for
+  // console debugging. Also enabled per browser with ?wmDebug or localStorage['wm-debug'] = '1'.
+  debug: {
+    exposeGlobals: false,
+  },
 };
@@ -0,0 +1,240 @@
+/**
+ * Translation tables for the 3D menu: menu/submenu labels and content descriptions keyed by their
+ * English title (the keys used by the menu data, NUWUD_CONTENT_MAP and URL deep links), plus the
+ * HUD / screen-reader strings. Format and fallback rules: `createTranslator` in app/lib/i18n.js.
+ *
+ * Missing entries fall back to the language table, then to English, then to the key itself, so
+ * a locale can be added with only the strings that are translated so far. Labels translated in
+ * Shopify (Translate & Adapt) override these for menus loaded from the Storefront API.
+ */
+
+import { DEFAULT_LOCALE, createTranslator } from '../../lib/i18n.js';
+
+/** @type {import('../../lib/i18n.js').TranslationTables} */
+export const CAROUSEL_TRANSLATIONS = {
+  en: {
+    ui: {
+      mainMenu: 'Main menu',
+      submenuPath: 'Submenu path',
+      closeSubmenu: 'Close submenu',
+      itemPosition: '{label}, {index} of {total}',
+      itemPositionWithSubmenu: '{label}, has submenu, {index} of {total}',
+      submenuOpened: '{label} submenu, {count} items. {position}',
+      levelClosed: '{label} closed. {position}',
+      submenuClosed: '{label} submenu closed. {position}',
+      contentPreparing: 'Content for "{title}" is being prepared. Please check back soon!',
+    },
+  },
+
+  fr: {
+    labels: {
+      'Home': 'Accueil',
+      'Products': 'Produits',
+      'Services': 'Services',
+      'Collections': 'Collections',
+      'About': 'À propos',
+      'Contact': 'Contact',
+      'Gallery': 'Galerie',
+      'Store': 'Boutique',
+      'Dashboard': 'Tableau de bord',
+      'Activity': 'Activité',
+      'Settings': 'Paramètres',
+      'Profile': 'Profil',
+      'Announcements': 'Annonces',
+      'My Library': 'Ma bibliothèque',
+      'Electronics': 'Électronique',
+      'Clothing': 'Vêtements',
+      'Books': 'Livres',
+      'Home & Garden': 'Maison et jardin',
+      'Toys': 'Jouets',
+      'Sports': 'Sports',
+      'Company': 'Entreprise',
+      'Team': 'Équipe',
+      'History': 'Histoire',
+      'Mission': 'Mission',
+      'Values': 'Valeurs',
+      'Our Mission': 'Notre mission',
+      'Email': 'E-mail',
+      'Phone': 'Téléphone',
+      'Chat': 'Discussion',
+      'Social Media': 'Réseaux sociaux',
+      'Office Locations': 'Nos bureaux',
+      'Start a Project': 'Démarrer un projet',
+      'Photos': 'Photos',
+      'Videos': 'Vidéos',
+      '3D Models': 'Modèles 3D',
+      'Artwork': 'Illustrations',
+      'Animations': 'Animations',
+      'Virtual Tours': 'Visites virtuelles',
+      'Cart': 'Panier',
+      'Wishlist': 'Liste de souhaits',
+      'Orders': 'Commandes',
+      'Account': 'Compte',
+      'Gift Cards': 'Cartes-cadeaux',
+      'Cart / Account': 'Panier / Compte',
+      'View Cart': 'Voir le panier',
+      'Order History': 'Historique des commandes',
+      'Account Settings': 'Paramètres du compte',
+      'Digital Products': 'Produits numériques',
+    },
+    descriptions: {
+      'Home': 'Le point de départ de l’écosystème Nuwud',
+      'Dashboard': 'Votre centre de commande avec panneau HUD 3D',
+      'Announcements': 'Dernières nouvelles et mises à jour',
+      'Settings': 'Personnalisez votre expérience',
+      'Services': 'Offres haut de gamme et services d’agence',
+      'Digital Products': 'Livres, boîtes à outils, guides et modèles',
+      'Gallery': 'Portfolio, créativité et travaux du studio',
+      'About': 'Notre histoire, nos valeurs et notre équipe',
+      'Contact': 'Un accompagnement humain et accessible',
+      'Cart / Account': 'Panier et paramètres du compte',
+      'View Cart': 'Vérifiez les articles sélectionnés',
+      'Order History': 'Achats et téléchargements passés',
+    },
+    ui: {
+      mainMenu: 'Menu principal',
+      submenuPath: 'Chemin du sous-menu',
+      closeSubmenu: 'Fermer le sous-menu',
+      itemPosition: '{label}, {index} sur {total}',
+      itemPositionWithSubmenu: '{label}, contient un sous-menu, {index} sur {total}',
+      submenuOpened: 'Sous-menu {label}, {count} éléments. {position}',
+      levelClosed: '{label} fermé. {position}',
+      submenuClosed: 'Sous-menu {label} fermé. {position}',
+      contentPreparing: 'Le contenu de « {title} » est en préparation. Revenez bientôt !',
+    },
+  },
+
+  // Canadian French: only what differs from `fr`
+  'fr-ca': {
+    labels: {
+      'Email': 'Courriel',
+      'Chat': 'Clavardage',
+    },
+  },
+
+  es: {
+    labels: {
+      'Home': 'Inicio',
+      'Products': 'Productos',
+      'Services': 'Servicios',
+      'Collections': 'Colecciones',
+      'About': 'Nosotros',
+      'Contact': 'Contacto',
+      'Gallery': 'Galería',
+      'Store': 'Tienda',
+      'Dashboard': 'Panel',
+      'Settings': 'Ajustes',
+      'Cart': 'Carrito',
+      'Wishlist': 'Favoritos',
+      'Orders': 'Pedidos',
+      'Account': 'Cuenta',
+      'Photos': 'Fotos',
+      'Videos': 'Vídeos',
+      '3D Models': 'Modelos 3D',
+    },
+    ui: {
+      mainMenu: 'Menú principal',
+      submenuPath: 'Ruta del submenú',
+      closeSubmenu: 'Cerrar submenú',
+      itemPosition: '{label}, {index} de {total}',
+      itemPositionWithSubmenu: '{label}, tiene submenú, {index} de {total}',
+      submenuOpened: 'Submenú {label}, {count} elementos. {position}',
+      levelClosed: '{label} cerrado. {position}',
+      submenuClosed: 'Submenú {label} cerrado. {position}',
+      contentPreparing: 'El contenido de «{title}» se está preparando. ¡Vuelve pronto!',
+    },
+  },
+
+  ja: {
+    labels: {
+      'Home': 'ホーム',
+      'Products': '製品',
+      'Services': 'サービス',
+      'Collections': 'コレクション',
+      'About': '私たちについて',
+      'Contact': 'お問い合わせ',
+      'Gallery': 'ギャラリー',
+      'Store': 'ストア',
+      'Cart': 'カート',
+      'Account': 'アカウント',
+      'Orders': '注文履歴',
+    },
+    ui: {
+      mainMenu: 'メインメニュー',
+      submenuPath: 'サブメニューの階層',
+      closeSubmenu: 'サブメニューを閉じる',
+      itemPosition: '{label}、{total}件中{index}件目',
+      itemPositionWithSubmenu: '{label}、サブメニューあり、{total}件中{index}件目',
+      submenuOpened: '{label}のサブメニュー、{count}件。{position}',
+      levelClosed: '{label}を閉じました。{position}',
+      submenuClosed: '{label}のサブメニューを閉じました。{position}',
+      contentPreparing: '「{title}」のコンテンツは準備中です。',
+    },
+  },
+
+  // Right-to-left: the carousel mirrors its layout for these (getTextDirection in app/lib/i18n.js)
+  ar: {
+    labels: {
+      'Home': 'الرئيسية',
+      'Products': 'المنتجات',
+      'Services': 'الخدمات',
+      'Collections': 'المجموعات',
+      'About': 'من نحن',
+      'Contact': 'اتصل بنا',
+      'Gallery': 'المعرض',
+      'Store': 'المتجر',
+      'Cart': 'السلة',
+      'Account': 'الحساب',
+      'Orders': 'الطلبات',
+    },
+    ui: {
+      mainMenu: 'القائمة الرئيسية',
+      submenuPath: 'مسار القائمة الفرعية',
+      closeSubmenu: 'إغلاق القائمة الفرعية',
+      itemPosition: '{label}، {index} من {total}',
+      itemPositionWithSubmenu: '{label}، يحتوي على قائمة فرعية، {index} من {total}',
+      submenuOpened: 'القائمة الفرعية {label}، {count} عناصر. {position}',
+      levelClosed: 'تم إغلاق {label}. {position}',
+      submenuClosed: 'تم إغلاق القائمة الفرعية {label}. {position}',
+      contentPreparing: 'يجري إعداد محتوى «{title}». يرجى العودة قريبًا!',
+    },
+  },
+
+  he: {
+    labels: {
+      'Home': 'בית',
+      'Products': 'מוצרים',
+      'Services': 'שירותים',
+      'Collections': 'קולקציות',
+      'About': 'אודות',
+      'Contact': 'צור קשר',
+      'Gallery': 'גלריה',
+      'Store': 'חנות',
+      'Cart': 'עגלה',
+      'Account': 'חשבון',
+      'Orders': 'הזמנות',
+    },
+    ui: {
+      mainMenu: 'תפריט ראשי',
+      submenuPath: 'נתיב תת-התפריט',
+      closeSubmenu: 'סגירת תת-התפריט',
+      itemPosition: '{label}, {index} מתוך {total}',
+      itemPositionWithSubmenu: '{label}, כולל תת-תפריט, {index} מתוך {total}',
+      submenuOpened: 'תת-התפריט {label}, {count} פריטים. {position}',
+      levelClosed: '{label} נסגר. {position}',
+      submenuClosed: 'תת-התפריט {label} נסגר. {position}',
+      contentPreparing: 'התוכן של "{title}" בהכנה. חזרו בקרוב!',
+    },
+  },
+};
+
+/**
+ * Translator for the 3D menu.
+ * @param {{language: string, country: string}} [locale]
+ * @param {Object<string, string>} [labels] - Labels translated in Shopify, keyed by the
+ *   default-language title (`collectMenuLabels` in utils/menuTransform.js)
+ * @returns {import('../../lib/i18n.js').Translator}
+ */
+export function createCarouselTranslator(locale = DEFAULT_LOCALE, labels = {}) {
+  return createTranslator(locale, CAROUSEL_TRANSLATIONS, { labels });
+}
@@ -7,6 +7,7 @@ import * as THREE from 'three';
 import { CSS3DRenderer, CSS3DObject } from 'three/examples/jsm/renderers/CSS3DRenderer.js';
 import gsap from 'gsap';
 import { contentTemplates } from '../../utils/contentTemplates.js';
+import { isCarouselDebugEnabled } from './modules/CarouselController.js';
 
 export class CentralContentPanel extends THREE.Group {
   constructor(config = {}) {
@@ -18,6 +19,9 @@ export class CentralContentPanel extends THREE.Group {
       height: 4,
       // Admin control for frame ring visibility
       showFrame: false, // Default OFF per user request
+      direction: 'ltr', // Text direction of panel content ('rtl' for Arabic, Hebrew, ...)
+      // Called with an item title when panel content links to another item (e.g. "View gallery")
+      onRequestContent: null,
       ...config
     };
     
@@ -136,6 +140,7 @@ export class CentralContentPanel extends THREE.Group {
     
     // Show new content
     await this.showContent(newContent);
+    this.setupTemplateInteractions();
     
     this.currentContent = newContent;
     this.isTransitioning = false;
@@ -185,7 +190,7 @@ export class CentralContentPanel extends THREE.Group {
           <footer class="page-footer">
             <div class="content-actions">
               <button class="action-btn primary">${formatted.callToAction}</button>
-              <button class="action-btn secondary" onclick="window.centralPanel.showFullPage('${data.url}')">
+              <button class="action-btn secondary" data-action="view-full-page" data-url="${data.url}">
                 View Full Page
               </button>
             </div>
@@ -369,12 +374,23 @@ export class CentralContentPanel extends THREE.Group {
   /**
    * Show full Shopify page in overlay or new tab
    */
+  /**
+   * Switch text direction (locale change); applies to the shown content and to new content
+   * @param {'ltr'|'rtl'} direction
+   */
+  setDirection(direction) {
+    this.config.direction = direction;
+    if (this.currentContent?.element) this.currentContent.element.dir = direction;
+  }
+  
   showFullPage(pageUrl) {
     // For now, open in new tab - later could show in modal overlay
     window.open(pageUrl, '_blank');
   }
   
   styleContent(contentDiv) {
+    // Text direction follows the locale; start-aligned text flips with it
+    contentDiv.dir = this.config.direction;
     // Apply consistent styling
     contentDiv.style.cssText = `
       width: 800px;
@@ -386,6 +402,7 @@ export class CentralContentPanel extends THREE.Group {
       color: #00ffff;
       font-family: 'Courier New', monospace;
       overflow-y: auto;
+      text-align: start;
       backdrop-filter: blur(10px);
       box-shadow: 0 0 20px rgba(0, 255, 255, 0.3);
     `;
@@ -461,6 +478,7 @@ export class CentralContentPanel extends THREE.Group {
       console.error('[CentralContentPanel] Template loading error:', error);
       // Fallback to regular content loading
       await this.showContent(contentData);
+      this.setupTemplateInteractions();
     }
   }
 
@@ -502,14 +520,17 @@ export class CentralContentPanel extends THREE.Group {
         break;
       case 'view-gallery':
         // Load gallery content
-        if (window.loadContentForItem) {
-          window.loadContentForItem('Gallery');
-        }
+        this.config.onRequestContent?.('Gallery');
         break;
       case 'view-product':
         // Handle product view
         console.log('Product view requested');
         break;
+      case 'view-full-page':
+        if (url) {
+          this.showFullPage(url);
+        }
+        break;
       case 'cta':
         // Handle call-to-action
         console.log('CTA clicked');
@@ -536,6 +557,17 @@ export class CentralContentPanel extends THREE.Group {
   }
   
   dispose() {
+    // Drop the console toggles unless a newer panel has replaced them
+    if (this.frameToggle) {
+      if (window.watermelonAdmin?.toggleCenterFrame === this.frameToggle) {
+        delete window.watermelonAdmin.toggleCenterFrame;
+      }
+      if (window.toggleGreenRing === this.frameToggle) {
+        delete window.toggleGreenRing;
+      }
+      this.frameToggle = null;
+    }
+
     if (this.cssRenderer) {
       this.cssRenderer.domElement.remove();
     }
@@ -664,36 +696,39 @@ export class CentralContentPanel extends THREE.Group {
   }
   
   /**
-   * Setup admin toggle for the frame ring
+   * Show or hide the green frame ring around the content area
+   * @param {boolean} [show] - Defaults to toggling the current state
+   * @returns {boolean} The new state
    */
-  setupFrameToggle() {
-    if (typeof window !== 'undefined') {
-      if (!window.watermelonAdmin) {
-        window.watermelonAdmin = {};
+  toggleCenterFrame(show = !this.config.showFrame) {
+    this.config.showFrame = show;
+    if (show && !this.frame) {
+      this.createFrame();
+    } else if (!show && this.frame) {
+      this.remove(this.frame);
+      this.frame = null;
+      // Also remove glow if it exists
+      if (this.glow) {
+        this.remove(this.glow);
+        this.glow = null;
       }
-      
-      // Frame toggle control - allows user to show/hide the green ring
-      window.watermelonAdmin.toggleCenterFrame = (show = !this.config.showFrame) => {
-        this.config.showFrame = show;
-        if (show && !this.frame) {
-          this.createFrame();
-        } else if (!show && this.frame) {
-          this.remove(this.frame);
-          this.frame = null;
-          // Also remove glow if it exists
-          if (this.glow) {
-            this.remove(this.glow);
-            this.glow = null;
-          }
-        }
-        console.log(`[CentralContentPanel] 🍉 Frame ring ${show ? 'enabled' : 'disabled'}`);
-        return show;
-      };
-      
-      // Make it available in console for testing
-      window.toggleGreenRing = window.watermelonAdmin.toggleCenterFrame;
-      
-      console.log('[CentralContentPanel] 🍉 Admin controls ready. Try: window.toggleGreenRing()');
     }
+    console.log(`[CentralContentPanel] 🍉 Frame ring ${show ? 'enabled' : 'disabled'}`);
+    return show;
+  }
+
+  /**
+   * Expose the frame toggle in the console (debug flag only)
+   */
+  setupFrameToggle() {
+    if (!isCarouselDebugEnabled()) return;
+    if (!window.watermelonAdmin) {
+      window.watermelonAdmin = {};
+    }
+    this.frameToggle = (show) => this.toggleCenterFrame(show);
+    window.watermelonAdmin.toggleCenterFrame = this.frameToggle;
+    window.toggleGreenRing = this.frameToggle;
+
+    console.log('[CentralContentPanel] 🍉 Admin controls ready. Try: window.toggleGreenRing()');
   }
 }
@@ -12,15 +12,28 @@ async function ensureGLTFLoader() {
     }
     return GLTFLoader;
 }
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 import gsap from 'gsap';
+import { defaultCarouselStyle } from './CarouselStyleConfig.js';
+import { loadTextRenderer } from './modules/TextRenderer.js';
+
+const PRODUCT_BUTTONS = [
+    { text: 'BUY NOW', color: 0x00ff88, action: 'buy', position: [-1.5, 0, -2] },
+    { text: 'ADD TO CART', color: 0x0088ff, action: 'addToCart', position: [0, 0, -2] },
+    { text: 'DETAILS', color: 0xff8800, action: 'details', position: [1.5, 0, -2] }
+];
 
 export class Product3DDisplay {
-    constructor(scene, camera, renderer) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {Object} [textStyle] - Theme whose text renderer/fonts are used (CarouselStyleConfig.js)
+     */
+    constructor(scene, camera, renderer, textStyle = defaultCarouselStyle) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
+        this.textStyle = textStyle;
         
         // Display state
         this.isVisible = false;
@@ -33,9 +46,9 @@ export class Product3DDisplay {
         this.priceText = null;
         this.buttons = [];
         
-        // Font for 3D text
-        this.font = null;
-        this.loadFont();
+        // Text renderer for 3D text (SDF or extruded, per theme)
+        this.textRenderer = null;
+        this.fontReady = this.loadFont();
         
         this.scene.add(this.displayGroup);
         
@@ -43,12 +56,9 @@ export class Product3DDisplay {
     }
     
     async loadFont() {
-        const fontLoader = new FontLoader();
         try {
-            this.font = await new Promise((resolve, reject) => {
-                fontLoader.load('/helvetiker_regular.typeface.json', resolve, undefined, reject);
-            });
-            console.log('✅ Font loaded for Product3DDisplay');
+            this.textRenderer = await loadTextRenderer(this.textStyle);
+            console.log(`✅ Text renderer loaded for Product3DDisplay (${this.textRenderer.type})`);
         } catch (error) {
             console.warn('⚠️ Font loading failed:', error);
         }
@@ -70,6 +80,10 @@ export class Product3DDisplay {
         // Load and display the product's actual GLB model
         await this.loadProductModel(productData);
         
+        // Fonts and glyphs for the title (accented / non-Latin names), price and buttons
+        await this.fontReady;
+        await this.textRenderer?.prepare([productData.title, productData.price, ...PRODUCT_BUTTONS.map((button) => button.text)]);
+        
         // Create 3D text elements
         this.createProductText(productData);
         
@@ -143,31 +157,25 @@ export class Product3DDisplay {
     }
     
     createProductText(productData) {
-        if (!this.font) return;
+        if (!this.textRenderer) return;
         
-        // Product title
+        // Product title (long titles wrap onto several lines with SDF text)
         try {
-            const titleGeometry = new TextGeometry(productData.title, {
-                font: this.font,
+            const titleGeometry = this.textRenderer.createGeometry(String(productData.title ?? ''), {
                 size: 0.3,
+                maxWidth: 4,
                 depth: 0.1, // Add proper depth to prevent stretching
                 curveSegments: 12,
-                bevelEnabled: true,
                 bevelThickness: 0.02,
                 bevelSize: 0.01,
-                bevelOffset: 0,
                 bevelSegments: 3
             });
             
-            titleGeometry.computeBoundingBox();
-            const titleWidth = titleGeometry.boundingBox.max.x - titleGeometry.boundingBox.min.x;
-            titleGeometry.translate(-titleWidth / 2, 0, 0);
-            
-            const titleMaterial = new THREE.MeshPhongMaterial({ 
+            const titleMaterial = this.textRenderer.createMaterial({ 
                 color: 0xffffff,
                 transparent: true,
                 opacity: 0.9
-            });
+            }, THREE.MeshPhongMaterial);
             
             this.titleText = new THREE.Mesh(titleGeometry, titleMaterial);
             this.titleText.position.set(0, 2, -3);
@@ -180,27 +188,20 @@ export class Product3DDisplay {
         // Product price
         if (productData.price) {
             try {
-                const priceGeometry = new TextGeometry(productData.price, {
-                    font: this.font,
+                const priceGeometry = this.textRenderer.createGeometry(String(productData.price), {
                     size: 0.25,
                     depth: 0.08, // Add proper depth
                     curveSegments: 12,
-                    bevelEnabled: true,
                     bevelThickness: 0.015,
                     bevelSize: 0.008,
-                    bevelOffset: 0,
                     bevelSegments: 3
                 });
                 
-                priceGeometry.computeBoundingBox();
-                const priceWidth = priceGeometry.boundingBox.max.x - priceGeometry.boundingBox.min.x;
-                priceGeometry.translate(-priceWidth / 2, 0, 0);
-                
-                const priceMaterial = new THREE.MeshPhongMaterial({ 
+                const priceMaterial = this.textRenderer.createMaterial({ 
                     color: 0x00ff88,
                     transparent: true,
                     opacity: 0.9
-                });
+                }, THREE.MeshPhongMaterial);
                 
                 this.priceText = new THREE.Mesh(priceGeometry, priceMaterial);
                 this.priceText.position.set(0, 1.5, -3);
@@ -213,43 +214,30 @@ export class Product3DDisplay {
     }
     
     createInteractiveButtons(productData) {
-        const buttonData = [
-            { text: 'BUY NOW', color: 0x00ff88, action: 'buy', position: [-1.5, 0, -2] },
-            { text: 'ADD TO CART', color: 0x0088ff, action: 'addToCart', position: [0, 0, -2] },
-            { text: 'DETAILS', color: 0xff8800, action: 'details', position: [1.5, 0, -2] }
-        ];
-        
-        buttonData.forEach((btnData) => {
+        PRODUCT_BUTTONS.forEach((btnData) => {
             this.createButton(btnData, productData);
         });
     }
     
     createButton(btnData, productData) {
-        if (!this.font) return;
+        if (!this.textRenderer) return;
         
         try {
             // Create button text
-            const textGeometry = new TextGeometry(btnData.text, {
-                font: this.font,
+            const textGeometry = this.textRenderer.createGeometry(btnData.text, {
                 size: 0.15,
                 depth: 0.05, // Add proper depth
                 curveSegments: 8,
-                bevelEnabled: true,
                 bevelThickness: 0.01,
                 bevelSize: 0.005,
-                bevelOffset: 0,
                 bevelSegments: 2
             });
             
-            textGeometry.computeBoundingBox();
-            const textWidth = textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x;
-            textGeometry.translate(-textWidth / 2, 0, 0);
-            
-            const textMaterial = new THREE.MeshPhongMaterial({ 
+            const textMaterial = this.textRenderer.createMaterial({ 
                 color: btnData.color,
                 transparent: true,
                 opacity: 0.8
-            });
+            }, THREE.MeshPhongMaterial);
             
             const buttonMesh = new THREE.Mesh(textGeometry, textMaterial);
             buttonMesh.position.set(...btnData.position);
@@ -0,0 +1,276 @@
+/**
+ * QualityManager - Adaptive rendering quality for the 3D carousel scene
+ * Picks a starting tier from device capability, then steps down when live frame time blows the
+ * budget and back up when there is headroom. Each tier change is pushed to the renderer (pixel
+ * ratio, shadow maps), the BackgroundManager (`setQuality`), and to text/shader settings via
+ * `onChange`.
+ *
+ * @module QualityManager
+ * @example
+ * const quality = new QualityManager({ renderer, shadowLights: [spotlight], getBackgroundManager, onChange });
+ * quality.setPreference('auto');   // detect, then adapt to frame time
+ * quality.setPreference('low');    // pin a tier (admin config / HUD settings)
+ *
+ * // In animation loop:
+ * quality.sample();
+ */
+
+/**
+ * Tier settings. `high` matches the scene's original hard-coded values (minus the uncapped
+ * pixel ratio), so a capable device sees no change.
+ */
+export const QUALITY_TIERS = {
+    low: {
+        label: 'Low',
+        maxPixelRatio: 1,
+        shadows: false,
+        shadowMapSize: 512,
+        skyballSubdivisions: 2,
+        textCurveSegments: 4,
+        textBevelSegments: 1,
+        glowShader: 'simple',
+    },
+    medium: {
+        label: 'Medium',
+        maxPixelRatio: 1.5,
+        shadows: false,
+        shadowMapSize: 1024,
+        skyballSubdivisions: 2,
+        textCurveSegments: 8,
+        textBevelSegments: 3,
+        glowShader: 'full',
+    },
+    high: {
+        label: 'High',
+        maxPixelRatio: 2,
+        shadows: false,
+        shadowMapSize: 1024,
+        skyballSubdivisions: 3,
+        textCurveSegments: 12,
+        textBevelSegments: 5,
+        glowShader: 'full',
+    },
+    ultra: {
+        label: 'Ultra',
+        maxPixelRatio: 3,
+        shadows: true,
+        shadowMapSize: 2048,
+        skyballSubdivisions: 4,
+        textCurveSegments: 16,
+        textBevelSegments: 6,
+        glowShader: 'full',
+    },
+};
+
+/** Lowest to highest. */
+export const QUALITY_TIER_IDS = Object.keys(QUALITY_TIERS);
+
+/** `auto` detects and adapts; a tier id pins it. */
+export const QUALITY_PREFERENCES = ['auto', ...QUALITY_TIER_IDS];
+
+const SAMPLE_WINDOW_MS = 2000;
+// Frames longer than this are tab switches or breakpoints, not rendering cost.
+const MAX_FRAME_GAP_MS = 250;
+const MIN_FPS = 45;
+const MAX_P95_FRAME_MS = 34;
+const HEADROOM_FPS = 57;
+const HEADROOM_P95_FRAME_MS = 20;
+// Consecutive windows before changing tier, so a single GC pause or busy moment does not flip it.
+const WINDOWS_BEFORE_DOWNGRADE = 2;
+const WINDOWS_BEFORE_UPGRADE = 5;
+const SOFTWARE_RENDERER_PATTERN = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+function tierIndex(tier) {
+    return QUALITY_TIER_IDS.indexOf(tier);
+}
+
+/**
+ * Read the unmasked GPU name where the browser allows it.
+ * @private
+ */
+function getGpuName(renderer) {
+    try {
+        const gl = renderer.getContext();
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        return info ? String(gl.getParameter(info.UNMASKED_RENDERER_WEBGL)) : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Estimate what the device can sustain.
+ * @param {THREE.WebGLRenderer} renderer
+ * @returns {{tier: string, ceiling: string, gpu: string}} Starting tier, and the highest tier
+ *   live adaptation may climb to
+ */
+export function detectDeviceTier(renderer) {
+    const gpu = getGpuName(renderer);
+    const cores = navigator.hardwareConcurrency || 4;
+    // deviceMemory is Chromium-only; assume a mid-range device elsewhere
+    const memory = navigator.deviceMemory || 4;
+    const maxTextureSize = renderer.capabilities?.maxTextureSize || 4096;
+    const isTouchDevice = window.matchMedia?.('(pointer: coarse)').matches ?? false;
+
+    if (SOFTWARE_RENDERER_PATTERN.test(gpu) || cores <= 2 || memory <= 2) {
+        return { tier: 'low', ceiling: 'low', gpu };
+    }
+    if (isTouchDevice) {
+        return { tier: cores >= 8 && memory >= 6 ? 'high' : 'medium', ceiling: 'high', gpu };
+    }
+    if (cores >= 8 && memory >= 8 && maxTextureSize >= 16384) {
+        return { tier: 'ultra', ceiling: 'ultra', gpu };
+    }
+    return { tier: 'high', ceiling: 'ultra', gpu };
+}
+
+export class QualityManager {
+    /**
+     * @param {Object} options
+     * @param {THREE.WebGLRenderer} options.renderer
+     * @param {THREE.Light[]} [options.shadowLights] - Lights that cast shadows on tiers with shadows
+     * @param {function(): (import('./backgrounds/BackgroundManager.js').BackgroundManager|null)} [options.getBackgroundManager]
+     * @param {function(string, Object): void} [options.onChange] - Called with the tier id and its settings
+     * @param {function(): number} [options.now] - Clock source in ms (overridable for testing)
+     */
+    constructor({ renderer, shadowLights = [], getBackgroundManager = () => null, onChange = () => {}, now = () => performance.now() }) {
+        this.renderer = renderer;
+        this.shadowLights = shadowLights;
+        this.getBackgroundManager = getBackgroundManager;
+        this.onChange = onChange;
+        this.now = now;
+
+        const detected = detectDeviceTier(renderer);
+        this.detectedTier = detected.tier;
+        this.ceiling = detected.ceiling;
+        this.gpu = detected.gpu;
+
+        /** @type {string} */
+        this.preference = 'auto';
+        /** @type {string|null} */
+        this.tier = null;
+
+        // Tiers that blew the budget this session are not retried by auto upgrades
+        this.failedTiers = new Set();
+        this._resetWindow();
+        this.breaches = 0;
+        this.headroomWindows = 0;
+    }
+
+    /**
+     * Choose how the tier is picked. Unknown values fall back to `auto`.
+     * @param {string} preference - `auto` or a tier id
+     */
+    setPreference(preference) {
+        const next = QUALITY_PREFERENCES.includes(preference) ? preference : 'auto';
+        if (next === this.preference && this.tier) return;
+        this.preference = next;
+        this._resetWindow();
+
+        if (next === 'auto') {
+            this.failedTiers.clear();
+            this._apply(this.detectedTier, 'detected');
+        } else {
+            this._apply(next, 'pinned');
+        }
+    }
+
+    /** @returns {string|null} Current tier id */
+    getTier() {
+        return this.tier;
+    }
+
+    /** @returns {Object|null} Settings for the current tier */
+    getSettings() {
+        return this.tier ? QUALITY_TIERS[this.tier] : null;
+    }
+
+    /**
+     * Record one rendered frame. Only adapts while the preference is `auto`.
+     */
+    sample() {
+        const time = this.now();
+        const delta = time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        if (this.preference !== 'auto' || !this.tier) return;
+
+        if (delta > MAX_FRAME_GAP_MS) {
+            this._resetWindow(time);
+            return;
+        }
+        this.deltas.push(delta);
+        if (time - this.windowStart < SAMPLE_WINDOW_MS) return;
+
+        const elapsed = time - this.windowStart;
+        const sorted = this.deltas.slice().sort((a, b) => a - b);
+        const fps = (sorted.length * 1000) / elapsed;
+        const p95FrameMs = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+        this._resetWindow(time);
+        this._checkBudget(fps, p95FrameMs);
+    }
+
+    /** @private */
+    _checkBudget(fps, p95FrameMs) {
+        const index = tierIndex(this.tier);
+
+        if (fps < MIN_FPS || p95FrameMs > MAX_P95_FRAME_MS) {
+            this.headroomWindows = 0;
+            this.breaches += 1;
+            if (this.breaches >= WINDOWS_BEFORE_DOWNGRADE && index > 0) {
+                this.breaches = 0;
+                this.failedTiers.add(this.tier);
+                this._apply(QUALITY_TIER_IDS[index - 1], `frame budget exceeded (${Math.round(fps)} fps, p95 ${Math.round(p95FrameMs)}ms)`);
+            }
+            return;
+        }
+
+        this.breaches = 0;
+        const nextTier = QUALITY_TIER_IDS[index + 1];
+        const canUpgrade = nextTier && tierIndex(nextTier) <= tierIndex(this.ceiling) && !this.failedTiers.has(nextTier);
+        if (!canUpgrade || fps < HEADROOM_FPS || p95FrameMs > HEADROOM_P95_FRAME_MS) {
+            this.headroomWindows = 0;
+            return;
+        }
+        this.headroomWindows += 1;
+        if (this.headroomWindows >= WINDOWS_BEFORE_UPGRADE) {
+            this.headroomWindows = 0;
+            this._apply(nextTier, 'frame time headroom');
+        }
+    }
+
+    /** @private */
+    _resetWindow(time = this.now()) {
+        this.windowStart = time;
+        this.lastFrameTime = time;
+        this.deltas = [];
+    }
+
+    /** @private */
+    _apply(tier, reason) {
+        if (tier === this.tier) return;
+        const settings = QUALITY_TIERS[tier];
+        this.tier = tier;
+
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, settings.maxPixelRatio));
+        this.renderer.shadowMap.enabled = settings.shadows;
+        this.shadowLights.forEach((light) => {
+            light.castShadow = settings.shadows;
+            if (light.shadow && light.shadow.mapSize.x !== settings.shadowMapSize) {
+                light.shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+                // The shadow render target is sized on first use; drop it so the new size applies
+                light.shadow.map?.dispose();
+                light.shadow.map = null;
+            }
+        });
+
+        this.getBackgroundManager()?.setQuality(tier);
+        this.onChange(tier, settings);
+
+        console.log(`[QualityManager] Tier ${tier} (${reason})`);
+        window.dispatchEvent(new CustomEvent('wm-quality-changed', {
+            detail: { tier, preference: this.preference, reason }
+        }));
+    }
+}
+
+export default QualityManager;
@@ -9,6 +9,14 @@
  *   manager.register('polygons', InteractivePolygonsWall);
  *   manager.register('dome', BackgroundDome);
  *   manager.setActive('polygons');
+ *   manager.applyPreset(activePreset); // store-wide scene preset from /api/backgrounds/active
+ *   manager.registerLazy('aurora', () => import('./Aurora.js'), { label: 'Aurora' });
+ *   manager.registerLazy('partner', 'https://cdn.example.com/bg.js'); // origin must be allowed
+ * 
+ * Lifecycle contract (validated on register, see BackgroundModule below):
+ *   init → (resize | update | onMenuEvent | setQuality | setAmbient)* → dispose
+ * Any hook that throws, or an async init that rejects, disposes the module and falls back to
+ * the solid background for the session (the visitor's persisted choice is left alone).
  * 
  * SSR-safe: This module should only be imported client-side.
  */
@@ -16,13 +24,78 @@
 const STORAGE_KEY = 'wm_background_mode';
 const DEFAULT_BACKGROUND = 'solid';
 
+const REQUIRED_HOOKS = ['update', 'dispose'];
+const OPTIONAL_HOOKS = ['resize', 'onMenuEvent', 'setQuality', 'setAmbient'];
+
+/** Window events forwarded to the active module's `onMenuEvent`. */
+const MENU_EVENTS = {
+    'carousel-selection-change': 'selection',
+    'carousel-submenu-state': 'submenu',
+    'cart-item-added': 'cart',
+};
+
 /**
+ * Background module lifecycle contract. Object modules implement `init`; class modules do their
+ * setup in the constructor, which receives the same arguments. `init` may return a Promise.
+ * 
  * @typedef {Object} BackgroundModule
- * @property {function(THREE.Scene, THREE.Camera, THREE.WebGLRenderer, Object?): void} init
- * @property {function(number): void} update
- * @property {function(): void} dispose
+ * @property {function(THREE.Scene, THREE.Camera, THREE.WebGLRenderer, Object?): (void|Promise<void>)} init
+ *   Options are the registration/preset config plus `ambient` and `quality` when known
+ * @property {function(number): void} update - Called every frame with delta time in seconds
+ * @property {function(): void} dispose - Remove everything the module added to the scene
+ * @property {function(number, number): void} [resize] - Viewport width/height in CSS pixels
+ * @property {function(BackgroundMenuEvent): void} [onMenuEvent] - Carousel navigation and cart events
+ * @property {function(string): void} [setQuality] - Rendering quality tier (`low`, `medium`, `high`, `ultra`)
+ * @property {function(BackgroundAmbient): void} [setAmbient] - Optional time-of-day lighting hook
+ */
+
+/**
+ * @typedef {Object} BackgroundMenuEvent
+ * @property {'selection'|'submenu'|'cart'} type
+ * @property {Object} detail - The original window event detail
+ */
+
+/**
+ * Lighting pushed by the AmbientModeController; also passed to `init` as `options.ambient`.
+ * @typedef {Object} BackgroundAmbient
+ * @property {string} mode - Ambient mode id (dawn, day, dusk, night)
+ * @property {number[]} palette - Four accent colors for point lights
+ * @property {{top: number, bottom: number}} gradient - Dome gradient colors
+ * @property {number} intensity - Dome iridescence intensity
  */
 
+/**
+ * Check a module or class against the lifecycle contract.
+ * @param {BackgroundModule|Function} ModuleOrClass
+ * @returns {{isClass: boolean}}
+ * @throws {TypeError} When a required hook is missing or an optional hook is not a function
+ */
+export function validateBackgroundModule(ModuleOrClass) {
+    // Lifecycle hooks live on the prototype, which also covers transpiled and minified classes
+    const isClass = typeof ModuleOrClass === 'function'
+        && Boolean(ModuleOrClass.prototype)
+        && typeof ModuleOrClass.prototype.update === 'function';
+    const target = isClass ? ModuleOrClass.prototype : ModuleOrClass;
+    
+    if (!target || typeof target !== 'object') {
+        throw new TypeError('Background module must be an object or a class');
+    }
+    if (!isClass && typeof target.init !== 'function') {
+        throw new TypeError('Background module is missing init()');
+    }
+    for (const hook of REQUIRED_HOOKS) {
+        if (typeof target[hook] !== 'function') {
+            throw new TypeError(`Background module is missing ${hook}()`);
+        }
+    }
+    for (const hook of OPTIONAL_HOOKS) {
+        if (target[hook] !== undefined && typeof target[hook] !== 'function') {
+            throw new TypeError(`Background module ${hook} must be a function`);
+        }
+    }
+    return { isClass };
+}
+
 export class BackgroundManager {
     /**
      * @param {THREE.Scene} scene
@@ -31,6 +104,7 @@ export class BackgroundManager {
      * @param {Object} options
      * @param {string} [options.defaultBackground='solid']
      * @param {boolean} [options.persistSelection=true]
+     * @param {string[]} [options.moduleOrigins] - Origins `registerLazy` may load URLs from (defaults to this site)
      */
     constructor(scene, camera, renderer, options = {}) {
         if (typeof window === 'undefined') {
@@ -43,11 +117,15 @@ export class BackgroundManager {
         this.options = {
             defaultBackground: options.defaultBackground || DEFAULT_BACKGROUND,
             persistSelection: options.persistSelection !== false,
+            moduleOrigins: options.moduleOrigins || [window.location.origin],
         };
         
-        /** @type {Map<string, { module: BackgroundModule, instance: any, config: Object }>} */
+        /** @type {Map<string, { module: BackgroundModule|null, instance: any, config: Object, isClass: boolean, loader?: Function, loading?: Promise }>} */
         this.backgrounds = new Map();
         
+        /** Id requested most recently; lazy loads that finish after a newer request are ignored. @type {string|null} */
+        this.requestedId = null;
+        
         /** @type {string|null} */
         this.activeId = null;
         
@@ -57,6 +135,24 @@ export class BackgroundManager {
         /** @type {THREE.Color|null} */
         this.originalBackground = null;
         
+        /** Store-wide preset currently driving the scene, if any. @type {string|null} */
+        this.presetId = null;
+        
+        /** @type {string|null} */
+        this.presetVersion = null;
+        
+        /** Latest ambient lighting, handed to modules as they activate. @type {BackgroundAmbient|null} */
+        this.ambient = null;
+        
+        /** Current quality tier, handed to modules as they activate. @type {string|null} */
+        this.quality = null;
+        
+        this._menuListeners = Object.entries(MENU_EVENTS).map(([eventName, type]) => {
+            const listener = (event) => this._invoke('onMenuEvent', { type, detail: event.detail ?? {} });
+            window.addEventListener(eventName, listener);
+            return [eventName, listener];
+        });
+        
         // Store original scene background
         if (this.scene.background) {
             this.originalBackground = this.scene.background.clone();
@@ -95,6 +191,7 @@ export class BackgroundManager {
             },
             instance: null,
             config: { label: 'Original Solid Color' },
+            isClass: false,
         });
     }
     
@@ -103,13 +200,24 @@ export class BackgroundManager {
      * @private
      */
     _restorePersistedSelection() {
+        const stored = this._readPersistedSelection();
+        if (stored) {
+            this.setActive(stored);
+        }
+    }
+    
+    /**
+     * Read the persisted selection if it names a registered background
+     * @private
+     * @returns {string|null}
+     */
+    _readPersistedSelection() {
         try {
             const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored && this.backgrounds.has(stored)) {
-                this.setActive(stored);
-            }
+            return stored && this.backgrounds.has(stored) ? stored : null;
         } catch (e) {
             console.warn('[BackgroundManager] Failed to restore persisted selection:', e);
+            return null;
         }
     }
     
@@ -118,7 +226,8 @@ export class BackgroundManager {
      * @private
      */
     _persistSelection() {
-        if (!this.options.persistSelection) return;
+        // A store-wide preset is not a visitor choice; keep their own selection for when it ends.
+        if (!this.options.persistSelection || this.presetId) return;
         try {
             if (this.activeId) {
                 localStorage.setItem(STORAGE_KEY, this.activeId);
@@ -133,22 +242,22 @@ export class BackgroundManager {
     /**
      * Register a new background module
      * @param {string} id - Unique identifier for this background
-     * @param {BackgroundModule|Function} ModuleOrClass - Background module or class with init/update/dispose
+     * @param {BackgroundModule|Function} ModuleOrClass - Background module or class meeting the lifecycle contract
      * @param {Object} [config={}] - Configuration options for this background
      * @param {string} [config.label] - Human-readable label
      * @returns {BackgroundManager} - Returns this for chaining
+     * @throws {TypeError} When the module does not meet the lifecycle contract
      */
     register(id, ModuleOrClass, config = {}) {
+        const { isClass } = validateBackgroundModule(ModuleOrClass);
+        
         if (this.backgrounds.has(id)) {
             console.warn(`[BackgroundManager] Overwriting existing background: ${id}`);
             this.unregister(id);
         }
         
-        // Handle both class-based and object-based modules
-        const isClass = typeof ModuleOrClass === 'function' && /^\s*class\s/.test(ModuleOrClass.toString());
-        
         this.backgrounds.set(id, {
-            module: isClass ? ModuleOrClass : ModuleOrClass,
+            module: ModuleOrClass,
             instance: null,
             config: { label: config.label || id, ...config },
             isClass,
@@ -158,6 +267,71 @@ export class BackgroundManager {
         return this;
     }
     
+    /**
+     * Register a module that is only fetched when first activated
+     * @param {string} id - Unique identifier for this background
+     * @param {string|function(): Promise<Object>} source - Module URL, or a loader such as `() => import('./Aurora.js')`
+     * @param {Object} [config={}] - Configuration options for this background
+     * @returns {BackgroundManager} - Returns this for chaining
+     * @throws {Error} When a URL source is not on an allowed origin
+     */
+    registerLazy(id, source, config = {}) {
+        let loader = source;
+        if (typeof source === 'string') {
+            const url = new URL(source, window.location.href);
+            if (!this.options.moduleOrigins.includes(url.origin)) {
+                throw new Error(`[BackgroundManager] Module origin not allowed: ${url.origin}`);
+            }
+            loader = () => import(/* @vite-ignore */ url.href);
+        } else if (typeof source !== 'function') {
+            throw new TypeError('Lazy background source must be a URL or a loader function');
+        }
+        
+        if (this.backgrounds.has(id)) {
+            console.warn(`[BackgroundManager] Overwriting existing background: ${id}`);
+            this.unregister(id);
+        }
+        
+        this.backgrounds.set(id, {
+            module: null,
+            instance: null,
+            config: { label: config.label || id, ...config },
+            isClass: false,
+            loader,
+        });
+        
+        console.log(`[BackgroundManager] Registered lazy background: ${id}`);
+        return this;
+    }
+    
+    /**
+     * Fetch and validate a lazy module (no-op for eagerly registered ones)
+     * @param {string} id
+     * @returns {Promise<boolean>} - True once the module is ready to activate
+     */
+    load(id) {
+        const entry = this.backgrounds.get(id);
+        if (!entry) return Promise.resolve(false);
+        if (entry.module) return Promise.resolve(true);
+        
+        entry.loading ??= Promise.resolve()
+            .then(() => entry.loader())
+            .then((imported) => {
+                const ModuleOrClass = imported?.default ?? imported;
+                entry.isClass = validateBackgroundModule(ModuleOrClass).isClass;
+                entry.module = ModuleOrClass;
+                console.log(`[BackgroundManager] Loaded background: ${id}`);
+                return true;
+            })
+            .catch((e) => {
+                console.error(`[BackgroundManager] Failed to load ${id}:`, e);
+                this._reportError(id, 'load', e);
+                entry.loading = null; // allow a retry on the next activation
+                return false;
+            });
+        return entry.loading;
+    }
+    
     /**
      * Unregister a background module
      * @param {string} id - Background identifier to remove
@@ -178,7 +352,7 @@ export class BackgroundManager {
             try {
                 if (typeof entry.instance.dispose === 'function') {
                     entry.instance.dispose();
-                } else if (typeof entry.module.dispose === 'function') {
+                } else if (typeof entry.module?.dispose === 'function') {
                     entry.module.dispose();
                 }
             } catch (e) {
@@ -190,19 +364,44 @@ export class BackgroundManager {
     }
     
     /**
-     * Set the active background
+     * Set the active background. Lazy modules are loaded first; the call then returns true
+     * once loading has started and activation follows when it completes.
      * @param {string} id - Background identifier to activate
      * @param {Object} [options={}] - Additional options passed to init
-     * @returns {boolean} - True if successfully activated
+     * @returns {boolean} - True if activated (or loading)
      */
     setActive(id, options = {}) {
-        if (!this.backgrounds.has(id)) {
+        const entry = this.backgrounds.get(id);
+        if (!entry) {
             console.error(`[BackgroundManager] Unknown background: ${id}`);
             return false;
         }
         
-        // Dispose current background
-        if (this.activeId && this.activeId !== id) {
+        this.requestedId = id;
+        if (!entry.module) {
+            this.load(id).then((loaded) => {
+                if (this.requestedId !== id) return;
+                if (loaded) {
+                    this._activate(id, options, true);
+                } else {
+                    this._fallBackToSolid(id);
+                }
+            });
+            return true;
+        }
+        return this._activate(id, options, true);
+    }
+    
+    /**
+     * @private
+     * @param {string} id
+     * @param {Object} options - Passed to init
+     * @param {boolean} persist - Whether this is a selection worth remembering
+     * @returns {boolean}
+     */
+    _activate(id, options, persist) {
+        // Dispose current background (re-activating the same id re-inits it with the new options)
+        if (this.activeId) {
             this._disposeActive();
         }
         
@@ -212,41 +411,132 @@ export class BackgroundManager {
         }
         
         const entry = this.backgrounds.get(id);
+        if (this.ambient && options.ambient === undefined) {
+            options = { ...options, ambient: this.ambient };
+        }
+        if (this.quality && options.quality === undefined) {
+            options = { ...options, quality: this.quality };
+        }
         
         try {
+            let pending = null;
             if (entry.isClass) {
                 // Class-based module - instantiate it
                 entry.instance = new entry.module(this.scene, this.camera, this.renderer, options);
             } else {
                 // Object-based module - call init directly
-                entry.module.init(this.scene, this.camera, this.renderer, options);
+                pending = entry.module.init(this.scene, this.camera, this.renderer, options);
                 entry.instance = entry.module;
             }
             
             this.activeId = id;
             this.activeInstance = entry.instance;
             
+            // Async init failures surface after activation; only act if the module is still active
+            if (pending && typeof pending.then === 'function') {
+                const instance = entry.instance;
+                pending.catch((e) => {
+                    if (this.activeInstance === instance) {
+                        this._handleModuleError(id, 'init', e);
+                    }
+                });
+            }
+            
             console.log(`[BackgroundManager] Activated background: ${id}`);
-            this._persistSelection();
+            if (persist) {
+                this._persistSelection();
+            }
             
             // Dispatch event for debug panels/HUD
             if (typeof window !== 'undefined') {
                 window.dispatchEvent(new CustomEvent('wm-background-changed', {
-                    detail: { id, label: entry.config.label }
+                    detail: { id, label: entry.config.label, presetId: this.presetId }
                 }));
             }
             
             return true;
         } catch (e) {
-            console.error(`[BackgroundManager] Failed to activate ${id}:`, e);
-            // Fallback to solid
-            if (id !== 'solid') {
-                this.setActive('solid');
-            }
+            this._handleModuleError(id, 'init', e);
             return false;
         }
     }
     
+    /**
+     * Isolate a failing module: report it, dispose it and fall back to solid
+     * @private
+     */
+    _handleModuleError(id, phase, error) {
+        console.error(`[BackgroundManager] ${id} failed during ${phase}:`, error);
+        this._reportError(id, phase, error);
+        this._fallBackToSolid(id);
+    }
+    
+    /** @private */
+    _reportError(id, phase, error) {
+        window.dispatchEvent(new CustomEvent('wm-background-error', {
+            detail: { id, phase, message: error instanceof Error ? error.message : String(error) }
+        }));
+    }
+    
+    /**
+     * Switch to solid without persisting it, so a broken module does not overwrite the visitor's choice
+     * @private
+     */
+    _fallBackToSolid(failedId) {
+        if (failedId === 'solid') return;
+        this._activate('solid', {}, false);
+    }
+    
+    /**
+     * Call an optional lifecycle hook on the active module with error isolation
+     * @private
+     * @param {string} hook
+     * @param {...any} args
+     */
+    _invoke(hook, ...args) {
+        const instance = this.activeInstance;
+        if (!instance || typeof instance[hook] !== 'function') return;
+        
+        try {
+            instance[hook](...args);
+        } catch (e) {
+            this._handleModuleError(this.activeId, hook, e);
+        }
+    }
+    
+    /**
+     * Apply the store-wide preset served by `/api/backgrounds/active`.
+     * Scene presets (`renderKind: 'scene'`) activate their module with the preset's config and
+     * take precedence over the visitor's persisted selection; when the store goes back to an
+     * iframe preset (or none), the visitor's own selection is restored.
+     * @param {Object|null} preset - Active preset payload
+     * @returns {boolean} - True if a scene preset is driving the scene
+     */
+    applyPreset(preset) {
+        const scene = preset?.renderKind === 'scene' ? preset.scene : null;
+        
+        if (scene && this.backgrounds.has(scene.module)) {
+            if (this.presetVersion === preset.versionHash && this.activeId === scene.module) {
+                return true;
+            }
+            this.presetId = preset.id;
+            this.presetVersion = preset.versionHash;
+            console.log(`[BackgroundManager] Applying scene preset ${preset.handle} (${scene.module})`);
+            return this.setActive(scene.module, { ...scene.config });
+        }
+        
+        if (scene) {
+            console.warn(`[BackgroundManager] Preset ${preset.handle} references unregistered module: ${scene.module}`);
+        }
+        
+        if (this.presetId) {
+            this.presetId = null;
+            this.presetVersion = null;
+            this.setActive(this._readPersistedSelection() || this.options.defaultBackground);
+        }
+        return false;
+    }
+    
     /**
      * Dispose the currently active background
      * @private
@@ -260,7 +550,7 @@ export class BackgroundManager {
         try {
             if (entry.instance && typeof entry.instance.dispose === 'function') {
                 entry.instance.dispose();
-            } else if (typeof entry.module.dispose === 'function') {
+            } else if (typeof entry.module?.dispose === 'function') {
                 entry.module.dispose();
             }
         } catch (e) {
@@ -268,6 +558,7 @@ export class BackgroundManager {
         }
         
         entry.instance = null;
+        this.activeId = null;
         this.activeInstance = null;
     }
     
@@ -276,15 +567,34 @@ export class BackgroundManager {
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime) {
-        if (!this.activeInstance) return;
-        
-        try {
-            if (typeof this.activeInstance.update === 'function') {
-                this.activeInstance.update(deltaTime);
-            }
-        } catch (e) {
-            console.error('[BackgroundManager] Error in background update:', e);
-        }
+        this._invoke('update', deltaTime);
+    }
+    
+    /**
+     * Forward a viewport resize to the active background
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     */
+    resize(width, height) {
+        this._invoke('resize', width, height);
+    }
+    
+    /**
+     * Set the rendering quality tier; remembered for modules activated later
+     * @param {string} tier - `low`, `medium`, `high` or `ultra`
+     */
+    setQuality(tier) {
+        this.quality = tier;
+        this._invoke('setQuality', tier);
+    }
+    
+    /**
+     * Forward ambient lighting to the active background (modules without `setAmbient` ignore it)
+     * @param {BackgroundAmbient} ambient
+     */
+    setAmbient(ambient) {
+        this.ambient = ambient;
+        this._invoke('setAmbient', ambient);
     }
     
     /**
@@ -298,6 +608,7 @@ export class BackgroundManager {
                 id,
                 label: entry.config.label,
                 isActive: id === this.activeId,
+                isLoaded: Boolean(entry.module),
             });
         }
         return result;
@@ -323,12 +634,27 @@ export class BackgroundManager {
         return ids[nextIndex];
     }
     
+    /**
+     * Cycle to the previous background
+     * @returns {string} - The new active background ID
+     */
+    cyclePrevious() {
+        const ids = Array.from(this.backgrounds.keys());
+        const currentIndex = ids.indexOf(this.activeId);
+        const previousIndex = (currentIndex - 1 + ids.length) % ids.length;
+        this.setActive(ids[previousIndex]);
+        return ids[previousIndex];
+    }
+    
     /**
      * Clean up all backgrounds and resources
      */
     dispose() {
         console.log('[BackgroundManager] Disposing all backgrounds');
         
+        this._menuListeners.forEach(([eventName, listener]) => window.removeEventListener(eventName, listener));
+        this._menuListeners = [];
+        
         // Dispose active first
         this._disposeActive();
         
@@ -5,6 +5,8 @@
  * Visible gaps between panels show the depth and movement
  */
 
+import { QUALITY_TIERS } from '../QualityManager.js';
+
 const DEFAULT_CONFIG = {
     sphereRadius: 55,           // Sphere size
     subdivisions: 3,            // Icosahedron subdivisions (2-4, higher = more panels)
@@ -27,6 +29,8 @@ let THREE = null;
 let scene = null;
 // let camera = null; // Reserved for camera-relative effects
 let config = { ...DEFAULT_CONFIG };
+// Subdivisions set explicitly (e.g. by a scene preset) win over the quality tier
+let pinnedSubdivisions = false;
 
 let skyballGroup = null;
 let panelMeshes = [];
@@ -53,6 +57,10 @@ export async function init(sceneRef, cameraRef, rendererRef, options) {
     scene = sceneRef;
     // camera = cameraRef; // Reserved for future camera-relative effects
     config = { ...DEFAULT_CONFIG, ...options };
+    pinnedSubdivisions = options?.subdivisions !== undefined;
+    if (!pinnedSubdivisions && QUALITY_TIERS[options?.quality]) {
+        config.subdivisions = QUALITY_TIERS[options.quality].skyballSubdivisions;
+    }
 
     skyballGroup = new THREE.Group();
     skyballGroup.name = 'CerebroSkyball_group';
@@ -211,20 +219,21 @@ function createLights() {
     hemisphereLight.name = 'skyball_hemisphere';
     scene.add(hemisphereLight);
 
-    // 4 colored point lights that orbit inside - cooler Cerebro palette
-    light1 = new THREE.PointLight(0x6688ff, intensity, distance); // Blue
+    // 4 colored point lights that orbit inside - cooler Cerebro palette (ambient mode may override)
+    const palette = config.ambient?.palette ?? [];
+    light1 = new THREE.PointLight(palette[0] ?? 0x6688ff, intensity, distance); // Blue
     light1.name = 'skyball_light1';
     scene.add(light1);
 
-    light2 = new THREE.PointLight(0x88aaff, intensity, distance); // Light blue
+    light2 = new THREE.PointLight(palette[1] ?? 0x88aaff, intensity, distance); // Light blue
     light2.name = 'skyball_light2';
     scene.add(light2);
 
-    light3 = new THREE.PointLight(0x4466cc, intensity, distance); // Deep blue
+    light3 = new THREE.PointLight(palette[2] ?? 0x4466cc, intensity, distance); // Deep blue
     light3.name = 'skyball_light3';
     scene.add(light3);
 
-    light4 = new THREE.PointLight(0x9988ff, intensity, distance); // Purple-blue
+    light4 = new THREE.PointLight(palette[3] ?? 0x9988ff, intensity, distance); // Purple-blue
     light4.name = 'skyball_light4';
     scene.add(light4);
 }
@@ -335,6 +344,31 @@ export function update() {
 
 export function setInteractive(interactive) { isInteractive = interactive; }
 
+/** Recolor the orbiting lights from the ambient palette (also remembered for the next init). */
+export function setAmbient(ambient) {
+    config = { ...config, ambient };
+    [light1, light2, light3, light4].forEach((light, i) => {
+        if (light && ambient?.palette?.[i] !== undefined) light.color.setHex(ambient.palette[i]);
+    });
+}
+
+/** Rebuild the sphere at the tier's subdivision level (no-op when a preset pinned it). */
+export function setQuality(tier) {
+    config = { ...config, quality: tier };
+    const subdivisions = QUALITY_TIERS[tier]?.skyballSubdivisions;
+    if (pinnedSubdivisions || subdivisions === undefined || subdivisions === config.subdivisions) return;
+
+    config.subdivisions = subdivisions;
+    if (!skyballGroup) return;
+    panelMeshes.forEach(m => {
+        skyballGroup.remove(m);
+        m.geometry.dispose();
+        m.material.dispose();
+    });
+    createGeodesicSphere();
+    console.log('[CerebroSkyball] Rebuilt with', panelMeshes.length, 'panels for quality', tier);
+}
+
 export function dispose() {
     console.log('[CerebroSkyball] Disposing');
     animationActive = false;
@@ -364,4 +398,4 @@ export function dispose() {
     scene = THREE = null;
 }
 
-export default { init, update, dispose, setInteractive };
+export default { init, update, dispose, setInteractive, setAmbient, setQuality };
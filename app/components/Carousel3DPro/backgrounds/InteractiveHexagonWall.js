@@ -178,23 +178,24 @@ function createLights() {
     // They orbit around the hexagon grid
     const lightZ = config.zPosition;  // Same z as hexagons
     
-    // BRIGHT vibrant colored point lights
-    light1 = new THREE.PointLight(0xff00aa, intensity, distance);  // Hot pink/magenta
+    // BRIGHT vibrant colored point lights (ambient mode may override)
+    const palette = config.ambient?.palette ?? [];
+    light1 = new THREE.PointLight(palette[0] ?? 0xff00aa, intensity, distance);  // Hot pink/magenta
     light1.position.set(0, r, lightZ);
     light1.name = 'hex_light1';
     scene.add(light1);
     
-    light2 = new THREE.PointLight(0x00ff88, intensity, distance);  // Bright green/cyan
+    light2 = new THREE.PointLight(palette[1] ?? 0x00ff88, intensity, distance);  // Bright green/cyan
     light2.position.set(0, -r, lightZ);
     light2.name = 'hex_light2';
     scene.add(light2);
     
-    light3 = new THREE.PointLight(0x4488ff, intensity, distance);  // Blue
+    light3 = new THREE.PointLight(palette[2] ?? 0x4488ff, intensity, distance);  // Blue
     light3.position.set(r, 0, lightZ);
     light3.name = 'hex_light3';
     scene.add(light3);
     
-    light4 = new THREE.PointLight(0xff6600, intensity, distance);  // Orange
+    light4 = new THREE.PointLight(palette[3] ?? 0xff6600, intensity, distance);  // Orange
     light4.position.set(-r, 0, lightZ);
     light4.name = 'hex_light4';
     scene.add(light4);
@@ -296,6 +297,14 @@ export function update() {
 
 export function setInteractive(interactive) { isInteractive = interactive; }
 
+/** Recolor the orbiting lights from the ambient palette (also remembered for the next init). */
+export function setAmbient(ambient) {
+    config = { ...config, ambient };
+    [light1, light2, light3, light4].forEach((light, i) => {
+        if (light && ambient?.palette?.[i] !== undefined) light.color.setHex(ambient.palette[i]);
+    });
+}
+
 export function dispose() {
     console.log('[InteractiveHexagonWall] Disposing');
     animationActive = false;
@@ -329,4 +338,4 @@ export function dispose() {
     scene = THREE = gsap = null;
 }
 
-export default { init, update, dispose, setInteractive };
+export default { init, update, dispose, setInteractive, setAmbient };
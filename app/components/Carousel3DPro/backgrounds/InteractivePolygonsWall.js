@@ -128,7 +128,7 @@ function createPolygonMesh() {
     scene.add(polygonMesh);
     
     if (!scene.getObjectByName('InteractivePolygonsWall_light')) {
-        const light = new THREE.PointLight(0x4a6fa5, 0.5, 500);
+        const light = new THREE.PointLight(config.ambient?.palette?.[0] ?? 0x4a6fa5, 0.5, 500);
         light.position.set(0, 50, -50);
         light.name = 'InteractivePolygonsWall_light';
         scene.add(light);
@@ -258,6 +258,13 @@ export function update(dt = 0.016) {
     }
 }
 
+/** Tint the wall's point light from the ambient palette; mesh and line colors stay as configured. */
+export function setAmbient(ambient) {
+    config = { ...config, ambient };
+    const light = scene?.getObjectByName('InteractivePolygonsWall_light');
+    if (light && ambient?.palette?.[0] !== undefined) light.color.setHex(ambient.palette[0]);
+}
+
 export function dispose() {
     console.log('[InteractivePolygonsWall] Disposing');
     animationActive = false;
@@ -287,4 +294,4 @@ export function dispose() {
     time = 0;
 }
 
-export default { init, update, dispose };
+export default { init, update, dispose, setAmbient };
@@ -14,12 +14,32 @@ import {Carousel3DPro} from './Carousel3DPro.js';
 import {Carousel3DSubmenu} from './Carousel3DSubmenu.js';
 import {spawnSubmenuAsync} from './SubmenuManager.js';
 import {SelectionGuard, withTransition, globalGuard} from './modules/selectionGuards.js';
+import {SubmenuBreadcrumb, SubmenuLevelFraming} from './modules/SubmenuNavigation.js';
+import {GamepadInput} from './modules/GamepadInput.js';
+import {AccessibleMenu, FocusIndicator3D} from './modules/AccessibleMenu.js';
+import {
+    CarouselEventEmitter,
+    createCarouselController,
+    createDebugGlobals,
+    LAYOUT_MODES,
+} from './modules/CarouselController.js';
 import {CentralContentPanel} from './CentralContentPanel.js';
+import {createCarouselTranslator} from './CarouselTranslations.js';
 import {ContentManager} from '../../utils/contentManager.js';
 import {getItemAngles} from '../../utils/carouselAngleUtils.js';
 import {enhanceCartIntegration} from '../../utils/cartIntegrationEnhancer.js';
 // Menu tree utilities - Phase 5 will use getChildLabels and getNodeByLabel for deep nesting
-import {initializeMenuTreeWithAPI} from '../../utils/menuTreeManager.js';
+import {
+    initializeMenuTreeWithAPI,
+    getMenuTreeAPI,
+    getNodeByPath,
+    getNavigationHistory,
+    parseCarouselHash,
+} from '../../utils/menuTreeManager.js';
+import {SCENE_MODULES} from '../../utils/backgroundPresetScene';
+import {AmbientModeController} from './AmbientModes.js';
+import {QualityManager} from './QualityManager.js';
+import {setShaderFXQuality} from './CarouselShaderFX.js';
 // Camera HUD system for 3D UI elements orbiting the camera
 // DISABLED: HUD cart icon was not rendering properly (turquoise box)
 // import {CameraHUD, HUD_SLOTS} from './CameraHUD.js';
@@ -30,11 +50,35 @@ let BackgroundManager = null;
 let InteractivePolygonsWall = null;
 let BackgroundDome = null;
 
+// How often the carousel re-checks the store-wide background preset (matches useBackgroundPreset)
+const PRESET_SYNC_INTERVAL_MS = 60_000;
+
 // --- RUNTIME FACTORY (browser-only) ---
-// Builds and mounts the 3D carousel and returns control hooks.
+// Builds and mounts the 3D carousel and returns its controller (see modules/CarouselController.js).
 // Keep behavior the same; this only restores correct scoping.
-export function mountCarousel3D(container, menuData) {
+// `options.locale` / `options.labels` pick the label language (see CarouselTranslations.js); menu
+// data stays keyed by default-language titles.
+export function mountCarousel3D(container, menuData, { locale, labels } = {}) {
     if (typeof window === 'undefined') return null; // Ensure we're in a browser environment
+    const controllerEvents = new CarouselEventEmitter();
+    // Labels, content descriptions and HUD strings for the current locale (setLocale switches it)
+    let translator = createCarouselTranslator(locale, labels);
+    const translateLabel = (label) => translator.label(label);
+    // Ring order, submenu/HUD mirroring and left/right keys follow the locale's text direction
+    const layoutOptions = () => ({ translateLabel, direction: translator.dir });
+    // Nested navigation over the menu tree (module state in menuTreeManager.js)
+    const menuTree = getMenuTreeAPI();
+    // Tree parsed from the menu structure passed in (Shopify menu), or the static JSON menu
+    let loadedMenuTree = null;
+    // Submenu icons: shape, GLB model and color from the menu tree (menu_item_3d metaobjects), for
+    // the level whose items sit under `path` (main item label first)
+    const getItemMetaAt = (path) => (label) => getNodeByPath(loadedMenuTree, [...path, label]);
+    // window.* globals for console debugging, published only behind the debug flag
+    const debugGlobals = createDebugGlobals();
+    debugGlobals.expose('menuTree', menuTree);
+    // When a stuck transition was first seen by the click handler and by the validity check
+    const transitionWatchdog = { clickStuckSince: null, checkStuckSince: null };
+    debugGlobals.expose('__wmTransitionWatchdog', transitionWatchdog);
     let animationFrameId = null; // Declare animationFrameId
     const timeoutIds = []; // Array to store timeout IDs
     let wmCheckIntervalId = null; // Variable to store the interval ID for waitForWindowWM
@@ -63,6 +107,7 @@ export function mountCarousel3D(container, menuData) {
     let pointerEventTarget = null;
     let submenuCloseProxyButton = null;
     let activeSubmenu = null; // Track the currently active submenu
+    let selectedChildLabel = null; // Last selected leaf in the active submenu (URL state)
     // Add the waitForWindowWM helper function here
     function waitForWindowWM(id, maxRetries = 30) { // Function to wait for window.__wm__ to be ready
         let retries = 0; // Initialize retry count
@@ -117,11 +162,36 @@ export function mountCarousel3D(container, menuData) {
     // Add camera to scene so its children (lights) are rendered
     scene.add(camera);
     
+    // --- Time-of-day ambient lighting (fog, camera lights, dome gradient, background palette) ---
+    // Starts off (the static scene look); admin config opts into `auto` (visitor clock) or pins a mode
+    let backgroundManager = null;
+    const ambientController = new AmbientModeController({
+        scene,
+        spotlight: cameraSpotlight,
+        fillLight: cameraFillLight,
+        getBackgroundManager: () => backgroundManager,
+    });
+    
     const renderer = new THREE.WebGLRenderer({ antialias: true }); // Create WebGL renderer
     renderer.setSize(window.innerWidth, window.innerHeight); // Set renderer size
-    renderer.setPixelRatio(window.devicePixelRatio); // Set pixel ratio for high DPI displays
     container.appendChild(renderer.domElement); // Append renderer to the container
 
+    // --- Adaptive quality (pixel ratio, shadows, background detail, text detail, glow shader) ---
+    // Starts from detected device capability, then follows live frame time unless admin config pins a tier
+    let textDetail = {};
+    let applyTextDetail = () => {}; // Replaced once the carousel exists
+    const qualityManager = new QualityManager({
+        renderer,
+        shadowLights: [cameraSpotlight],
+        getBackgroundManager: () => backgroundManager,
+        onChange: (tier, settings) => {
+            textDetail = { curveSegments: settings.textCurveSegments, bevelSegments: settings.textBevelSegments };
+            setShaderFXQuality(settings);
+            applyTextDetail();
+        },
+    });
+    qualityManager.setPreference('auto');
+
     // --- CameraHUD Setup ---
     // DISABLED: Cart HUD icon was not rendering properly (turquoise box)
     // TODO: Re-enable when cart icon design is finalized
@@ -132,6 +202,7 @@ export function mountCarousel3D(container, menuData) {
     try {
         cameraHUD = new CameraHUD(camera, {
             radius: 2.5,
+            direction: translator.dir,
             opacity: 0.95,
             showDebugSphere: false, // Set to true to visualize HUD sphere
         });
@@ -154,9 +225,9 @@ export function mountCarousel3D(container, menuData) {
             },
         });
         
-        // Expose for admin panel control
-        window.__wmCameraHUD = cameraHUD;
-        window.__wmCartHUDIcon = cartHUDIcon;
+        // Admin panel control goes through controller.getHUD(); globals are for console debugging
+        debugGlobals.expose('__wmCameraHUD', cameraHUD);
+        debugGlobals.expose('__wmCartHUDIcon', cartHUDIcon);
         
         console.log('[🍉 Carousel] CameraHUD initialized with cart icon');
     } catch (e) {
@@ -165,7 +236,20 @@ export function mountCarousel3D(container, menuData) {
     */
 
     // --- BackgroundManager Setup ---
-    let backgroundManager = null;
+    let presetSyncIntervalId = null;
+
+    // Scene presets activated from the admin override the per-browser selection
+    async function syncActiveBackgroundPreset() {
+        try {
+            const response = await fetch('/api/backgrounds/active', {
+                headers: { 'Accept': 'application/json' },
+            });
+            if (!response.ok) return;
+            backgroundManager?.applyPreset(await response.json());
+        } catch (e) {
+            console.warn('[🍉 Carousel] Failed to sync background preset:', e);
+        }
+    }
 
     // Initialize background system asynchronously to avoid SSR issues
     (async () => {
@@ -186,12 +270,13 @@ export function mountCarousel3D(container, menuData) {
                 defaultBackground: 'skyball',
                 persistSelection: true,
             });
+            backgroundManager.setQuality(qualityManager.getTier());
 
-            // Register available backgrounds
-            backgroundManager.register('hexagons', InteractiveHexagonWall, { label: 'Hexagon Wall' });
-            backgroundManager.register('skyball', HexagonSkyball, { label: 'Hexagon Skyball (360°)' });
-            backgroundManager.register('polygons', InteractivePolygonsWall, { label: 'Polygons Wall' });
-            backgroundManager.register('dome', BackgroundDome, { label: 'Iridescent Dome' });
+            // Register available backgrounds (ids are shared with scene presets in the admin)
+            backgroundManager.register('hexagons', InteractiveHexagonWall, { label: SCENE_MODULES.hexagons.label });
+            backgroundManager.register('skyball', HexagonSkyball, { label: SCENE_MODULES.skyball.label });
+            backgroundManager.register('polygons', InteractivePolygonsWall, { label: SCENE_MODULES.polygons.label });
+            backgroundManager.register('dome', BackgroundDome, { label: SCENE_MODULES.dome.label });
 
             // Try to restore last selected background, default to skyball if none stored
             const stored = localStorage.getItem('wm_background_mode');
@@ -204,10 +289,13 @@ export function mountCarousel3D(container, menuData) {
 
             console.log('[🍉 Carousel] BackgroundManager initialized with', backgroundManager.getBackgrounds().length, 'backgrounds');
 
-            // Expose for debug panel
-            if (typeof window !== 'undefined') {
-                window.__wmBackgroundManager = backgroundManager;
-            }
+            // Expose for console debugging
+            debugGlobals.expose('__wmBackgroundManager', backgroundManager);
+            ambientController.refreshBackground();
+
+            await syncActiveBackgroundPreset();
+            if (!backgroundManager) return; // Carousel disposed while the preset was loading
+            presetSyncIntervalId = setInterval(syncActiveBackgroundPreset, PRESET_SYNC_INTERVAL_MS);
         } catch (e) {
             console.warn('[🍉 Carousel] BackgroundManager failed to initialize:', e);
         }
@@ -222,12 +310,28 @@ export function mountCarousel3D(container, menuData) {
         
         console.log('[🍉 Admin] Applying config update:', config);
         
+        // Ambient mode first: while it is driving, it owns fog color and camera light intensities
+        if (config.ambient) {
+            ambientController.setPreference(config.ambient.mode, {
+                transitionSeconds: config.ambient.transitionSeconds,
+            });
+        }
+        const ambientDriving = ambientController.isDriving();
+        
+        if (config.quality) {
+            qualityManager.setPreference(config.quality.tier);
+        }
+
+        if (config.gamepad) {
+            gamepadInput.setMapping({ ...carouselConfig.gamepad, ...config.gamepad });
+        }
+        
         // Apply scene settings
         if (config.scene) {
             if (config.scene.backgroundColor) {
                 scene.background = new THREE.Color(config.scene.backgroundColor);
             }
-            if (config.scene.fogColor && scene.fog) {
+            if (config.scene.fogColor && scene.fog && !ambientDriving) {
                 scene.fog.color = new THREE.Color(config.scene.fogColor);
             }
             if (typeof config.scene.fogNear === 'number' && scene.fog) {
@@ -244,13 +348,13 @@ export function mountCarousel3D(container, menuData) {
                 camera.fov = config.camera.fov;
                 camera.updateProjectionMatrix();
             }
-            if (typeof config.camera.spotlightIntensity === 'number' && cameraSpotlight) {
+            if (typeof config.camera.spotlightIntensity === 'number' && cameraSpotlight && !ambientDriving) {
                 cameraSpotlight.intensity = config.camera.spotlightIntensity;
             }
             if (typeof config.camera.spotlightAngle === 'number' && cameraSpotlight) {
                 cameraSpotlight.angle = (config.camera.spotlightAngle * Math.PI) / 180;
             }
-            if (typeof config.camera.fillLightIntensity === 'number' && cameraFillLight) {
+            if (typeof config.camera.fillLightIntensity === 'number' && cameraFillLight && !ambientDriving) {
                 cameraFillLight.intensity = config.camera.fillLightIntensity;
             }
         }
@@ -304,8 +408,8 @@ export function mountCarousel3D(container, menuData) {
     if (!submenuCloseProxyButton) {
         submenuCloseProxyButton = document.createElement('button');
         submenuCloseProxyButton.type = 'button';
-        submenuCloseProxyButton.textContent = 'Close submenu';
-        submenuCloseProxyButton.setAttribute('aria-label', 'Close submenu');
+        submenuCloseProxyButton.textContent = translator.t('closeSubmenu');
+        submenuCloseProxyButton.setAttribute('aria-label', translator.t('closeSubmenu'));
         submenuCloseProxyButton.dataset.carouselSubmenuClose = 'true';
         Object.assign(submenuCloseProxyButton.style, {
             position: 'absolute',
@@ -413,13 +517,11 @@ export function mountCarousel3D(container, menuData) {
         }
     }
     
-    // Expose layer transition for submenu/display systems
-    if (typeof window !== 'undefined') {
-        window.__wmTransitionToLayer = transitionToLayer;
-        window.__wmNavigateBackLayer = navigateBackLayer;
-        window.__wmGetCurrentLayer = () => currentMobileLayer;
-        window.__wmMobileLayers = mobileLayers;
-    }
+    // Expose layer transition for console debugging
+    debugGlobals.expose('__wmTransitionToLayer', transitionToLayer);
+    debugGlobals.expose('__wmNavigateBackLayer', navigateBackLayer);
+    debugGlobals.expose('__wmGetCurrentLayer', () => currentMobileLayer);
+    debugGlobals.expose('__wmMobileLayers', mobileLayers);
     
     if (isMobileNow) {
         // MOBILE: Lock the camera - disable ALL OrbitControls interactions
@@ -489,7 +591,7 @@ export function mountCarousel3D(container, menuData) {
         if (isWheelHandlerActive && globalGuard.canScroll()) {
             // Only navigate main carousel if scrolling is allowed
             const angleStep = (2 * Math.PI) / items.length; // Calculate angle step based on number of items
-            carousel.spin(delta > 0 ? -angleStep : angleStep); // Invert direction for natural feel
+            carousel.spin((delta > 0 ? -angleStep : angleStep) * carousel.direction); // Scrolling down moves to the next item
         } else {
             console.warn('[Watermelon] Main carousel scroll blocked by guard or handler inactive.');
         }
@@ -742,13 +844,15 @@ export function mountCarousel3D(container, menuData) {
             const angleStep = (2 * Math.PI) / items.length;
             const currentRotation = carousel.itemGroup?.rotation[rotationProp] || 0;
             
-            // Calculate nearest item index
-            const nearestIndex = Math.round(-currentRotation / angleStep) % items.length;
+            // Calculate nearest item index (horizontal ring order follows the text direction)
+            const ringDirection = isFerrisWheel ? 1 : carousel.direction;
+            const nearestIndex = Math.round(-currentRotation * ringDirection / angleStep) % items.length;
             const normalizedIndex = nearestIndex < 0 ? nearestIndex + items.length : nearestIndex;
             
             // Snap to that item
-            carousel.targetRotation = -normalizedIndex * angleStep;
+            carousel.targetRotation = -ringDirection * normalizedIndex * angleStep;
             carousel.currentIndex = normalizedIndex;
+            carousel.notifySelectionChange?.(normalizedIndex);
             
             console.warn('[🍉 Mobile] Snapping to item', normalizedIndex);
         }
@@ -841,8 +945,8 @@ export function mountCarousel3D(container, menuData) {
     const menuMode = getMenuMode();
     console.warn('[🍉 Setup] Menu mode:', menuMode);
     
-    // Expose menu toggle function globally for admin/debug use
-    window.toggleMenuMode = (mode) => {
+    // Menu mode switch (controller.setMenuMode; window.toggleMenuMode when debugging)
+    const setMenuMode = (mode) => {
         if (!['dummy', 'dynamic', 'auto'].includes(mode)) {
             console.error('[Menu Toggle] Invalid mode. Use: dummy, dynamic, or auto');
             return;
@@ -852,8 +956,8 @@ export function mountCarousel3D(container, menuData) {
         window.location.reload();
     };
     
-    // Expose current mode for debugging
-    window.getMenuMode = getMenuMode;
+    debugGlobals.expose('toggleMenuMode', setMenuMode);
+    debugGlobals.expose('getMenuMode', getMenuMode);
     
     // Define dummy/fallback menu data
     const dummyMenuData = {
@@ -909,13 +1013,13 @@ export function mountCarousel3D(container, menuData) {
         hasSubmenus: Object.keys(submenus).length,
         items
     });
-      // Expose menu data globally for debugging
-    window.debugMenuData = {
+    const debugMenuData = {
         mode: menuMode,
         source: menuSource,
         data: finalMenuData,
-        toggle: window.toggleMenuMode
+        toggle: setMenuMode
     };
+    debugGlobals.expose('debugMenuData', debugMenuData);
     
     // =======================
     // MENU TREE & NAVIGATION SYSTEM (Phase 3)
@@ -923,29 +1027,78 @@ export function mountCarousel3D(container, menuData) {
     // Initialize the hierarchical menu tree for deep navigation with API
     
     // Initialize menu tree with API wrapper for nested navigation
-    initializeMenuTreeWithAPI().then(tree => {
+    // Built from the loader's Shopify menu structure when present, else the static JSON menu
+    const menuTreeReady = initializeMenuTreeWithAPI(finalMenuData.menuStructure ?? null).then(tree => {
+        loadedMenuTree = tree;
         console.warn('[🍉 MenuTree] Initialized with API:', {
             rootChildren: tree.root.children.length,
             totalNodes: tree.nodeMap.size,
-            apiMethods: Object.keys(window.menuTree || {})
+            apiMethods: Object.keys(menuTree)
         });
+        return tree;
     }).catch(err => {
         console.error('[🍉 MenuTree] Failed to initialize:', err);
+        return null;
     });
     
-    // Functions for nested navigation - reserved for Phase 5 deep nesting
-    // canNavigateDeeper(itemLabel, parentLabel) - check if submenu item has children
-    // getNestedSubmenuItems(itemLabel) - get children of submenu item
-    // These are implemented via getNodeByLabel() and getChildLabels() from menuTreeManager
+    // Nested submenu navigation aids: breadcrumb of the open path, camera framing of open levels
+    const submenuBreadcrumb = new SubmenuBreadcrumb(container, {
+        label: translator.t('submenuPath'),
+        direction: translator.dir,
+        // Clicking a crumb backs out to that level (0 = the main item's submenu)
+        onSelect: (levelIndex) => {
+            while (activeSubmenu?.isNestedSubmenu && activeSubmenu.nestingLevel > levelIndex + 1) {
+                closeSubmenu();
+            }
+        }
+    });
+    const submenuFraming = new SubmenuLevelFraming({ camera, controls });
+
+    // Open submenu levels, outermost first
+    function getSubmenuLevels() {
+        const levels = [];
+        for (let level = activeSubmenu; level; level = level.parentSubmenu) {
+            levels.unshift(level);
+        }
+        return levels;
+    }
+
+    // Labels of the open levels: the main item, then each nested level's item
+    function getOpenMenuPath() {
+        const levels = getSubmenuLevels();
+        const rootLabel = levels[0]?.parentItem?.userData?.item;
+        return rootLabel ? [rootLabel, ...levels.slice(1).map(level => level.menuLabel)] : [];
+    }
+
+    // Sync breadcrumb and camera with the open levels (after any level opens or closes)
+    function updateSubmenuNavigation() {
+        submenuBreadcrumb.update(getOpenMenuPath().map(translateLabel));
+        submenuFraming.frame(getSubmenuLevels());
+        notifySubmenuChange();
+    }
+
+    // Emit the controller's 'submenu' event when the open path changes (both callers may fire it)
+    let lastSubmenuSignature = '';
+    function notifySubmenuChange() {
+        const levels = getSubmenuLevels();
+        const path = getOpenMenuPath().slice(1);
+        const parentIndex = levels.length ? carousel.getSubmenuState?.().parentIndex ?? null : null;
+        const signature = `${parentIndex}|${path.join('/')}|${levels.length}`;
+        if (signature === lastSubmenuSignature) return;
+        lastSubmenuSignature = signature;
+        controllerEvents.emit('submenu', { open: levels.length > 0, parentIndex, depth: levels.length, path });
+    }
     
     // =======================
     // CONTENT MANAGER INTEGRATION
     // =======================
       // Initialize Content Manager for contextual content
     const contentManager = new ContentManager();
-      // Expose globally for debugging and external access
-    window.contentManager = contentManager;    // Initialize enhanced cart integration
+    contentManager.setTranslator(translator);
+    debugGlobals.expose('contentManager', contentManager);
+    // Initialize enhanced cart integration
     enhanceCartIntegration();
+    let currentContentItem = null;
     
     // Function to load content for a selected menu item
     const loadContentForItem = async (itemTitle, submenuItem = null) => {
@@ -963,17 +1116,12 @@ export function mountCarousel3D(container, menuData) {
                     isPlaceholder: !!contentData.isPlaceholder
                 });
                 
-                // Try to display content in central panel if available
-                if (window.centralPanel) {
-                    // Use new template system if available
-                    if (window.centralPanel.loadTemplatedContent) {
-                        await window.centralPanel.loadTemplatedContent(contentData);
-                    } else if (window.centralPanel.loadContent) {
-                        window.centralPanel.loadContent(contentData.type, contentData);
-                    }
-                } else {
-                    console.warn('[🍉 Content] Central panel not available yet, storing content for later');
-                    window._pendingContent = contentData;
+                currentContentItem = targetItem;
+                // Use new template system if available
+                if (centralPanel.loadTemplatedContent) {
+                    await centralPanel.loadTemplatedContent(contentData);
+                } else if (centralPanel.loadContent) {
+                    centralPanel.loadContent(contentData.type, contentData);
                 }
                 return contentData;
             }
@@ -983,24 +1131,30 @@ export function mountCarousel3D(container, menuData) {
         
         return null;
     };
-      // Expose content loading function globally
-    window.loadContentForItem = loadContentForItem;
+    debugGlobals.expose('loadContentForItem', loadContentForItem);
+
+    // Cart changes (cartIntegrationEnhancer) invalidate cached content; refresh the cart if shown
+    const handleCartUpdated = () => {
+        contentManager.clearCache();
+        if (currentContentItem === 'Cart') loadContentForItem('Cart');
+    };
+    window.addEventListener('watermelon-cart-updated', handleCartUpdated);
     
     // =======================
     // ADMIN PANEL / DEBUG INTERFACE
     // =======================
     
-    // Create admin interface for testing and debugging
-    window.watermelonAdmin = {
+    // Console interface for testing and debugging (React code uses the controller instead)
+    debugGlobals.expose('watermelonAdmin', {
         // Menu mode controls
-        setMenuMode: (mode) => window.toggleMenuMode(mode),
+        setMenuMode,
         getMenuMode: () => getMenuMode(),
-        getCurrentMenuData: () => window.debugMenuData,
+        getCurrentMenuData: () => debugMenuData,
         
         // Content management
         loadContent: loadContentForItem,
-        getContentManager: () => window.contentManager,
-        clearContentCache: () => window.contentManager?.clearCache(),
+        getContentManager: () => contentManager,
+        clearContentCache: () => contentManager.clearCache(),
         
         // Carousel controls
         getCarousel: () => carousel,
@@ -1079,17 +1233,26 @@ export function mountCarousel3D(container, menuData) {
             console.log('  watermelonAdmin.setFog(near, far)       - Tune fog live (e.g., 8, 25)');
             console.groupEnd();
         }
-    };
+    });
     
     console.group('🍉 Watermelon Hydrogen 3D Menu System');
     console.log('✅ System initialized successfully');
     console.log(`📊 Menu Mode: ${menuSource}`);
     console.log(`📋 Items: ${items.length} (${items.join(', ')})`);
     console.log(`📁 Submenus: ${Object.keys(submenus).length}`);
-    console.log('🔧 Admin: Type watermelonAdmin.showHelp() for commands');
+    console.log(debugGlobals.enabled
+        ? '🔧 Admin: Type watermelonAdmin.showHelp() for commands'
+        : '🔧 Admin: Add ?wmDebug to the URL for console commands');
     console.groupEnd();
     let isTransitioning = false; // New flag for async handling, initially false
-    const carousel = new Carousel3DPro(items, currentTheme); // Create the carousel instance
+    // Deep link: start the ring on the URL's item (createItems restores this index with selectItem)
+    const initialUrlState = parseCarouselHash(window.location.hash);
+    const initialUrlIndex = initialUrlState?.item ? items.indexOf(initialUrlState.item) : -1;
+    if (initialUrlIndex >= 0) {
+        localStorage.setItem('carouselIndex', String(initialUrlIndex));
+    }
+    const carousel = new Carousel3DPro(items, { ...currentTheme, ...textDetail, ...layoutOptions() }); // Create the carousel instance
+    applyTextDetail = () => carousel.setTextDetail(textDetail);
     carousel.userData = { camera }; // Store camera reference in userData for later access
     carousel.isAnimating = false; // Track animation state
     
@@ -1111,7 +1274,12 @@ export function mountCarousel3D(container, menuData) {
                ('ontouchstart' in window && window.innerWidth < 1024);
     };
     
-    let isFerrisWheelMode = isMobileDevice() && (mobileConfig.enableFerrisWheelMode !== false);
+    // 'auto' follows the mobile breakpoint; controller.setLayoutMode can pin 'horizontal' or 'ferris'
+    let layoutPreference = 'auto';
+    const shouldUseFerrisWheel = () => (layoutPreference === 'auto'
+        ? isMobileDevice() && (mobileConfig.enableFerrisWheelMode !== false)
+        : layoutPreference === 'ferris');
+    let isFerrisWheelMode = shouldUseFerrisWheel();
     
     // Mobile constraints - settings applied via applyFerrisWheelLayout
     // lockRotationAxes, disableTilt, snapToItems, reducedInertia, fixedCameraPosition
@@ -1182,11 +1350,9 @@ export function mountCarousel3D(container, menuData) {
         if (!carousel.itemGroup || !carousel.itemMeshes) return;
         
         const cylinderRadius = carousel.cylinderRadius || 5;
-        const itemCount = carousel.itemMeshes.length;
-        const angleStep = (2 * Math.PI) / itemCount;
         
         carousel.itemMeshes.forEach((mesh, index) => {
-            const angle = angleStep * index;
+            const angle = carousel.getItemAngle(index);
             mesh.position.x = cylinderRadius * Math.sin(angle);
             mesh.position.y = 0;
             mesh.position.z = cylinderRadius * Math.cos(angle);
@@ -1222,10 +1388,10 @@ export function mountCarousel3D(container, menuData) {
     // Start checking for items to be ready
     setTimeout(applyMobileLayoutWhenReady, 200);
     
-    // Handle window resize - switch layout if crossing breakpoint
+    // Handle window resize - switch layout if crossing breakpoint (or the preference changed)
     const handleLayoutResize = () => {
         const wasFerrisWheel = isFerrisWheelMode;
-        isFerrisWheelMode = isMobileDevice() && (mobileConfig.enableFerrisWheelMode !== false);
+        isFerrisWheelMode = shouldUseFerrisWheel();
         
         if (wasFerrisWheel !== isFerrisWheelMode) {
             if (isFerrisWheelMode) {
@@ -1238,18 +1404,32 @@ export function mountCarousel3D(container, menuData) {
             if (isFerrisWheelMode) {
                 carousel.itemGroup.rotation.x = -carousel.currentIndex * angleStep;
             } else {
-                carousel.itemGroup.rotation.y = -carousel.currentIndex * angleStep;
+                carousel.itemGroup.rotation.y = -carousel.getItemAngle(carousel.currentIndex);
             }
+            controllerEvents.emit('layout', { mode: getLayoutMode(), preference: layoutPreference });
         }
     };
     
     window.addEventListener('resize', handleLayoutResize);
+
+    const getLayoutMode = () => (isFerrisWheelMode ? 'ferris' : 'horizontal');
+
+    function setLayoutMode(mode) {
+        if (!LAYOUT_MODES.includes(mode)) {
+            console.error(`[🍉 Layout] Invalid layout mode "${mode}". Use: ${LAYOUT_MODES.join(', ')}`);
+            return;
+        }
+        layoutPreference = mode;
+        handleLayoutResize();
+    }
     
     // Initialize Central Content Panel system
     const centralPanel = new CentralContentPanel({
         radius: 3,
         width: 6,
-        height: 4
+        height: 4,
+        direction: translator.dir,
+        onRequestContent: (itemTitle) => loadContentForItem(itemTitle),
     });
     
     // Store references to Three.js objects in the panel
@@ -1260,11 +1440,9 @@ export function mountCarousel3D(container, menuData) {
     // Add central panel to scene
     scene.add(centralPanel);
     
-    // Expose central panel globally for content loading
-    window.centralPanel = centralPanel;
+    debugGlobals.expose('centralPanel', centralPanel);
     
     console.warn("[Watermelon] Added central content panel to scene");
-    console.warn("[Watermelon] Central panel available:", !!window.centralPanel);
 
     const mobileEnhancementsEnabled = mobileSettings.enableMobileEnhancements;
 
@@ -1504,6 +1682,7 @@ export function mountCarousel3D(container, menuData) {
     // New function to update the activeSubmenu reference
     function setActiveSubmenu(submenu, { parentIndex = null } = {}) {
         activeSubmenu = submenu;
+        selectedChildLabel = null;
 
         // Always notify the main carousel about submenu state change for dimming effects
         if (typeof carousel?.setSubmenuState === 'function') {
@@ -1544,6 +1723,7 @@ export function mountCarousel3D(container, menuData) {
         if (!submenu) {
             clearSubmenuInteractionState();
         }
+        notifySubmenuChange();
     }
     
     // Use the global guard for transitions between carousel and submenus
@@ -1608,7 +1788,7 @@ export function mountCarousel3D(container, menuData) {
                     carousel,
                     submenus,
                     setActiveSubmenu,
-                    currentTheme,
+                    currentTheme: { ...currentTheme, ...textDetail, ...layoutOptions(), getItemMeta: getItemMetaAt([item]) },
                     getItemAngles,
                     guard: globalGuard  // Pass the global guard explicitly
                 });
@@ -1663,10 +1843,12 @@ export function mountCarousel3D(container, menuData) {
         if (!activeSubmenu) return Promise.resolve();
         
         console.warn('[Watermelon] Closing existing submenu...');
+        collapseNestedSubmenus();
         
         return new Promise((resolve) => {
             const closingSubmenu = activeSubmenu;
             setActiveSubmenu(null);
+            updateSubmenuNavigation();
             
             // Hide animation
             closingSubmenu.hide?.();
@@ -1722,33 +1904,29 @@ export function mountCarousel3D(container, menuData) {
             console.warn(`[🍉 Nested] Closing nested submenu (level ${activeSubmenu.nestingLevel}), returning to parent`);
             
             // Pop navigation state
-            window.menuTree?.popNavigation();
-            console.warn(`[🍉 Nested] Navigation depth after pop: ${window.menuTree?.getNavigationDepth()}`);
-            console.warn(`[🍉 Nested] Breadcrumb: ${window.menuTree?.getBreadcrumb().join(' > ')}`);
+            selectedChildLabel = null;
+            menuTree.popNavigation();
+            console.warn(`[🍉 Nested] Navigation depth after pop: ${menuTree.getNavigationDepth()}`);
+            console.warn(`[🍉 Nested] Breadcrumb: ${menuTree.getBreadcrumb().join(' > ')}`);
             
             const nestedSubmenu = activeSubmenu;
             const parentSubmenu = nestedSubmenu.parentSubmenu;
             
-            // Animate out nested submenu
-            gsap.to(nestedSubmenu.group.scale, {
-                x: 0, y: 0, z: 0,
-                duration: 0.25,
-                ease: 'back.in(1.2)',
-                onComplete: () => {
-                    scene.remove(nestedSubmenu.group);
-                    nestedSubmenu.dispose?.();
-                }
-            });
-            
-            // Restore parent submenu
-            parentSubmenu.group.visible = true;
-            gsap.to(parentSubmenu.group.scale, {
-                x: 1, y: 1, z: 1,
-                duration: 0.3,
-                ease: 'back.out(1.2)'
-            });
+            // Animate out nested submenu, then dispose it
+            nestedSubmenu.hide?.();
+            const timeoutId = setTimeout(() => {
+                scene.remove(nestedSubmenu);
+                nestedSubmenu.dispose?.();
+                const index = timeoutIds.indexOf(timeoutId);
+                if (index > -1) timeoutIds.splice(index, 1);
+            }, 300);
+            timeoutIds.push(timeoutId);
             
+            // Bring the parent level forward again
+            parentSubmenu.setDimmed?.(false);
             activeSubmenu = parentSubmenu;
+            scene.userData.activeSubmenu = parentSubmenu;
+            updateSubmenuNavigation();
             console.warn(`[🍉 Nested] Returned to parent submenu (level ${parentSubmenu.nestingLevel || 1})`);
             return; // Don't proceed with full close
         }
@@ -1756,9 +1934,10 @@ export function mountCarousel3D(container, menuData) {
         // Standard close for non-nested submenus (original logic)
         const closingSubmenu = activeSubmenu;
         setActiveSubmenu(null);
+        updateSubmenuNavigation();
         
         // Pop navigation back to root if we have any navigation state
-        window.menuTree?.resetNavigation();
+        menuTree.resetNavigation();
         console.warn(`[🍉 Nested] Navigation reset to root`);
         
         // Use the guard to manage transition state
@@ -1842,6 +2021,132 @@ export function mountCarousel3D(container, menuData) {
         }
         // controls.enabled = true; // This might interfere, review if needed
     }
+    // ============================================
+    // PHASE 3: NESTED SUBMENU SUPPORT
+    // Replace the active submenu with the children of one of its items (clicks and URL restore)
+    // ============================================
+    function openNestedSubmenu(parentItem, item, nestedChildren) {
+        selectedChildLabel = null;
+        console.warn(`[🍉 Nested] Item "${item}" has ${nestedChildren.length} children - spawning nested submenu`);
+        
+        // Push navigation state for breadcrumb tracking
+        menuTree.pushNavigation(parentItem, item);
+        console.warn(`[🍉 Nested] Navigation depth: ${menuTree.getNavigationDepth()}`);
+        console.warn(`[🍉 Nested] Breadcrumb: ${menuTree.getBreadcrumb().join(' > ')}`);
+        
+        // Keep the current level on screen behind the new one
+        const parentSubmenu = activeSubmenu;
+        parentSubmenu.setDimmed?.(true);
+        const nestingLevel = (parentSubmenu.nestingLevel || 1) + 1;
+        
+        // Spawn nested submenu with children; it anchors to the same main item and offsets by level
+        const nestedSubmenu = new Carousel3DSubmenu(parentSubmenu.parentItem, nestedChildren, {
+            ...currentTheme,
+            ...textDetail,
+            ...layoutOptions(),
+            getItemMeta: getItemMetaAt([...getOpenMenuPath(), item]),
+            carousel,
+            angles: getItemAngles(nestedChildren.length),
+            guard: globalGuard,
+            nestingLevel
+        });
+        nestedSubmenu.scene = scene;
+        nestedSubmenu.camera = camera;
+        nestedSubmenu.isNestedSubmenu = true;
+        nestedSubmenu.parentSubmenu = parentSubmenu;
+        nestedSubmenu.menuLabel = item;
+        scene.add(nestedSubmenu);
+        
+        activeSubmenu = nestedSubmenu;
+        scene.userData.activeSubmenu = nestedSubmenu;
+        nestedSubmenu.update();
+        nestedSubmenu.show?.();
+        updateSubmenuNavigation();
+        console.warn(`[🍉 Nested] Nested submenu spawned at level ${nestedSubmenu.nestingLevel}`);
+    }
+
+    // Drop every nested level at once, leaving the main item's submenu active (switching items, dispose)
+    function collapseNestedSubmenus() {
+        if (!activeSubmenu?.isNestedSubmenu) return;
+        while (activeSubmenu?.isNestedSubmenu) {
+            const nestedSubmenu = activeSubmenu;
+            activeSubmenu = nestedSubmenu.parentSubmenu;
+            scene.remove(nestedSubmenu);
+            nestedSubmenu.dispose?.();
+        }
+        activeSubmenu?.setDimmed?.(false);
+        scene.userData.activeSubmenu = activeSubmenu;
+        selectedChildLabel = null;
+        menuTree.resetNavigation();
+    }
+
+    // Select a leaf submenu item: preview it and load its content (clicks and URL restore)
+    function selectSubmenuChild(index, parentItem, item) {
+        // Force index sync
+        activeSubmenu.currentIndex = index; // Sync the current index of the submenu to the clicked index
+        selectedChildLabel = item;
+        if (mobileEnhancementsEnabled) {
+            const parentIndex = activeSubmenu.parentItem?.userData?.index ?? carousel.currentIndex ?? null;
+            updateSubmenuInteractionState({
+                open: true,
+                parentIndex,
+                selectedChildIndex: index,
+            });
+        } else {
+            carousel.setSubmenuState?.({ selectedChildIndex: index }); // Announces the child (URL state, bridge)
+        }
+        
+        console.warn(`[🍉 Content] Submenu item selected: ${parentItem} > ${item}`);
+        
+        // Show the submenu item preview first
+        activeSubmenu.selectItem(index, true, true); // Show preview
+        
+        // Load content asynchronously
+        loadContentForItem(parentItem, item).then(contentData => {
+            if (contentData) {
+                console.warn(`[🍉 Content] Successfully loaded content for ${parentItem} > ${item}`);
+                
+                // MOBILE LAYER: Shift camera to display layer when content is loaded
+                const isMobileForLayer = typeof window !== 'undefined' && window.innerWidth < 768;
+                if (isMobileForLayer && typeof transitionToLayer === 'function') {
+                    transitionToLayer('display', 0.5);
+                    console.warn('[🍉 Mobile Layer] Transitioned to display layer');
+                }
+                
+                // Handle special content types that might need floating panels
+                if (contentData.type === 'cart' || 
+                    contentData.type === 'dashboard' || 
+                    item.toLowerCase().includes('cart') ||
+                    item.toLowerCase().includes('about') ||
+                    item.toLowerCase().includes('favorites')) {
+                    
+                    const id = item.toLowerCase();
+                    waitForWindowWM(id); // Wait for window.__wm__ to be ready before triggering content
+                    console.warn(`🍉 Attempting to trigger floating panel: ${id}`);
+                }
+            }                    }).catch(error => {
+            console.error(`[🍉 Content] Failed to load content for ${parentItem} > ${item}:`, error);
+        });
+    }
+
+    // Activate a submenu item (click, gamepad A, remote OK): open its children or load its content
+    function activateSubmenuItem(index, item) {
+        // ============================================
+        // PHASE 3: NESTED SUBMENU SUPPORT
+        // Check if this submenu item has children (deeper nesting)
+        // ============================================
+        const parentItem = activeSubmenu.parentItem?.userData?.item || 'Unknown';
+        const nestedChildren = menuTree.getChildrenOf(parentItem, item);
+        
+        if (nestedChildren && nestedChildren.length > 0) {
+            openNestedSubmenu(parentItem, item, nestedChildren);
+            return; // Spawning nested submenu instead of loading content
+        }
+        
+        // No children - proceed with normal content loading
+        selectSubmenuChild(index, parentItem, item);
+    }
+
     // Define click handler
     function handleCarouselClick(event) {
         // Check spawning lock first - prevents double-clicks
@@ -1853,15 +2158,15 @@ export function mountCarousel3D(container, menuData) {
         // Optional: If transition has been stuck for too long, repair the state
         if (globalGuard.isTransitioning) {
             const now = Date.now();
-            if (!window._lastTransitionTime) {
-                window._lastTransitionTime = now;
-            } else if (now - window._lastTransitionTime > 5000) { // 5 seconds
+            if (!transitionWatchdog.clickStuckSince) {
+                transitionWatchdog.clickStuckSince = now;
+            } else if (now - transitionWatchdog.clickStuckSince > 5000) { // 5 seconds
                 console.warn("[Watermelon] Transition appears stuck, repairing state");
                 repairBrokenState();
-                window._lastTransitionTime = null;
+                transitionWatchdog.clickStuckSince = null;
             }
         } else {
-            window._lastTransitionTime = null;
+            transitionWatchdog.clickStuckSince = null;
         }
     
         // Check the guard state
@@ -1927,111 +2232,7 @@ export function mountCarousel3D(container, menuData) {
                         return; // Exit if no item is found
                     }
                     
-                    // ============================================
-                    // PHASE 3: NESTED SUBMENU SUPPORT
-                    // Check if this submenu item has children (deeper nesting)
-                    // ============================================
-                    const parentItem = activeSubmenu.parentItem?.userData?.item || 'Unknown';
-                    const nestedChildren = window.menuTree?.getChildrenOf(parentItem, item);
-                    
-                    if (nestedChildren && nestedChildren.length > 0) {
-                        console.warn(`[🍉 Nested] Item "${item}" has ${nestedChildren.length} children - spawning nested submenu`);
-                        
-                        // Push navigation state for breadcrumb tracking
-                        window.menuTree?.pushNavigation(parentItem, item);
-                        console.warn(`[🍉 Nested] Navigation depth: ${window.menuTree?.getNavigationDepth()}`);
-                        console.warn(`[🍉 Nested] Breadcrumb: ${window.menuTree?.getBreadcrumb().join(' > ')}`);
-                        
-                        // Close current submenu first
-                        const parentSubmenu = activeSubmenu;
-                        const parentMesh = parentSubmenu.parentItem;
-                        
-                        // Animate out current submenu
-                        gsap.to(parentSubmenu.group.scale, {
-                            x: 0.8, y: 0.8, z: 0.8,
-                            duration: 0.2,
-                            onComplete: () => {
-                                parentSubmenu.group.visible = false;
-                            }
-                        });
-                        
-                        // Spawn nested submenu with children
-                        const nestedSubmenu = new Carousel3DSubmenu(scene, camera, parentMesh, nestedChildren, {
-                            radius: 2.5 * 0.85, // Slightly smaller for nested
-                            vertical: !carousel.isMobile, // Desktop = horizontal, mobile = Ferris wheel
-                            isFerrisWheelMode: carousel.isMobile,
-                            isMobile: carousel.isMobile,
-                            parentCarousel: carousel
-                        });
-                        nestedSubmenu.parentItem = parentMesh;
-                        nestedSubmenu.isNestedSubmenu = true;
-                        nestedSubmenu.parentSubmenu = parentSubmenu;
-                        nestedSubmenu.nestingLevel = (parentSubmenu.nestingLevel || 1) + 1;
-                        
-                        // Position nested submenu
-                        const isMobileNested = carousel.isMobile;
-                        if (isMobileNested) {
-                            nestedSubmenu.group.position.set(2, 0, 10); // Submenu layer position
-                        } else {
-                            nestedSubmenu.group.position.set(parentMesh.position.x + 2.5, parentMesh.position.y, parentMesh.position.z);
-                        }
-                        
-                        // Animate in nested submenu
-                        nestedSubmenu.group.scale.set(0, 0, 0);
-                        gsap.to(nestedSubmenu.group.scale, {
-                            x: 1, y: 1, z: 1,
-                            duration: 0.3,
-                            ease: 'back.out(1.2)'
-                        });
-                        
-                        activeSubmenu = nestedSubmenu;
-                        console.warn(`[🍉 Nested] Nested submenu spawned at level ${nestedSubmenu.nestingLevel}`);
-                        return; // Exit - we're spawning nested submenu instead of loading content
-                    }
-                    
-                    // No children - proceed with normal content loading
-                    // Force index sync
-                    activeSubmenu.currentIndex = index; // Sync the current index of the submenu to the clicked index
-                    if (mobileEnhancementsEnabled) {
-                        const parentIndex = activeSubmenu.parentItem?.userData?.index ?? carousel.currentIndex ?? null;
-                        updateSubmenuInteractionState({
-                            open: true,
-                            parentIndex,
-                            selectedChildIndex: index,
-                        });
-                    }
-                    
-                    console.warn(`[🍉 Content] Submenu item selected: ${parentItem} > ${item}`);
-                    
-                    // Show the submenu item preview first
-                    activeSubmenu.selectItem(index, true, true); // Show preview
-                    
-                    // Load content asynchronously
-                    loadContentForItem(parentItem, item).then(contentData => {
-                        if (contentData) {
-                            console.warn(`[🍉 Content] Successfully loaded content for ${parentItem} > ${item}`);
-                            
-                            // MOBILE LAYER: Shift camera to display layer when content is loaded
-                            const isMobileForLayer = typeof window !== 'undefined' && window.innerWidth < 768;
-                            if (isMobileForLayer && typeof transitionToLayer === 'function') {
-                                transitionToLayer('display', 0.5);
-                                console.warn('[🍉 Mobile Layer] Transitioned to display layer');
-                            }
-                            
-                            // Handle special content types that might need floating panels
-                            if (contentData.type === 'cart' || 
-                                contentData.type === 'dashboard' || 
-                                item.toLowerCase().includes('cart') ||
-                                item.toLowerCase().includes('about') ||
-                                item.toLowerCase().includes('favorites')) {
-                                
-                                const id = item.toLowerCase();
-                                waitForWindowWM(id); // Wait for window.__wm__ to be ready before triggering content
-                                console.warn(`🍉 Attempting to trigger floating panel: ${id}`);
-                            }
-                        }                    }).catch(error => {
-                        console.error(`[🍉 Content] Failed to load content for ${parentItem} > ${item}:`, error);
-                    });
+                    activateSubmenuItem(index, item);
                 } else if (obj.userData?.isCloseButton || obj.parent?.userData?.isCloseButton) { // Check if the clicked object or its parent is the close button
                     // Handle close button click
                     closeSubmenu(); // Call the closeSubmenu function to close the active submenu
@@ -2171,7 +2372,7 @@ export function mountCarousel3D(container, menuData) {
                     const angleStep = (2 * Math.PI) / carousel.itemMeshes.length;
                     const currentRotation = carousel.itemGroup.rotation[rotationProp];
                     // Ferris wheel uses positive rotation, horizontal uses negative
-                    const targetAngle = isFerrisWheel ? (i * angleStep) : (-i * angleStep);
+                    const targetAngle = isFerrisWheel ? (i * angleStep) : -carousel.getItemAngle(i);
                     
                     // Shortest angular distance
                     const twoPi = Math.PI * 2;
@@ -2184,6 +2385,7 @@ export function mountCarousel3D(container, menuData) {
                     const newRotation = currentRotation + delta;
                     carousel.currentIndex = i;
                     carousel.targetRotation = newRotation;
+                    carousel.notifySelectionChange?.(i);
                     
                     // Apply visual highlight immediately
                     carousel.itemMeshes.forEach((mesh, idx) => {
@@ -2241,8 +2443,122 @@ export function mountCarousel3D(container, menuData) {
         });
     }
     window.addEventListener('click', handleCarouselClick); // Attach click event listener to the window
+    // =======================
+    // GAMEPAD & REMOTE NAVIGATION
+    // Actions pass the same guard checks as wheel (canScroll) and click (canSelect) input
+    // =======================
+    // Left/right input is spatial: in right-to-left locales the next item sits on the left
+    const MIRRORED_ACTIONS = { next: 'prev', prev: 'next' };
+    const toReadingAction = (action) => (translator.dir === 'rtl' ? MIRRORED_ACTIONS[action] ?? action : action);
+
+    function handleNavigationAction(action) {
+        switch (action) {
+            case 'next':
+            case 'prev':
+                // Left/right only rotates the main ring, as with the arrow keys
+                if (activeSubmenu || !globalGuard.canScroll() || carousel.isAnimating) return;
+                if (action === 'next') carousel.goToNext();
+                else carousel.goToPrev();
+                break;
+            case 'up':
+            case 'down':
+                if (!activeSubmenu?.scrollSubmenu || !globalGuard.canScroll()) return;
+                activeSubmenu.scrollSubmenu(action === 'down' ? 1 : -1);
+                break;
+            case 'select': {
+                if (isSpawningSubmenu || !globalGuard.canSelect()) return;
+                if (activeSubmenu) {
+                    const index = activeSubmenu.currentIndex;
+                    const item = activeSubmenu.items?.[index];
+                    if (item) activateSubmenuItem(index, item);
+                } else {
+                    carousel.onItemClick(carousel.currentIndex, items[carousel.currentIndex]);
+                }
+                break;
+            }
+            case 'back':
+                if (activeSubmenu) {
+                    closeSubmenu();
+                } else if (carousel.isScattered?.()) {
+                    carousel.reassembleRing();
+                }
+                break;
+            case 'nextBackground':
+            case 'prevBackground':
+                if (!backgroundManager || globalGuard.isTransitioning) return;
+                if (action === 'nextBackground') backgroundManager.cycleNext();
+                else backgroundManager.cyclePrevious();
+                break;
+            default:
+                break;
+        }
+    }
+
+    const gamepadInput = new GamepadInput({
+        mapping: carouselConfig.gamepad,
+        onAction: (action) => handleNavigationAction(toReadingAction(action))
+    });
+
+    // =======================
+    // ACCESSIBILITY LAYER
+    // Off-screen DOM menu mirroring the 3D menu for keyboard and screen-reader users
+    // =======================
+    const hasSubmenuFlags = items.map(item => Boolean(submenus[item]?.length));
+    let a11yFocusVisible = false;
+    const focusIndicator = new FocusIndicator3D(scene);
+    const accessibleMenu = new AccessibleMenu(container, {
+        onAction: handleNavigationAction,
+        // Home/End/typeahead move the selection without activating the item
+        onFocusItem: (levelIndex, index) => {
+            if (levelIndex === 0) {
+                if (activeSubmenu || !globalGuard.canScroll() || carousel.isAnimating) return;
+                carousel.selectItem(index, true);
+            } else if (activeSubmenu && levelIndex === getSubmenuLevels().length && globalGuard.canScroll()) {
+                activeSubmenu.selectItem(index, true, false);
+            }
+        },
+        onFocusVisibleChange: (visible) => {
+            a11yFocusVisible = visible;
+        },
+        t: translator.t,
+        direction: translator.dir
+    });
+
+    function getAccessibleMenuState() {
+        return {
+            items: items.map(translateLabel),
+            currentIndex: carousel.currentIndex,
+            hasSubmenu: hasSubmenuFlags,
+            levels: getSubmenuLevels().map((level) => {
+                // Children are resolved against the navigation stack, so only while the level is innermost
+                if (level === activeSubmenu && !level.childFlags && level.items) {
+                    const parentLabel = level.parentItem?.userData?.item;
+                    level.childFlags = level.items.map(label => Boolean(menuTree.getChildrenOf(parentLabel, label)?.length));
+                }
+                return {
+                    label: translateLabel(level.menuLabel ?? level.parentItem?.userData?.item ?? ''),
+                    items: (level.items ?? []).map(translateLabel),
+                    currentIndex: level.currentIndex,
+                    hasChildren: level.childFlags,
+                };
+            }),
+        };
+    }
+
+    function updateAccessibilityLayer() {
+        accessibleMenu.sync(getAccessibleMenuState());
+        const focusedMesh = activeSubmenu
+            ? activeSubmenu.itemMeshes?.[activeSubmenu.currentIndex]
+            : carousel.itemMeshes[carousel.currentIndex];
+        focusIndicator.setTarget(a11yFocusVisible ? focusedMesh ?? null : null);
+        focusIndicator.update(camera);
+    }
+
     // Define keydown handler 
     const keydownHandler = (e) => {
+        // TV remotes report OK/Back/media keys as key events
+        if (gamepadInput.handleKey(e)) return;
+        
         // ESC always works to close submenu
         if (e.key === 'Escape' && activeSubmenu) {
             console.warn('[🍉 Key] ESC pressed - closing submenu');
@@ -2251,6 +2567,13 @@ export function mountCarousel3D(container, menuData) {
             return;
         }
         
+        // Backspace steps back out of a nested level (ESC does the same)
+        if (e.key === 'Backspace' && activeSubmenu?.isNestedSubmenu && !e.target?.closest?.('input, textarea, select, [contenteditable="true"]')) {
+            e.preventDefault();
+            closeSubmenu();
+            return;
+        }
+        
         // Block arrow keys on main carousel when submenu is open
         if (activeSubmenu) {
             // Optional: Could allow Up/Down to navigate submenu here
@@ -2269,27 +2592,181 @@ export function mountCarousel3D(container, menuData) {
         }
         
         // Normal main carousel navigation (no submenu open)
-        if (e.key === 'ArrowRight') carousel.goToNext();
-        else if (e.key === 'ArrowLeft') carousel.goToPrev();
+        if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            const action = toReadingAction(e.key === 'ArrowRight' ? 'next' : 'prev');
+            if (action === 'next') carousel.goToNext();
+            else carousel.goToPrev();
+        }
     };
     window.addEventListener('keydown', keydownHandler); // Attach keydown event listener to the window
     const themes = [defaultCarouselStyle, darkTheme, cyberpunkTheme, lightTheme, minimalTheme]; // Define available themes
+    const themeNames = ['default', 'dark', 'cyberpunk', 'light', 'minimal']; // Names for controller.setTheme
     let themeIndex = 0; // Initialize theme index to 0
-    const toggleTheme = () => { // Cycle through themes
-        themeIndex = (themeIndex + 1) % themes.length; // Update theme index to cycle through available themes
-        currentTheme = themes[themeIndex]; // Update current theme to the next theme in the array
-        closeSubmenu(true); // Close any active submenu immediately
+    const toggleTheme = () => setTheme((themeIndex + 1) % themes.length); // Cycle through themes
+    function setTheme(nameOrIndex) {
+        const nextIndex = typeof nameOrIndex === 'number' ? nameOrIndex : themeNames.indexOf(nameOrIndex);
+        if (!themes[nextIndex]) {
+            console.error(`[🍉 Theme] Unknown theme "${nameOrIndex}". Use: ${themeNames.join(', ')}`);
+            return;
+        }
+        themeIndex = nextIndex;
+        currentTheme = themes[themeIndex]; // Update current theme
         scene.background = new THREE.Color(currentTheme.backgroundColor); // Update scene background color to match the new theme
+        rebuildCarousel();
+        controllerEvents.emit('theme', { name: themeNames[themeIndex], index: themeIndex });
+    }
+    // Rebuild the ring with the current theme and locale (labels are baked into its geometry)
+    function rebuildCarousel() {
+        closeSubmenu(true); // Close any active submenu immediately
         scene.remove(carousel); // Remove the old carousel from the scene
-        const newCarousel = new Carousel3DPro(items, currentTheme); // Create a new carousel instance with the updated theme
+        const newCarousel = new Carousel3DPro(items, { ...currentTheme, ...textDetail, ...layoutOptions() }); // Create a new carousel instance with the updated theme
         newCarousel.userData = { camera }; // Store camera reference in userData for later access
         newCarousel.onItemClick = carousel.onItemClick; // Reassign the onItemClick handler to the new carousel
         scene.add(newCarousel); //  Add the new carousel to the scene
         if (carousel.dispose) carousel.dispose(); // Dispose the old carousel if it has a dispose method
         Object.assign(carousel, newCarousel); // Copy properties from the new carousel to the old one
+    }
+    // Switch label / HUD language without reloading: menu keys stay the same, only what is shown changes
+    function setLocale(nextLocale, nextLabels = {}) {
+        const nextTranslator = createCarouselTranslator(nextLocale, nextLabels);
+        if (nextTranslator.key === translator.key && JSON.stringify(nextLabels) === JSON.stringify(labels ?? {})) return;
+        translator = nextTranslator;
+        labels = nextLabels;
+        contentManager.setTranslator(translator);
+        submenuCloseProxyButton.textContent = translator.t('closeSubmenu');
+        submenuCloseProxyButton.setAttribute('aria-label', translator.t('closeSubmenu'));
+        submenuBreadcrumb.setLabel(translator.t('submenuPath'));
+        submenuBreadcrumb.setDirection(translator.dir);
+        accessibleMenu.setTranslator(translator.t);
+        accessibleMenu.setDirection(translator.dir);
+        centralPanel.setDirection(translator.dir);
+        cameraHUD?.setDirection(translator.dir);
+        rebuildCarousel();
+        updateSubmenuNavigation();
+        if (currentContentItem) loadContentForItem(currentContentItem);
+        controllerEvents.emit('locale', { ...translator.locale });
+    }
+    // =======================
+    // DEEP LINKS (URL hash <-> carousel state)
+    // Selected item, open submenu levels, selected child and scatter are mirrored into the hash.
+    // Back/forward replays them through NavigationHistory with the same animations as clicks.
+    // =======================
+    let carouselUrlSync = null;
+    const URL_STATE_EVENTS = ['carousel-selection-change', 'carousel-submenu-state', 'carousel-scattered', 'carousel-reassembled'];
+    const commitCarouselUrlState = () => carouselUrlSync?.commit();
+
+    function getCarouselUrlState() {
+        const open = !!activeSubmenu;
+        return {
+            item: items[carousel.currentIndex] ?? null,
+            submenu: open,
+            nested: open ? menuTree.getBreadcrumb() : [],
+            child: open ? selectedChildLabel : null,
+            scatter: carousel.isScattered?.() ?? false,
+        };
+    }
+
+    // Resolves true once `condition` holds (polled every 50ms), or false after `timeoutMs`
+    function waitUntil(condition, timeoutMs = 3000) {
+        return new Promise((resolve) => {
+            const startedAt = performance.now();
+            const check = () => {
+                if (condition()) return resolve(true);
+                if (performance.now() - startedAt > timeoutMs) return resolve(false);
+                setTimeout(check, 50);
+            };
+            check();
+        });
+    }
+
+    const isCarouselIdle = () =>
+        carousel.itemMeshes.length > 0 &&
+        !carousel.isAnimating &&
+        !globalGuard.isTransitioning &&
+        !isTransitioning &&
+        !isSpawningSubmenu;
+
+    async function applyCarouselUrlState(target) {
+        await waitUntil(isCarouselIdle, 10000);
+
+        const urlIndex = target.item ? items.indexOf(target.item) : -1;
+        const targetIndex = urlIndex >= 0 ? urlIndex : carousel.currentIndex;
+        const itemChanged = targetIndex !== carousel.currentIndex;
+
+        // Unwind whatever the target does not share with the current state
+        if (carousel.isScattered?.() && (!target.scatter || itemChanged)) {
+            await carousel.reassembleRing();
+        }
+        const currentNested = menuTree.getBreadcrumb();
+        let sharedDepth = 0;
+        while (sharedDepth < currentNested.length && currentNested[sharedDepth] === target.nested[sharedDepth]) {
+            sharedDepth += 1;
+        }
+        if (activeSubmenu && (itemChanged || !target.submenu)) {
+            while (activeSubmenu?.isNestedSubmenu) closeSubmenu();
+            closeSubmenu();
+            await waitUntil(() => !activeSubmenu && isCarouselIdle());
+        } else {
+            while (activeSubmenu?.isNestedSubmenu && menuTree.getNavigationDepth() > sharedDepth) {
+                closeSubmenu();
+            }
+        }
+
+        if (itemChanged) {
+            carousel.selectItem(targetIndex, true);
+            await waitUntil(isCarouselIdle);
+        }
+
+        const itemLabel = items[targetIndex];
+        if (target.submenu && !activeSubmenu && submenus[itemLabel]) {
+            await carousel.onItemClick(targetIndex, itemLabel);
+            await waitUntil(() => activeSubmenu?.itemMeshes?.length > 0 && isCarouselIdle());
+        }
+
+        if (activeSubmenu) {
+            const parentLabel = activeSubmenu.parentItem?.userData?.item || itemLabel;
+            const openDepth = menuTree.getNavigationDepth();
+            for (const label of target.nested.slice(openDepth)) {
+                const nestedChildren = menuTree.getChildrenOf(parentLabel, label);
+                if (!nestedChildren?.length) break;
+                openNestedSubmenu(parentLabel, label, nestedChildren);
+                await waitUntil(() => activeSubmenu?.itemMeshes?.length > 0);
+            }
+            const childIndex = target.child ? activeSubmenu.items?.indexOf(target.child) ?? -1 : -1;
+            if (childIndex >= 0 && target.child !== selectedChildLabel) {
+                selectSubmenuChild(childIndex, parentLabel, target.child);
+            }
+        }
+
+        if (target.scatter && !carousel.isScattered?.()) {
+            await carousel.scatterRing(targetIndex);
+        }
+    }
+
+    menuTreeReady.then(() => {
+        const navHistory = getNavigationHistory();
+        if (!navHistory || animationFrameId === null) return; // Tree failed to load, or already disposed
+        carouselUrlSync = navHistory.bindBrowserHistory({
+            getState: getCarouselUrlState,
+            applyState: applyCarouselUrlState,
+        });
+        URL_STATE_EVENTS.forEach(eventName => window.addEventListener(eventName, commitCarouselUrlState));
+        carouselUrlSync.restore();
+    });
+
+    // Re-emit the ring's window events on the controller (submenu changes come from notifySubmenuChange)
+    const controllerEventForwarders = {
+        'carousel-selection-change': (e) => controllerEvents.emit('select', { index: e.detail.index, label: e.detail.label }),
+        'carousel-scattered': () => controllerEvents.emit('scatter', { scattered: true }),
+        'carousel-reassembled': () => controllerEvents.emit('scatter', { scattered: false }),
     };
+    Object.entries(controllerEventForwarders).forEach(([eventName, handler]) => window.addEventListener(eventName, handler));
+
     const animate = () => { 
         animationFrameId = requestAnimationFrame(animate); 
+        qualityManager.sample();
+        gamepadInput.poll();
+        updateAccessibilityLayer();
         
         // Only do detailed checks occasionally to avoid log spam
         const doDetailedCheck = Math.random() < 0.001; // ~0.1% of frames
@@ -2346,7 +2823,7 @@ export function mountCarousel3D(container, menuData) {
                         }
                         
                         // Check if we should regenerate items if they're missing
-                        if (doDetailedCheck && activeSubmenu.itemMeshes.length === 0 && activeSubmenu.font) {
+                        if (doDetailedCheck && activeSubmenu.itemMeshes.length === 0 && activeSubmenu.textRenderer) {
                             console.warn('[🍉 Frame] Attempting to recreate missing submenu items');
                             activeSubmenu.createItems();
                         }
@@ -2463,6 +2940,7 @@ export function mountCarousel3D(container, menuData) {
         camera.aspect = window.innerWidth / window.innerHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(window.innerWidth, window.innerHeight);
+        backgroundManager?.resize(window.innerWidth, window.innerHeight);
         console.log('[Watermelon] Window resize handled');
     };
     
@@ -2489,7 +2967,19 @@ export function mountCarousel3D(container, menuData) {
             console.warn("Cleared waitForWindowWM interval."); // Debug log
         }
         console.warn("Timeouts and intervals cleared."); // Debug log
+        ambientController.dispose();
+        URL_STATE_EVENTS.forEach(eventName => window.removeEventListener(eventName, commitCarouselUrlState));
+        carouselUrlSync?.dispose();
+        carouselUrlSync = null;
+        Object.entries(controllerEventForwarders).forEach(([eventName, handler]) => window.removeEventListener(eventName, handler));
+        window.removeEventListener('watermelon-cart-updated', handleCartUpdated);
+        window.removeEventListener('resize', handleLayoutResize);
+        debugGlobals.dispose();
         // Dispose BackgroundManager
+        if (presetSyncIntervalId) {
+            clearInterval(presetSyncIntervalId);
+            presetSyncIntervalId = null;
+        }
         if (backgroundManager) {
             try {
                 backgroundManager.dispose();
@@ -2505,7 +2995,6 @@ export function mountCarousel3D(container, menuData) {
                 cameraHUD.dispose();
                 scene.remove(cameraHUD);
                 cameraHUD = null;
-                window.__wmCameraHUD = null;
                 console.warn("CameraHUD disposed."); // Debug log
             } catch (e) {
                 console.warn("CameraHUD dispose error:", e);
@@ -2515,7 +3004,6 @@ export function mountCarousel3D(container, menuData) {
             try {
                 cartHUDIcon.dispose();
                 cartHUDIcon = null;
-                window.__wmCartHUDIcon = null;
                 console.warn("CartHUDIcon disposed."); // Debug log
             } catch (e) {
                 console.warn("CartHUDIcon dispose error:", e);
@@ -2528,6 +3016,9 @@ export function mountCarousel3D(container, menuData) {
         window.removeEventListener('wheel', wheelEventHandler, { capture: true }); // Ensure capture matches addEventListener
         window.removeEventListener('click', handleCarouselClick); // Remove click event listener 
         window.removeEventListener('keydown', keydownHandler); // Remove keydown event listener
+        gamepadInput.dispose();
+        accessibleMenu.dispose();
+        focusIndicator.dispose();
         window.removeEventListener('touchstart', touchStartHandler, { passive: false }); // Ensure options match
         window.removeEventListener('touchmove', touchMoveHandler, { passive: false }); // Ensure options match
         window.removeEventListener('touchend', touchEndHandler, { passive: false }); // Ensure options match
@@ -2559,6 +3050,9 @@ export function mountCarousel3D(container, menuData) {
         console.warn("GSAP animations killed."); // Debug log
         // Phase 4: Dispose Submenu and Carousel
         console.warn("Disposing Three.js objects..."); // Debug log
+        collapseNestedSubmenus();
+        submenuBreadcrumb.dispose();
+        submenuFraming.dispose();
         if (activeSubmenu) {
             const disposingSubmenu = activeSubmenu;
             // Ensure GSAP tweens targeting the submenu are killed *before* disposal
@@ -2621,6 +3115,8 @@ export function mountCarousel3D(container, menuData) {
         // scene = null; // Don't nullify if needed elsewhere
         console.warn("Carousel disposal complete."); // Debug log
         console.groupEnd(); // End collapsed group
+        controllerEvents.emit('dispose');
+        controllerEvents.clear();
     };
 
     // New function to repair broken state (when submenu closes but clicks aren't registered)
@@ -2656,15 +3152,15 @@ export function mountCarousel3D(container, menuData) {
         // Check transition state and repair if needed
         if (globalGuard.isTransitioning) {
             const now = Date.now();
-            if (!window._lastTransitionCheckTime) {
-                window._lastTransitionCheckTime = now;
-            } else if (now - window._lastTransitionCheckTime > 3000) { // 3 seconds
+            if (!transitionWatchdog.checkStuckSince) {
+                transitionWatchdog.checkStuckSince = now;
+            } else if (now - transitionWatchdog.checkStuckSince > 3000) { // 3 seconds
                 console.warn("[Watermelon] Transition appears stuck during check, repairing state");
                 repairBrokenState();
-                window._lastTransitionCheckTime = null;
+                transitionWatchdog.checkStuckSince = null;
             }
         } else {
-            window._lastTransitionCheckTime = null;
+            transitionWatchdog.checkStuckSince = null;
         }
         
         // Schedule next check
@@ -2674,16 +3170,71 @@ export function mountCarousel3D(container, menuData) {
     // Start periodic checks
     setTimeout(checkCarouselValidity, 1000);
 
+    // Item index or label -> index (-1 when unknown)
+    const resolveItemIndex = (target) => (typeof target === 'number'
+        ? (items[target] !== undefined ? target : -1)
+        : items.indexOf(target));
+
+    // Controller navigation goes through applyCarouselUrlState, which already sequences the
+    // close/rotate/open animations for deep links
+    async function navigateTo(target, { submenu = false, path = [] } = {}) {
+        const index = resolveItemIndex(target);
+        if (index < 0) {
+            console.error(`[🍉 Controller] Unknown menu item "${target}"`);
+            return;
+        }
+        await applyCarouselUrlState({ item: items[index], submenu, nested: path, child: null, scatter: false });
+    }
+
+    const controller = createCarouselController(controllerEvents, {
+        getState: () => {
+            const urlState = getCarouselUrlState();
+            return {
+                index: carousel.currentIndex,
+                label: urlState.item,
+                submenuOpen: urlState.submenu,
+                path: urlState.nested,
+                child: urlState.child,
+                scattered: urlState.scatter,
+                theme: themeNames[themeIndex],
+                layoutMode: getLayoutMode(),
+                layoutPreference,
+                menuMode,
+                menuSource,
+                locale: { ...translator.locale },
+            };
+        },
+        select: (target) => navigateTo(target),
+        next: () => handleNavigationAction('next'),
+        prev: () => handleNavigationAction('prev'),
+        openSubmenu: (target, path = []) => navigateTo(target, { submenu: true, path }),
+        closeSubmenu: () => closeSubmenu(),
+        closeAllSubmenus: () => closeSubmenuAsync(),
+        setTheme,
+        toggleTheme,
+        setLocale,
+        setLayoutMode,
+        setMenuMode,
+        loadContent: loadContentForItem,
+        clearContentCache: () => contentManager.clearCache(),
+        setBackground: (id) => backgroundManager?.setActive(id),
+        nextBackground: () => backgroundManager?.cycleNext(),
+        prevBackground: () => backgroundManager?.cyclePrevious(),
+        getHUD: () => ({ camera: cameraHUD, cartIcon: cartHUDIcon }),
+        getMenuTree: () => menuTree.getTree(),
+        repairState: () => repairBrokenState(),
+        dispose,
+    });
+
     return {
+        ...controller,
+        // Lower-level handles kept for existing callers and debugging
         carousel, // Return the carousel instance
         scene, // Return the scene instance
         camera, // Return the camera instance
         renderer, // Return the renderer instance
         nextItem: () => carousel.goToNext(), // Return a function to go to the next item
         prevItem: () => carousel.goToPrev(), // Return a function to go to the previous item
-        toggleTheme, // Return the function to toggle themes
-        closeSubmenu, // Keep returning the manual close function
-        dispose, // Return the dispose function
         guard: globalGuard, // Export the guard for external access if needed
         // Add debugging utilities
         debug: {
@@ -2715,6 +3266,12 @@ export function mountCarousel3D(container, menuData) {
             setBackgroundMode: (mode) => backgroundManager?.setActive(mode),
             cycleBackgroundMode: () => backgroundManager?.cycleNext(),
             getValidBackgroundModes: () => backgroundManager?.getBackgrounds()?.map(b => b.id) || ['polygons'],
+            // Ambient lighting: 'auto' | 'dawn' | 'day' | 'dusk' | 'night' | 'off'
+            getAmbientMode: () => ambientController.getMode(),
+            setAmbientMode: (mode) => ambientController.setPreference(mode),
+            // Rendering quality: 'auto' | 'low' | 'medium' | 'high' | 'ultra'
+            getQualityTier: () => qualityManager.getTier(),
+            setQualityTier: (tier) => qualityManager.setPreference(tier),
         }
     };
 }
\ No newline at end of file
@@ -0,0 +1,385 @@
+import * as THREE from 'three';
+import { createCarouselTranslator } from '../CarouselTranslations.js';
+
+/**
+ * Accessibility layer for the WebGL menu: an off-screen DOM menu (`menu` / `menuitem` roles,
+ * `aria-expanded`, `aria-activedescendant`) kept in sync with the carousel and open submenu
+ * levels, keyboard handling (arrows, Enter/Space, Home/End, Escape, typeahead) and a polite
+ * live region that announces selection changes. `FocusIndicator3D` draws the keyboard focus
+ * on the matching 3D item while the DOM menu has visible focus.
+ */
+
+const VISUALLY_HIDDEN_STYLE = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: '0',
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: '0',
+};
+
+const TYPEAHEAD_RESET_MS = 600;
+// Rotations fire several selection changes in a row; announce where they settle
+const ANNOUNCE_DELAY_MS = 200;
+
+// Right-to-left locales: the ring and nested levels run leftwards, so arrows swap meaning
+const MIRRORED_KEYS = { ArrowLeft: 'ArrowRight', ArrowRight: 'ArrowLeft' };
+
+let instanceCount = 0;
+
+/**
+ * @typedef {Object} AccessibleMenuLevel
+ * @property {string} label - Label of the item this level belongs to
+ * @property {string[]} items
+ * @property {number} currentIndex
+ * @property {boolean[]} [hasChildren] - Which items open a further level
+ */
+
+/**
+ * @typedef {Object} AccessibleMenuState
+ * @property {string[]} items - Main carousel labels
+ * @property {number} currentIndex - Selected main item
+ * @property {boolean[]} hasSubmenu - Which main items open a submenu
+ * @property {AccessibleMenuLevel[]} levels - Open submenu levels, outermost first
+ */
+
+export class AccessibleMenu {
+  /**
+   * @param {HTMLElement} container - Carousel container (positioned)
+   * @param {Object} options
+   * @param {function(string): void} options.onAction - Navigation action ('next', 'prev', 'up',
+   *   'down', 'select', 'back'), routed like gamepad input
+   * @param {function(number, number): void} options.onFocusItem - Move the selection to an index
+   *   at a level (0 = main carousel) without activating it (Home/End/typeahead)
+   * @param {function(boolean): void} [options.onFocusVisibleChange] - Keyboard focus entered/left
+   * @param {function(string, Object=): string} [options.t] - UI string lookup (Translator.t);
+   *   labels in `sync` state are expected to be translated already
+   * @param {'ltr'|'rtl'} [options.direction='ltr'] - Text direction; mirrors ←/→
+   */
+  constructor(container, { onAction, onFocusItem, onFocusVisibleChange = () => {}, t = createCarouselTranslator().t, direction = 'ltr' }) {
+    this.onAction = onAction;
+    this.onFocusItem = onFocusItem;
+    this.onFocusVisibleChange = onFocusVisibleChange;
+    this.t = t;
+    this.direction = direction;
+    this.idPrefix = `wm-a11y-${++instanceCount}`;
+
+    this.signature = '';
+    this.state = null;
+    this.typeahead = '';
+    this.typeaheadTimer = null;
+    this.announceTimer = null;
+    this.focusVisible = false;
+
+    this.root = document.createElement('div');
+    this.root.dataset.carouselA11y = 'true';
+    this.root.dir = direction;
+    Object.assign(this.root.style, VISUALLY_HIDDEN_STYLE);
+
+    this.menu = document.createElement('ul');
+    this.menu.id = `${this.idPrefix}-menu`;
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-label', t('mainMenu'));
+    this.menu.setAttribute('aria-orientation', 'horizontal');
+    this.menu.tabIndex = 0;
+    this.root.appendChild(this.menu);
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.root.appendChild(this.liveRegion);
+
+    this._onKeyDown = (event) => this.handleKeyDown(event);
+    this._onFocus = () => this._setFocusVisible(this.menu.matches(':focus-visible'));
+    this._onBlur = () => this._setFocusVisible(false);
+    this.menu.addEventListener('keydown', this._onKeyDown);
+    this.menu.addEventListener('focus', this._onFocus);
+    this.menu.addEventListener('blur', this._onBlur);
+
+    container.appendChild(this.root);
+  }
+
+  /**
+   * Mirror the carousel state. Cheap to call every frame: the DOM is only touched on change.
+   * @param {AccessibleMenuState} state
+   */
+  sync(state) {
+    const signature = JSON.stringify([state.items, state.currentIndex, state.levels]);
+    if (signature === this.signature) return;
+    const previous = this.state;
+    this.signature = signature;
+    this.state = state;
+    this._render();
+    this._queueAnnouncement(previous, state);
+  }
+
+  /**
+   * Switch UI strings (locale change); the next `sync` re-renders.
+   * @param {function(string, Object=): string} t
+   */
+  setTranslator(t) {
+    this.t = t;
+    this.menu.setAttribute('aria-label', t('mainMenu'));
+    this.signature = '';
+  }
+
+  /**
+   * @param {'ltr'|'rtl'} direction
+   */
+  setDirection(direction) {
+    this.direction = direction;
+    this.root.dir = direction;
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (!this.state || event.altKey || event.ctrlKey || event.metaKey) return;
+    const inSubmenu = this.state.levels.length > 0;
+    const level = inSubmenu ? this.state.levels[this.state.levels.length - 1] : null;
+    const labels = level ? level.items : this.state.items;
+    const levelIndex = this.state.levels.length;
+    let handled = true;
+    const key = this.direction === 'rtl' ? MIRRORED_KEYS[event.key] ?? event.key : event.key;
+
+    switch (key) {
+      case 'ArrowRight':
+        if (inSubmenu) {
+          if (level.hasChildren?.[level.currentIndex]) this.onAction('select');
+        } else {
+          this.onAction('next');
+        }
+        break;
+      case 'ArrowLeft':
+        this.onAction(inSubmenu ? 'back' : 'prev');
+        break;
+      case 'ArrowDown':
+        // Down opens the selected item's submenu, as in a menubar
+        this.onAction(inSubmenu ? 'down' : 'select');
+        break;
+      case 'ArrowUp':
+        if (inSubmenu) this.onAction('up');
+        break;
+      case 'Enter':
+      case ' ':
+        this.onAction('select');
+        break;
+      case 'Escape':
+        if (inSubmenu) this.onAction('back');
+        else handled = false;
+        break;
+      case 'Home':
+        this.onFocusItem(levelIndex, 0);
+        break;
+      case 'End':
+        this.onFocusItem(levelIndex, labels.length - 1);
+        break;
+      default:
+        handled = this._handleTypeahead(event.key, labels, levelIndex);
+        break;
+    }
+
+    if (handled) {
+      event.preventDefault();
+      // The window-level keyboard handler must not act on the same key again
+      event.stopPropagation();
+    }
+  }
+
+  dispose() {
+    clearTimeout(this.typeaheadTimer);
+    clearTimeout(this.announceTimer);
+    this.menu.removeEventListener('keydown', this._onKeyDown);
+    this.menu.removeEventListener('focus', this._onFocus);
+    this.menu.removeEventListener('blur', this._onBlur);
+    this.root.remove();
+    this.state = null;
+  }
+
+  /** @private */
+  _handleTypeahead(key, labels, levelIndex) {
+    if (key.length !== 1 || !/\S/u.test(key)) return false;
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadTimer = setTimeout(() => { this.typeahead = ''; }, TYPEAHEAD_RESET_MS);
+
+    const current = levelIndex === 0 ? this.state.currentIndex : this.state.levels[levelIndex - 1].currentIndex;
+    // Repeating one letter cycles through the items starting with it
+    const repeated = this.typeahead.length > 0 && [...this.typeahead].every((char) => char === key.toLowerCase());
+    this.typeahead = repeated ? key.toLowerCase() : this.typeahead + key.toLowerCase();
+
+    const start = repeated || this.typeahead.length === 1 ? current + 1 : current;
+    for (let offset = 0; offset < labels.length; offset += 1) {
+      const index = (start + offset) % labels.length;
+      if (labels[index].toLowerCase().startsWith(this.typeahead)) {
+        if (index !== current) this.onFocusItem(levelIndex, index);
+        break;
+      }
+    }
+    return true;
+  }
+
+  /** @private */
+  _itemId(level, index) {
+    return `${this.idPrefix}-item-${level}-${index}`;
+  }
+
+  /** @private */
+  _render() {
+    const { items, currentIndex, hasSubmenu, levels } = this.state;
+    this.menu.replaceChildren(...items.map((label, index) => {
+      const entry = this._createItem(label, this._itemId(0, index), hasSubmenu[index]);
+      const isOpen = index === currentIndex && levels.length > 0;
+      if (hasSubmenu[index]) entry.item.setAttribute('aria-expanded', String(isOpen));
+      if (isOpen) entry.li.appendChild(this._createLevel(1));
+      return entry.li;
+    }));
+
+    const activeLevel = levels.length;
+    const activeIndex = activeLevel === 0 ? currentIndex : levels[activeLevel - 1].currentIndex;
+    this.menu.setAttribute('aria-activedescendant', this._itemId(activeLevel, activeIndex));
+    this.menu.setAttribute('aria-orientation', activeLevel === 0 ? 'horizontal' : 'vertical');
+  }
+
+  /** @private */
+  _createLevel(depth) {
+    const level = this.state.levels[depth - 1];
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'menu');
+    list.setAttribute('aria-label', level.label);
+    list.setAttribute('aria-orientation', 'vertical');
+    level.items.forEach((label, index) => {
+      const isOpen = index === level.currentIndex && depth < this.state.levels.length;
+      const hasChildren = isOpen || Boolean(level.hasChildren?.[index]);
+      const entry = this._createItem(label, this._itemId(depth, index), hasChildren);
+      if (hasChildren) entry.item.setAttribute('aria-expanded', String(isOpen));
+      if (isOpen) entry.li.appendChild(this._createLevel(depth + 1));
+      list.appendChild(entry.li);
+    });
+    return list;
+  }
+
+  /** @private */
+  _createItem(label, id, hasPopup) {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'none');
+    const item = document.createElement('span');
+    item.id = id;
+    item.setAttribute('role', 'menuitem');
+    item.textContent = label;
+    if (hasPopup) item.setAttribute('aria-haspopup', 'menu');
+    li.appendChild(item);
+    return { li, item };
+  }
+
+  /** @private */
+  _queueAnnouncement(previous, next) {
+    const message = describeChange(previous, next, this.t);
+    if (!message) return;
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  /** @private */
+  _setFocusVisible(visible) {
+    if (visible === this.focusVisible) return;
+    this.focusVisible = visible;
+    this.onFocusVisibleChange(visible);
+  }
+}
+
+/**
+ * Live-region text for a state change, or null when nothing the user needs to hear changed.
+ * @private
+ */
+function describeChange(previous, next, t) {
+  const position = (labels, index, hasChildren) =>
+    t(hasChildren ? 'itemPositionWithSubmenu' : 'itemPosition', { label: labels[index], index: index + 1, total: labels.length });
+
+  const depth = next.levels.length;
+  const previousDepth = previous?.levels.length ?? 0;
+  const level = next.levels[depth - 1];
+
+  if (depth > previousDepth && level) {
+    return t('submenuOpened', { label: level.label, count: level.items.length, position: position(level.items, level.currentIndex, level.hasChildren?.[level.currentIndex]) });
+  }
+  if (depth < previousDepth) {
+    // The outermost level that closed (several can close at once)
+    const closed = previous.levels[depth];
+    if (level) return t('levelClosed', { label: closed.label, position: position(level.items, level.currentIndex, level.hasChildren?.[level.currentIndex]) });
+    return t('submenuClosed', { label: closed.label, position: position(next.items, next.currentIndex, next.hasSubmenu[next.currentIndex]) });
+  }
+  if (level) {
+    const previousLevel = previous.levels[depth - 1];
+    if (previousLevel.currentIndex === level.currentIndex && previousLevel.label === level.label) return null;
+    return position(level.items, level.currentIndex, level.hasChildren?.[level.currentIndex]);
+  }
+  if (previous && previous.currentIndex === next.currentIndex) return null;
+  return position(next.items, next.currentIndex, next.hasSubmenu[next.currentIndex]);
+}
+
+/**
+ * Focus ring drawn around the 3D item that has keyboard focus in the accessible menu.
+ */
+export class FocusIndicator3D {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} [options]
+   * @param {number} [options.color=0xffd400]
+   */
+  constructor(scene, { color = 0xffd400 } = {}) {
+    this.scene = scene;
+    this.target = null;
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.92, 1, 48),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9, depthTest: false, side: THREE.DoubleSide })
+    );
+    this.ring.name = 'A11yFocusIndicator';
+    this.ring.renderOrder = 999;
+    this.ring.visible = false;
+    this.scene.add(this.ring);
+
+    this._box = new THREE.Box3();
+    this._size = new THREE.Vector3();
+  }
+
+  /**
+   * @param {THREE.Object3D|null} target - Item to outline, or null to hide
+   */
+  setTarget(target) {
+    this.target = target;
+    this.ring.visible = Boolean(target);
+  }
+
+  /**
+   * Follow the target; call once per frame.
+   * @param {THREE.Camera} camera
+   */
+  update(camera) {
+    if (!this.target || !this.target.parent) {
+      this.ring.visible = false;
+      return;
+    }
+    this._box.setFromObject(this.target);
+    if (this._box.isEmpty()) return;
+    this._box.getCenter(this.ring.position);
+    this._box.getSize(this._size);
+    const radius = Math.max(this._size.x, this._size.y) / 2 + 0.15;
+    this.ring.scale.set(radius, radius, radius);
+    this.ring.quaternion.copy(camera.quaternion);
+    this.ring.visible = true;
+  }
+
+  dispose() {
+    this.scene.remove(this.ring);
+    this.ring.geometry.dispose();
+    this.ring.material.dispose();
+    this.target = null;
+  }
+}
@@ -0,0 +1,175 @@
+import { carouselConfig } from '../CarouselStyleConfig.js';
+
+/**
+ * CarouselController - The public API of a mounted carousel. `mountCarousel3D` returns one; React
+ * code reaches it through `useCarouselController()` (CarouselControllerContext.jsx) instead of
+ * window globals. The old globals are still published for console debugging, but only while the
+ * debug flag is on.
+ *
+ * @example
+ * const controller = mountCarousel3D(container, menuData);
+ * const off = controller.on('select', ({ index, label }) => console.log(index, label));
+ * await controller.openSubmenu('Gallery', ['Photos']);
+ * controller.setTheme('dark');
+ */
+
+/**
+ * Events emitted by the controller.
+ * - `select` `{ index, label }` - main ring selection changed
+ * - `submenu` `{ open, parentIndex, depth, path }` - a submenu level opened or closed (`path` lists
+ *   the nested levels below the main item's submenu)
+ * - `scatter` `{ scattered }` - ring scattered or reassembled
+ * - `theme` `{ name, index }`
+ * - `layout` `{ mode, preference }`
+ * - `dispose` - the carousel was torn down; the controller is inert afterwards
+ */
+export const CAROUSEL_CONTROLLER_EVENTS = ['select', 'submenu', 'scatter', 'theme', 'layout', 'locale', 'dispose'];
+
+/** `auto` follows the mobile breakpoint; the others pin a layout. */
+export const LAYOUT_MODES = ['auto', 'horizontal', 'ferris'];
+
+/**
+ * @typedef {Object} CarouselState
+ * @property {number} index - Main ring index
+ * @property {string|null} label - Main ring label
+ * @property {boolean} submenuOpen
+ * @property {string[]} path - Open nested levels below the main item's submenu
+ * @property {string|null} child - Selected leaf in the innermost open level
+ * @property {boolean} scattered
+ * @property {string} theme
+ * @property {string} layoutMode - Applied layout (`horizontal` | `ferris`)
+ * @property {string} layoutPreference - One of LAYOUT_MODES
+ * @property {string} menuMode - `dummy` | `dynamic` | `auto`
+ * @property {string} menuSource - Which menu data was used, e.g. `dynamic (auto)`
+ * @property {{language: string, country: string}} locale - Language of labels and HUD strings
+ */
+
+/**
+ * @typedef {Object} CarouselController
+ * @property {function(): CarouselState} getState
+ * @property {function((number|string)): Promise<void>} select - Rotate to an item by index or
+ *   label (closing any open submenu)
+ * @property {function(): void} next
+ * @property {function(): void} prev
+ * @property {function((number|string), string[]=): Promise<void>} openSubmenu - Open an item's
+ *   submenu, then the nested levels in `path`
+ * @property {function(): void} closeSubmenu - Close the innermost level
+ * @property {function(): Promise<void>} closeAllSubmenus
+ * @property {function((number|string)): void} setTheme - Theme name or index
+ * @property {function(): void} toggleTheme - Cycle to the next theme
+ * @property {function({language: string, country: string}, Object<string, string>=): void} setLocale -
+ *   Relabel the menu in another language; the optional map holds Shopify-translated labels
+ * @property {function(string): void} setLayoutMode - One of LAYOUT_MODES
+ * @property {function(string): void} setMenuMode - `dummy` | `dynamic` | `auto` (reloads the page)
+ * @property {function(string, string=): Promise<Object|null>} loadContent - Show an item's
+ *   content in the central panel
+ * @property {function(): void} clearContentCache
+ * @property {function(string): void} setBackground
+ * @property {function(): void} nextBackground
+ * @property {function(): void} prevBackground
+ * @property {function(): {camera: Object|null, cartIcon: Object|null}} getHUD
+ * @property {function(): Object|null} getMenuTree - Parsed menu tree (see parseMenuTree in
+ *   utils/menuTreeManager.js), null until it has loaded
+ * @property {function(): void} repairState - Reset guards and handlers after a stuck transition
+ * @property {function(string, function(*): void): function(): void} on - Subscribe; returns an
+ *   unsubscribe function
+ * @property {function(string, function(*): void): void} off
+ * @property {function(): void} dispose
+ */
+
+/**
+ * Minimal event emitter. Listener errors are logged, not rethrown, so one broken subscriber
+ * cannot stall the render loop.
+ */
+export class CarouselEventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * @param {string} event
+   * @param {function(*): void} handler
+   * @returns {function(): void} Unsubscribe
+   */
+  on(event, handler) {
+    if (!CAROUSEL_CONTROLLER_EVENTS.includes(event)) {
+      console.warn(`[CarouselController] Unknown event "${event}"`);
+    }
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, payload) {
+    // Copy so handlers can unsubscribe while being called
+    [...(this.listeners.get(event) ?? [])].forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[CarouselController] "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  clear() {
+    this.listeners.clear();
+  }
+}
+
+/**
+ * Whether debug globals should be published: `carouselConfig.debug.exposeGlobals`, a `?wmDebug`
+ * query param (`?wmDebug=0` turns it off), or `localStorage['wm-debug'] === '1'`.
+ * @returns {boolean}
+ */
+export function isCarouselDebugEnabled() {
+  if (typeof window === 'undefined') return false;
+  if (carouselConfig.debug?.exposeGlobals) return true;
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('wmDebug')) return params.get('wmDebug') !== '0';
+    return localStorage.getItem('wm-debug') === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Collects window globals published for console debugging. `expose` is a no-op unless the debug
+ * flag is on; `dispose` removes whatever was published (unless something replaced it since).
+ * @param {boolean} [enabled]
+ */
+export function createDebugGlobals(enabled = isCarouselDebugEnabled()) {
+  const exposed = new Map();
+  return {
+    enabled,
+    expose(name, value) {
+      if (!enabled) return;
+      window[name] = value;
+      exposed.set(name, value);
+    },
+    dispose() {
+      exposed.forEach((value, name) => {
+        if (window[name] === value) delete window[name];
+      });
+      exposed.clear();
+    },
+  };
+}
+
+/**
+ * Attach `on`/`off` from the emitter to the controller methods.
+ * @param {CarouselEventEmitter} emitter
+ * @param {Object} methods
+ * @returns {CarouselController}
+ */
+export function createCarouselController(emitter, methods) {
+  return {
+    ...methods,
+    on: (event, handler) => emitter.on(event, handler),
+    off: (event, handler) => emitter.off(event, handler),
+  };
+}
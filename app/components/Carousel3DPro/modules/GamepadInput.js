@@ -0,0 +1,197 @@
+/**
+ * GamepadInput - Gamepad and TV-remote navigation for the carousel (kiosk / TV setups without
+ * keyboard or mouse). Polls the Gamepad API once per frame and turns buttons, D-pad and sticks
+ * into navigation actions; remote-control keys that browsers report as keyboard events
+ * (Enter, GoBack, media keys) map onto the same actions. Routing the actions (and the guard
+ * checks) is left to the caller.
+ *
+ * @example
+ * const gamepad = new GamepadInput({ mapping: carouselConfig.gamepad, onAction: handleNavigationAction });
+ * // In animation loop:
+ * gamepad.poll();
+ * // In keydown handler:
+ * if (gamepad.handleKey(event)) return;
+ */
+
+/** Actions the carousel understands. */
+export const NAVIGATION_ACTIONS = ['next', 'prev', 'up', 'down', 'select', 'back', 'nextBackground', 'prevBackground'];
+
+// Held directions auto-repeat; buttons like select/back fire once per press
+const REPEATING_ACTIONS = new Set(['next', 'prev', 'up', 'down']);
+
+/**
+ * Defaults use the W3C "standard" gamepad layout (Xbox naming: A=0, B=1, LB=4, RB=5,
+ * D-pad 12-15; left stick axes 0/1).
+ */
+export const DEFAULT_GAMEPAD_MAPPING = {
+  enabled: true,
+  deadzone: 0.5,
+  repeatDelayMs: 400,
+  repeatIntervalMs: 180,
+  buttons: {
+    0: 'select',
+    1: 'back',
+    4: 'prevBackground',
+    5: 'nextBackground',
+    12: 'up',
+    13: 'down',
+    14: 'prev',
+    15: 'next',
+  },
+  // Axis index -> [action when negative, action when positive]
+  axes: {
+    0: ['prev', 'next'],
+    1: ['up', 'down'],
+  },
+  remoteKeys: {
+    Enter: 'select',
+    GoBack: 'back',
+    BrowserBack: 'back',
+    MediaTrackNext: 'nextBackground',
+    MediaTrackPrevious: 'prevBackground',
+  },
+};
+
+/**
+ * Merge a partial mapping over the defaults. Unknown actions are dropped with a warning.
+ * @param {Object} [mapping]
+ * @returns {Object}
+ */
+export function resolveGamepadMapping(mapping = {}) {
+  const resolved = {
+    ...DEFAULT_GAMEPAD_MAPPING,
+    ...mapping,
+    buttons: { ...DEFAULT_GAMEPAD_MAPPING.buttons, ...mapping.buttons },
+    axes: { ...DEFAULT_GAMEPAD_MAPPING.axes, ...mapping.axes },
+    remoteKeys: { ...DEFAULT_GAMEPAD_MAPPING.remoteKeys, ...mapping.remoteKeys },
+  };
+  const isKnown = (action) => action === null || NAVIGATION_ACTIONS.includes(action);
+
+  ['buttons', 'remoteKeys'].forEach((group) => {
+    Object.entries(resolved[group]).forEach(([input, action]) => {
+      if (!isKnown(action)) {
+        console.warn(`[GamepadInput] Ignoring unknown action "${action}" for ${group}.${input}`);
+        delete resolved[group][input];
+      }
+    });
+  });
+  Object.entries(resolved.axes).forEach(([axis, actions]) => {
+    if (!Array.isArray(actions) || actions.length !== 2 || !actions.every(isKnown)) {
+      console.warn(`[GamepadInput] Ignoring invalid mapping for axes.${axis}`);
+      delete resolved.axes[axis];
+    }
+  });
+  return resolved;
+}
+
+export class GamepadInput {
+  /**
+   * @param {Object} options
+   * @param {function(string): void} options.onAction - Called with an action from NAVIGATION_ACTIONS
+   * @param {Object} [options.mapping] - Partial mapping merged over DEFAULT_GAMEPAD_MAPPING
+   *   (a button or key mapped to null is unbound)
+   * @param {function(): number} [options.now] - Clock source in ms (overridable for testing)
+   */
+  constructor({ onAction, mapping = {}, now = () => performance.now() }) {
+    this.onAction = onAction;
+    this.now = now;
+    this.mapping = resolveGamepadMapping(mapping);
+
+    // action -> { since, lastFired } while held
+    this.heldActions = new Map();
+    // Pads connected before this instance (e.g. after a route change) do not fire the event again
+    this.connectedCount = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean).length : 0;
+
+    this._onConnected = (event) => {
+      this.connectedCount += 1;
+      console.log(`[GamepadInput] Connected: ${event.gamepad.id} (mapping: ${event.gamepad.mapping || 'non-standard'})`);
+    };
+    this._onDisconnected = (event) => {
+      this.connectedCount = Math.max(0, this.connectedCount - 1);
+      this.heldActions.clear();
+      console.log(`[GamepadInput] Disconnected: ${event.gamepad.id}`);
+    };
+    window.addEventListener('gamepadconnected', this._onConnected);
+    window.addEventListener('gamepaddisconnected', this._onDisconnected);
+  }
+
+  /**
+   * Replace the mapping (admin config). Keys left out fall back to the defaults.
+   * @param {Object} mapping
+   */
+  setMapping(mapping) {
+    this.mapping = resolveGamepadMapping(mapping);
+    this.heldActions.clear();
+  }
+
+  /**
+   * Read connected gamepads and fire actions. Call once per frame.
+   */
+  poll() {
+    if (!this.mapping.enabled || this.connectedCount === 0 || !navigator.getGamepads) return;
+
+    const active = new Set();
+    for (const pad of navigator.getGamepads()) {
+      if (!pad?.connected) continue;
+      Object.entries(this.mapping.buttons).forEach(([index, action]) => {
+        if (action && pad.buttons[index]?.pressed) active.add(action);
+      });
+      Object.entries(this.mapping.axes).forEach(([index, [negative, positive]]) => {
+        const value = pad.axes[index] ?? 0;
+        if (value <= -this.mapping.deadzone && negative) active.add(negative);
+        else if (value >= this.mapping.deadzone && positive) active.add(positive);
+      });
+    }
+
+    const time = this.now();
+    this.heldActions.forEach((_, action) => {
+      if (!active.has(action)) this.heldActions.delete(action);
+    });
+    active.forEach((action) => {
+      const held = this.heldActions.get(action);
+      if (!held) {
+        this.heldActions.set(action, { since: time, lastFired: time });
+        this._fire(action);
+        return;
+      }
+      if (!REPEATING_ACTIONS.has(action)) return;
+      if (time - held.since >= this.mapping.repeatDelayMs && time - held.lastFired >= this.mapping.repeatIntervalMs) {
+        held.lastFired = time;
+        this._fire(action);
+      }
+    });
+  }
+
+  /**
+   * Handle a remote-control key. Returns true when the key was mapped (and consumed).
+   * @param {KeyboardEvent} event
+   * @returns {boolean}
+   */
+  handleKey(event) {
+    if (!this.mapping.enabled) return false;
+    // Enter on a focused control (breadcrumb, close button, form field) belongs to that control
+    if (event.target?.closest?.('button, a, input, textarea, select, [contenteditable="true"]')) return false;
+    const action = this.mapping.remoteKeys[event.key];
+    if (!action) return false;
+    event.preventDefault();
+    this._fire(action);
+    return true;
+  }
+
+  dispose() {
+    window.removeEventListener('gamepadconnected', this._onConnected);
+    window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+    this.heldActions.clear();
+  }
+
+  /** @private */
+  _fire(action) {
+    try {
+      this.onAction(action);
+    } catch (error) {
+      console.error(`[GamepadInput] Action "${action}" failed:`, error);
+    }
+  }
+}
+
+export default GamepadInput;
@@ -0,0 +1,716 @@
+import * as THREE from 'three';
+
+/**
+ * SDFText - Signed-distance-field text for carousel labels. Glyphs are rasterized on demand from
+ * CSS fonts into a shared atlas (or copied from a prebuilt MSDF atlas), so a label builds as a
+ * handful of quads instead of tessellated outlines, and any script the font stack covers can be
+ * shown. The quads use a regular lit material whose alpha comes from the distance field, so the
+ * existing color / emissive / opacity tweens keep working.
+ *
+ * Layout is per grapheme cluster with kerning and word wrapping. Scripts whose letters change
+ * shape with their neighbours (Arabic joining, Indic conjuncts) are rasterized a word at a time,
+ * so the browser's text shaper picks the contextual forms.
+ *
+ * @example
+ * const atlas = new SDFGlyphAtlas({ families: ['Roboto', 'Noto Sans JP', 'sans-serif'], weight: 600 });
+ * await atlas.prepare(labels);
+ * const geometry = createSDFTextGeometry(atlas, 'Café Ünïcode', { size: 0.5, maxWidth: 3 });
+ * const mesh = new THREE.Mesh(geometry, createSDFTextMaterial(atlas, { color: 0xffffff }));
+ */
+
+const INITIAL_ATLAS_SIZE = 512;
+// UVs are stored against the largest atlas, so growing it only changes texture.repeat
+const MAX_ATLAS_SIZE = 2048;
+const INF = 1e20;
+
+const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded',
+]);
+const DEFAULT_FAMILIES = ['system-ui', 'sans-serif'];
+
+// Scripts written without spaces; a line may break between any two of their characters
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+const WHITESPACE = /^\s+$/u;
+// Strong right-to-left and left-to-right characters, for visual reordering of bidi lines
+const RTL_SCRIPT = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const LTR_STRONG = /[\p{L}\p{N}]/u;
+// Scripts that need contextual shaping; consecutive clusters of them form one atlas entry
+const SHAPED_SCRIPT = new RegExp(
+  '[\\p{scx=Arabic}\\p{scx=Syriac}\\p{scx=Nko}\\p{scx=Mongolian}\\p{scx=Devanagari}\\p{scx=Bengali}\\p{scx=Gurmukhi}\\p{scx=Gujarati}' +
+    '\\p{scx=Oriya}\\p{scx=Tamil}\\p{scx=Telugu}\\p{scx=Kannada}\\p{scx=Malayalam}\\p{scx=Sinhala}\\p{scx=Myanmar}\\p{scx=Khmer}\\p{scx=Tibetan}]',
+  'u',
+);
+
+// Median of the three channels: MSDF glyphs decode their corners, SDF glyphs store R=G=B
+const SDF_ALPHA_FRAGMENT = /* glsl */ `
+#ifdef USE_ALPHAMAP
+  vec3 sdfSample = texture2D( alphaMap, vAlphaMapUv ).rgb;
+  float sdfDistance = max( min( sdfSample.r, sdfSample.g ), min( max( sdfSample.r, sdfSample.g ), sdfSample.b ) );
+  float sdfWidth = max( fwidth( sdfDistance ), 1e-4 );
+  diffuseColor.a *= smoothstep( 0.5 - sdfWidth, 0.5 + sdfWidth, sdfDistance );
+#endif
+`;
+
+// `${family}|${url}` -> Promise of the FontFace added to document.fonts, shared by every atlas
+const fontFaces = new Map();
+
+/**
+ * Register a font file under a CSS family name (once per family and URL).
+ * @param {string} family
+ * @param {string} url - Same-origin or CSP-allowed font file (woff2, ttf, ...)
+ * @param {number|string} weight
+ * @returns {Promise<void>}
+ */
+function loadFontFace(family, url, weight) {
+  const key = `${family}|${url}`;
+  if (!fontFaces.has(key)) {
+    const face = new FontFace(family, `url(${JSON.stringify(url)})`, { weight: String(weight) });
+    const promise = face.load().then((loaded) => {
+      document.fonts.add(loaded);
+    });
+    // A failed load is retried by the next atlas that needs it
+    promise.catch(() => fontFaces.delete(key));
+    fontFaces.set(key, promise);
+  }
+  return fontFaces.get(key);
+}
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split text into grapheme clusters (accented letters, emoji sequences stay whole).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitGraphemes(text) {
+  const normalized = String(text ?? '').normalize('NFC');
+  if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(normalized), (part) => part.segment);
+  return Array.from(normalized);
+}
+
+/**
+ * Split text into the units the atlas stores: grapheme clusters, except that runs of scripts
+ * needing contextual shaping stay together (a word of Arabic is one unit).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitClusters(text) {
+  const clusters = [];
+  splitGraphemes(text).forEach((grapheme) => {
+    const last = clusters.length - 1;
+    if (last >= 0 && SHAPED_SCRIPT.test(grapheme) && SHAPED_SCRIPT.test(clusters[last])) {
+      clusters[last] += grapheme;
+    } else {
+      clusters.push(grapheme);
+    }
+  });
+  return clusters;
+}
+
+function quoteFamily(family) {
+  return GENERIC_FAMILIES.has(family) || /^".*"$/.test(family) ? family : `"${family}"`;
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * 1D squared Euclidean distance transform (Felzenszwalb & Huttenlocher) over a strided row or
+ * column of `grid`, in place.
+ * @private
+ */
+function distanceTransform1D(grid, offset, stride, length, f, v, z) {
+  for (let q = 0; q < length; q++) f[q] = grid[offset + q * stride];
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  for (let q = 1, k = 0; q < length; q++) {
+    let s;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+/** @private */
+function distanceTransform2D(grid, width, height) {
+  const length = Math.max(width, height);
+  const f = new Float64Array(length);
+  const v = new Uint16Array(length);
+  const z = new Float64Array(length + 1);
+  for (let x = 0; x < width; x++) distanceTransform1D(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) distanceTransform1D(grid, y * width, 1, width, f, v, z);
+}
+
+/**
+ * Turn an alpha coverage bitmap into distance-field bytes (0.5 = glyph edge, `radius` px of
+ * spread on either side).
+ * @param {Uint8ClampedArray} rgba - Canvas pixels; only alpha is read
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @returns {Uint8Array}
+ */
+export function alphaToDistanceField(rgba, width, height, radius) {
+  const size = width * height;
+  const outer = new Float64Array(size);
+  const inner = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const a = rgba[i * 4 + 3] / 255;
+    if (a === 0) {
+      outer[i] = INF;
+    } else if (a === 1) {
+      inner[i] = INF;
+    } else {
+      // Anti-aliased edge pixels: sub-pixel distance to the 50% coverage line
+      const d = 0.5 - a;
+      outer[i] = d > 0 ? d * d : 0;
+      inner[i] = d < 0 ? d * d : 0;
+    }
+  }
+  distanceTransform2D(outer, width, height);
+  distanceTransform2D(inner, width, height);
+
+  const field = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    const distance = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+    field[i] = Math.max(0, Math.min(255, Math.round(255 - 255 * (distance / (2 * radius) + 0.5))));
+  }
+  return field;
+}
+
+/**
+ * Glyph atlas shared by every label drawn with the same font settings. Glyph metrics are kept in
+ * em units; atlas rectangles in pixels.
+ */
+export class SDFGlyphAtlas {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.families] - CSS font families in fallback order; the browser
+   *   picks the first family that has each character
+   * @param {Object<string, string>} [options.sources] - Font files to load for `families`
+   *   (family -> URL); families without one must already be available to the page
+   * @param {number|string} [options.weight=400]
+   * @param {number} [options.glyphSize=48] - Rasterization size in px per em
+   * @param {number} [options.radius=6] - Distance field spread in px
+   * @param {number} [options.lineHeight=1.2] - In em
+   * @param {number} [options.initialSize] - Starting atlas width/height in px
+   */
+  constructor({
+    families = DEFAULT_FAMILIES,
+    sources = {},
+    weight = 400,
+    glyphSize = 48,
+    radius = 6,
+    lineHeight = 1.2,
+    initialSize = INITIAL_ATLAS_SIZE,
+  } = {}) {
+    this.families = families.length ? families : DEFAULT_FAMILIES;
+    this.sources = sources;
+    this.weight = weight;
+    this.glyphSize = glyphSize;
+    this.radius = radius;
+    this.lineHeight = lineHeight;
+    this.cssFont = `${weight} ${glyphSize}px ${this.families.map(quoteFamily).join(', ')}`;
+
+    /** @type {Map<string, Object>} grapheme -> glyph */
+    this.glyphs = new Map();
+    this.kerning = new Map();
+    this.materials = new Set();
+    this.isFull = false;
+
+    this.width = Math.min(MAX_ATLAS_SIZE, initialSize);
+    this.height = this.width;
+    this.data = new Uint8Array(this.width * this.height * 4);
+    this.shelf = { x: 0, y: 0, height: 0 };
+    this.texture = this._createTexture();
+
+    this.canvas = createCanvas(glyphSize * 2, glyphSize * 2);
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.pendingUpload = false;
+  }
+
+  /**
+   * Load the web fonts the text needs (including fallback families), then rasterize its glyphs.
+   * Glyphs drawn before their font finished loading would be cached in the wrong face.
+   * @param {string|string[]} texts
+   */
+  async prepare(texts) {
+    const text = [].concat(texts).map((entry) => String(entry ?? '')).join(' ');
+    if (typeof document !== 'undefined' && document.fonts?.load) {
+      try {
+        const sources = Object.entries(this.sources).filter(([family]) => this.families.includes(family));
+        const results = await Promise.allSettled(sources.map(([family, url]) => loadFontFace(family, url, this.weight)));
+        results.forEach((result, index) => {
+          if (result.status === 'rejected') {
+            console.warn(`[SDFText] Font file for "${sources[index][0]}" failed to load:`, result.reason);
+          }
+        });
+        await document.fonts.load(this.cssFont, text);
+      } catch (error) {
+        console.warn('[SDFText] Font loading failed, using what is available:', error);
+      }
+    }
+    this.ensureGlyphs(text);
+  }
+
+  /**
+   * Rasterize any glyphs of `text` that are not in the atlas yet.
+   * @param {string} text
+   */
+  ensureGlyphs(text) {
+    splitClusters(text).forEach((cluster) => {
+      if (!this.glyphs.has(cluster)) this.glyphs.set(cluster, this._rasterize(cluster));
+    });
+    if (this.pendingUpload) {
+      this.pendingUpload = false;
+      this.texture.needsUpdate = true;
+    }
+  }
+
+  /**
+   * @param {string} cluster
+   * @returns {Object} Glyph (rasterized on first use)
+   */
+  getGlyph(cluster) {
+    if (!this.glyphs.has(cluster)) this.ensureGlyphs(cluster);
+    return this.glyphs.get(cluster);
+  }
+
+  /**
+   * Kerning adjustment between two clusters, in em.
+   * @param {string} left
+   * @param {string} right
+   * @returns {number}
+   */
+  getKerning(left, right) {
+    const key = `${left}\u0000${right}`;
+    if (!this.kerning.has(key)) {
+      // Canvas applies the font's kerning to the pair but not to the glyphs measured alone
+      this.context.font = this.cssFont;
+      const pair = this.context.measureText(left + right).width;
+      const apart = this.context.measureText(left).width + this.context.measureText(right).width;
+      const adjustment = (pair - apart) / this.glyphSize;
+      this.kerning.set(key, Math.abs(adjustment) < 1e-3 ? 0 : adjustment);
+    }
+    return this.kerning.get(key);
+  }
+
+  /**
+   * Keep `material`'s atlas texture current when the atlas grows. Held weakly: labels swap
+   * materials on highlight without disposing the old ones.
+   * @param {THREE.Material} material
+   */
+  trackMaterial(material) {
+    this.materials.add(new WeakRef(material));
+  }
+
+  dispose() {
+    this.texture.dispose();
+    this.glyphs.clear();
+    this.kerning.clear();
+    this.materials.clear();
+  }
+
+  /**
+   * Copy a prebuilt MSDF font (msdf-bmfont JSON + its first page) into the atlas. Characters
+   * the font lacks are still rasterized from `families`.
+   * @param {Object} font - Parsed msdf-bmfont JSON
+   * @param {ImageData} page
+   */
+  addBitmapFont(font, page) {
+    const emSize = font.info?.size || font.common.lineHeight;
+    const slot = this._allocate(page.width, page.height);
+    if (!slot) {
+      console.warn('[SDFText] MSDF page does not fit in the atlas');
+      return;
+    }
+    for (let row = 0; row < page.height; row++) {
+      const source = page.data.subarray(row * page.width * 4, (row + 1) * page.width * 4);
+      this.data.set(source, ((slot.y + row) * this.width + slot.x) * 4);
+    }
+    this.lineHeight = font.common.lineHeight / emSize;
+
+    font.chars.forEach((char) => {
+      const cluster = (char.char ?? String.fromCodePoint(char.id)).normalize('NFC');
+      this.glyphs.set(cluster, {
+        x: slot.x + char.x,
+        y: slot.y + char.y,
+        w: char.width,
+        h: char.height,
+        left: char.xoffset / emSize,
+        top: (font.common.base - char.yoffset) / emSize,
+        width: char.width / emSize,
+        height: char.height / emSize,
+        advance: char.xadvance / emSize,
+      });
+    });
+    const chars = new Map(font.chars.map((char) => [char.id, char.char ?? String.fromCodePoint(char.id)]));
+    (font.kernings ?? []).forEach(({ first, second, amount }) => {
+      if (chars.has(first) && chars.has(second)) {
+        this.kerning.set(`${chars.get(first)}\u0000${chars.get(second)}`, amount / emSize);
+      }
+    });
+    this.texture.needsUpdate = true;
+  }
+
+  /** @private */
+  _createTexture() {
+    const texture = new THREE.DataTexture(this.data, this.width, this.height, THREE.RGBAFormat);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = false;
+    texture.repeat.set(MAX_ATLAS_SIZE / this.width, MAX_ATLAS_SIZE / this.height);
+    texture.updateMatrix();
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /** @private */
+  _rasterize(cluster) {
+    const context = this.context;
+    context.font = this.cssFont;
+    const metrics = context.measureText(cluster);
+    const glyph = { x: 0, y: 0, w: 0, h: 0, left: 0, top: 0, width: 0, height: 0, advance: metrics.width / this.glyphSize };
+
+    const inkWidth = Math.ceil(metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight);
+    const inkHeight = Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent);
+    if (WHITESPACE.test(cluster) || inkWidth <= 0 || inkHeight <= 0) return glyph;
+
+    const pad = this.radius;
+    const w = inkWidth + pad * 2;
+    const h = inkHeight + pad * 2;
+    const slot = this._allocate(w, h);
+    if (!slot) return glyph;
+
+    if (this.canvas.width < w || this.canvas.height < h) {
+      this.canvas.width = Math.max(this.canvas.width, w);
+      this.canvas.height = Math.max(this.canvas.height, h);
+    }
+    context.clearRect(0, 0, w, h);
+    context.font = this.cssFont;
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = '#000';
+    context.fillText(cluster, pad + metrics.actualBoundingBoxLeft, pad + metrics.actualBoundingBoxAscent);
+
+    const field = alphaToDistanceField(context.getImageData(0, 0, w, h).data, w, h, this.radius);
+    for (let row = 0; row < h; row++) {
+      let target = ((slot.y + row) * this.width + slot.x) * 4;
+      for (let col = 0; col < w; col++, target += 4) {
+        const value = field[row * w + col];
+        this.data[target] = value;
+        this.data[target + 1] = value;
+        this.data[target + 2] = value;
+        this.data[target + 3] = 255;
+      }
+    }
+    this.pendingUpload = true;
+
+    return {
+      ...glyph,
+      x: slot.x,
+      y: slot.y,
+      w,
+      h,
+      left: -(metrics.actualBoundingBoxLeft + pad) / this.glyphSize,
+      top: (metrics.actualBoundingBoxAscent + pad) / this.glyphSize,
+      width: w / this.glyphSize,
+      height: h / this.glyphSize,
+    };
+  }
+
+  /**
+   * Shelf packing; grows the atlas (up to MAX_ATLAS_SIZE) when a glyph does not fit.
+   * @private
+   */
+  _allocate(w, h) {
+    if (this.shelf.x + w > this.width) {
+      this.shelf = { x: 0, y: this.shelf.y + this.shelf.height + 1, height: 0 };
+    }
+    while (this.shelf.y + h > this.height || w > this.width) {
+      if (!this._grow()) {
+        if (!this.isFull) console.warn('[SDFText] Glyph atlas is full; new glyphs will be skipped');
+        this.isFull = true;
+        return null;
+      }
+    }
+    const slot = { x: this.shelf.x, y: this.shelf.y };
+    this.shelf.x += w + 1;
+    this.shelf.height = Math.max(this.shelf.height, h);
+    return slot;
+  }
+
+  /**
+   * Double the atlas (width first) into a new texture, and point tracked materials at it.
+   * A GPU texture cannot be resized in place.
+   * @private
+   */
+  _grow() {
+    if (this.width >= MAX_ATLAS_SIZE && this.height >= MAX_ATLAS_SIZE) return false;
+    const width = this.width <= this.height ? Math.min(MAX_ATLAS_SIZE, this.width * 2) : this.width;
+    const height = width === this.width ? Math.min(MAX_ATLAS_SIZE, this.height * 2) : this.height;
+    const data = new Uint8Array(width * height * 4);
+    for (let row = 0; row < this.height; row++) {
+      data.set(this.data.subarray(row * this.width * 4, (row + 1) * this.width * 4), row * width * 4);
+    }
+    this.data = data;
+    this.width = width;
+    this.height = height;
+
+    const previous = this.texture;
+    this.texture = this._createTexture();
+    this.materials.forEach((ref) => {
+      const material = ref.deref();
+      if (!material) this.materials.delete(ref);
+      else if (material.alphaMap === previous) material.alphaMap = this.texture;
+    });
+    previous.dispose();
+    return true;
+  }
+}
+
+/**
+ * Load an msdf-bmfont JSON file and its first page into a new atlas.
+ * @param {string} url
+ * @param {Object} [options] - SDFGlyphAtlas options used for characters the MSDF font lacks
+ * @returns {Promise<SDFGlyphAtlas>}
+ */
+export async function loadMSDFAtlas(url, options = {}) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`MSDF font ${url} returned ${response.status}`);
+  const font = await response.json();
+  if (!font.chars?.length || !font.pages?.length || !font.common) {
+    throw new Error(`MSDF font ${url} is not msdf-bmfont JSON`);
+  }
+  if (font.pages.length > 1) {
+    console.warn(`[SDFText] ${url} has ${font.pages.length} pages; only the first is used`);
+  }
+
+  const pageUrl = new URL(font.pages[0], new URL(url, window.location.href)).href;
+  const pageResponse = await fetch(pageUrl);
+  if (!pageResponse.ok) throw new Error(`MSDF page ${pageUrl} returned ${pageResponse.status}`);
+  const bitmap = await createImageBitmap(await pageResponse.blob());
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  const page = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  bitmap.close?.();
+
+  let initialSize = INITIAL_ATLAS_SIZE;
+  while (initialSize < Math.max(page.width, page.height) && initialSize < MAX_ATLAS_SIZE) initialSize *= 2;
+  const atlas = new SDFGlyphAtlas({ ...options, initialSize });
+  atlas.addBitmapFont(font, page);
+  return atlas;
+}
+
+/**
+ * Break text into lines of glyphs (em units).
+ * @param {SDFGlyphAtlas} atlas
+ * @param {string} text - `\n` forces a line break
+ * @param {Object} [options]
+ * @param {number} [options.maxWidth=Infinity] - Wrap width in em
+ * @param {number} [options.letterSpacing=0] - Extra advance per glyph in em
+ * @returns {{glyphs: {glyph: Object, x: number}[], width: number}[]}
+ */
+export function layoutText(atlas, text, { maxWidth = Infinity, letterSpacing = 0 } = {}) {
+  atlas.ensureGlyphs(text);
+  const measure = (clusters) => placeClusters(atlas, clusters, letterSpacing).width;
+  const lines = [];
+
+  String(text ?? '').split('\n').forEach((paragraph) => {
+    // Words (or single characters of scripts without spaces) and the spaces between them
+    const tokens = [];
+    splitClusters(paragraph).forEach((cluster) => {
+      const space = WHITESPACE.test(cluster);
+      const last = tokens[tokens.length - 1];
+      if (!space && !NO_SPACE_SCRIPT.test(cluster) && last && !last.space && !last.single) {
+        last.clusters.push(cluster);
+      } else {
+        tokens.push({ clusters: [cluster], space, single: NO_SPACE_SCRIPT.test(cluster) });
+      }
+    });
+
+    let current = [];
+    let spaces = [];
+    tokens.forEach((token) => {
+      if (token.space) {
+        if (current.length) spaces.push(...token.clusters);
+        return;
+      }
+      const candidate = current.length ? [...current, ...spaces, ...token.clusters] : token.clusters;
+      spaces = [];
+      if (measure(candidate) <= maxWidth) {
+        current = candidate;
+        return;
+      }
+      if (current.length) lines.push(current);
+      // A word longer than the line breaks between characters
+      current = [];
+      token.clusters.forEach((cluster) => {
+        if (current.length && measure([...current, cluster]) > maxWidth) {
+          lines.push(current);
+          current = [];
+        }
+        current.push(cluster);
+      });
+    });
+    lines.push(current);
+  });
+
+  return lines.map((clusters) => placeClusters(atlas, toVisualOrder(clusters), letterSpacing));
+}
+
+/**
+ * Reorder one line of clusters from logical to display order (a simplified Unicode bidi pass):
+ * right-to-left runs are reversed, and a line that starts with right-to-left text lays its runs
+ * out from the right. Neutrals between two runs of one direction join them; others follow the
+ * line. Numbers and Latin words inside Hebrew or Arabic keep their own order.
+ * @param {string[]} clusters
+ * @returns {string[]}
+ */
+export function toVisualOrder(clusters) {
+  const types = clusters.map((cluster) => {
+    if (RTL_SCRIPT.test(cluster)) return 'R';
+    return LTR_STRONG.test(cluster) ? 'L' : null;
+  });
+  if (!types.includes('R')) return clusters;
+  const base = types.find(Boolean);
+
+  // Resolve neutrals from the strong types around them
+  const resolved = types.map((type, index) => {
+    if (type) return type;
+    const before = types.slice(0, index).reverse().find(Boolean);
+    const after = types.slice(index + 1).find(Boolean);
+    return before && before === after ? before : base;
+  });
+
+  const runs = [];
+  clusters.forEach((cluster, index) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === resolved[index]) last.clusters.push(cluster);
+    else runs.push({ type: resolved[index], clusters: [cluster] });
+  });
+  if (base === 'R') runs.reverse();
+  return runs.flatMap((run) => (run.type === 'R' ? run.clusters.reverse() : run.clusters));
+}
+
+/** @private */
+function placeClusters(atlas, clusters, letterSpacing) {
+  let pen = 0;
+  const glyphs = clusters.map((cluster, index) => {
+    if (index > 0) pen += atlas.getKerning(clusters[index - 1], cluster) + letterSpacing;
+    const glyph = atlas.getGlyph(cluster);
+    const placed = { glyph, x: pen };
+    pen += glyph.advance;
+    return placed;
+  });
+  return { glyphs, width: pen };
+}
+
+/**
+ * Build quads for `text`, centered on the origin like `TextGeometry.center()`, with the bounding
+ * box computed.
+ * @param {SDFGlyphAtlas} atlas
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.size=1] - Em size in world units
+ * @param {number} [options.maxWidth=Infinity] - Wrap width in world units
+ * @param {number} [options.lineHeight] - In em (defaults to the atlas line height)
+ * @param {'left'|'center'|'right'} [options.align='center']
+ * @param {number} [options.letterSpacing=0] - In em
+ * @returns {THREE.BufferGeometry}
+ */
+export function createSDFTextGeometry(atlas, text, {
+  size = 1,
+  maxWidth = Infinity,
+  lineHeight = atlas.lineHeight,
+  align = 'center',
+  letterSpacing = 0,
+} = {}) {
+  const lines = layoutText(atlas, text, { maxWidth: maxWidth / size, letterSpacing });
+  const positions = [];
+  const uvs = [];
+  const normals = [];
+  const indices = [];
+
+  lines.forEach((line, row) => {
+    const offsetX = align === 'left' ? 0 : align === 'right' ? -line.width : -line.width / 2;
+    const baseline = -row * lineHeight;
+    line.glyphs.forEach(({ glyph, x }) => {
+      if (!glyph.w) return;
+      const x0 = (offsetX + x + glyph.left) * size;
+      const x1 = x0 + glyph.width * size;
+      const y0 = (baseline + glyph.top) * size;
+      const y1 = y0 - glyph.height * size;
+      const u0 = glyph.x / MAX_ATLAS_SIZE;
+      const u1 = (glyph.x + glyph.w) / MAX_ATLAS_SIZE;
+      const vTop = glyph.y / MAX_ATLAS_SIZE;
+      const vBottom = (glyph.y + glyph.h) / MAX_ATLAS_SIZE;
+
+      const first = positions.length / 3;
+      positions.push(x0, y0, 0, x1, y0, 0, x1, y1, 0, x0, y1, 0);
+      uvs.push(u0, vTop, u1, vTop, u1, vBottom, u0, vBottom);
+      normals.push(0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1);
+      indices.push(first, first + 3, first + 1, first + 1, first + 3, first + 2);
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setIndex(indices);
+  if (!positions.length) {
+    // Blank label: keep callers' bounding-box math finite
+    geometry.boundingBox = new THREE.Box3(new THREE.Vector3(), new THREE.Vector3());
+    return geometry;
+  }
+  geometry.computeBoundingBox();
+  geometry.center();
+  return geometry;
+}
+
+/**
+ * A lit material that cuts glyph shapes out of the atlas. Params are passed to the material;
+ * `transparent` and `alphaMap` are always set.
+ * @param {SDFGlyphAtlas} atlas
+ * @param {Object} [params]
+ * @param {typeof THREE.Material} [MaterialClass=THREE.MeshStandardMaterial] - Any built-in
+ *   material with alphaMap support
+ * @returns {THREE.Material}
+ */
+export function createSDFTextMaterial(atlas, params = {}, MaterialClass = THREE.MeshStandardMaterial) {
+  const material = new MaterialClass({
+    side: THREE.DoubleSide,
+    alphaTest: 0.02,
+    ...params,
+    transparent: true,
+    alphaMap: atlas.texture,
+  });
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace('#include <alphamap_fragment>', SDF_ALPHA_FRAGMENT);
+  };
+  material.customProgramCacheKey = () => 'sdf-text';
+  material.userData.sdfText = true;
+  atlas.trackMaterial(material);
+  return material;
+}
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Navigation aids for nested submenus: a DOM breadcrumb for the open path and camera framing
+ * that keeps every open level on screen.
+ */
+
+// Let the new level finish its show() scale-in before measuring it
+const FRAME_DELAY_SECONDS = 0.35;
+
+/**
+ * Clickable breadcrumb ("Gallery › Photos › Landscapes") overlaid on the carousel container;
+ * crumbs run right to left with `‹` separators in right-to-left locales.
+ * Hidden until a nested level is open.
+ */
+export class SubmenuBreadcrumb {
+  /**
+   * @param {HTMLElement} container - Carousel container (positioned)
+   * @param {Object} options
+   * @param {function(number): void} options.onSelect - Called with the level index (0 = first
+   *   submenu) when an ancestor crumb is clicked
+   * @param {string} [options.label='Submenu path'] - Accessible name of the breadcrumb
+   * @param {'ltr'|'rtl'} [options.direction='ltr'] - Crumb order and separator direction
+   */
+  constructor(container, { onSelect, label = 'Submenu path', direction = 'ltr' }) {
+    this.onSelect = onSelect;
+    this.path = [];
+
+    this.element = document.createElement('nav');
+    this.element.setAttribute('aria-label', label);
+    this.element.dir = direction;
+    this.element.dataset.carouselBreadcrumb = 'true';
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      top: '16px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'none',
+      padding: '6px 14px',
+      borderRadius: '999px',
+      background: 'rgba(10, 10, 26, 0.65)',
+      color: '#ffffff',
+      font: '500 14px/1.4 system-ui, sans-serif',
+      whiteSpace: 'nowrap',
+      zIndex: '10',
+    });
+    // Keep crumb clicks away from the window-level raycast click handler
+    this.element.addEventListener('click', (event) => event.stopPropagation());
+
+    this.list = document.createElement('ol');
+    Object.assign(this.list.style, { display: 'flex', gap: '8px', margin: '0', padding: '0', listStyle: 'none' });
+    this.element.appendChild(this.list);
+    container.appendChild(this.element);
+  }
+
+  /**
+   * @param {string} label - Accessible name of the breadcrumb (locale change)
+   */
+  setLabel(label) {
+    this.element.setAttribute('aria-label', label);
+  }
+
+  /**
+   * @param {'ltr'|'rtl'} direction - Text direction (locale change)
+   */
+  setDirection(direction) {
+    this.element.dir = direction;
+    this.update(this.path);
+  }
+
+  /**
+   * @param {string[]} path - Labels from the main carousel item to the innermost open level
+   */
+  update(path) {
+    this.path = path;
+    this.list.replaceChildren();
+    this.element.style.display = path.length > 1 ? 'block' : 'none';
+    if (path.length <= 1) return;
+
+    path.forEach((label, index) => {
+      const crumb = document.createElement('li');
+      crumb.style.display = 'flex';
+      crumb.style.gap = '8px';
+      if (index > 0) {
+        const separator = document.createElement('span');
+        separator.textContent = this.element.dir === 'rtl' ? '‹' : '›';
+        separator.setAttribute('aria-hidden', 'true');
+        separator.style.opacity = '0.6';
+        crumb.appendChild(separator);
+      }
+
+      if (index === path.length - 1) {
+        const current = document.createElement('span');
+        current.textContent = label;
+        current.setAttribute('aria-current', 'location');
+        crumb.appendChild(current);
+      } else {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        Object.assign(button.style, {
+          padding: '0',
+          border: '0',
+          background: 'none',
+          color: 'inherit',
+          font: 'inherit',
+          opacity: '0.75',
+          cursor: 'pointer',
+        });
+        button.addEventListener('click', () => this.onSelect(index));
+        crumb.appendChild(button);
+      }
+      this.list.appendChild(crumb);
+    });
+  }
+
+  dispose() {
+    this.element.remove();
+    this.path = [];
+  }
+}
+
+/**
+ * Moves the camera so every open submenu level fits the view, keeping the original viewing
+ * direction. The view from before the first nested level is restored on the way back out.
+ */
+export class SubmenuLevelFraming {
+  /**
+   * @param {Object} options
+   * @param {THREE.PerspectiveCamera} options.camera
+   * @param {import('three/examples/jsm/controls/OrbitControls.js').OrbitControls} options.controls
+   * @param {number} [options.padding=1.15] - Margin around the fitted levels
+   */
+  constructor({ camera, controls, padding = 1.15 }) {
+    this.camera = camera;
+    this.controls = controls;
+    this.padding = padding;
+    this.savedView = null;
+    this.pendingFrame = null;
+  }
+
+  /**
+   * @param {THREE.Object3D[]} levels - Open submenu levels, outermost first
+   * @param {number} [duration=0.6]
+   */
+  frame(levels, duration = 0.6) {
+    this.pendingFrame?.kill();
+    this.pendingFrame = null;
+    if (levels.length < 2) {
+      this.restore(duration);
+      return;
+    }
+    if (!this.savedView) {
+      this.savedView = { position: this.camera.position.clone(), target: this.controls.target.clone() };
+    }
+    this.pendingFrame = gsap.delayedCall(FRAME_DELAY_SECONDS, () => {
+      this.pendingFrame = null;
+      this._fit(levels, duration);
+    });
+  }
+
+  /**
+   * Return to the view from before the first nested level opened.
+   * @param {number} [duration=0.6]
+   */
+  restore(duration = 0.6) {
+    if (!this.savedView) return;
+    const { position, target } = this.savedView;
+    this.savedView = null;
+    this._tweenTo(position, target, duration);
+  }
+
+  dispose() {
+    this.pendingFrame?.kill();
+    this.pendingFrame = null;
+    gsap.killTweensOf(this.camera.position);
+    gsap.killTweensOf(this.controls.target);
+    this.savedView = null;
+  }
+
+  /** @private */
+  _fit(levels, duration) {
+    const box = new THREE.Box3();
+    levels.forEach((level) => {
+      if (!level.parent) return;
+      level.updateMatrixWorld(true);
+      box.expandByObject(level);
+    });
+    if (box.isEmpty()) return;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+    const distance = THREE.MathUtils.clamp(
+      (sphere.radius * this.padding) / Math.sin(Math.min(verticalFov, horizontalFov) / 2),
+      this.controls.minDistance,
+      this.controls.maxDistance
+    );
+
+    const direction = this.savedView.position.clone().sub(this.savedView.target).normalize();
+    this._tweenTo(sphere.center.clone().addScaledVector(direction, distance), sphere.center, duration);
+  }
+
+  /** @private */
+  _tweenTo(position, target, duration) {
+    gsap.to(this.controls.target, { x: target.x, y: target.y, z: target.z, duration, ease: 'power2.inOut', overwrite: 'auto' });
+    gsap.to(this.camera.position, {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      duration,
+      ease: 'power2.inOut',
+      overwrite: 'auto',
+      onUpdate: () => this.camera.lookAt(this.controls.target),
+    });
+  }
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
+import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
+import { SDFGlyphAtlas, loadMSDFAtlas, createSDFTextGeometry, createSDFTextMaterial } from './SDFText.js';
+
+/**
+ * TextRenderer - Picks how carousel labels are drawn, from the theme's `textRenderer` key
+ * (CarouselStyleConfig.js), and gives the carousel, submenus and product display one API for it.
+ * Renderers are shared per font setting, so every submenu reuses the same atlas.
+ *
+ * - `sdf` - runtime glyph atlas from CSS fonts (`font` + `fontFallbacks`, files in `fontSources`);
+ *   any script the fonts cover, shaped scripts (Arabic, Indic) a word at a time
+ * - `msdf` - prebuilt msdf-bmfont atlas (`msdfFont` URL), sharper corners at large sizes; missing
+ *   characters fall back to `sdf` glyphs
+ * - `geometry` - extruded TextGeometry from helvetiker (Latin only, heavy on vertices)
+ *
+ * Falls back msdf → sdf when the font cannot be loaded and sdf → geometry without a canvas.
+ *
+ * @example
+ * const renderer = await loadTextRenderer(theme);
+ * await renderer.prepare(labels);
+ * const mesh = new THREE.Mesh(
+ *   renderer.createGeometry('Produkte', { size: 0.5, maxWidth: 3 }),
+ *   renderer.createMaterial({ color: 0xffffff })
+ * );
+ */
+
+export const TEXT_RENDERERS = ['sdf', 'msdf', 'geometry'];
+
+const HELVETIKER_PATHS = [
+  '/helvetiker_regular.typeface.json',
+  '/fonts/helvetiker_regular.typeface.json',
+  '/assets/fonts/helvetiker_regular.typeface.json',
+  'https://threejs.org/examples/fonts/helvetiker_regular.typeface.json',
+  '/public/helvetiker_regular.typeface.json'
+];
+
+// Cache key -> Promise<renderer>, and the renderers that already resolved
+const pending = new Map();
+const resolved = new Map();
+
+/**
+ * @typedef {Object} TextGeometryOptions
+ * @property {number} [size=0.5] - Em size in world units
+ * @property {number} [maxWidth] - Wrap width in world units (flat renderers)
+ * @property {number} [lineHeight] - In em
+ * @property {'left'|'center'|'right'} [align='center']
+ * @property {number} [depth=0.1] - Extrusion (geometry renderer)
+ * @property {number} [curveSegments=12] - Outline detail (geometry renderer)
+ * @property {boolean} [bevelEnabled=true] - (geometry renderer)
+ * @property {number} [bevelThickness=0.03] - (geometry renderer)
+ * @property {number} [bevelSize=0.02] - (geometry renderer)
+ * @property {number} [bevelSegments=5] - (geometry renderer)
+ */
+
+/**
+ * @typedef {Object} TextRendererHandle
+ * @property {string} type - One of TEXT_RENDERERS (after fallbacks)
+ * @property {boolean} isFlat - Quads with an atlas alpha map, no extrusion or bevel
+ * @property {SDFGlyphAtlas|null} atlas
+ * @property {function((string|string[])): Promise<void>} prepare - Load fonts/glyphs ahead of
+ *   building labels
+ * @property {function(string, TextGeometryOptions=): THREE.BufferGeometry} createGeometry -
+ *   Centered, with its bounding box computed
+ * @property {function(Object=, typeof THREE.Material=): THREE.Material} createMaterial
+ */
+
+/** @private */
+function resolveOptions(style = {}) {
+  const type = TEXT_RENDERERS.includes(style.textRenderer) ? style.textRenderer : 'geometry';
+  const families = [style.font, ...(style.fontFallbacks ?? [])].filter(Boolean);
+  const sources = style.fontSources ?? {};
+  return {
+    type,
+    families,
+    sources,
+    weight: style.fontWeight ?? 400,
+    msdfFont: style.msdfFont ?? null,
+    key: [type, families.join(','), JSON.stringify(sources), style.fontWeight ?? 400, style.msdfFont ?? ''].join('|')
+  };
+}
+
+/** @private */
+function canRasterize() {
+  if (typeof OffscreenCanvas !== 'undefined') return true;
+  return typeof document !== 'undefined' && !!document.createElement('canvas').getContext?.('2d');
+}
+
+/** @private */
+function createFlatRenderer(type, atlas) {
+  return {
+    type,
+    isFlat: true,
+    atlas,
+    prepare: (texts) => atlas.prepare(texts),
+    createGeometry: (text, { size = 0.5, maxWidth, lineHeight, align } = {}) =>
+      createSDFTextGeometry(atlas, text, { size, maxWidth, lineHeight, align }),
+    createMaterial: (params, MaterialClass) => createSDFTextMaterial(atlas, params, MaterialClass)
+  };
+}
+
+/** @private */
+async function loadHelvetiker(paths = HELVETIKER_PATHS) {
+  const loader = new FontLoader();
+  for (const path of paths) {
+    try {
+      return await loader.loadAsync(path);
+    } catch (error) {
+      console.warn(`[TextRenderer] Font loading failed for ${path}:`, error);
+    }
+  }
+  throw new Error('All helvetiker font paths failed');
+}
+
+/** @private */
+function createGeometryRenderer(font) {
+  return {
+    type: 'geometry',
+    isFlat: false,
+    atlas: null,
+    prepare: async () => {},
+    createGeometry: (text, {
+      size = 0.5,
+      depth = 0.1,
+      curveSegments = 12,
+      bevelEnabled = true,
+      bevelThickness = 0.03,
+      bevelSize = 0.02,
+      bevelSegments = 5
+    } = {}) => {
+      const geometry = new TextGeometry(text, {
+        font,
+        size,
+        depth,
+        curveSegments,
+        bevelEnabled,
+        bevelThickness,
+        bevelSize,
+        bevelOffset: 0,
+        bevelSegments
+      });
+      geometry.computeBoundingBox();
+      geometry.center();
+      return geometry;
+    },
+    createMaterial: (params = {}, MaterialClass = THREE.MeshStandardMaterial) => new MaterialClass(params)
+  };
+}
+
+/** @private */
+async function createRenderer({ type, families, sources, weight, msdfFont }) {
+  const atlasOptions = { families, sources, weight };
+
+  if (type === 'msdf') {
+    if (!msdfFont) {
+      console.warn('[TextRenderer] textRenderer "msdf" needs msdfFont; using sdf');
+    } else {
+      try {
+        return createFlatRenderer('msdf', await loadMSDFAtlas(msdfFont, atlasOptions));
+      } catch (error) {
+        console.warn(`[TextRenderer] MSDF font ${msdfFont} failed to load; using sdf:`, error);
+      }
+    }
+  }
+
+  if (type !== 'geometry') {
+    if (canRasterize()) return createFlatRenderer('sdf', new SDFGlyphAtlas(atlasOptions));
+    console.warn('[TextRenderer] No canvas for glyph rasterization; using geometry text');
+  }
+
+  return createGeometryRenderer(await loadHelvetiker());
+}
+
+/**
+ * Load (or reuse) the text renderer for a theme.
+ * @param {Object} style - Theme from CarouselStyleConfig.js (`textRenderer`, `font`,
+ *   `fontFallbacks`, `fontSources`, `fontWeight`, `msdfFont`)
+ * @returns {Promise<TextRendererHandle>}
+ */
+export function loadTextRenderer(style) {
+  const options = resolveOptions(style);
+  if (!pending.has(options.key)) {
+    const promise = createRenderer(options).then((renderer) => {
+      resolved.set(options.key, renderer);
+      return renderer;
+    });
+    // A failed load is retried on the next call
+    promise.catch(() => pending.delete(options.key));
+    pending.set(options.key, promise);
+  }
+  return pending.get(options.key);
+}
+
+/**
+ * The renderer for a theme if it has already loaded, so callers can build labels synchronously.
+ * @param {Object} style
+ * @returns {TextRendererHandle|null}
+ */
+export function peekTextRenderer(style) {
+  return resolved.get(resolveOptions(style).key) ?? null;
+}
@@ -0,0 +1,96 @@
+import {useCallback, useEffect, useMemo, useState} from 'react';
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  activate: 'activated',
+  restore: 'restored',
+  import: 'imported',
+  quarantine: 'quarantined',
+  unquarantine: 'un-quarantined',
+  'revoke-token': 'revoked',
+};
+
+/**
+ * Short audit trail of who changed which preset, read from `/api/backgrounds/audit`.
+ * Re-fetches whenever the preset list changes, i.e. after every admin action.
+ */
+export function BackgroundAuditLog({token, presets, onUnauthorized}) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const titles = useMemo(() => {
+    const map = new Map();
+    presets.forEach((preset) => map.set(preset.id, preset.title || preset.handle));
+    return map;
+  }, [presets]);
+
+  const fetchEntries = useCallback(async () => {
+    if (!token) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/backgrounds/audit', {
+        method: 'GET',
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          onUnauthorized?.();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to load audit log (${response.status})`);
+      }
+
+      const payload = await response.json();
+      setEntries(Array.isArray(payload) ? payload : []);
+    } catch (fetchError) {
+      setError(fetchError instanceof Error ? fetchError.message : 'Failed to load audit log');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, onUnauthorized]);
+
+  useEffect(() => {
+    void fetchEntries();
+  }, [fetchEntries, presets]);
+
+  return (
+    <div className="wm-admin-background-manager__audit">
+      <div className="wm-admin-background-manager__section-header">
+        <span className="wm-admin-background-manager__preset-meta">Latest {entries.length} changes</span>
+        <div className="wm-admin-background-manager__section-actions">
+          <button type="button" onClick={fetchEntries} disabled={isLoading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+      {error && <p className="wm-admin-background-manager__error">{error}</p>}
+      {!isLoading && !error && entries.length === 0 && (
+        <p className="wm-admin-background-manager__message">No admin changes recorded yet</p>
+      )}
+      <ul className="wm-admin-background-manager__audit-list">
+        {entries.map((entry) => (
+          <li key={entry.id}>
+            <strong>{entry.actor}</strong> {ACTION_LABELS[entry.action] ?? entry.action}{' '}
+            {entry.presetId ? `“${titles.get(entry.presetId) ?? entry.presetId}”` : ''}
+            {entry.summary ? ` — ${entry.summary}` : ''}
+            <span className="wm-admin-background-manager__preset-meta">
+              {' '}
+              · {new Date(entry.createdAt).toLocaleString()}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default BackgroundAuditLog;
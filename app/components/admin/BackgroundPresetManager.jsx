@@ -1,8 +1,16 @@
 import {useCallback, useEffect, useMemo, useRef, useState} from 'react';
 import {useBackgroundPreset} from '../backgrounds/useBackgroundPreset';
+import {PresetScheduleCalendar} from './PresetScheduleCalendar';
+import {BackgroundTelemetryPanel} from './BackgroundTelemetryPanel';
+import {BackgroundAuditLog} from './BackgroundAuditLog';
+import {PresetParamControls} from './PresetParamControls';
+import {PresetLintPanel} from './PresetLintPanel';
+import {normalizeParamSchema, resolveParamValues} from '../../utils/backgroundPresetParams';
+import {SCENE_MODULES, SCENE_MODULE_IDS, normalizePresetScene} from '../../utils/backgroundPresetScene';
 import './backgroundPresetManager.css';
 
 const TOKEN_STORAGE_KEY = 'wm-backgrounds-token';
+const EMPTY_TOKEN_STATE = {token: null, expiresAt: null, subject: null, scopes: []};
 const DEFAULT_FORM = {
   id: null,
   title: '',
@@ -16,14 +24,195 @@ const DEFAULT_FORM = {
   isActive: false,
   calmRadius: 320,
   calmIntensity: 0.55,
+  paramSchemaText: '[]',
+  paramValues: {},
+  renderKind: 'iframe',
+  sceneModule: 'skyball',
+  sceneConfigText: '{}',
+  schedule: {windows: []},
 };
 
+const RENDER_KIND_OPTIONS = [
+  {value: 'iframe', label: 'Iframe (HTML/CSS/JS)'},
+  {value: 'scene', label: '3D Scene Module'},
+];
+
 const MOTION_OPTIONS = [
   {value: 'full', label: 'Full Motion'},
   {value: 'subtle', label: 'Subtle Motion'},
   {value: 'static', label: 'Static'},
 ];
 
+const RECURRENCE_OPTIONS = [
+  {value: 'none', label: 'One-off'},
+  {value: 'daily', label: 'Every day'},
+  {value: 'weekends', label: 'Weekends'},
+  {value: 'holidays', label: 'Holidays'},
+];
+
+const REVISION_FIELD_LABELS = {
+  title: 'Title',
+  slug: 'Slug',
+  motionProfile: 'Motion Profile',
+  supportsReducedMotion: 'Supports Reduced Motion',
+  thumbnailUrl: 'Thumbnail URL',
+  calmRadius: 'Calm Radius',
+  calmIntensity: 'Calm Intensity',
+  paramSchema: 'Parameter Schema',
+  paramValues: 'Parameter Values',
+  renderKind: 'Render Target',
+  scene: 'Scene',
+  htmlMarkup: 'HTML Markup',
+  cssStyles: 'CSS Styles',
+  jsSnippet: 'JS Snippet',
+};
+
+const DIFF_LINE_PREFIX = {
+  added: '+',
+  removed: '-',
+  equal: ' ',
+};
+
+function getLocalTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+// Client-only row ids so edits and removals keep each window's inputs on the right row.
+let scheduleWindowSequence = 0;
+function nextScheduleWindowId() {
+  scheduleWindowSequence += 1;
+  return `schedule-window-${scheduleWindowSequence}`;
+}
+
+function createScheduleWindow() {
+  const today = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    id: nextScheduleWindowId(),
+    startsAt: `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}T00:00`,
+    endsAt: '',
+    timezone: getLocalTimeZone(),
+    recurrence: 'none',
+    dailyStart: '',
+    dailyEnd: '',
+    holidays: '',
+  };
+}
+
+// Form windows keep every field as a string so inputs stay controlled; the API shape is rebuilt on save.
+function scheduleToForm(schedule) {
+  return {
+    windows: (schedule?.windows ?? []).map((scheduleWindow) => ({
+      id: nextScheduleWindowId(),
+      startsAt: scheduleWindow.startsAt ?? '',
+      endsAt: scheduleWindow.endsAt ?? '',
+      timezone: scheduleWindow.timezone ?? 'UTC',
+      recurrence: scheduleWindow.recurrence ?? 'none',
+      dailyStart: scheduleWindow.dailyStart && scheduleWindow.dailyStart !== '00:00' ? scheduleWindow.dailyStart : '',
+      dailyEnd: scheduleWindow.dailyEnd && scheduleWindow.dailyEnd !== '24:00' ? scheduleWindow.dailyEnd : '',
+      holidays: (scheduleWindow.holidays ?? []).join(', '),
+    })),
+  };
+}
+
+function scheduleFromForm(schedule) {
+  return {
+    windows: schedule.windows.map((scheduleWindow) => {
+      const payload = {
+        startsAt: scheduleWindow.startsAt,
+        endsAt: scheduleWindow.endsAt || undefined,
+        timezone: scheduleWindow.timezone.trim() || 'UTC',
+        recurrence: scheduleWindow.recurrence,
+      };
+      if (scheduleWindow.recurrence === 'none') return payload;
+      return {
+        ...payload,
+        dailyStart: scheduleWindow.dailyStart || undefined,
+        dailyEnd: scheduleWindow.dailyEnd || undefined,
+        holidays:
+          scheduleWindow.recurrence === 'holidays'
+            ? scheduleWindow.holidays.split(/[\s,]+/u).filter(Boolean)
+            : undefined,
+      };
+    }),
+  };
+}
+
+function presetToForm(preset) {
+  return {
+    id: preset.id,
+    title: preset.title ?? '',
+    slug: preset.slug ?? '',
+    htmlMarkup: preset.htmlMarkup ?? '',
+    cssStyles: preset.cssStyles ?? '',
+    jsSnippet: preset.jsSnippet ?? '',
+    motionProfile: preset.motionProfile ?? 'subtle',
+    supportsReducedMotion: Boolean(preset.supportsReducedMotion),
+    thumbnailUrl: preset.thumbnailUrl ?? '',
+    isActive: Boolean(preset.isActive),
+    calmRadius: preset.calmRadius ?? 320,
+    calmIntensity: preset.calmIntensity ?? 0.55,
+    paramSchemaText: JSON.stringify(preset.paramSchema ?? [], null, 2),
+    paramValues: preset.paramValues ?? {},
+    renderKind: preset.renderKind ?? 'iframe',
+    sceneModule: preset.scene?.module ?? DEFAULT_FORM.sceneModule,
+    sceneConfigText: JSON.stringify(preset.scene?.config ?? {}, null, 2),
+    schedule: scheduleToForm(preset.schedule),
+  };
+}
+
+const COLLISION_RESOLUTION_OPTIONS = [
+  {value: 'rename', label: 'Rename'},
+  {value: 'overwrite', label: 'Overwrite'},
+  {value: 'skip', label: 'Skip'},
+];
+
+const IMPORT_ACTION_LABELS = {
+  created: 'created',
+  overwritten: 'overwritten',
+  renamed: 'renamed',
+  skipped: 'skipped',
+  rejected: 'not overwritten',
+};
+
+function downloadJson(payload, filename) {
+  const blob = new Blob([JSON.stringify(payload, null, 2)], {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function formatDiffValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  return String(value);
+}
+
+// The schema is authored as JSON; while it does not parse, controls are hidden and the preview runs without parameters.
+function parseParamSchemaText(text) {
+  try {
+    return {schema: normalizeParamSchema(text.trim() ? JSON.parse(text) : []), error: null};
+  } catch (error) {
+    return {schema: null, error: error instanceof Error ? error.message : 'Invalid parameter schema'};
+  }
+}
+
+function parseSceneText(module, configText) {
+  try {
+    return {scene: normalizePresetScene({module, config: configText.trim() ? JSON.parse(configText) : {}}), error: null};
+  } catch (error) {
+    return {scene: null, error: error instanceof Error ? error.message : 'Invalid scene config'};
+  }
+}
+
 function normalizeNumberInput(value, fallback, min, max) {
   if (value === '' || value === null || value === undefined) return fallback;
   const numeric = Number(value);
@@ -32,7 +221,7 @@ function normalizeNumberInput(value, fallback, min, max) {
 }
 
 export function BackgroundPresetManager() {
-  const [tokenState, setTokenState] = useState({token: null, expiresAt: null});
+  const [tokenState, setTokenState] = useState(EMPTY_TOKEN_STATE);
   const [tokenInput, setTokenInput] = useState('');
   const [tokenStatus, setTokenStatus] = useState(null);
   const [presets, setPresets] = useState([]);
@@ -43,9 +232,21 @@ export function BackgroundPresetManager() {
   const [errorMessage, setErrorMessage] = useState(null);
   const previewRef = useRef(null);
   const previewTeardownRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [presetView, setPresetView] = useState('list');
+  const [generatingThumbnailId, setGeneratingThumbnailId] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isActivating, setIsActivating] = useState(false);
+  const [releasingQuarantineId, setReleasingQuarantineId] = useState(null);
+  const [isSweepingQuarantine, setIsSweepingQuarantine] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [loadingRevisions, setLoadingRevisions] = useState(false);
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [restoringRevisionId, setRestoringRevisionId] = useState(null);
 
   const {
     preset: activePreset,
@@ -57,6 +258,47 @@ export function BackgroundPresetManager() {
   } = useBackgroundPreset({refreshIntervalMs: 45_000});
 
   const hasToken = Boolean(tokenState.token);
+  const tokenScopes = tokenState.scopes ?? [];
+  const canWrite = hasToken && tokenScopes.includes('write');
+  const canActivate = hasToken && tokenScopes.includes('activate');
+  const canDelete = hasToken && tokenScopes.includes('delete');
+  const manualPreset = useMemo(
+    () =>
+      presets
+        .filter((preset) => preset.isActive)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] ?? null,
+    [presets],
+  );
+  const selectedQuarantine = useMemo(
+    () => presets.find((preset) => preset.id === form.id)?.quarantine ?? null,
+    [presets, form.id],
+  );
+  const savedLintIssues = useMemo(
+    () => presets.find((preset) => preset.id === form.id)?.lint ?? [],
+    [presets, form.id],
+  );
+  const savedHasLintErrors = savedLintIssues.some((issue) => issue.severity === 'error');
+  const {schema: parsedParamSchema, error: paramSchemaError} = useMemo(
+    () => parseParamSchemaText(form.paramSchemaText),
+    [form.paramSchemaText],
+  );
+  const paramSchema = useMemo(() => parsedParamSchema ?? [], [parsedParamSchema]);
+  const {scene: parsedScene, error: sceneError} = useMemo(
+    () => parseSceneText(form.sceneModule, form.sceneConfigText),
+    [form.sceneModule, form.sceneConfigText],
+  );
+  // Controls show what was typed (so a half-entered hex stays editable); the preview gets resolved values.
+  const paramControlValues = useMemo(
+    () =>
+      Object.fromEntries(
+        paramSchema.map((definition) => [definition.key, form.paramValues[definition.key] ?? definition.default]),
+      ),
+    [paramSchema, form.paramValues],
+  );
+  const resolvedParamValues = useMemo(
+    () => resolveParamValues(paramSchema, form.paramValues),
+    [paramSchema, form.paramValues],
+  );
 
   const activeSummary = useMemo(() => {
     if (!activePreset) {
@@ -66,6 +308,16 @@ export function BackgroundPresetManager() {
       };
     }
 
+    if (isFallback && activePreset.status?.reason === 'quarantined') {
+      return {
+        text:
+          activePreset.id === 'background:fallback'
+            ? 'Active preset quarantined: fallback background is currently displayed'
+            : `Active preset quarantined: serving last healthy preset ${activePreset.handle}`,
+        tone: 'warn',
+      };
+    }
+
     if (isFallback) {
       return {
         text: 'Fallback background is currently displayed',
@@ -81,7 +333,9 @@ export function BackgroundPresetManager() {
     }
 
     return {
-      text: `Active preset: ${activePreset.title || activePreset.handle} (${activePreset.motionProfile})`,
+      text: `Active preset: ${activePreset.title || activePreset.handle} (${activePreset.motionProfile}${
+        activePreset.activationSource === 'schedule' ? ', scheduled' : ''
+      })`,
       tone: 'ok',
     };
   }, [activePreset, activeStatus, activeError, isFallback]);
@@ -99,7 +353,7 @@ export function BackgroundPresetManager() {
           return;
         }
       }
-      setTokenState(parsed);
+      setTokenState({...EMPTY_TOKEN_STATE, ...parsed});
     } catch (error) {
       console.warn('[BackgroundPresetManager] Failed to restore token', error);
     }
@@ -120,14 +374,17 @@ export function BackgroundPresetManager() {
     };
   }, []);
 
-  const persistToken = useCallback((token, expiresAt) => {
-    setTokenState({token, expiresAt});
+  const persistToken = useCallback((payload) => {
+    const nextState = {
+      token: payload.token,
+      expiresAt: payload.expiresAt ?? null,
+      subject: payload.subject ?? null,
+      scopes: Array.isArray(payload.scopes) ? payload.scopes : [],
+    };
+    setTokenState(nextState);
     if (typeof window !== 'undefined') {
       try {
-        window.localStorage.setItem(
-          TOKEN_STORAGE_KEY,
-          JSON.stringify({token, expiresAt}),
-        );
+        window.localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(nextState));
       } catch (error) {
         console.warn('[BackgroundPresetManager] Failed to persist token', error);
       }
@@ -135,7 +392,7 @@ export function BackgroundPresetManager() {
   }, []);
 
   const clearStoredToken = useCallback(() => {
-    setTokenState({token: null, expiresAt: null});
+    setTokenState(EMPTY_TOKEN_STATE);
     if (typeof window !== 'undefined') {
       window.localStorage.removeItem(TOKEN_STORAGE_KEY);
     }
@@ -174,6 +431,40 @@ export function BackgroundPresetManager() {
     }
   }, [tokenState.token, clearStoredToken]);
 
+  const fetchRevisions = useCallback(async (presetId) => {
+    if (!tokenState.token || !presetId) {
+      setRevisions([]);
+      return;
+    }
+    setLoadingRevisions(true);
+    try {
+      const response = await fetch(`/api/backgrounds/${encodeURIComponent(presetId)}/revisions`, {
+        method: 'GET',
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${tokenState.token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to load revisions (${response.status})`);
+      }
+
+      const data = await response.json();
+      setRevisions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      setRevisions([]);
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to load revisions');
+    } finally {
+      setLoadingRevisions(false);
+    }
+  }, [tokenState.token, clearStoredToken]);
+
   const handleRequestToken = async (event) => {
     event.preventDefault();
     if (!tokenInput.trim()) {
@@ -200,7 +491,7 @@ export function BackgroundPresetManager() {
       }
 
       const payload = await response.json();
-      persistToken(payload.token, payload.expiresAt ?? null);
+      persistToken(payload);
       setTokenStatus('Token issued');
       setTokenInput('');
       void fetchPresets();
@@ -209,6 +500,21 @@ export function BackgroundPresetManager() {
     }
   };
 
+  const handleSignOut = async () => {
+    if (tokenState.token) {
+      // Revoke server-side so a copied token stops working too; sign out locally regardless.
+      await fetch('/api/backgrounds/token/revoke', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${tokenState.token}`,
+          'Cache-Control': 'no-store',
+        },
+      }).catch(() => null);
+    }
+    clearStoredToken();
+    setTokenStatus('Signed out');
+  };
+
   const handleFieldChange = (field) => (event) => {
     const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
     setForm((prev) => ({...prev, [field]: value}));
@@ -219,29 +525,28 @@ export function BackgroundPresetManager() {
     setForm((prev) => ({...prev, [field]: value}));
   };
 
+  const handleParamChange = (key, value) => {
+    setForm((prev) => ({...prev, paramValues: {...prev.paramValues, [key]: value}}));
+  };
+
+  const handleResetParams = () => {
+    setForm((prev) => ({...prev, paramValues: {}}));
+  };
+
   const handleSelectPreset = (presetId) => {
     const preset = presets.find((item) => item.id === presetId);
     if (!preset) return;
     setSelectedId(presetId);
-    setForm({
-      id: preset.id,
-      title: preset.title ?? '',
-      slug: preset.slug ?? '',
-      htmlMarkup: preset.htmlMarkup ?? '',
-      cssStyles: preset.cssStyles ?? '',
-      jsSnippet: preset.jsSnippet ?? '',
-      motionProfile: preset.motionProfile ?? 'subtle',
-      supportsReducedMotion: Boolean(preset.supportsReducedMotion),
-      thumbnailUrl: preset.thumbnailUrl ?? '',
-      isActive: Boolean(preset.isActive),
-      calmRadius: preset.calmRadius ?? 320,
-      calmIntensity: preset.calmIntensity ?? 0.55,
-    });
+    setForm(presetToForm(preset));
+    setRevisionDiff(null);
+    void fetchRevisions(presetId);
   };
 
   const resetForm = () => {
     setSelectedId(null);
     setForm(DEFAULT_FORM);
+    setRevisions([]);
+    setRevisionDiff(null);
   };
 
   const buildPayload = () => ({
@@ -256,8 +561,42 @@ export function BackgroundPresetManager() {
     isActive: Boolean(form.isActive),
     calmRadius: normalizeNumberInput(form.calmRadius, 320, 120, 960),
     calmIntensity: normalizeNumberInput(form.calmIntensity, 0.55, 0, 1),
+    paramSchema,
+    // Only keys the schema still declares; removed parameters would be rejected by the API.
+    paramValues: Object.fromEntries(
+      Object.entries(form.paramValues).filter(([key]) => paramSchema.some((definition) => definition.key === key)),
+    ),
+    renderKind: form.renderKind,
+    scene: form.renderKind === 'scene' ? parsedScene : undefined,
+    schedule: scheduleFromForm(form.schedule),
   });
 
+  const handleAddScheduleWindow = () => {
+    setForm((prev) => ({
+      ...prev,
+      schedule: {windows: [...prev.schedule.windows, createScheduleWindow()]},
+    }));
+  };
+
+  const handleRemoveScheduleWindow = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      schedule: {windows: prev.schedule.windows.filter((_, windowIndex) => windowIndex !== index)},
+    }));
+  };
+
+  const handleScheduleWindowField = (index, field) => (event) => {
+    const {value} = event.target;
+    setForm((prev) => ({
+      ...prev,
+      schedule: {
+        windows: prev.schedule.windows.map((scheduleWindow, windowIndex) =>
+          windowIndex === index ? {...scheduleWindow, [field]: value} : scheduleWindow,
+        ),
+      },
+    }));
+  };
+
   const handleSave = async () => {
     if (!tokenState.token) {
       setErrorMessage('Token required. Request a token first.');
@@ -267,6 +606,14 @@ export function BackgroundPresetManager() {
       setErrorMessage('Title is required');
       return;
     }
+    if (paramSchemaError) {
+      setErrorMessage(`Parameter schema: ${paramSchemaError}`);
+      return;
+    }
+    if (form.renderKind === 'scene' && sceneError) {
+      setErrorMessage(`Scene: ${sceneError}`);
+      return;
+    }
 
     const payload = buildPayload();
     setIsSaving(true);
@@ -297,9 +644,13 @@ export function BackgroundPresetManager() {
 
       const updated = await response.json();
       setStatusMessage(`Preset ${isUpdate ? 'updated' : 'created'} successfully`);
+      if (updated.warning) {
+        setErrorMessage(updated.warning);
+      }
       setForm((prev) => ({...prev, id: updated.id, isActive: updated.isActive}));
       setSelectedId(updated.id);
       await fetchPresets();
+      await fetchRevisions(updated.id);
       await refreshActivePreset();
     } catch (error) {
       setErrorMessage(error instanceof Error ? error.message : 'Failed to save preset');
@@ -374,6 +725,330 @@ export function BackgroundPresetManager() {
     }
   };
 
+  const handleExport = async (ids) => {
+    if (!tokenState.token) return;
+    setIsExporting(true);
+    setErrorMessage(null);
+    try {
+      const query = ids?.length ? `?ids=${encodeURIComponent(ids.join(','))}` : '';
+      const response = await fetch(`/api/backgrounds/export${query}`, {
+        method: 'GET',
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${tokenState.token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to export presets');
+      }
+
+      const bundle = await response.json();
+      downloadJson(bundle, `background-presets-${bundle.exportedAt.slice(0, 10)}.json`);
+      setStatusMessage(`Exported ${bundle.presets.length} preset${bundle.presets.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to export presets');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const submitImport = async (bundle, options) => {
+    const response = await fetch('/api/backgrounds/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${tokenState.token}`,
+        'Cache-Control': 'no-store',
+      },
+      body: JSON.stringify({bundle, ...options}),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok && response.status !== 409) {
+      if (response.status === 401) {
+        clearStoredToken();
+      }
+      throw new Error(body.error || 'Failed to import presets');
+    }
+    return body;
+  };
+
+  const finishImport = async (bundle, resolutions) => {
+    const body = await submitImport(bundle, {resolutions});
+    if (!body.results) {
+      throw new Error('Import still has unresolved slug collisions');
+    }
+    const summary = body.results
+      .map((result) =>
+        result.action === 'renamed'
+          ? `${result.slug} → ${result.renamedTo}`
+          : `${result.slug} ${IMPORT_ACTION_LABELS[result.action] ?? result.action}`,
+      )
+      .join(', ');
+    setPendingImport(null);
+    setStatusMessage(`Import complete: ${summary}`);
+    const warnings = body.results
+      .filter((result) => result.error || result.warning)
+      .map((result) => `${result.slug}: ${result.error || result.warning}`);
+    if (warnings.length) {
+      setErrorMessage(warnings.join(' '));
+    }
+    await fetchPresets();
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !tokenState.token) return;
+
+    setIsImporting(true);
+    setErrorMessage(null);
+    setPendingImport(null);
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch {
+        throw new Error('Selected file is not valid JSON');
+      }
+
+      const preview = await submitImport(bundle, {dryRun: true});
+      if (!preview.collisions?.length) {
+        await finishImport(bundle, {});
+        return;
+      }
+
+      setPendingImport({
+        bundle,
+        fileName: file.name,
+        collisions: preview.collisions,
+        resolutions: Object.fromEntries(preview.collisions.map((collision) => [collision.slug, 'rename'])),
+      });
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to import presets');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleImportResolutionChange = (slug) => (event) => {
+    const {value} = event.target;
+    setPendingImport((prev) =>
+      prev ? {...prev, resolutions: {...prev.resolutions, [slug]: value}} : prev,
+    );
+  };
+
+  const handleConfirmImport = async () => {
+    if (!pendingImport) return;
+    setIsImporting(true);
+    setErrorMessage(null);
+    try {
+      await finishImport(pendingImport.bundle, pendingImport.resolutions);
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to import presets');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const generateThumbnail = async (preset) => {
+    const {captureBackgroundThumbnail} = await import('../../utils/backgroundThumbnail.client');
+    const dataUrl = await captureBackgroundThumbnail({
+      html: preset.htmlMarkup,
+      css: preset.cssStyles,
+      js: preset.jsSnippet,
+      presetId: preset.id,
+      paramSchema: preset.paramSchema,
+      paramValues: preset.paramValues,
+    });
+
+    const response = await fetch(`/api/backgrounds/${encodeURIComponent(preset.id)}/thumbnail`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${tokenState.token}`,
+        'Cache-Control': 'no-store',
+      },
+      body: JSON.stringify({dataUrl}),
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        clearStoredToken();
+      }
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || 'Failed to store thumbnail');
+    }
+    return response.json();
+  };
+
+  const handleGenerateThumbnails = async (targets) => {
+    if (!tokenState.token || !targets.length) return;
+    setErrorMessage(null);
+    const failures = [];
+    // Sequential on purpose: each capture spins up its own offscreen iframe.
+    for (const preset of targets) {
+      setGeneratingThumbnailId(preset.id);
+      try {
+        const updated = await generateThumbnail(preset);
+        if (updated.id === form.id) {
+          setForm((prev) => ({...prev, thumbnailUrl: updated.thumbnailUrl ?? ''}));
+        }
+      } catch (error) {
+        failures.push(`${preset.title || preset.handle}: ${error instanceof Error ? error.message : 'failed'}`);
+      }
+    }
+    setGeneratingThumbnailId(null);
+    await fetchPresets();
+
+    if (failures.length) {
+      setErrorMessage(`Thumbnail generation failed for ${failures.join('; ')}`);
+    } else {
+      setStatusMessage(`Generated ${targets.length} thumbnail${targets.length === 1 ? '' : 's'}`);
+    }
+  };
+
+  const handleReleaseQuarantine = async (presetId) => {
+    if (!tokenState.token) return;
+    setReleasingQuarantineId(presetId);
+    setErrorMessage(null);
+    try {
+      const response = await fetch(`/api/backgrounds/${encodeURIComponent(presetId)}/unquarantine`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${tokenState.token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to release quarantine');
+      }
+
+      setStatusMessage('Quarantine released');
+      await fetchPresets();
+      await refreshActivePreset();
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to release quarantine');
+    } finally {
+      setReleasingQuarantineId(null);
+    }
+  };
+
+  const handleQuarantineSweep = async () => {
+    if (!tokenState.token) return;
+    setIsSweepingQuarantine(true);
+    setErrorMessage(null);
+    try {
+      const response = await fetch('/api/backgrounds/quarantine/sweep', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${tokenState.token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to run quarantine sweep');
+      }
+
+      const {quarantined = []} = await response.json();
+      setStatusMessage(
+        quarantined.length
+          ? `Quarantined ${quarantined.length} failing preset${quarantined.length === 1 ? '' : 's'}`
+          : 'No presets tripped the circuit breaker',
+      );
+      await fetchPresets();
+      await refreshActivePreset();
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to run quarantine sweep');
+    } finally {
+      setIsSweepingQuarantine(false);
+    }
+  };
+
+  const handleViewRevisionDiff = async (revisionId) => {
+    if (!tokenState.token || !form.id) return;
+    setErrorMessage(null);
+    try {
+      const response = await fetch(
+        `/api/backgrounds/${encodeURIComponent(form.id)}/revisions/${encodeURIComponent(revisionId)}/diff`,
+        {
+          method: 'GET',
+          headers: {
+            Accept: 'application/json',
+            Authorization: `Bearer ${tokenState.token}`,
+            'Cache-Control': 'no-store',
+          },
+        },
+      );
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to load revision diff');
+      }
+
+      setRevisionDiff(await response.json());
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to load revision diff');
+    }
+  };
+
+  const handleRestoreRevision = async (revisionId) => {
+    if (!tokenState.token || !form.id) return;
+    setRestoringRevisionId(revisionId);
+    setErrorMessage(null);
+    try {
+      const response = await fetch(
+        `/api/backgrounds/${encodeURIComponent(form.id)}/revisions/${encodeURIComponent(revisionId)}/restore`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${tokenState.token}`,
+            'Cache-Control': 'no-store',
+          },
+        },
+      );
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          clearStoredToken();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to restore revision');
+      }
+
+      const {preset} = await response.json();
+      setForm(presetToForm(preset));
+      setRevisionDiff(null);
+      setStatusMessage('Revision restored');
+      await fetchPresets();
+      await fetchRevisions(preset.id);
+      await refreshActivePreset();
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to restore revision');
+    } finally {
+      setRestoringRevisionId(null);
+    }
+  };
+
   useEffect(() => {
     if (typeof window === 'undefined') return;
     if (!previewRef.current) return;
@@ -415,13 +1090,22 @@ export function BackgroundPresetManager() {
           },
           calmRadius: form.calmRadius,
           calmIntensity: form.calmIntensity,
+          paramSchema,
+          paramValues: resolvedParamValues,
         };
 
+        // Previews use a throwaway version hash, so they stay out of render telemetry.
         previewTeardownRef.current = mountBackgroundRenderer(container, previewPreset, {
           forceReducedMotion: false,
+          reportTelemetry: false,
           onError: (error) => {
             console.error('[BackgroundPresetManager] Preview failed', error);
           },
+          onEvent: (event) => {
+            if (event.type === 'degraded') {
+              console.warn('[BackgroundPresetManager] Preview degraded', event.details);
+            }
+          },
         });
       } catch (error) {
         console.error('[BackgroundPresetManager] Unable to mount preview', error);
@@ -438,7 +1122,7 @@ export function BackgroundPresetManager() {
         previewTeardownRef.current = null;
       }
     };
-  }, [form.id, form.slug, form.htmlMarkup, form.cssStyles, form.jsSnippet, form.motionProfile, form.supportsReducedMotion, form.calmRadius, form.calmIntensity]);
+  }, [form.id, form.slug, form.htmlMarkup, form.cssStyles, form.jsSnippet, form.motionProfile, form.supportsReducedMotion, form.calmRadius, form.calmIntensity, paramSchema, resolvedParamValues]);
 
   const tokenExpiryLabel = tokenState.expiresAt
     ? new Date(tokenState.expiresAt).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})
@@ -463,8 +1147,8 @@ export function BackgroundPresetManager() {
               Request Token
             </button>
             {hasToken && (
-              <button type="button" onClick={clearStoredToken}>
-                Clear Token
+              <button type="button" onClick={handleSignOut}>
+                Sign Out
               </button>
             )}
           </div>
@@ -472,7 +1156,9 @@ export function BackgroundPresetManager() {
         {tokenStatus && <p className="wm-admin-background-manager__status">{tokenStatus}</p>}
         {hasToken && (
           <p className="wm-admin-background-manager__status">
-            Token active {tokenExpiryLabel ? `until ${tokenExpiryLabel}` : '(expires soon)'}
+            {tokenState.subject ? `Signed in as ${tokenState.subject} · ` : ''}Token active{' '}
+            {tokenExpiryLabel ? `until ${tokenExpiryLabel}` : '(expires soon)'} · Scopes:{' '}
+            {tokenScopes.length ? tokenScopes.join(', ') : 'none (request a new token)'}
           </p>
         )}
       </div>
@@ -487,24 +1173,123 @@ export function BackgroundPresetManager() {
             <button type="button" onClick={resetForm}>
               New Preset
             </button>
+            <button
+              type="button"
+              onClick={() => setPresetView((view) => (view === 'list' ? 'gallery' : 'list'))}
+            >
+              {presetView === 'list' ? 'Gallery View' : 'List View'}
+            </button>
+            {presetView === 'gallery' && (
+              <button
+                type="button"
+                onClick={() => handleGenerateThumbnails(presets.filter((preset) => !preset.thumbnailUrl))}
+                disabled={
+                  !canWrite || generatingThumbnailId !== null || presets.every((preset) => preset.thumbnailUrl)
+                }
+              >
+                Generate Missing Thumbnails
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleExport(form.id ? [form.id] : [])}
+              disabled={!hasToken || isExporting || presets.length === 0}
+            >
+              {form.id ? 'Export Selected' : 'Export All'}
+            </button>
+            <button
+              type="button"
+              onClick={() => importInputRef.current?.click()}
+              disabled={!canWrite || isImporting}
+            >
+              {isImporting ? 'Importing…' : 'Import Bundle'}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              hidden
+            />
           </div>
         </div>
-        <div className="wm-admin-background-manager__preset-list">
+        {pendingImport && (
+          <div className="wm-admin-background-manager__import">
+            <p>
+              {pendingImport.fileName}: {pendingImport.collisions.length} slug
+              {pendingImport.collisions.length === 1 ? '' : 's'} already exist in this shop.
+            </p>
+            {pendingImport.collisions.map((collision) => (
+              <label key={collision.slug} className="wm-admin-background-manager__import-row">
+                <span>
+                  <strong>{collision.slug}</strong> — “{collision.title}” vs existing “{collision.existingTitle}”
+                </span>
+                <select
+                  value={pendingImport.resolutions[collision.slug]}
+                  onChange={handleImportResolutionChange(collision.slug)}
+                >
+                  {COLLISION_RESOLUTION_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <div className="wm-admin-background-manager__section-actions">
+              <button type="button" onClick={handleConfirmImport} disabled={isImporting}>
+                Confirm Import
+              </button>
+              <button type="button" onClick={() => setPendingImport(null)} disabled={isImporting}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        <div
+          className={
+            presetView === 'gallery'
+              ? 'wm-admin-background-manager__preset-gallery'
+              : 'wm-admin-background-manager__preset-list'
+          }
+        >
           {loadingPresets && <div className="wm-admin-background-manager__message">Loading presets…</div>}
           {!loadingPresets && presets.length === 0 && (
             <div className="wm-admin-background-manager__message">No presets found</div>
           )}
-          {presets.map((preset) => (
+          {presetView === 'gallery' && presets.map((preset) => (
+            <button
+              type="button"
+              key={preset.id}
+              className={`wm-admin-background-manager__gallery-card ${
+                preset.id === selectedId ? 'is-selected' : ''
+              } ${preset.isActive ? 'is-active' : ''} ${preset.quarantine ? 'is-quarantined' : ''}`}
+              onClick={() => handleSelectPreset(preset.id)}
+            >
+              {preset.thumbnailUrl ? (
+                <img src={preset.thumbnailUrl} alt="" loading="lazy" />
+              ) : (
+                <span className="wm-admin-background-manager__gallery-placeholder">
+                  {generatingThumbnailId === preset.id ? 'Capturing…' : 'No thumbnail'}
+                </span>
+              )}
+              <span className="wm-admin-background-manager__preset-title">{preset.title || preset.handle}</span>
+            </button>
+          ))}
+          {presetView === 'list' && presets.map((preset) => (
             <button
               type="button"
               key={preset.id}
               className={`wm-admin-background-manager__preset ${
                 preset.id === selectedId ? 'is-selected' : ''
-              } ${preset.isActive ? 'is-active' : ''}`}
+              } ${preset.isActive ? 'is-active' : ''} ${preset.schedule?.windows?.length ? 'is-scheduled' : ''} ${
+                preset.quarantine ? 'is-quarantined' : ''
+              }`}
               onClick={() => handleSelectPreset(preset.id)}
             >
               <span className="wm-admin-background-manager__preset-title">{preset.title || preset.handle}</span>
               <span className="wm-admin-background-manager__preset-meta">
+                {preset.renderKind === 'scene' && preset.scene ? `scene: ${preset.scene.module} · ` : ''}
                 {preset.motionProfile} · Updated {new Date(preset.updatedAt).toLocaleString()}
               </span>
             </button>
@@ -514,6 +1299,23 @@ export function BackgroundPresetManager() {
 
       <div className="wm-admin-background-manager__section">
         <h4>Preset Editor</h4>
+        {selectedQuarantine && (
+          <div className="wm-admin-background-manager__quarantine">
+            <p>
+              Quarantined {new Date(selectedQuarantine.quarantinedAt).toLocaleString()}:{' '}
+              {(selectedQuarantine.failureRate * 100).toFixed(1)}% of {selectedQuarantine.sampleSize} renders of
+              version {selectedQuarantine.versionHash.slice(0, 10)}… failed or timed out. Visitors get the last
+              healthy preset instead.
+            </p>
+            <button
+              type="button"
+              onClick={() => handleReleaseQuarantine(form.id)}
+              disabled={!canActivate || releasingQuarantineId === form.id}
+            >
+              {releasingQuarantineId === form.id ? 'Releasing…' : 'Un-quarantine'}
+            </button>
+          </div>
+        )}
         <div className="wm-admin-background-manager__form-grid">
           <label>
             Title
@@ -537,6 +1339,28 @@ export function BackgroundPresetManager() {
               ))}
             </select>
           </label>
+          <label>
+            Render Target
+            <select value={form.renderKind} onChange={handleFieldChange('renderKind')}>
+              {RENDER_KIND_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {form.renderKind === 'scene' && (
+            <label>
+              Scene Module
+              <select value={form.sceneModule} onChange={handleFieldChange('sceneModule')}>
+                {SCENE_MODULE_IDS.map((moduleId) => (
+                  <option key={moduleId} value={moduleId}>
+                    {SCENE_MODULES[moduleId].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <label className="wm-admin-background-manager__checkbox">
             <input
               type="checkbox"
@@ -546,7 +1370,12 @@ export function BackgroundPresetManager() {
             Supports Reduced Motion
           </label>
           <label className="wm-admin-background-manager__checkbox">
-            <input type="checkbox" checked={form.isActive} onChange={handleFieldChange('isActive')} />
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={handleFieldChange('isActive')}
+              disabled={!canActivate && !form.isActive}
+            />
             Mark Active on Save
           </label>
           <label>
@@ -573,6 +1402,137 @@ export function BackgroundPresetManager() {
           </label>
         </div>
 
+        <div className="wm-admin-background-manager__schedule">
+          <div className="wm-admin-background-manager__section-header">
+            <strong>Activation Schedule</strong>
+            <div className="wm-admin-background-manager__section-actions">
+              <button type="button" onClick={handleAddScheduleWindow} disabled={!canActivate}>
+                Add Window
+              </button>
+            </div>
+          </div>
+          {form.schedule.windows.length === 0 && (
+            <p className="wm-admin-background-manager__message">
+              Not scheduled. The preset only shows when activated manually.
+            </p>
+          )}
+          {form.schedule.windows.map((scheduleWindow, index) => (
+            <div key={scheduleWindow.id} className="wm-admin-background-manager__form-grid wm-admin-background-manager__schedule-window">
+              <label>
+                Starts
+                <input
+                  type="datetime-local"
+                  value={scheduleWindow.startsAt}
+                  onChange={handleScheduleWindowField(index, 'startsAt')}
+                />
+              </label>
+              <label>
+                Ends (optional)
+                <input
+                  type="datetime-local"
+                  value={scheduleWindow.endsAt}
+                  onChange={handleScheduleWindowField(index, 'endsAt')}
+                />
+              </label>
+              <label>
+                Timezone
+                <input
+                  type="text"
+                  value={scheduleWindow.timezone}
+                  onChange={handleScheduleWindowField(index, 'timezone')}
+                  placeholder="America/New_York"
+                />
+              </label>
+              <label>
+                Repeats
+                <select value={scheduleWindow.recurrence} onChange={handleScheduleWindowField(index, 'recurrence')}>
+                  {RECURRENCE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {scheduleWindow.recurrence !== 'none' && (
+                <>
+                  <label>
+                    Daily From
+                    <input
+                      type="time"
+                      value={scheduleWindow.dailyStart}
+                      onChange={handleScheduleWindowField(index, 'dailyStart')}
+                    />
+                  </label>
+                  <label>
+                    Daily Until (blank = midnight)
+                    <input
+                      type="time"
+                      value={scheduleWindow.dailyEnd}
+                      onChange={handleScheduleWindowField(index, 'dailyEnd')}
+                    />
+                  </label>
+                </>
+              )}
+              {scheduleWindow.recurrence === 'holidays' && (
+                <label>
+                  Holiday Dates
+                  <input
+                    type="text"
+                    value={scheduleWindow.holidays}
+                    onChange={handleScheduleWindowField(index, 'holidays')}
+                    placeholder="2025-12-25, 2026-01-01"
+                  />
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={() => handleRemoveScheduleWindow(index)}
+                className="wm-admin-background-manager__danger"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="wm-admin-background-manager__schedule">
+          <div className="wm-admin-background-manager__section-header">
+            <strong>Parameters</strong>
+          </div>
+          {paramSchemaError ? (
+            <p className="wm-admin-background-manager__error">{paramSchemaError}</p>
+          ) : (
+            <PresetParamControls
+              schema={paramSchema}
+              values={paramControlValues}
+              onChange={handleParamChange}
+              onReset={handleResetParams}
+            />
+          )}
+        </div>
+
+        {form.renderKind === 'scene' && (
+          <>
+            <label className="wm-admin-background-manager__textarea">
+              Scene Config (JSON)
+              <textarea
+                value={form.sceneConfigText}
+                onChange={handleFieldChange('sceneConfigText')}
+                rows={6}
+                placeholder='{"sphereRadius": 60, "mouseInfluence": 0.2}'
+              />
+            </label>
+            {sceneError ? (
+              <p className="wm-admin-background-manager__error">{sceneError}</p>
+            ) : (
+              <p className="wm-admin-background-manager__message">
+                Rendered in the carousel scene store-wide; the HTML/CSS/JS below is not served while this is a scene
+                preset.
+              </p>
+            )}
+          </>
+        )}
+
         <label className="wm-admin-background-manager__textarea">
           HTML Markup
           <textarea value={form.htmlMarkup} onChange={handleFieldChange('htmlMarkup')} rows={6} />
@@ -585,18 +1545,52 @@ export function BackgroundPresetManager() {
           JS Snippet
           <textarea value={form.jsSnippet} onChange={handleFieldChange('jsSnippet')} rows={6} />
         </label>
+        <label className="wm-admin-background-manager__textarea">
+          Parameter Schema (JSON)
+          <textarea
+            value={form.paramSchemaText}
+            onChange={handleFieldChange('paramSchemaText')}
+            rows={6}
+            placeholder='[{"key": "accent", "type": "color", "default": "#ff4d6d"}]'
+          />
+        </label>
+
+        <PresetLintPanel
+          token={tokenState.token}
+          htmlMarkup={form.htmlMarkup}
+          cssStyles={form.cssStyles}
+          jsSnippet={form.jsSnippet}
+          savedIssues={savedLintIssues}
+          onUnauthorized={clearStoredToken}
+        />
 
         <div className="wm-admin-background-manager__actions">
-          <button type="button" onClick={handleSave} disabled={!hasToken || isSaving}>
+          <button type="button" onClick={handleSave} disabled={!canWrite || isSaving}>
             {form.id ? 'Update Preset' : 'Create Preset'}
           </button>
-          <button type="button" onClick={handleActivate} disabled={!hasToken || !form.id || isActivating}>
+          <button
+            type="button"
+            onClick={handleActivate}
+            disabled={!canActivate || !form.id || isActivating || savedHasLintErrors}
+            title={savedHasLintErrors ? 'Fix lint errors before activating' : undefined}
+          >
             Activate Preset
           </button>
+          <button
+            type="button"
+            onClick={() => {
+              const saved = presets.find((preset) => preset.id === form.id);
+              if (saved) void handleGenerateThumbnails([saved]);
+            }}
+            disabled={!canWrite || !form.id || generatingThumbnailId !== null}
+            title="Captures the saved version of this preset"
+          >
+            {generatingThumbnailId === form.id ? 'Capturing…' : 'Generate Thumbnail'}
+          </button>
           <button
             type="button"
             onClick={handleDelete}
-            disabled={!hasToken || !form.id || isDeleting}
+            disabled={!canDelete || !form.id || isDeleting}
             className="wm-admin-background-manager__danger"
           >
             Delete Preset
@@ -606,6 +1600,120 @@ export function BackgroundPresetManager() {
         {errorMessage && <p className="wm-admin-background-manager__error">{errorMessage}</p>}
       </div>
 
+      {form.id && (
+        <div className="wm-admin-background-manager__section">
+          <div className="wm-admin-background-manager__section-header">
+            <h4>Revision History</h4>
+            <div className="wm-admin-background-manager__section-actions">
+              <button
+                type="button"
+                onClick={() => fetchRevisions(form.id)}
+                disabled={!hasToken || loadingRevisions}
+              >
+                Refresh
+              </button>
+            </div>
+          </div>
+          <ol className="wm-admin-background-manager__revision-list">
+            {loadingRevisions && <li className="wm-admin-background-manager__message">Loading revisions…</li>}
+            {!loadingRevisions && revisions.length === 0 && (
+              <li className="wm-admin-background-manager__message">No revisions recorded yet</li>
+            )}
+            {revisions.map((revision, index) => (
+              <li key={revision.id} className="wm-admin-background-manager__revision">
+                <div className="wm-admin-background-manager__revision-meta">
+                  <span className="wm-admin-background-manager__preset-title">
+                    {new Date(revision.createdAt).toLocaleString()}
+                    {index === 0 ? ' · Latest' : ''}
+                  </span>
+                  <span className="wm-admin-background-manager__preset-meta">
+                    {revision.author} · {revision.versionHash.slice(0, 10)}…
+                    {revision.restoredFrom ? ' · Restored' : ''}
+                  </span>
+                </div>
+                <div className="wm-admin-background-manager__revision-actions">
+                  <button type="button" onClick={() => handleViewRevisionDiff(revision.id)}>
+                    Diff
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRestoreRevision(revision.id)}
+                    disabled={!canWrite || restoringRevisionId !== null}
+                  >
+                    Restore
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+          {revisionDiff && (
+            <div className="wm-admin-background-manager__revision-diff">
+              <p className="wm-admin-background-manager__preset-meta">
+                Changes from {new Date(revisionDiff.from.createdAt).toLocaleString()} to{' '}
+                {revisionDiff.to === 'current' ? 'current preset' : new Date(revisionDiff.to.createdAt).toLocaleString()}
+              </p>
+              {revisionDiff.changes.length === 0 && (
+                <p className="wm-admin-background-manager__message">No differences</p>
+              )}
+              {revisionDiff.changes.map((change) => (
+                <div key={change.field} className="wm-admin-background-manager__revision-change">
+                  <strong>{REVISION_FIELD_LABELS[change.field] ?? change.field}</strong>
+                  {change.lines ? (
+                    <pre>
+                      {change.lines.map((line, lineIndex) => (
+                        // eslint-disable-next-line react/no-array-index-key
+                        <span key={lineIndex} className={`wm-diff-line wm-diff-line--${line.type}`}>
+                          {DIFF_LINE_PREFIX[line.type]} {line.text}
+                          {'\n'}
+                        </span>
+                      ))}
+                    </pre>
+                  ) : (
+                    <span className="wm-admin-background-manager__preset-meta">
+                      {formatDiffValue(change.from)} → {formatDiffValue(change.to)}
+                    </span>
+                  )}
+                </div>
+              ))}
+              <div className="wm-admin-background-manager__status-actions">
+                <button type="button" onClick={() => setRevisionDiff(null)}>
+                  Close Diff
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {hasToken && (
+        <div className="wm-admin-background-manager__section">
+          <h4>Schedule Calendar</h4>
+          <PresetScheduleCalendar
+            presets={presets}
+            manualPreset={manualPreset}
+            onSelectPreset={handleSelectPreset}
+          />
+        </div>
+      )}
+
+      {hasToken && (
+        <div className="wm-admin-background-manager__section">
+          <h4>Render Health</h4>
+          <BackgroundTelemetryPanel
+            token={tokenState.token}
+            presets={presets}
+            onUnauthorized={clearStoredToken}
+          />
+        </div>
+      )}
+
+      {hasToken && (
+        <div className="wm-admin-background-manager__section">
+          <h4>Audit Log</h4>
+          <BackgroundAuditLog token={tokenState.token} presets={presets} onUnauthorized={clearStoredToken} />
+        </div>
+      )}
+
       <div className="wm-admin-background-manager__section">
         <h4>Preview</h4>
         <div ref={previewRef} className="wm-admin-background-manager__preview" />
@@ -627,6 +1735,13 @@ export function BackgroundPresetManager() {
             <button type="button" onClick={() => refreshActivePreset()}>
               Refresh Active Preset
             </button>
+            <button
+              type="button"
+              onClick={handleQuarantineSweep}
+              disabled={!canActivate || isSweepingQuarantine}
+            >
+              {isSweepingQuarantine ? 'Sweeping…' : 'Run Quarantine Sweep'}
+            </button>
           </div>
         </div>
       </div>
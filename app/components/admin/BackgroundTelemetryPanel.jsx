@@ -0,0 +1,138 @@
+import {useCallback, useEffect, useMemo, useState} from 'react';
+
+const WINDOW_OPTIONS = [
+  {value: 1, label: 'Last hour'},
+  {value: 24, label: 'Last 24 hours'},
+  {value: 168, label: 'Last 7 days'},
+];
+
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? '—' : `${Math.round(value)} ms`;
+}
+
+/**
+ * Render health per preset version: error/timeout rates and load-time percentiles
+ * aggregated by `/api/backgrounds/telemetry/summary`.
+ */
+export function BackgroundTelemetryPanel({token, presets, onUnauthorized}) {
+  const [windowHours, setWindowHours] = useState(24);
+  const [summary, setSummary] = useState([]);
+  const [storageName, setStorageName] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const titles = useMemo(() => {
+    const map = new Map();
+    presets.forEach((preset) => map.set(preset.id, preset.title || preset.handle));
+    return map;
+  }, [presets]);
+
+  const maxLoadTime = useMemo(
+    () => Math.max(1, ...summary.map((row) => row.loadTimeMs.p99 ?? 0)),
+    [summary],
+  );
+
+  const fetchSummary = useCallback(async () => {
+    if (!token) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/backgrounds/telemetry/summary?windowHours=${windowHours}`, {
+        method: 'GET',
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${token}`,
+          'Cache-Control': 'no-store',
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) {
+          onUnauthorized?.();
+        }
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to load telemetry (${response.status})`);
+      }
+
+      const payload = await response.json();
+      setSummary(Array.isArray(payload.summary) ? payload.summary : []);
+      setStorageName(payload.storage ?? null);
+    } catch (fetchError) {
+      setError(fetchError instanceof Error ? fetchError.message : 'Failed to load telemetry');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, windowHours, onUnauthorized]);
+
+  useEffect(() => {
+    void fetchSummary();
+  }, [fetchSummary]);
+
+  return (
+    <div className="wm-admin-background-manager__telemetry">
+      <div className="wm-admin-background-manager__section-header">
+        <select value={windowHours} onChange={(event) => setWindowHours(Number(event.target.value))}>
+          {WINDOW_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <div className="wm-admin-background-manager__section-actions">
+          <button type="button" onClick={fetchSummary} disabled={isLoading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+      {error && <p className="wm-admin-background-manager__error">{error}</p>}
+      {!isLoading && !error && summary.length === 0 && (
+        <p className="wm-admin-background-manager__message">No render events recorded in this window</p>
+      )}
+      {summary.map((row) => (
+        <div key={`${row.presetId}:${row.versionHash}`} className="wm-admin-background-manager__telemetry-row">
+          <div className="wm-admin-background-manager__revision-meta">
+            <span className="wm-admin-background-manager__preset-title">
+              {titles.get(row.presetId) ?? row.presetId}
+            </span>
+            <span className="wm-admin-background-manager__preset-meta">
+              {row.versionHash.slice(0, 10)}… · {row.total} renders ·{' '}
+              {row.degradations ?? 0} degraded · last {new Date(row.lastEventAt).toLocaleString()}
+            </span>
+          </div>
+          <div className="wm-admin-background-manager__telemetry-bars">
+            <span>Errors {formatRate(row.errorRate)}</span>
+            <div className="wm-telemetry-bar">
+              <div className="wm-telemetry-bar__fill wm-telemetry-bar__fill--error" style={{width: formatRate(row.errorRate)}} />
+            </div>
+            <span>Timeouts {formatRate(row.timeoutRate)}</span>
+            <div className="wm-telemetry-bar">
+              <div className="wm-telemetry-bar__fill wm-telemetry-bar__fill--timeout" style={{width: formatRate(row.timeoutRate)}} />
+            </div>
+            {['p50', 'p90', 'p99'].map((key) => (
+              <div key={key} className="wm-admin-background-manager__telemetry-latency">
+                <span>
+                  {key} {formatMs(row.loadTimeMs[key])}
+                </span>
+                <div className="wm-telemetry-bar">
+                  <div
+                    className="wm-telemetry-bar__fill"
+                    style={{width: `${((row.loadTimeMs[key] ?? 0) / maxLoadTime) * 100}%`}}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      {storageName && (
+        <p className="wm-admin-background-manager__preset-meta">Storage adapter: {storageName}</p>
+      )}
+    </div>
+  );
+}
+
+export default BackgroundTelemetryPanel;
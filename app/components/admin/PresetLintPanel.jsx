@@ -0,0 +1,99 @@
+import {useEffect, useState} from 'react';
+
+const LINT_DEBOUNCE_MS = 400;
+const SOURCE_LABELS = {html: 'HTML', css: 'CSS', js: 'JS'};
+
+/**
+ * Static analysis of the preset being edited, via `/api/backgrounds/lint`.
+ * Draft issues refresh as the author types; `savedIssues` are what activation is checked against.
+ */
+export function PresetLintPanel({token, htmlMarkup, cssStyles, jsSnippet, savedIssues, onUnauthorized}) {
+  const [issues, setIssues] = useState([]);
+  const [isLinting, setIsLinting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    if (!htmlMarkup && !cssStyles && !jsSnippet) {
+      setIssues([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = window.setTimeout(async () => {
+      setIsLinting(true);
+      setError(null);
+      try {
+        const response = await fetch('/api/backgrounds/lint', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            'Cache-Control': 'no-store',
+          },
+          body: JSON.stringify({htmlMarkup, cssStyles, jsSnippet}),
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          if (response.status === 401) {
+            onUnauthorized?.();
+          }
+          const body = await response.json().catch(() => ({}));
+          throw new Error(body.error || `Failed to lint preset (${response.status})`);
+        }
+
+        const payload = await response.json();
+        setIssues(Array.isArray(payload.issues) ? payload.issues : []);
+      } catch (lintError) {
+        if (controller.signal.aborted) return;
+        setError(lintError instanceof Error ? lintError.message : 'Failed to lint preset');
+      } finally {
+        if (!controller.signal.aborted) setIsLinting(false);
+      }
+    }, LINT_DEBOUNCE_MS);
+
+    return () => {
+      controller.abort();
+      window.clearTimeout(timer);
+    };
+  }, [token, htmlMarkup, cssStyles, jsSnippet, onUnauthorized]);
+
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  const savedErrorCount = (savedIssues ?? []).filter((issue) => issue.severity === 'error').length;
+
+  return (
+    <div className="wm-admin-background-manager__lint">
+      <div className="wm-admin-background-manager__section-header">
+        <strong>Lint</strong>
+        <span className="wm-admin-background-manager__preset-meta">
+          {isLinting ? 'Checking…' : `${errorCount} errors · ${warningCount} warnings`}
+        </span>
+      </div>
+      {savedErrorCount > 0 && (
+        <p className="wm-admin-background-manager__error">
+          The saved version has {savedErrorCount} lint error{savedErrorCount === 1 ? '' : 's'}; it cannot be activated or
+          scheduled until they are fixed and saved.
+        </p>
+      )}
+      {error && <p className="wm-admin-background-manager__error">{error}</p>}
+      {!error && !isLinting && issues.length === 0 && (
+        <p className="wm-admin-background-manager__message">No issues found</p>
+      )}
+      <ul className="wm-admin-background-manager__lint-list">
+        {issues.map((issue) => (
+          <li
+            key={`${issue.source}:${issue.line}:${issue.ruleId}`}
+            className={`wm-admin-background-manager__lint-issue is-${issue.severity}`}
+          >
+            <strong>{issue.severity}</strong> {SOURCE_LABELS[issue.source] ?? issue.source}:{issue.line}{' '}
+            <code>{issue.ruleId}</code> — {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default PresetLintPanel;
@@ -0,0 +1,96 @@
+import {getParamCssVariable} from '../../utils/backgroundPresetParams';
+
+// <input type="color"> only accepts #rrggbb; shorter/alpha hex values are shown as the nearest match.
+function toColorInputValue(value) {
+  if (typeof value !== 'string') return '#000000';
+  if (/^#[0-9a-f]{6}/iu.test(value)) return value.slice(0, 7);
+  if (/^#[0-9a-f]{3,4}$/iu.test(value)) {
+    const [, r, g, b] = value;
+    return `#${r}${r}${g}${g}${b}${b}`;
+  }
+  return '#000000';
+}
+
+function ParamControl({definition, value, onChange}) {
+  switch (definition.type) {
+    case 'color':
+      return (
+        <span className="wm-admin-background-manager__param-color">
+          <input
+            type="color"
+            value={toColorInputValue(value)}
+            onChange={(event) => onChange(event.target.value)}
+          />
+          <input type="text" value={value} onChange={(event) => onChange(event.target.value)} />
+        </span>
+      );
+    case 'number':
+      return (
+        <span className="wm-admin-background-manager__param-range">
+          <input
+            type="range"
+            min={definition.min}
+            max={definition.max}
+            step={definition.step ?? 'any'}
+            value={value}
+            onChange={(event) => onChange(Number(event.target.value))}
+          />
+          <span className="wm-admin-background-manager__preset-meta">
+            {value}
+            {definition.unit ?? ''}
+          </span>
+        </span>
+      );
+    case 'boolean':
+      return <input type="checkbox" checked={Boolean(value)} onChange={(event) => onChange(event.target.checked)} />;
+    case 'enum':
+      return (
+        <select value={value} onChange={(event) => onChange(event.target.value)}>
+          {definition.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Controls generated from a preset's parameter schema. `values` must already be resolved
+ * (one entry per schema key); edits are reported per key.
+ */
+export function PresetParamControls({schema, values, onChange, onReset}) {
+  if (!schema.length) {
+    return (
+      <p className="wm-admin-background-manager__message">
+        No parameters declared. Add entries to the schema to get controls here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="wm-admin-background-manager__form-grid wm-admin-background-manager__params">
+      {schema.map((definition) => (
+        <label
+          key={definition.key}
+          className={definition.type === 'boolean' ? 'wm-admin-background-manager__checkbox' : undefined}
+          title={definition.description}
+        >
+          {definition.label ?? definition.key}
+          <ParamControl
+            definition={definition}
+            value={values[definition.key]}
+            onChange={(next) => onChange(definition.key, next)}
+          />
+          <code className="wm-admin-background-manager__preset-meta">{getParamCssVariable(definition.key)}</code>
+        </label>
+      ))}
+      <button type="button" onClick={onReset}>
+        Reset to Defaults
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import {useMemo, useState} from 'react';
+import {isWindowActiveOnDay} from '../../utils/backgroundPresetSchedule';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDayKey(year, monthIndex, day) {
+  return `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+}
+
+/**
+ * Month grid showing which presets have an activation window on each day.
+ * Days are read in each window's own timezone, so a window shows on its local dates.
+ */
+export function PresetScheduleCalendar({presets, manualPreset, onSelectPreset}) {
+  const [monthOffset, setMonthOffset] = useState(0);
+
+  const {label, cells, todayKey} = useMemo(() => {
+    const now = new Date();
+    const anchor = new Date(now.getFullYear(), now.getMonth() + monthOffset, 1);
+    const year = anchor.getFullYear();
+    const monthIndex = anchor.getMonth();
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    const scheduledPresets = presets.filter((preset) => preset.schedule?.windows?.length);
+
+    const grid = [];
+    for (let blank = 0; blank < anchor.getDay(); blank += 1) {
+      grid.push({key: `blank-${blank}`, day: null, entries: []});
+    }
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      const key = toDayKey(year, monthIndex, day);
+      const entries = scheduledPresets.filter((preset) =>
+        preset.schedule.windows.some((scheduleWindow) => isWindowActiveOnDay(scheduleWindow, key)),
+      );
+      grid.push({key, day, entries});
+    }
+
+    return {
+      label: anchor.toLocaleDateString([], {month: 'long', year: 'numeric'}),
+      cells: grid,
+      todayKey: toDayKey(now.getFullYear(), now.getMonth(), now.getDate()),
+    };
+  }, [presets, monthOffset]);
+
+  return (
+    <div className="wm-admin-background-manager__calendar">
+      <div className="wm-admin-background-manager__section-header">
+        <strong>{label}</strong>
+        <div className="wm-admin-background-manager__section-actions">
+          <button type="button" onClick={() => setMonthOffset((offset) => offset - 1)}>
+            ‹ Prev
+          </button>
+          <button type="button" onClick={() => setMonthOffset(0)} disabled={monthOffset === 0}>
+            Today
+          </button>
+          <button type="button" onClick={() => setMonthOffset((offset) => offset + 1)}>
+            Next ›
+          </button>
+        </div>
+      </div>
+      <div className="wm-admin-background-manager__calendar-grid">
+        {WEEKDAY_LABELS.map((weekday) => (
+          <span key={weekday} className="wm-admin-background-manager__calendar-weekday">
+            {weekday}
+          </span>
+        ))}
+        {cells.map((cell) => (
+          <div
+            key={cell.key}
+            className={`wm-admin-background-manager__calendar-day ${
+              cell.key === todayKey ? 'is-today' : ''
+            } ${cell.day === null ? 'is-blank' : ''}`}
+          >
+            {cell.day !== null && <span className="wm-admin-background-manager__calendar-date">{cell.day}</span>}
+            {cell.entries.map((preset) => (
+              <button
+                type="button"
+                key={preset.id}
+                className="wm-admin-background-manager__calendar-entry"
+                onClick={() => onSelectPreset(preset.id)}
+                title={preset.title || preset.handle}
+              >
+                {preset.title || preset.handle}
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+      <p className="wm-admin-background-manager__preset-meta">
+        Unscheduled times fall back to{' '}
+        {manualPreset ? `the active preset “${manualPreset.title || manualPreset.handle}”` : 'the static fallback background'}.
+      </p>
+    </div>
+  );
+}
+
+export default PresetScheduleCalendar;
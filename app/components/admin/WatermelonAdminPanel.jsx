@@ -1,6 +1,7 @@
 import {useState, useEffect} from 'react';
 import ClientOnly from '../ClientOnly';
 import {BackgroundPresetManager} from './BackgroundPresetManager';
+import {useCarouselController} from '../Carousel3DPro/CarouselControllerContext';
 
 // HUD slot positions for the admin controls
 const HUD_SLOT_OPTIONS = [
@@ -16,6 +17,7 @@ const HUD_SLOT_OPTIONS = [
  * Provides a UI for the existing console-based admin commands
  */
 export function WatermelonAdminPanel() {
+  const controller = useCarouselController();
   const [isVisible, setIsVisible] = useState(false);
   const [menuMode, setMenuMode] = useState('auto');
   const [hudEnabled, setHudEnabled] = useState(true);
@@ -32,20 +34,22 @@ export function WatermelonAdminPanel() {
   // Check system status
   useEffect(() => {
     const checkStatus = () => {
+      const state = controller?.getState();
+      const hud = controller?.getHUD().camera;
       const status = {
-        carouselLoaded: !!window.watermelonAdmin,
-        contentManagerLoaded: !!window.contentManager,
-        currentMenuSource: window.debugMenuData?.source || 'unknown',
-        activeSubmenu: window.watermelonAdmin?.getActiveSubmenu?.() ? 'open' : 'closed',
-        menuMode: window.getMenuMode?.() || 'unknown',
-        hudLoaded: !!window.__wmCameraHUD,
+        carouselLoaded: !!controller,
+        contentManagerLoaded: !!controller,
+        currentMenuSource: state?.menuSource || 'unknown',
+        activeSubmenu: state?.submenuOpen ? 'open' : 'closed',
+        menuMode: state?.menuMode || 'unknown',
+        hudLoaded: !!hud,
       };
       setSystemStatus(status);
       setMenuMode(status.menuMode);
       
       // Sync HUD state if available
-      if (window.__wmCameraHUD) {
-        setHudEnabled(window.__wmCameraHUD.isVisible);
+      if (hud) {
+        setHudEnabled(hud.isVisible);
       }
     };
 
@@ -54,7 +58,7 @@ export function WatermelonAdminPanel() {
     const interval = setInterval(checkStatus, 2000);
     
     return () => clearInterval(interval);
-  }, []);
+  }, [controller]);
 
   // Show/hide panel with keyboard shortcut
   useEffect(() => {
@@ -71,35 +75,31 @@ export function WatermelonAdminPanel() {
   }, []);
 
   const handleMenuModeChange = (newMode) => {
-    if (window.watermelonAdmin?.setMenuMode) {
-      window.watermelonAdmin.setMenuMode(newMode);
+    if (controller) {
+      controller.setMenuMode(newMode);
     } else {
-      console.warn('watermelonAdmin not available yet');
+      console.warn('Carousel not mounted yet');
     }
   };
 
   const handleContentLoad = (itemName) => {
-    if (window.watermelonAdmin?.loadContent) {
-      window.watermelonAdmin.loadContent(itemName);
-    }
+    controller?.loadContent(itemName);
   };
 
   const handleClearCache = () => {
-    if (window.watermelonAdmin?.clearContentCache) {
-      window.watermelonAdmin.clearContentCache();
+    if (controller) {
+      controller.clearContentCache();
       console.log('🧹 Content cache cleared');
     }
   };
 
   const handleCloseSubmenu = () => {
-    if (window.watermelonAdmin?.closeSubmenu) {
-      window.watermelonAdmin.closeSubmenu();
-    }
+    controller?.closeSubmenu();
   };
 
   const handleRepairState = () => {
-    if (window.watermelonAdmin?.repairState) {
-      window.watermelonAdmin.repairState();
+    if (controller) {
+      controller.repairState();
       console.log('🔧 System state repaired');
     }
   };
@@ -108,9 +108,7 @@ export function WatermelonAdminPanel() {
   const handleHudToggle = () => {
     const newState = !hudEnabled;
     setHudEnabled(newState);
-    if (window.__wmCameraHUD) {
-      window.__wmCameraHUD.setVisible(newState);
-    }
+    controller?.getHUD().camera?.setVisible(newState);
     window.dispatchEvent(new CustomEvent('hud-toggle', { detail: { visible: newState } }));
     console.log(`[🍉 Admin] HUD visibility: ${newState}`);
   };
@@ -118,18 +116,14 @@ export function WatermelonAdminPanel() {
   const handleHudRadiusChange = (e) => {
     const newRadius = parseFloat(e.target.value);
     setHudRadius(newRadius);
-    if (window.__wmCameraHUD) {
-      window.__wmCameraHUD.updateConfig({ radius: newRadius });
-    }
+    controller?.getHUD().camera?.updateConfig({ radius: newRadius });
     console.log(`[🍉 Admin] HUD radius: ${newRadius}`);
   };
 
   const handleCartSlotChange = (e) => {
     const newSlot = e.target.value;
     setCartSlot(newSlot);
-    if (window.__wmCameraHUD) {
-      window.__wmCameraHUD.moveElement('cart', newSlot, true);
-    }
+    controller?.getHUD().camera?.moveElement('cart', newSlot, true);
     console.log(`[🍉 Admin] Cart slot: ${newSlot}`);
   };
 
@@ -1,9 +1,26 @@
 import type {ActiveBackgroundPreset} from './useBackgroundPreset';
+import {buildParamCssRule, buildParamScript, resolveParamValues} from '../../utils/backgroundPresetParams';
+import {buildBridgeScript, connectBackgroundBridge} from '../../utils/backgroundBridge.client';
+import {
+  buildFrameMonitorScript,
+  createFrameBudgetMonitor,
+  reportRendererEvent,
+  type RendererEvent,
+  type RendererOptions,
+} from '../../utils/backgroundRenderer.client';
 
 export type MountBackgroundRendererOptions = {
   onLoad?: () => void;
   onError?: (error: Error) => void;
   forceReducedMotion?: boolean;
+  /** Per-profile frame budgets, or `false` to disable enforcement (reduced motion never monitors). */
+  frameBudgets?: RendererOptions['frameBudgets'];
+  /** Load, error, timeout and degradation events as they happen. */
+  onEvent?: (event: RendererEvent) => void;
+  /** Post events to the telemetry endpoint with the preset's `renderToken`. Defaults to true. */
+  reportTelemetry?: boolean;
+  /** Forward storefront events into the sandbox via `window.__presetBridge`. Defaults to true. */
+  bridge?: boolean;
 };
 
 const IFRAME_SANDBOX = 'allow-scripts allow-same-origin';
@@ -26,14 +43,24 @@ function escapeForData(value: string) {
   return value.replace(/'/g, "\\'");
 }
 
-function buildSrcDoc(preset: ActiveBackgroundPreset, forceReducedMotion: boolean) {
+function buildSrcDoc(
+  preset: ActiveBackgroundPreset,
+  forceReducedMotion: boolean,
+  frameMonitorScript: string,
+  bridgeScript: string,
+) {
   const baseStyles =
     'html,body{margin:0;padding:0;overflow:hidden;background:transparent;color:inherit;line-height:1.15;font-family:inherit;}#wm-background-root{position:fixed;inset:0;overflow:hidden;will-change:transform,opacity;}';
   const reducedMotionStyles = forceReducedMotion
     ? '*{animation:none!important;transition-duration:0s!important;}'
     : '';
   const safeHash = escapeForData(preset.versionHash);
+  const paramSchema = preset.paramSchema ?? [];
+  const paramValues = resolveParamValues(paramSchema, preset.paramValues);
   const controlledScript = [
+    buildParamScript(paramValues),
+    bridgeScript,
+    frameMonitorScript,
     'try{',
     "const root=document.getElementById('wm-background-root');",
     "if(!root)throw new Error('Missing background root element');",
@@ -73,7 +100,7 @@ function buildSrcDoc(preset: ActiveBackgroundPreset, forceReducedMotion: boolean
     preset.motionProfile,
   )}"><head><meta charset="utf-8"/><style>${escapeForStyle(baseStyles)}${escapeForStyle(
     reducedMotionStyles,
-  )}${escapeForStyle(
+  )}${escapeForStyle(buildParamCssRule(paramSchema, paramValues))}${escapeForStyle(
     preset.css,
   )}</style></head><body><div id="wm-background-root">${preset.html}</div><script>${controlledScript}</script></body></html>`;
 }
@@ -83,7 +110,7 @@ export function mountBackgroundRenderer(
   preset: ActiveBackgroundPreset,
   options: MountBackgroundRendererOptions = {},
 ) {
-  const {onLoad, onError, forceReducedMotion = false} = options;
+  const {onLoad, onError, onEvent, forceReducedMotion = false, reportTelemetry = true, bridge = true} = options;
   const iframe = document.createElement('iframe');
   iframe.setAttribute('title', 'Decorative background');
   iframe.setAttribute('aria-hidden', 'true');
@@ -94,6 +121,37 @@ export function mountBackgroundRenderer(
 
   let disposed = false;
   let loadTimer: number | null = null;
+  let settled = false;
+  const startedAt = performance.now();
+  // Reduced motion skips the preset's JS entirely, so there is nothing to monitor.
+  const frameMonitorOptions = {
+    presetId: preset.id,
+    versionHash: preset.versionHash,
+    motionProfile: preset.motionProfile,
+    frameBudgets: forceReducedMotion ? (false as const) : options.frameBudgets,
+  };
+  const frameMonitor = createFrameBudgetMonitor(iframe, frameMonitorOptions);
+
+  const emitEvent = (event: Omit<RendererEvent, 'presetId' | 'versionHash' | 'timestamp'>) => {
+    const rendererEvent: RendererEvent = {
+      ...event,
+      presetId: preset.id,
+      versionHash: preset.versionHash,
+      timestamp: Date.now(),
+    };
+    onEvent?.(rendererEvent);
+    window.dispatchEvent(new CustomEvent('background-renderer-event', {detail: rendererEvent}));
+    if (reportTelemetry) {
+      reportRendererEvent(rendererEvent, preset.renderToken);
+    }
+  };
+
+  // Only the first outcome of a mount is reported.
+  const settle = (event: Omit<RendererEvent, 'presetId' | 'versionHash' | 'timestamp'>) => {
+    if (settled) return;
+    settled = true;
+    emitEvent(event);
+  };
 
   const cleanupTimer = () => {
     if (loadTimer !== null) {
@@ -112,6 +170,12 @@ export function mountBackgroundRenderer(
       return;
     }
 
+    const degraded = frameMonitor.handleMessage(event);
+    if (degraded) {
+      emitEvent(degraded);
+      return;
+    }
+
     const {type, hash, message} = event.data as {
       type?: string;
       hash?: string;
@@ -121,10 +185,13 @@ export function mountBackgroundRenderer(
     if (hash !== preset.versionHash) return;
 
     if (type === 'wm-background-ready') {
+      // The iframe's own load event fires before the preset's JS has run; only this counts as a load.
+      settle({type: 'load', loadTimeMs: Math.round(performance.now() - startedAt)});
       handleLoad();
     } else if (type === 'wm-background-error') {
       cleanupTimer();
       const error = new Error(message || 'Unknown background render error');
+      settle({type: 'error', details: error.message});
       onError?.(error);
     }
   };
@@ -132,6 +199,7 @@ export function mountBackgroundRenderer(
   const handleError = (event: ErrorEvent) => {
     cleanupTimer();
     const error = event.error instanceof Error ? event.error : new Error(event.message);
+    settle({type: 'error', details: error.message});
     onError?.(error);
   };
 
@@ -143,10 +211,19 @@ export function mountBackgroundRenderer(
   iframe.addEventListener('error', handleError);
   iframe.addEventListener('load', handleLoad, {once: true});
 
-  iframe.srcdoc = buildSrcDoc(preset, forceReducedMotion);
+  // Connected before the document is written so the sandbox's ready handshake is not missed.
+  const presetBridge = bridge ? connectBackgroundBridge(iframe) : null;
+
+  iframe.srcdoc = buildSrcDoc(
+    preset,
+    forceReducedMotion,
+    forceReducedMotion ? '' : buildFrameMonitorScript(frameMonitorOptions),
+    presetBridge ? buildBridgeScript(window.location.origin) : '',
+  );
 
   loadTimer = window.setTimeout(() => {
     const error = new Error('Timed out waiting for background to load');
+    settle({type: 'timeout', details: `Load timeout after ${LOAD_TIMEOUT_MS}ms`});
     onError?.(error);
   }, LOAD_TIMEOUT_MS);
 
@@ -154,6 +231,7 @@ export function mountBackgroundRenderer(
     if (disposed) return;
     disposed = true;
     cleanupTimer();
+    presetBridge?.dispose();
     window.removeEventListener('message', handleMessage);
     iframe.removeEventListener('error', handleError);
     iframe.removeEventListener('load', handleLoad);
@@ -1,4 +1,6 @@
 import {useCallback, useEffect, useRef, useState} from 'react';
+import type {PresetParamSchema, PresetParamValues} from '../../utils/backgroundPresetParams';
+import type {PresetRenderKind, PresetScene} from '../../utils/backgroundPresetScene';
 
 type BackgroundTelemetry = {
   state: 'ok' | 'fallback' | 'error';
@@ -20,6 +22,14 @@ export type ActiveBackgroundPreset = {
   status: BackgroundTelemetry;
   calmRadius: number;
   calmIntensity: number;
+  paramSchema?: PresetParamSchema;
+  paramValues?: PresetParamValues;
+  /** `scene` presets are rendered by the carousel's BackgroundManager instead of the iframe. */
+  renderKind?: PresetRenderKind;
+  scene?: PresetScene | null;
+  activationSource?: 'schedule' | 'manual' | 'fallback';
+  /** Signed per-visitor token to send back with render telemetry. */
+  renderToken?: string;
 };
 
 type BackgroundPresetState = {
@@ -7,6 +7,7 @@ import {useNonce} from '@shopify/hydrogen';
 import resetStyles from '~/styles/reset.css?url';
 import appStyles from '~/styles/app.css?url';
 import carouselStyles from '~/styles/carousel.css?url';
+import {CarouselControllerProvider} from '~/components/Carousel3DPro/CarouselControllerContext';
 
 export default function Layout() {
   const nonce = useNonce();
@@ -32,7 +33,10 @@ export default function Layout() {
       </head>
       <body style={{margin: 0, overflow: 'hidden'}}>
         {/* Skip PageLayout */}
-        <Outlet />
+        {/* Routes reach the mounted carousel through useCarouselController() */}
+        <CarouselControllerProvider>
+          <Outlet />
+        </CarouselControllerProvider>
         <ScrollRestoration nonce={nonce} />
         <Scripts nonce={nonce} />
       </body>
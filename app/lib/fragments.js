@@ -260,6 +260,118 @@ export const PAGES_QUERY = `#graphql
   ${PAGE_FRAGMENT}
 `;
 
+// Main menu for the 3D carousel: every level Shopify menus allow (three), with link targets,
+// plus the `menu_item_3d` metaobjects that style items (see buildMenuStructure in
+// utils/menuTransform.js). Localized re-queries skip the metaobjects.
+const MENU_3D_ITEM_FRAGMENT = `#graphql
+  fragment Menu3DItem on MenuItem {
+    id
+    title
+    type
+    url
+    resourceId
+    tags
+    resource {
+      __typename
+      ... on Product {
+        handle
+      }
+      ... on Collection {
+        handle
+      }
+      ... on Page {
+        handle
+      }
+      ... on Blog {
+        handle
+      }
+      ... on Article {
+        handle
+      }
+    }
+  }
+`;
+
+const MENU_3D_METAOBJECT_FRAGMENT = `#graphql
+  fragment Menu3DMetaobject on Metaobject {
+    handle
+    fields {
+      key
+      value
+      reference {
+        __typename
+        ... on GenericFile {
+          url
+        }
+        ... on Model3d {
+          sources {
+            url
+            format
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const MENU_3D_QUERY = `#graphql
+  query Menu3D(
+    $country: CountryCode
+    $language: LanguageCode
+    $menuHandle: String!
+    $metaobjectType: String!
+    $withMetaobjects: Boolean!
+  ) @inContext(language: $language, country: $country) {
+    shop {
+      id
+      name
+      primaryDomain {
+        url
+      }
+    }
+    menu(handle: $menuHandle) {
+      id
+      title
+      items {
+        ...Menu3DItem
+        items {
+          ...Menu3DItem
+          items {
+            ...Menu3DItem
+          }
+        }
+      }
+    }
+    metaobjects(type: $metaobjectType, first: 250) @include(if: $withMetaobjects) {
+      nodes {
+        ...Menu3DMetaobject
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${MENU_3D_ITEM_FRAGMENT}
+  ${MENU_3D_METAOBJECT_FRAGMENT}
+`;
+
+// Further pages of `menu_item_3d` metaobjects, when MENU_3D_QUERY's first 250 are not all of them
+export const MENU_3D_METAOBJECTS_QUERY = `#graphql
+  query Menu3DMetaobjects($metaobjectType: String!, $after: String) {
+    metaobjects(type: $metaobjectType, first: 250, after: $after) {
+      nodes {
+        ...Menu3DMetaobject
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${MENU_3D_METAOBJECT_FRAGMENT}
+`;
+
 export const FOOTER_QUERY = `#graphql
   query Footer(
     $country: CountryCode
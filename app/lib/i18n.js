@@ -1,3 +1,6 @@
+/** Locale used when the URL has no `/{language}-{country}` prefix. */
+export const DEFAULT_LOCALE = {language: 'EN', country: 'US'};
+
 /**
  * @param {Request} request
  */
@@ -6,7 +9,7 @@ export function getLocaleFromRequest(request) {
   const firstPathPart = url.pathname.split('/')[1]?.toUpperCase() ?? '';
 
   let pathPrefix = '';
-  let [language, country] = ['EN', 'US'];
+  let [language, country] = [DEFAULT_LOCALE.language, DEFAULT_LOCALE.country];
 
   if (/^[A-Z]{2}-[A-Z]{2}$/i.test(firstPathPart)) {
     pathPrefix = '/' + firstPathPart;
@@ -16,6 +19,92 @@ export function getLocaleFromRequest(request) {
   return {language, country, pathPrefix};
 }
 
+/**
+ * Table keys to consult for a locale, most specific first: `fr-ca`, `fr`, then the default
+ * language.
+ * @param {{language: string, country?: string}} locale
+ * @returns {string[]}
+ */
+export function getLocaleKeys({language, country}) {
+  const lang = String(language || DEFAULT_LOCALE.language).toLowerCase();
+  const keys = country ? [`${lang}-${String(country).toLowerCase()}`, lang] : [lang];
+  const fallback = DEFAULT_LOCALE.language.toLowerCase();
+  if (!keys.includes(fallback)) keys.push(fallback);
+  return keys;
+}
+
+/** Languages written right to left (Shopify `LanguageCode` values). */
+export const RTL_LANGUAGES = ['AR', 'HE', 'FA', 'UR', 'PS', 'YI', 'CKB'];
+
+/**
+ * @param {{language: string}} locale
+ * @returns {'rtl'|'ltr'}
+ */
+export function getTextDirection({language}) {
+  return RTL_LANGUAGES.includes(String(language || '').toUpperCase()) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Resolves strings for one locale from translation tables (see TranslationTables). Lookups fall
+ * back from `{language}-{country}` to `{language}` to the default language, and finally to the
+ * key itself, so untranslated labels show their default-language title.
+ * @param {{language: string, country?: string}} locale
+ * @param {TranslationTables} tables
+ * @param {TranslationTable} [overrides] - Consulted first, e.g. labels translated in Shopify
+ * @returns {Translator}
+ */
+export function createTranslator(locale, tables, overrides = {}) {
+  const chain = [overrides, ...getLocaleKeys(locale).map((key) => tables[key])].filter(Boolean);
+  const lookup = (section, key) => {
+    for (const table of chain) {
+      const value = table[section]?.[key];
+      if (value != null) return value;
+    }
+    return undefined;
+  };
+  const language = String(locale.language || DEFAULT_LOCALE.language).toUpperCase();
+  const country = String(locale.country || DEFAULT_LOCALE.country).toUpperCase();
+
+  return {
+    locale: {language, country},
+    key: `${language}-${country}`,
+    dir: getTextDirection({language}),
+    label: (key) => lookup('labels', String(key)) ?? String(key),
+    description: (key, fallback) => lookup('descriptions', String(key)) ?? fallback,
+    t: (id, params = {}) =>
+      (lookup('ui', id) ?? id).replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] != null ? String(params[name]) : match,
+      ),
+  };
+}
+
+/**
+ * One locale's strings. A `{language}-{country}` table only lists what differs from its
+ * `{language}` table.
+ * @typedef {Object} TranslationTable
+ * @property {Object<string, string>} [labels] - Menu and submenu labels, keyed by their
+ *   default-language title
+ * @property {Object<string, string>} [descriptions] - Content descriptions, keyed by the same
+ *   titles
+ * @property {Object<string, string>} [ui] - Interface strings by id; `{name}` placeholders are
+ *   filled from `t(id, params)`
+ */
+
+/**
+ * Tables keyed by lowercase `language` or `language-country`, e.g. `{en: ..., fr: ..., 'fr-ca': ...}`.
+ * @typedef {Object<string, TranslationTable>} TranslationTables
+ */
+
+/**
+ * @typedef {Object} Translator
+ * @property {{language: string, country: string}} locale
+ * @property {string} key - `LANGUAGE-COUNTRY`
+ * @property {'rtl'|'ltr'} dir - Text direction of the language
+ * @property {function(string): string} label
+ * @property {function(string, string=): (string|undefined)} description
+ * @property {function(string, Object=): string} t
+ */
+
 /**
  * @typedef {Object} I18nLocale
  * @property {string} pathPrefix
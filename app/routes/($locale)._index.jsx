@@ -2,33 +2,72 @@
 
 import { useLoaderData } from 'react-router';
 import { data } from 'react-router';
-import { HEADER_QUERY } from '~/lib/fragments';
+import { MENU_3D_METAOBJECTS_QUERY, MENU_3D_QUERY } from '~/lib/fragments';
 import { Carousel3DMenu } from '../components/Carousel3DMenu';
-import { transformShopifyMenuForCarousel, createFallbackMenuData } from '~/utils/menuTransform';
+import { DEFAULT_LOCALE } from '~/lib/i18n';
+import {
+  MENU_3D_METAOBJECT_TYPE,
+  buildMenuStructure,
+  menuStructureToCarouselData,
+  createFallbackMenuData,
+  collectMenuLabels,
+} from '~/utils/menuTransform';
 
 /**
- * Loader function to fetch menu data for the 3D carousel
+ * Loader function to fetch menu data for the 3D carousel: the Shopify menu at every level with
+ * `menu_item_3d` metaobject metadata, as the menu tree structure plus the flat items/submenus
  */
 export async function loader({ context }) {
-  const { storefront } = context;
+  const { storefront, env } = context;
+  const { language, country } = storefront.i18n;
+  const locale = { language, country };
+
+  const queryMenu = (menuLanguage, withMetaobjects) => storefront.query(MENU_3D_QUERY, {
+    cache: storefront.CacheLong(),
+    variables: {
+      menuHandle: 'main-menu', // Adjust to your menu handle
+      metaobjectType: MENU_3D_METAOBJECT_TYPE,
+      withMetaobjects,
+      country,
+      language: menuLanguage,
+    },
+  });
 
   try {
-    // Fetch menu data from Shopify
-    const menuResult = await storefront.query(HEADER_QUERY, {
-      cache: storefront.CacheLong(),
-      variables: {
-        headerMenuHandle: 'main-menu', // Adjust to your menu handle
-        country: context.storefront.i18n.country,
-        language: context.storefront.i18n.language,
-      },
-    });
+    // Menu titles in the default language are the carousel's keys (submenus, content map, deep
+    // links); titles translated in Shopify are passed along as display labels
+    const isDefaultLanguage = language === DEFAULT_LOCALE.language;
+    const [menuResult, localizedMenuResult] = await Promise.all([
+      queryMenu(DEFAULT_LOCALE.language, true),
+      isDefaultLanguage ? null : queryMenu(language, false),
+    ]);
 
-    // Transform Shopify menu data for carousel
-    const carouselMenuData = transformShopifyMenuForCarousel(menuResult);
+    // The menu query returns the first 250 `menu_item_3d` entries; page through the rest
+    let metaobjectPage = menuResult.metaobjects?.pageInfo;
+    while (metaobjectPage?.hasNextPage && metaobjectPage.endCursor) {
+      const { metaobjects } = await storefront.query(MENU_3D_METAOBJECTS_QUERY, {
+        cache: storefront.CacheLong(),
+        variables: {
+          metaobjectType: MENU_3D_METAOBJECT_TYPE,
+          after: metaobjectPage.endCursor,
+        },
+      });
+      menuResult.metaobjects.nodes.push(...metaobjects.nodes);
+      metaobjectPage = metaobjects.pageInfo;
+    }
+
+    // The tree (all levels + 3D metadata) replaces the static nuwud-menu-structure-final.json
+    const menuStructure = buildMenuStructure(menuResult, {
+      publicStoreDomain: env?.PUBLIC_STORE_DOMAIN,
+    });
     
     return data({
-      menuData: carouselMenuData,
-      shop: menuResult.shop,
+      menuData: menuStructure
+        ? { ...menuStructureToCarouselData(menuStructure), menuStructure }
+        : null,
+      menuLabels: localizedMenuResult ? collectMenuLabels(menuResult, localizedMenuResult) : {},
+      locale,
+      shop: localizedMenuResult?.shop ?? menuResult.shop,
     });
   } catch (error) {
     console.error('[Homepage Loader] Error fetching menu data:', error);
@@ -36,6 +75,8 @@ export async function loader({ context }) {
     // Return fallback data if Shopify query fails
     return data({
       menuData: createFallbackMenuData(),
+      menuLabels: {},
+      locale,
       shop: null,
       error: 'Failed to load menu from Shopify',
     });
@@ -43,7 +84,7 @@ export async function loader({ context }) {
 }
 
 export default function Homepage() {
-  const { menuData, error } = useLoaderData();
+  const { menuData, menuLabels, locale, error } = useLoaderData();
   
   if (error) {
     console.warn('[Homepage] Using fallback menu data due to error:', error);
@@ -51,5 +92,5 @@ export default function Homepage() {
 
   // We'll need to create a way to pass storefront to the component
   // For now, we'll create a storefront context provider
-  return <Carousel3DMenu menuData={menuData} />;
+  return <Carousel3DMenu menuData={menuData} locale={locale} menuLabels={menuLabels} />;
 }
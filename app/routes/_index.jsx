@@ -1,6 +1,3 @@
 // _index.jsx
-import { Carousel3DMenu } from '../components/Carousel3DMenu';
-
-export default function Index() {
-  return <Carousel3DMenu />;
-}
+// `/` serves the same Shopify-driven menu as the localized homepage
+export {loader, default} from './($locale)._index';
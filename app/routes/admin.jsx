@@ -8,6 +8,7 @@
 import {useState, useEffect, useCallback} from 'react';
 import {data} from 'react-router';
 import {useLoaderData} from 'react-router';
+import {useCarouselController} from '~/components/Carousel3DPro/CarouselControllerContext';
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -18,6 +19,11 @@ const DEFAULT_CONFIG = {
     fogNear: 12,
     fogFar: 45,
   },
+  // Time-of-day ambient lighting ('off' uses Scene/Camera values, 'auto' follows the visitor's clock)
+  ambient: {
+    mode: 'off',
+    transitionSeconds: 4,
+  },
   // Camera settings
   camera: {
     fov: 75,
@@ -71,8 +77,37 @@ const DEFAULT_CONFIG = {
     cartPosition: 'TOP_RIGHT',
     opacity: 0.95,
   },
+  // Rendering quality ('auto' detects the device and adapts to frame time)
+  quality: {
+    tier: 'auto',
+  },
+  // Gamepad / TV remote navigation (button mappings can be overridden via `gamepad.buttons`)
+  gamepad: {
+    enabled: true,
+    deadzone: 0.5,
+    repeatDelayMs: 400,
+  },
 };
 
+// Mirrors AMBIENT_PREFERENCES in Carousel3DPro/AmbientModes.js (not imported: it pulls in three.js)
+const AMBIENT_MODE_OPTIONS = [
+  {value: 'auto', label: 'Auto (visitor clock)'},
+  {value: 'dawn', label: 'Dawn'},
+  {value: 'day', label: 'Day'},
+  {value: 'dusk', label: 'Dusk'},
+  {value: 'night', label: 'Night'},
+  {value: 'off', label: 'Off (use Scene/Camera values)'},
+];
+
+// Mirrors QUALITY_PREFERENCES in Carousel3DPro/QualityManager.js
+const QUALITY_OPTIONS = [
+  {value: 'auto', label: 'Auto (adapt to device)'},
+  {value: 'low', label: 'Low'},
+  {value: 'medium', label: 'Medium'},
+  {value: 'high', label: 'High'},
+  {value: 'ultra', label: 'Ultra'},
+];
+
 export async function loader() {
   // In production, load from Shopify Metaobjects
   // For now, return defaults
@@ -88,6 +123,8 @@ export default function AdminPanel() {
   const [activeTab, setActiveTab] = useState('scene');
   const [isSaving, setIsSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
+  // Only set when a carousel is mounted alongside the panel (null on the standalone /admin page)
+  const carouselController = useCarouselController();
 
   // Load saved config from localStorage on mount
   useEffect(() => {
@@ -187,7 +224,7 @@ export default function AdminPanel() {
       <div style={styles.main}>
         {/* Sidebar Tabs */}
         <nav style={styles.sidebar}>
-          {['scene', 'camera', 'carousel', 'submenu', 'mobile', 'scatter', 'hud'].map(tab => (
+          {['scene', 'ambient', 'camera', 'carousel', 'submenu', 'mobile', 'scatter', 'hud'].map(tab => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -232,6 +269,36 @@ export default function AdminPanel() {
             </ConfigSection>
           )}
 
+          {activeTab === 'ambient' && (
+            <ConfigSection title="Ambient Lighting">
+              <div style={{marginBottom: '15px'}}>
+                <span style={{display: 'block', marginBottom: '5px', fontSize: '12px', opacity: 0.8}}>Mode</span>
+                <select
+                  value={config.ambient.mode}
+                  onChange={e => updateConfig('ambient', 'mode', e.target.value)}
+                  style={{width: '100%', padding: '8px', background: '#1a1a2e', color: 'white', border: '1px solid #333', borderRadius: '4px'}}
+                >
+                  {AMBIENT_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <SliderInput
+                label="Transition (seconds)"
+                value={config.ambient.transitionSeconds}
+                min={0}
+                max={15}
+                step={0.5}
+                onChange={v => updateConfig('ambient', 'transitionSeconds', v)}
+              />
+              <p style={{fontSize: '12px', opacity: 0.7}}>
+                While a mode is active it controls fog color and the spotlight/fill light intensities.
+              </p>
+            </ConfigSection>
+          )}
+
           {activeTab === 'camera' && (
             <ConfigSection title="Camera Settings">
               <SliderInput
@@ -519,17 +586,66 @@ export default function AdminPanel() {
                 </select>
               </div>
               <button
-                onClick={() => {
-                  if (window.__wmCartHUDIcon) {
-                    window.__wmCartHUDIcon.animateItemAdd();
-                  }
-                }}
+                onClick={() => carouselController?.getHUD().cartIcon?.animateItemAdd()}
                 style={{...styles.buttonPrimary, marginTop: '10px'}}
               >
                 🛒 Test Cart Animation
               </button>
             </ConfigSection>
           )}
+
+          {activeTab === 'hud' && (
+            <ConfigSection title="Rendering Quality">
+              <div style={{marginBottom: '15px'}}>
+                <span style={{display: 'block', marginBottom: '5px', fontSize: '12px', opacity: 0.8}}>Tier</span>
+                <select
+                  value={config.quality.tier}
+                  onChange={e => updateConfig('quality', 'tier', e.target.value)}
+                  style={{width: '100%', padding: '8px', background: '#1a1a2e', color: 'white', border: '1px solid #333', borderRadius: '4px'}}
+                >
+                  {QUALITY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <p style={{fontSize: '12px', opacity: 0.7}}>
+                Sets pixel ratio, shadows, background detail, text detail and glow shaders. A pinned tier stops
+                frame-time adaptation.
+              </p>
+            </ConfigSection>
+          )}
+
+          {activeTab === 'hud' && (
+            <ConfigSection title="Gamepad & Remote">
+              <ToggleInput
+                label="Enable Gamepad / Remote"
+                value={config.gamepad.enabled}
+                onChange={v => updateConfig('gamepad', 'enabled', v)}
+              />
+              <SliderInput
+                label="Stick Deadzone"
+                value={config.gamepad.deadzone}
+                min={0.1}
+                max={0.9}
+                step={0.05}
+                onChange={v => updateConfig('gamepad', 'deadzone', v)}
+              />
+              <SliderInput
+                label="Repeat Delay (ms)"
+                value={config.gamepad.repeatDelayMs}
+                min={150}
+                max={1000}
+                step={50}
+                onChange={v => updateConfig('gamepad', 'repeatDelayMs', v)}
+              />
+              <p style={{fontSize: '12px', opacity: 0.7}}>
+                D-pad / left stick rotate, A selects, B goes back, LB/RB cycle backgrounds. Remote OK/Back keys
+                map to the same actions.
+              </p>
+            </ConfigSection>
+          )}
         </div>
 
         {/* Preview Panel (placeholder for now) */}
@@ -555,11 +671,7 @@ export default function AdminPanel() {
               Open Homepage →
             </button>
             <button 
-              onClick={() => {
-                if (window.__wmBackgroundManager) {
-                  window.__wmBackgroundManager.cycleNext();
-                }
-              }} 
+              onClick={() => carouselController?.nextBackground()}
               style={styles.buttonSecondary}
             >
               Cycle Background
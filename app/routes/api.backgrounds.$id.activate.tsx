@@ -1,33 +1,27 @@
 import {data, type ActionFunctionArgs} from 'react-router';
-import {getEnvServer} from '../utils/env.server';
-import {requireBackgroundAdminToken} from '../utils/backgroundAdminAuth.server';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
 import {
   activateBackgroundPreset,
   getBackgroundPreset,
 } from '../utils/backgroundPresets.server';
-import {serializePreset} from '../utils/backgroundPresetApi.server';
+import {
+  hasLintErrors,
+  LINT_BLOCKS_ACTIVATION_MESSAGE,
+  lintPresetContent,
+  serializePreset,
+} from '../utils/backgroundPresetApi.server';
 
 const METHOD_POST = 'POST';
 
 function getPresetId(params: ActionFunctionArgs['params']): string {
   const {id} = params;
   if (!id) {
-    throw json({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+    throw data({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
   }
   return id;
 }
 
-async function authenticate(request: Request, context: ActionFunctionArgs['context']) {
-  const env = getEnvServer(context.env);
-  try {
-    await requireBackgroundAdminToken(env, request);
-  } catch (error) {
-    console.warn('[api.backgrounds.$id.activate] Admin token verification failed', error);
-    throw json({error: 'Unauthorized'}, {status: 401, headers: {'Cache-Control': 'no-store'}});
-  }
-  return env;
-}
-
 export async function action({request, context, params}: ActionFunctionArgs) {
   if (request.method.toUpperCase() !== METHOD_POST) {
     return data(
@@ -36,16 +30,30 @@ export async function action({request, context, params}: ActionFunctionArgs) {
     );
   }
 
-  const env = await authenticate(request, context);
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.activate',
+    scope: 'activate',
+  });
   const id = getPresetId(params);
-  const runtime = {
-    cache: context.storefront.cache,
-    env,
-    rawEnv: context.env as Record<string, string | undefined>,
-  };
 
   try {
+    const existing = await getBackgroundPreset(runtime, id);
+    if (!existing) {
+      return data(
+        {error: 'Preset not found'},
+        {status: 404, headers: {'Cache-Control': 'no-store'}},
+      );
+    }
+    const lint = lintPresetContent(existing);
+    if (hasLintErrors(lint)) {
+      return data(
+        {error: LINT_BLOCKS_ACTIVATION_MESSAGE, lint},
+        {status: 422, headers: {'Cache-Control': 'no-store'}},
+      );
+    }
+
     await activateBackgroundPreset(runtime, id);
+    await recordBackgroundAdminAudit(runtime, {actor: admin.sub, action: 'activate', presetId: id});
     const record = await getBackgroundPreset(runtime, id);
 
     if (!record) {
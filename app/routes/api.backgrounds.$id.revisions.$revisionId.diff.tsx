@@ -0,0 +1,86 @@
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {getBackgroundPreset} from '../utils/backgroundPresets.server';
+import {
+  diffRevisionContent,
+  getBackgroundPresetRevision,
+  toRevisionContent,
+} from '../utils/backgroundPresetRevisions.server';
+import {serializeRevision} from '../utils/backgroundPresetApi.server';
+
+const AGAINST_CURRENT = 'current';
+
+function getParams(params: LoaderFunctionArgs['params']) {
+  const {id, revisionId} = params;
+  if (!id || !revisionId) {
+    throw data(
+      {error: 'Missing preset or revision id'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+  return {id, revisionId};
+}
+
+/**
+ * Diff a revision against the live preset (default) or another revision
+ * passed as `?against=<revisionId>`. `from` is always the requested revision.
+ */
+export async function loader({request, context, params}: LoaderFunctionArgs) {
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.revisions.$revisionId.diff',
+    scope: 'read',
+  });
+  const {id, revisionId} = getParams(params);
+  const against = new URL(request.url).searchParams.get('against') || AGAINST_CURRENT;
+
+  try {
+    const revision = await getBackgroundPresetRevision(runtime, revisionId);
+    if (!revision || revision.presetId !== id) {
+      return data(
+        {error: 'Revision not found'},
+        {status: 404, headers: {'Cache-Control': 'no-store'}},
+      );
+    }
+
+    let target;
+    if (against === AGAINST_CURRENT) {
+      const record = await getBackgroundPreset(runtime, id);
+      if (!record) {
+        return data(
+          {error: 'Preset not found'},
+          {status: 404, headers: {'Cache-Control': 'no-store'}},
+        );
+      }
+      target = {revision: null, content: toRevisionContent(record)};
+    } else {
+      const other = await getBackgroundPresetRevision(runtime, against);
+      if (!other || other.presetId !== id) {
+        return data(
+          {error: 'Comparison revision not found'},
+          {status: 404, headers: {'Cache-Control': 'no-store'}},
+        );
+      }
+      target = {revision: other, content: other.content};
+    }
+
+    return data(
+      {
+        from: serializeRevision(revision),
+        to: target.revision ? serializeRevision(target.revision) : AGAINST_CURRENT,
+        changes: diffRevisionContent(revision.content, target.content),
+      },
+      {
+        headers: {
+          'Cache-Control': 'no-store',
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (error) {
+    console.error('[api.backgrounds.$id.revisions.$revisionId.diff] Failed to diff revision', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to diff revision'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
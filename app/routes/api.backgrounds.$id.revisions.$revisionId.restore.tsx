@@ -0,0 +1,64 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {restoreBackgroundPresetRevision} from '../utils/backgroundPresetRevisions.server';
+import {PresetLintError, serializePreset, serializeRevision} from '../utils/backgroundPresetApi.server';
+
+const METHOD_POST = 'POST';
+
+function getParams(params: ActionFunctionArgs['params']) {
+  const {id, revisionId} = params;
+  if (!id || !revisionId) {
+    throw data(
+      {error: 'Missing preset or revision id'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+  return {id, revisionId};
+}
+
+export async function action({request, context, params}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.revisions.$revisionId.restore',
+    scope: 'write',
+  });
+  const {id, revisionId} = getParams(params);
+
+  try {
+    const {record, revision} = await restoreBackgroundPresetRevision(runtime, id, revisionId, {
+      author: admin.sub,
+    });
+    await recordBackgroundAdminAudit(runtime, {
+      actor: admin.sub,
+      action: 'restore',
+      presetId: id,
+      summary: `Restored revision ${revisionId}`,
+    });
+
+    return data(
+      {preset: serializePreset(record), revision: serializeRevision(revision)},
+      {
+        headers: {
+          'Cache-Control': 'no-store',
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (error) {
+    if (error instanceof PresetLintError) {
+      return data({error: error.message, lint: error.issues}, {status: 422, headers: {'Cache-Control': 'no-store'}});
+    }
+    console.error('[api.backgrounds.$id.revisions.$revisionId.restore] Failed to restore revision', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to restore revision'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {listBackgroundPresetRevisions} from '../utils/backgroundPresetRevisions.server';
+import {serializeRevision} from '../utils/backgroundPresetApi.server';
+
+function getPresetId(params: LoaderFunctionArgs['params']): string {
+  const {id} = params;
+  if (!id) {
+    throw data({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+  }
+  return id;
+}
+
+export async function loader({request, context, params}: LoaderFunctionArgs) {
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.revisions',
+    scope: 'read',
+  });
+  const id = getPresetId(params);
+
+  try {
+    const revisions = await listBackgroundPresetRevisions(runtime, id);
+
+    return data(revisions.map(serializeRevision), {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.$id.revisions] Failed to list revisions', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to list revisions'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,81 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {
+  getBackgroundPreset,
+  setBackgroundPresetThumbnail,
+} from '../utils/backgroundPresets.server';
+import {
+  parseThumbnailDataUrl,
+  uploadPresetThumbnail,
+} from '../utils/backgroundPresetThumbnails.server';
+import {serializePreset} from '../utils/backgroundPresetApi.server';
+
+const METHOD_POST = 'POST';
+
+function getPresetId(params: ActionFunctionArgs['params']): string {
+  const {id} = params;
+  if (!id) {
+    throw data({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+  }
+  return id;
+}
+
+/**
+ * `POST /api/backgrounds/:id/thumbnail` with `{dataUrl}` captured client-side.
+ */
+export async function action({request, context, params}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.thumbnail',
+    scope: 'write',
+  });
+  const id = getPresetId(params);
+
+  let image;
+  try {
+    const body = (await request.json()) as Partial<{dataUrl: string}> | null;
+    image = parseThumbnailDataUrl(body?.dataUrl);
+  } catch (error) {
+    console.warn('[api.backgrounds.$id.thumbnail] Invalid thumbnail payload', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Invalid thumbnail payload'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  try {
+    const existing = await getBackgroundPreset(runtime, id);
+    if (!existing) {
+      return data({error: 'Preset not found'}, {status: 404, headers: {'Cache-Control': 'no-store'}});
+    }
+
+    const thumbnailUrl = await uploadPresetThumbnail(runtime, existing.slug, image);
+    const record = await setBackgroundPresetThumbnail(runtime, id, thumbnailUrl);
+    await recordBackgroundAdminAudit(runtime, {
+      actor: admin.sub,
+      action: 'update',
+      presetId: id,
+      summary: 'Generated thumbnail',
+    });
+
+    return data(serializePreset(record), {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.$id.thumbnail] Failed to store thumbnail', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to store thumbnail'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -1,12 +1,25 @@
 import {data, type ActionFunctionArgs, type LoaderFunctionArgs} from 'react-router';
-import {getEnvServer} from '../utils/env.server';
-import {requireBackgroundAdminToken} from '../utils/backgroundAdminAuth.server';
+import {BackgroundAdminScopeError, authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {
+  ensureBaselineRevision,
+  recordBackgroundPresetRevision,
+  revisionWarning,
+} from '../utils/backgroundPresetRevisions.server';
 import {
   deleteBackgroundPreset,
   getBackgroundPreset,
   updateBackgroundPreset,
 } from '../utils/backgroundPresets.server';
-import {parsePresetInput, serializePreset} from '../utils/backgroundPresetApi.server';
+import {
+  changesActivation,
+  hasLintErrors,
+  isPresetLive,
+  LINT_BLOCKS_ACTIVATION_MESSAGE,
+  lintPresetContent,
+  parsePresetInput,
+  serializePreset,
+} from '../utils/backgroundPresetApi.server';
 
 const METHOD_PATCH = 'PATCH';
 const METHOD_DELETE = 'DELETE';
@@ -14,34 +27,19 @@ const METHOD_DELETE = 'DELETE';
 function getPresetId(params: LoaderFunctionArgs['params']): string {
   const {id} = params;
   if (!id) {
-    throw json({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+    throw data({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
   }
   return id;
 }
 
-async function authenticate(request: Request, context: LoaderFunctionArgs['context']) {
-  const env = getEnvServer(context.env);
-  try {
-    await requireBackgroundAdminToken(env, request);
-  } catch (error) {
-    console.warn('[api.backgrounds.$id] Admin token verification failed', error);
-    throw json({error: 'Unauthorized'}, {status: 401, headers: {'Cache-Control': 'no-store'}});
-  }
-  return env;
-}
-
 export async function loader({request, context, params}: LoaderFunctionArgs) {
-  const env = await authenticate(request, context);
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id',
+    scope: 'read',
+  });
   const id = getPresetId(params);
 
-  const record = await getBackgroundPreset(
-    {
-      cache: context.storefront.cache,
-      env,
-      rawEnv: context.env as Record<string, string | undefined>,
-    },
-    id,
-  );
+  const record = await getBackgroundPreset(runtime, id);
 
   if (!record) {
     return data(
@@ -73,19 +71,16 @@ export async function action({request, context, params}: ActionFunctionArgs) {
     );
   }
 
-  const env = await authenticate(request, context);
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id',
+    scope: method === METHOD_DELETE ? 'delete' : 'write',
+  });
   const id = getPresetId(params);
 
   if (method === METHOD_DELETE) {
     try {
-      await deleteBackgroundPreset(
-        {
-          cache: context.storefront.cache,
-          env,
-          rawEnv: context.env as Record<string, string | undefined>,
-        },
-        id,
-      );
+      await deleteBackgroundPreset(runtime, id);
+      await recordBackgroundAdminAudit(runtime, {actor: admin.sub, action: 'delete', presetId: id});
       return new Response(null, {status: 204, headers: {'Cache-Control': 'no-store'}});
     } catch (error) {
       console.error('[api.backgrounds.$id] Failed to delete preset', error);
@@ -118,18 +113,64 @@ export async function action({request, context, params}: ActionFunctionArgs) {
     );
   }
 
+  const existing = await getBackgroundPreset(runtime, id);
+  if (!existing) {
+    return data(
+      {error: 'Preset not found'},
+      {status: 404, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  if (changesActivation(presetInput, existing) && !admin.scopes.includes('activate')) {
+    return data(
+      {error: new BackgroundAdminScopeError('activate').message},
+      {status: 403, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  // A body without `schedule` keeps the stored windows, so judge the state the save leaves behind.
+  const lint = lintPresetContent(presetInput);
+  const liveAfterSave = isPresetLive({
+    isActive: presetInput.isActive,
+    schedule: presetInput.schedule ?? existing.schedule,
+  });
+  if (liveAfterSave && hasLintErrors(lint)) {
+    return data(
+      {error: LINT_BLOCKS_ACTIVATION_MESSAGE, lint},
+      {status: 422, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  // Without a snapshot, the first edit of a preset created before revision history would
+  // lose its original content, so the save does not go ahead.
   try {
-    const record = await updateBackgroundPreset(
-      {
-        cache: context.storefront.cache,
-        env,
-        rawEnv: context.env as Record<string, string | undefined>,
-      },
-      id,
-      presetInput,
+    await ensureBaselineRevision(runtime, existing);
+  } catch (error) {
+    console.error('[api.backgrounds.$id] Failed to record baseline revision', error);
+    return data(
+      {error: `Preset not saved: could not record its current revision (${error instanceof Error ? error.message : 'Unknown error'})`},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
     );
+  }
+
+  try {
+    const record = await updateBackgroundPreset(runtime, id, presetInput);
+
+    let warning: string | undefined;
+    try {
+      await recordBackgroundPresetRevision(runtime, record, {author: admin.sub});
+    } catch (error) {
+      console.error('[api.backgrounds.$id] Failed to record preset revision', error);
+      warning = revisionWarning(error);
+    }
+    await recordBackgroundAdminAudit(runtime, {
+      actor: admin.sub,
+      action: 'update',
+      presetId: record.id,
+      summary: record.title,
+    });
 
-    return data(serializePreset(record), {
+    return data({...serializePreset(record), ...(warning && {warning})}, {
       headers: {
         'Cache-Control': 'no-store',
         'Content-Type': 'application/json',
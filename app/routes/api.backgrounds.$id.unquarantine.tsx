@@ -0,0 +1,64 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {
+  getBackgroundPreset,
+  releaseBackgroundPresetQuarantine,
+} from '../utils/backgroundPresets.server';
+import {serializePreset} from '../utils/backgroundPresetApi.server';
+
+const METHOD_POST = 'POST';
+
+function getPresetId(params: ActionFunctionArgs['params']): string {
+  const {id} = params;
+  if (!id) {
+    throw data({error: 'Missing preset id'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+  }
+  return id;
+}
+
+export async function action({request, context, params}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.$id.unquarantine',
+    scope: 'activate',
+  });
+  const id = getPresetId(params);
+
+  try {
+    const existing = await getBackgroundPreset(runtime, id);
+    if (!existing) {
+      return data({error: 'Preset not found'}, {status: 404, headers: {'Cache-Control': 'no-store'}});
+    }
+
+    if (existing.quarantine) {
+      await releaseBackgroundPresetQuarantine(runtime, id);
+      await recordBackgroundAdminAudit(runtime, {
+        actor: admin.sub,
+        action: 'unquarantine',
+        presetId: id,
+        summary: `Released version ${existing.quarantine.versionHash.slice(0, 10)}`,
+      });
+    }
+    const record = (await getBackgroundPreset(runtime, id)) ?? existing;
+
+    return data(serializePreset(record), {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.$id.unquarantine] Failed to release quarantine', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to release quarantine'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
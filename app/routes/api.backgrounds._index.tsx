@@ -1,34 +1,31 @@
 import {data, type ActionFunctionArgs, type LoaderFunctionArgs} from 'react-router';
-import {getEnvServer} from '../utils/env.server';
-import {requireBackgroundAdminToken} from '../utils/backgroundAdminAuth.server';
+import {BackgroundAdminScopeError, authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {recordBackgroundPresetRevision, revisionWarning} from '../utils/backgroundPresetRevisions.server';
 import {
   createBackgroundPreset,
   listBackgroundPresets,
 } from '../utils/backgroundPresets.server';
-import {parsePresetInput, serializePreset} from '../utils/backgroundPresetApi.server';
+import {
+  changesActivation,
+  hasLintErrors,
+  LINT_BLOCKS_ACTIVATION_MESSAGE,
+  lintPresetContent,
+  parsePresetInput,
+  requestsActivation,
+  serializePreset,
+} from '../utils/backgroundPresetApi.server';
 
 const METHOD_POST = 'POST';
 
-async function authenticate(request: Request, context: LoaderFunctionArgs['context']) {
-  const env = getEnvServer(context.env);
-  try {
-    await requireBackgroundAdminToken(env, request);
-  } catch (error) {
-    console.warn('[api.backgrounds._index] Admin token verification failed', error);
-    throw json({error: 'Unauthorized'}, {status: 401, headers: {'Cache-Control': 'no-store'}});
-  }
-  return env;
-}
-
 export async function loader({request, context}: LoaderFunctionArgs) {
-  const env = await authenticate(request, context);
-
-  const presets = await listBackgroundPresets({
-    cache: context.storefront.cache,
-    env,
-    rawEnv: context.env as Record<string, string | undefined>,
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds._index',
+    scope: 'read',
   });
 
+  const presets = await listBackgroundPresets(runtime);
+
   return data(presets.map(serializePreset), {
     headers: {
       'Cache-Control': 'no-store',
@@ -45,7 +42,10 @@ export async function action({request, context}: ActionFunctionArgs) {
     );
   }
 
-  const env = await authenticate(request, context);
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds._index',
+    scope: 'write',
+  });
 
   let parsedBody: unknown;
   try {
@@ -69,17 +69,39 @@ export async function action({request, context}: ActionFunctionArgs) {
     );
   }
 
-  try {
-    const record = await createBackgroundPreset(
-      {
-        cache: context.storefront.cache,
-        env,
-        rawEnv: context.env as Record<string, string | undefined>,
-      },
-      presetInput,
+  if (changesActivation(presetInput) && !admin.scopes.includes('activate')) {
+    return data(
+      {error: new BackgroundAdminScopeError('activate').message},
+      {status: 403, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const lint = lintPresetContent(presetInput);
+  if (requestsActivation(presetInput) && hasLintErrors(lint)) {
+    return data(
+      {error: LINT_BLOCKS_ACTIVATION_MESSAGE, lint},
+      {status: 422, headers: {'Cache-Control': 'no-store'}},
     );
+  }
+
+  try {
+    const record = await createBackgroundPreset(runtime, presetInput);
+
+    let warning: string | undefined;
+    try {
+      await recordBackgroundPresetRevision(runtime, record, {author: admin.sub});
+    } catch (error) {
+      console.error('[api.backgrounds._index] Failed to record preset revision', error);
+      warning = revisionWarning(error);
+    }
+    await recordBackgroundAdminAudit(runtime, {
+      actor: admin.sub,
+      action: 'create',
+      presetId: record.id,
+      summary: record.title,
+    });
 
-    return data(serializePreset(record), {
+    return data({...serializePreset(record), ...(warning && {warning})}, {
       status: 201,
       headers: {
         'Cache-Control': 'no-store',
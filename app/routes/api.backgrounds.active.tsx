@@ -5,23 +5,31 @@ import {
   DEFAULT_CALM_RADIUS,
   getActiveBackgroundPreset,
 } from '../utils/backgroundPresets.server';
+import {issueRenderToken, resolveTelemetrySource} from '../utils/backgroundRenderTokens.server';
 
 const ACTIVE_CACHE_SECONDS = 30;
 
-export async function loader({context}: LoaderFunctionArgs) {
+export async function loader({request, context}: LoaderFunctionArgs) {
   try {
+    const env = getEnvServer(context.env);
     const preset = await getActiveBackgroundPreset(
       {
         cache: context.storefront.cache,
-        env: getEnvServer(context.env),
+        env,
         rawEnv: context.env as Record<string, string | undefined>,
       },
       {refresh: false},
     );
+    // The preset itself stays cached server-side; the token is bound to this visitor.
+    const renderToken = await issueRenderToken(env, {
+      presetId: preset.id,
+      versionHash: preset.versionHash,
+      source: await resolveTelemetrySource(env, request),
+    });
 
-    return data(preset, {
+    return data({...preset, renderToken}, {
       headers: {
-        'Cache-Control': `public, max-age=${ACTIVE_CACHE_SECONDS}, stale-while-revalidate=${ACTIVE_CACHE_SECONDS * 2}`,
+        'Cache-Control': `private, max-age=${ACTIVE_CACHE_SECONDS}`,
         'Content-Type': 'application/json',
       },
     });
@@ -45,6 +53,11 @@ export async function loader({context}: LoaderFunctionArgs) {
         },
         calmRadius: DEFAULT_CALM_RADIUS,
         calmIntensity: DEFAULT_CALM_INTENSITY,
+        paramSchema: [],
+        paramValues: {},
+        renderKind: 'iframe',
+        scene: null,
+        activationSource: 'fallback',
       },
       {
         status: 503,
@@ -0,0 +1,35 @@
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {listBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+
+/**
+ * `GET /api/backgrounds/audit?presetId=&limit=` — latest admin changes, newest first.
+ */
+export async function loader({request, context}: LoaderFunctionArgs) {
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.audit',
+    scope: 'read',
+  });
+  const url = new URL(request.url);
+  const limit = Number(url.searchParams.get('limit'));
+
+  try {
+    const entries = await listBackgroundAdminAudit(runtime, {
+      limit: Number.isFinite(limit) && limit > 0 ? limit : undefined,
+      presetId: url.searchParams.get('presetId') ?? undefined,
+    });
+
+    return data(entries, {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.audit] Failed to list audit log', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to list audit log'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,45 @@
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {listBackgroundPresets} from '../utils/backgroundPresets.server';
+import {buildPresetBundle} from '../utils/backgroundPresetBundles.server';
+
+/**
+ * `GET /api/backgrounds/export?ids=a,b` — bundle the listed presets, or every preset when omitted.
+ */
+export async function loader({request, context}: LoaderFunctionArgs) {
+  const {runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.export',
+    scope: 'read',
+  });
+  const {rawEnv} = runtime;
+  const ids = (new URL(request.url).searchParams.get('ids') ?? '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  try {
+    const presets = await listBackgroundPresets(runtime);
+    const selected = ids.length ? presets.filter((preset) => ids.includes(preset.id)) : presets;
+
+    if (!selected.length) {
+      return data({error: 'No presets to export'}, {status: 404, headers: {'Cache-Control': 'no-store'}});
+    }
+
+    const bundle = await buildPresetBundle(selected, {source: rawEnv?.PUBLIC_STORE_DOMAIN});
+    const filename = `background-presets-${bundle.exportedAt.slice(0, 10)}.json`;
+
+    return data(bundle, {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.export] Failed to export presets', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to export presets'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,121 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {recordBackgroundPresetRevision, revisionWarning} from '../utils/backgroundPresetRevisions.server';
+import {listBackgroundPresets} from '../utils/backgroundPresets.server';
+import {serializePreset} from '../utils/backgroundPresetApi.server';
+import {
+  SLUG_COLLISION_RESOLUTIONS,
+  detectSlugCollisions,
+  importPresetBundle,
+  parsePresetBundle,
+  type SlugCollisionResolution,
+} from '../utils/backgroundPresetBundles.server';
+
+const METHOD_POST = 'POST';
+
+function parseResolutions(raw: unknown): Record<string, SlugCollisionResolution> {
+  if (!raw || typeof raw !== 'object') return {};
+  const resolutions: Record<string, SlugCollisionResolution> = {};
+  for (const [slug, value] of Object.entries(raw as Record<string, unknown>)) {
+    if (!SLUG_COLLISION_RESOLUTIONS.includes(value as SlugCollisionResolution)) {
+      throw new Error(`Invalid resolution for ${slug}`);
+    }
+    resolutions[slug] = value as SlugCollisionResolution;
+  }
+  return resolutions;
+}
+
+/**
+ * `POST /api/backgrounds/import` with `{bundle, dryRun?, resolutions?}`.
+ * A dry run (or any unresolved slug collision) answers with the collisions instead of importing.
+ */
+export async function action({request, context}: ActionFunctionArgs) {
+  if (request.method !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.import',
+    scope: 'write',
+  });
+
+  let body: Record<string, unknown>;
+  try {
+    body = (await request.json()) as Record<string, unknown>;
+  } catch (error) {
+    console.warn('[api.backgrounds.import] Failed to parse JSON body', error);
+    return data({error: 'Invalid JSON payload'}, {status: 400, headers: {'Cache-Control': 'no-store'}});
+  }
+
+  let inputs;
+  let resolutions;
+  try {
+    inputs = await parsePresetBundle(body?.bundle);
+    resolutions = parseResolutions(body?.resolutions);
+  } catch (error) {
+    console.warn('[api.backgrounds.import] Invalid bundle', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Invalid bundle'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  try {
+    const collisions = detectSlugCollisions(await listBackgroundPresets(runtime), inputs);
+    const unresolved = collisions.filter((collision) => !resolutions[collision.slug]);
+
+    if (body.dryRun === true || unresolved.length) {
+      return data(
+        {
+          presets: inputs.map((input) => ({slug: input.slug, title: input.title})),
+          collisions,
+          unresolved: unresolved.map((collision) => collision.slug),
+        },
+        {status: body.dryRun === true ? 200 : 409, headers: {'Cache-Control': 'no-store'}},
+      );
+    }
+
+    const results = await importPresetBundle(runtime, inputs, {resolutions});
+
+    for (const result of results) {
+      if (!result.record) continue;
+      try {
+        await recordBackgroundPresetRevision(runtime, result.record, {author: admin.sub});
+      } catch (error) {
+        console.error('[api.backgrounds.import] Failed to record preset revision', error);
+        result.warning = revisionWarning(error);
+      }
+      await recordBackgroundAdminAudit(runtime, {
+        actor: admin.sub,
+        action: 'import',
+        presetId: result.record.id,
+        summary: result.renamedTo ? `renamed ${result.slug} → ${result.renamedTo}` : `${result.action} ${result.slug}`,
+      });
+    }
+
+    return data(
+      {
+        results: results.map(({record, ...result}) => ({
+          ...result,
+          preset: record ? serializePreset(record) : undefined,
+        })),
+      },
+      {
+        headers: {
+          'Cache-Control': 'no-store',
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (error) {
+    console.error('[api.backgrounds.import] Failed to import presets', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to import presets'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,63 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {hasLintErrors, lintPresetContent} from '../utils/backgroundPresetApi.server';
+
+const METHOD_POST = 'POST';
+
+function readSource(body: Record<string, unknown>, field: string): string {
+  const value = body[field];
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid value for ${field}`);
+  }
+  return value;
+}
+
+/**
+ * Lint unsaved preset content so the editor can show issues while typing.
+ */
+export async function action({request, context}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.lint',
+    scope: 'read',
+  });
+
+  let body: Record<string, unknown>;
+  try {
+    const parsed: unknown = await request.json();
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('Expected an object');
+    }
+    body = parsed as Record<string, unknown>;
+  } catch (error) {
+    console.warn('[api.backgrounds.lint] Failed to parse JSON body', error);
+    return data(
+      {error: 'Invalid JSON payload'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  try {
+    const issues = lintPresetContent({
+      htmlMarkup: readSource(body, 'htmlMarkup'),
+      cssStyles: readSource(body, 'cssStyles'),
+      jsSnippet: readSource(body, 'jsSnippet'),
+    });
+    return data(
+      {issues, hasErrors: hasLintErrors(issues)},
+      {headers: {'Cache-Control': 'no-store', 'Content-Type': 'application/json'}},
+    );
+  } catch (error) {
+    return data(
+      {error: error instanceof Error ? error.message : 'Invalid lint payload'},
+      {status: 400, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
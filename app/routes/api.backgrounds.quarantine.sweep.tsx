@@ -0,0 +1,53 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+import {sweepBackgroundPresetQuarantine} from '../utils/backgroundPresets.server';
+
+const METHOD_POST = 'POST';
+
+/**
+ * `POST /api/backgrounds/quarantine/sweep`. Quarantines every preset whose current version trips
+ * the render circuit breaker. Call it from the admin UI or a scheduled job with an `activate` token;
+ * visitor requests to `/api/backgrounds/active` only skip failing versions and never write.
+ */
+export async function action({request, context}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.quarantine.sweep',
+    scope: 'activate',
+  });
+
+  try {
+    const quarantined = await sweepBackgroundPresetQuarantine(runtime);
+    for (const {id, quarantine} of quarantined) {
+      await recordBackgroundAdminAudit(runtime, {
+        actor: admin.sub,
+        action: 'quarantine',
+        presetId: id,
+        summary: `Version ${quarantine.versionHash.slice(0, 10)} failed ${Math.round(quarantine.failureRate * 100)}% of ${quarantine.sampleSize} renders`,
+      });
+    }
+
+    return data(
+      {quarantined},
+      {
+        headers: {
+          'Cache-Control': 'no-store',
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (error) {
+    console.error('[api.backgrounds.quarantine.sweep] Failed to sweep presets', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to sweep presets'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {authenticateBackgroundAdmin} from '../utils/backgroundAdminAuth.server';
+import {
+  DEFAULT_SUMMARY_WINDOW_MS,
+  getRenderTelemetrySummary,
+  getTelemetryStorage,
+} from '../utils/backgroundTelemetry.server';
+
+const MAX_WINDOW_HOURS = 24 * 30;
+
+function getWindowMs(url: URL): number {
+  const hours = Number(url.searchParams.get('windowHours'));
+  if (!Number.isFinite(hours) || hours <= 0) return DEFAULT_SUMMARY_WINDOW_MS;
+  return Math.min(hours, MAX_WINDOW_HOURS) * 60 * 60 * 1000;
+}
+
+export async function loader({request, context}: LoaderFunctionArgs) {
+  await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.telemetry.summary',
+    scope: 'read',
+  });
+  const url = new URL(request.url);
+  const windowMs = getWindowMs(url);
+  const storage = getTelemetryStorage(context.env as Record<string, string | undefined>);
+
+  try {
+    const summary = await getRenderTelemetrySummary(storage, {
+      windowMs,
+      presetId: url.searchParams.get('presetId') ?? undefined,
+    });
+
+    return data(
+      {storage: storage.name, windowMs, summary},
+      {
+        headers: {
+          'Cache-Control': 'no-store',
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (error) {
+    console.error('[api.backgrounds.telemetry.summary] Failed to summarize telemetry', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to summarize telemetry'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
@@ -1,38 +1,51 @@
 import {data, type ActionFunctionArgs} from 'react-router';
+import {getEnvServer} from '../utils/env.server';
 import {getBackgroundTelemetry} from '../utils/backgroundPresets.server';
+import {
+  consumeTelemetryRateLimit,
+  resolveTelemetrySource,
+  verifyRenderToken,
+} from '../utils/backgroundRenderTokens.server';
+import {getTelemetryStorage, parseRenderEvent} from '../utils/backgroundTelemetry.server';
 
-type TelemetryEvent = {
-  event: 'load' | 'error' | 'timeout';
-  presetId: string;
-  versionHash?: string;
-  details?: string;
-  userAgent?: string;
-  timestamp?: number;
-};
-
-export async function action({request}: ActionFunctionArgs) {
+export async function action({request, context}: ActionFunctionArgs) {
   try {
-    const payload = (await request.json()) as TelemetryEvent;
-    if (!payload || !payload.event || !payload.presetId) {
+    const env = getEnvServer(context.env);
+    const source = await resolveTelemetrySource(env, request);
+    const retryAfter = consumeTelemetryRateLimit(source);
+    if (retryAfter !== null) {
+      return data(
+        {error: 'Too many telemetry events'},
+        {
+          status: 429,
+          headers: {'Cache-Control': 'no-store', 'Content-Type': 'application/json', 'Retry-After': String(retryAfter)},
+        },
+      );
+    }
+
+    const body = (await request.json()) as Record<string, unknown> | null;
+    const event = parseRenderEvent(body, request.headers.get('User-Agent'));
+    if (!event) {
       return data(
         {error: 'Invalid telemetry payload'},
         {status: 400, headers: {'Content-Type': 'application/json'}},
       );
     }
 
-    console.log('[api.backgrounds.telemetry]', {
-      event: payload.event,
-      presetId: payload.presetId,
-      versionHash: payload.versionHash,
-      details: payload.details,
-      timestamp: new Date(payload.timestamp ?? Date.now()).toISOString(),
-      userAgent: payload.userAgent ?? request.headers.get('User-Agent'),
+    // Events without a matching render token are kept for the health view but never reach the breaker.
+    const claim = await verifyRenderToken(env, body?.renderToken, {
+      presetId: event.presetId,
+      versionHash: event.versionHash,
+      source,
     });
 
+    const storage = getTelemetryStorage(context.env as Record<string, string | undefined>);
+    await storage.append(claim ? {...event, ...claim} : event);
+
     const serverTelemetry = getBackgroundTelemetry();
 
     return data(
-      {received: true, serverState: serverTelemetry},
+      {received: true, trusted: Boolean(claim), serverState: serverTelemetry},
       {headers: {'Cache-Control': 'no-store', 'Content-Type': 'application/json'}},
     );
   } catch (error) {
@@ -0,0 +1,62 @@
+import {data, type ActionFunctionArgs} from 'react-router';
+import {
+  BACKGROUND_ADMIN_SCOPES,
+  authenticateBackgroundAdmin,
+  revokeBackgroundAdminToken,
+} from '../utils/backgroundAdminAuth.server';
+import {recordBackgroundAdminAudit} from '../utils/backgroundAdminAudit.server';
+
+const METHOD_POST = 'POST';
+
+/**
+ * `POST /api/backgrounds/token/revoke`. An empty body revokes the caller's own token (sign out).
+ * `{tokenId, subject}` revokes one token and `{subject}` every token issued to that identity so far;
+ * both require a token holding every scope.
+ */
+export async function action({request, context}: ActionFunctionArgs) {
+  if (request.method.toUpperCase() !== METHOD_POST) {
+    return data(
+      {error: 'Method Not Allowed'},
+      {status: 405, headers: {'Allow': METHOD_POST, 'Cache-Control': 'no-store'}},
+    );
+  }
+
+  const {admin, runtime} = await authenticateBackgroundAdmin(request, context, {
+    route: 'api.backgrounds.token.revoke',
+  });
+
+  const body = (await request.json().catch(() => null)) as Partial<{tokenId: string; subject: string}> | null;
+  const subject = typeof body?.subject === 'string' && body.subject.trim() ? body.subject.trim() : undefined;
+  const tokenId = typeof body?.tokenId === 'string' && body.tokenId.trim() ? body.tokenId.trim() : undefined;
+  const target = subject ? {subject, tokenId} : {subject: admin.sub, tokenId: admin.nonce};
+
+  const isSelf = target.subject === admin.sub && target.tokenId === admin.nonce;
+  if (!isSelf && !BACKGROUND_ADMIN_SCOPES.every((scope) => admin.scopes.includes(scope))) {
+    return data(
+      {error: 'Revoking other tokens requires every admin scope'},
+      {status: 403, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  try {
+    const revocation = await revokeBackgroundAdminToken(runtime, target, admin.sub);
+    await recordBackgroundAdminAudit(runtime, {
+      actor: admin.sub,
+      action: 'revoke-token',
+      summary: target.tokenId ? `${target.subject} token ${target.tokenId}` : `all tokens for ${target.subject}`,
+    });
+
+    return data(revocation, {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    console.error('[api.backgrounds.token.revoke] Failed to revoke token', error);
+    return data(
+      {error: error instanceof Error ? error.message : 'Failed to revoke token'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+}
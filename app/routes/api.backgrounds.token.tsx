@@ -2,7 +2,7 @@ import {data, type ActionFunctionArgs} from 'react-router';
 import {getEnvServer} from '../utils/env.server';
 import {
   issueBackgroundAdminToken,
-  validateSharedAdminKey,
+  resolveBackgroundAdminIdentity,
   TOKEN_TTL_MS,
 } from '../utils/backgroundAdminAuth.server';
 
@@ -33,20 +33,33 @@ export async function action({request, context}: ActionFunctionArgs) {
     }
   }
 
-  if (!providedKey || !validateSharedAdminKey(env, providedKey)) {
+  let identity = null;
+  try {
+    identity = providedKey ? resolveBackgroundAdminIdentity(env, providedKey) : null;
+  } catch (error) {
+    console.error('[api.backgrounds.token] Invalid admin identity configuration', error);
+    return data(
+      {error: 'Admin identities are misconfigured'},
+      {status: 500, headers: {'Cache-Control': 'no-store'}},
+    );
+  }
+
+  if (!identity) {
     return data(
       {error: 'Invalid admin key'},
       {status: 401, headers: {'Cache-Control': 'no-store'}},
     );
   }
 
-  const tokenResponse = await issueBackgroundAdminToken(env);
+  const tokenResponse = await issueBackgroundAdminToken(env, identity.id, identity.scopes);
 
   return data(
     {
       token: tokenResponse.token,
       expiresAt: tokenResponse.expiresAt,
       expiresIn: TOKEN_TTL_MS / 1000,
+      subject: tokenResponse.subject,
+      scopes: tokenResponse.scopes,
     },
     {
       headers: {
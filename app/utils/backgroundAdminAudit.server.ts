@@ -0,0 +1,138 @@
+// Audit log of admin changes to background presets.
+// Each entry is a `background_admin_audit` metaobject naming the token subject, the action and
+// the preset it touched. Recording never blocks the change it describes.
+import {
+  adminFetch,
+  extractFieldMap,
+  type BackgroundPresetRuntime,
+  type MetaobjectEdgeList,
+  type MetaobjectMutationPayload,
+  type MetaobjectNode,
+} from './backgroundPresets.server';
+
+export type BackgroundAdminAuditAction =
+  | 'create'
+  | 'update'
+  | 'delete'
+  | 'activate'
+  | 'restore'
+  | 'import'
+  | 'quarantine'
+  | 'unquarantine'
+  | 'revoke-token';
+
+export type BackgroundAdminAuditEntry = {
+  id: string;
+  actor: string;
+  action: BackgroundAdminAuditAction;
+  presetId?: string;
+  summary?: string;
+  createdAt: string;
+};
+
+const AUDIT_METAOBJECT_TYPE = 'background_admin_audit';
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_SUMMARY_LENGTH = 240;
+
+const QUERY_AUDIT_LIST = `
+  query BackgroundAdminAuditList($first: Int!) {
+    metaobjects(first: $first, type: "${AUDIT_METAOBJECT_TYPE}", sortKey: "updated_at", reverse: true) {
+      edges {
+        cursor
+        node {
+          id
+          handle
+          type
+          updatedAt
+          fields {
+            key
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const MUTATION_CREATE_AUDIT = `
+  mutation CreateBackgroundAdminAudit($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject {
+        id
+        handle
+        updatedAt
+      }
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+function mapMetaobjectToAuditEntry(node: MetaobjectNode): BackgroundAdminAuditEntry | null {
+  const fields = extractFieldMap(node);
+  const actor = fields.actor?.value;
+  const action = fields.action?.value as BackgroundAdminAuditAction | undefined;
+  if (!actor || !action) return null;
+
+  return {
+    id: node.id,
+    actor,
+    action,
+    presetId: fields.preset_id?.value || undefined,
+    summary: fields.summary?.value || undefined,
+    createdAt: fields.created_at?.value ?? node.updatedAt,
+  };
+}
+
+export async function recordBackgroundAdminAudit(
+  runtime: BackgroundPresetRuntime,
+  entry: {actor: string; action: BackgroundAdminAuditAction; presetId?: string; summary?: string},
+): Promise<void> {
+  const fields = [
+    {key: 'actor', value: entry.actor},
+    {key: 'action', value: entry.action},
+    {key: 'created_at', value: new Date().toISOString()},
+  ];
+  if (entry.presetId) {
+    fields.push({key: 'preset_id', value: entry.presetId});
+  }
+  if (entry.summary) {
+    fields.push({key: 'summary', value: entry.summary.slice(0, MAX_SUMMARY_LENGTH)});
+  }
+
+  try {
+    const data = await adminFetch<MetaobjectMutationPayload>(runtime, MUTATION_CREATE_AUDIT, {
+      metaobject: {type: AUDIT_METAOBJECT_TYPE, fields},
+    });
+    const payload = data.metaobjectCreate;
+    if (!payload || payload.userErrors?.length) {
+      const message = payload?.userErrors?.map((err) => err.message).join('; ') ?? 'Unknown error';
+      throw new Error(message);
+    }
+  } catch (error) {
+    console.error('[backgroundAdminAudit] Failed to record audit entry', entry, error);
+  }
+}
+
+/**
+ * Most recent entries first; the log is intentionally short.
+ */
+export async function listBackgroundAdminAudit(
+  runtime: BackgroundPresetRuntime,
+  options: {limit?: number; presetId?: string} = {},
+): Promise<BackgroundAdminAuditEntry[]> {
+  const data = await adminFetch<MetaobjectEdgeList>(runtime, QUERY_AUDIT_LIST, {
+    first: Math.min(options.limit ?? DEFAULT_AUDIT_LIMIT, 250),
+  });
+
+  return (data.metaobjects.edges ?? [])
+    .map((edge) => mapMetaobjectToAuditEntry(edge.node))
+    .filter((entry): entry is BackgroundAdminAuditEntry => entry !== null)
+    .filter((entry) => !options.presetId || entry.presetId === options.presetId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
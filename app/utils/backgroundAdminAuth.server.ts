@@ -1,7 +1,29 @@
-import type {ServerEnv} from './env.server';
+import {data, type LoaderFunctionArgs} from 'react-router';
+import {getEnvServer, type ServerEnv} from './env.server';
+import {
+  adminFetch,
+  extractFieldMap,
+  type BackgroundPresetRuntime,
+  type MetaobjectEdgeList,
+  type MetaobjectMutationPayload,
+  type MetaobjectNode,
+} from './backgroundPresets.server';
 
 const TOKEN_NAMESPACE = 'watermelon-background-admin';
 const TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const SHARED_KEY_SUBJECT = 'background-admin';
+const REVOCATION_METAOBJECT_TYPE = 'background_admin_revocation';
+const REVOCATION_CACHE_TTL_MS = 30_000;
+
+export type BackgroundAdminScope = 'read' | 'write' | 'activate' | 'delete';
+
+export const BACKGROUND_ADMIN_SCOPES: BackgroundAdminScope[] = ['read', 'write', 'activate', 'delete'];
+
+export type BackgroundAdminIdentity = {
+  id: string;
+  key: string;
+  scopes: BackgroundAdminScope[];
+};
 
 export type BackgroundAdminTokenPayload = {
   sub: string;
@@ -9,13 +31,91 @@ export type BackgroundAdminTokenPayload = {
   exp: number;
   nonce: string;
   namespace: string;
+  scopes: BackgroundAdminScope[];
 };
 
 export type BackgroundAdminTokenResponse = {
   token: string;
   expiresAt: string;
+  subject: string;
+  scopes: BackgroundAdminScope[];
 };
 
+export type BackgroundAdminRevocation = {
+  id: string;
+  /** Token nonce; absent when the whole identity was revoked. */
+  tokenId?: string;
+  subject: string;
+  revokedAt: string;
+  revokedBy: string;
+};
+
+/**
+ * Thrown when a valid token lacks the scope a route needs; routes answer 403 instead of 401.
+ */
+export class BackgroundAdminScopeError extends Error {
+  scope: BackgroundAdminScope;
+
+  constructor(scope: BackgroundAdminScope) {
+    super(`Missing admin scope: ${scope}`);
+    this.name = 'BackgroundAdminScopeError';
+    this.scope = scope;
+  }
+}
+
+const QUERY_REVOCATION_LIST = `
+  query BackgroundAdminRevocationList($first: Int!, $after: String) {
+    metaobjects(first: $first, after: $after, type: "${REVOCATION_METAOBJECT_TYPE}") {
+      edges {
+        cursor
+        node {
+          id
+          handle
+          type
+          updatedAt
+          fields {
+            key
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const MUTATION_CREATE_REVOCATION = `
+  mutation CreateBackgroundAdminRevocation($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject {
+        id
+        handle
+        updatedAt
+      }
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+const MUTATION_DELETE_REVOCATION = `
+  mutation DeleteBackgroundAdminRevocation($id: ID!) {
+    metaobjectDelete(id: $id) {
+      deletedId
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+// Per-isolate cache so token checks do not hit the Admin API on every request.
+let revocationCache: {expiresAt: number; revocations: BackgroundAdminRevocation[]} | null = null;
+
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
 
@@ -72,7 +172,7 @@ function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
   return result === 0;
 }
 
-function createNonce(): string {
+export function createNonce(): string {
   if (typeof crypto.randomUUID === 'function') {
     return crypto.randomUUID();
   }
@@ -83,6 +183,44 @@ function createNonce(): string {
     .join('');
 }
 
+/**
+ * `<payload>.<signature>` token: base64url JSON signed with HMAC-SHA256.
+ * Shared with the render tokens handed to storefront visitors.
+ */
+export async function signTokenPayload(secret: Uint8Array, payload: object): Promise<string> {
+  const key = await importHmacKey(secret);
+  const payloadBytes = encoder.encode(JSON.stringify(payload));
+  const signature = await crypto.subtle.sign('HMAC', key, toArrayBuffer(payloadBytes));
+  return `${toBase64Url(payloadBytes)}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Check the signature of a token from `signTokenPayload` and return its payload.
+ * Callers still validate namespace and expiry; `label` names the token in error messages.
+ */
+export async function readSignedToken<T>(secret: Uint8Array, token: string, label: string): Promise<T> {
+  const [encodedPayload, encodedSignature] = token.split('.', 2);
+  if (!encodedPayload || !encodedSignature) {
+    throw new Error(`Invalid ${label} format`);
+  }
+
+  const payloadBytes = fromBase64Url(encodedPayload);
+  const signatureBytes = fromBase64Url(encodedSignature);
+  const key = await importHmacKey(secret);
+
+  const isValid = await crypto.subtle.verify(
+    'HMAC',
+    key,
+    toArrayBuffer(signatureBytes),
+    toArrayBuffer(payloadBytes),
+  );
+  if (!isValid) {
+    throw new Error(`Invalid ${label} signature`);
+  }
+
+  return JSON.parse(decoder.decode(payloadBytes)) as T;
+}
+
 export function validateSharedAdminKey(env: ServerEnv, provided: string): boolean {
   const expected = env.BACKGROUND_ADMIN_KEY;
   const providedBytes = encoder.encode(provided);
@@ -90,9 +228,71 @@ export function validateSharedAdminKey(env: ServerEnv, provided: string): boolea
   return timingSafeEqual(providedBytes, expectedBytes);
 }
 
-export async function issueBackgroundAdminToken(env: ServerEnv, subject = 'background-admin'): Promise<BackgroundAdminTokenResponse> {
-  const secret = getSigningSecret(env);
-  const key = await importHmacKey(secret);
+function parseIdentityScopes(raw: unknown, id: string): BackgroundAdminScope[] {
+  if (!Array.isArray(raw)) {
+    throw new Error(`BACKGROUND_ADMIN_IDENTITIES: scopes for "${id}" must be an array`);
+  }
+  return raw.map((scope) => {
+    if (!BACKGROUND_ADMIN_SCOPES.includes(scope as BackgroundAdminScope)) {
+      throw new Error(`BACKGROUND_ADMIN_IDENTITIES: unknown scope "${String(scope)}" for "${id}"`);
+    }
+    return scope as BackgroundAdminScope;
+  });
+}
+
+/**
+ * Named identities from `BACKGROUND_ADMIN_IDENTITIES` (`[{"id", "key", "scopes"}]`).
+ * The shared `BACKGROUND_ADMIN_KEY` keeps working as a full-access identity.
+ */
+export function getBackgroundAdminIdentities(env: ServerEnv): BackgroundAdminIdentity[] {
+  const identities: BackgroundAdminIdentity[] = [];
+
+  if (env.BACKGROUND_ADMIN_IDENTITIES) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(env.BACKGROUND_ADMIN_IDENTITIES);
+    } catch {
+      throw new Error('BACKGROUND_ADMIN_IDENTITIES must be valid JSON');
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error('BACKGROUND_ADMIN_IDENTITIES must be a JSON array');
+    }
+    for (const entry of parsed as Array<Record<string, unknown>>) {
+      const id = typeof entry?.id === 'string' ? entry.id.trim() : '';
+      const key = typeof entry?.key === 'string' ? entry.key : '';
+      if (!id || !key) {
+        throw new Error('BACKGROUND_ADMIN_IDENTITIES entries need an id and a key');
+      }
+      identities.push({id, key, scopes: parseIdentityScopes(entry.scopes, id)});
+    }
+  }
+
+  if (env.BACKGROUND_ADMIN_KEY) {
+    identities.push({id: SHARED_KEY_SUBJECT, key: env.BACKGROUND_ADMIN_KEY, scopes: [...BACKGROUND_ADMIN_SCOPES]});
+  }
+
+  return identities;
+}
+
+/**
+ * Match a provided key against every identity without short-circuiting on the first hit.
+ */
+export function resolveBackgroundAdminIdentity(env: ServerEnv, provided: string): BackgroundAdminIdentity | null {
+  const providedBytes = encoder.encode(provided);
+  let match: BackgroundAdminIdentity | null = null;
+  for (const identity of getBackgroundAdminIdentities(env)) {
+    if (timingSafeEqual(providedBytes, encoder.encode(identity.key)) && !match) {
+      match = identity;
+    }
+  }
+  return match;
+}
+
+export async function issueBackgroundAdminToken(
+  env: ServerEnv,
+  subject = SHARED_KEY_SUBJECT,
+  scopes: BackgroundAdminScope[] = [...BACKGROUND_ADMIN_SCOPES],
+): Promise<BackgroundAdminTokenResponse> {
   const issuedAt = Date.now();
   const expiresAt = issuedAt + TOKEN_TTL_MS;
   const payload: BackgroundAdminTokenPayload = {
@@ -101,43 +301,21 @@ export async function issueBackgroundAdminToken(env: ServerEnv, subject = 'backg
     exp: expiresAt,
     nonce: createNonce(),
     namespace: TOKEN_NAMESPACE,
+    scopes,
   };
 
-  const payloadJson = JSON.stringify(payload);
-  const payloadBytes = encoder.encode(payloadJson);
-  const signature = await crypto.subtle.sign('HMAC', key, toArrayBuffer(payloadBytes));
-  const token = `${toBase64Url(payloadBytes)}.${toBase64Url(signature)}`;
+  const token = await signTokenPayload(getSigningSecret(env), payload);
 
   return {
     token,
     expiresAt: new Date(expiresAt).toISOString(),
+    subject,
+    scopes,
   };
 }
 
 export async function verifyBackgroundAdminToken(env: ServerEnv, token: string): Promise<BackgroundAdminTokenPayload> {
-  const [encodedPayload, encodedSignature] = token.split('.', 2);
-  if (!encodedPayload || !encodedSignature) {
-    throw new Error('Invalid admin token format');
-  }
-
-  const payloadBytes = fromBase64Url(encodedPayload);
-  const signatureBytes = fromBase64Url(encodedSignature);
-
-  const secret = getSigningSecret(env);
-  const key = await importHmacKey(secret);
-
-  const isValid = await crypto.subtle.verify(
-    'HMAC',
-    key,
-    toArrayBuffer(signatureBytes),
-    toArrayBuffer(payloadBytes),
-  );
-  if (!isValid) {
-    throw new Error('Invalid admin token signature');
-  }
-
-  const payloadJson = decoder.decode(payloadBytes);
-  const payload = JSON.parse(payloadJson) as BackgroundAdminTokenPayload;
+  const payload = await readSignedToken<BackgroundAdminTokenPayload>(getSigningSecret(env), token, 'admin token');
 
   if (payload.namespace !== TOKEN_NAMESPACE) {
     throw new Error('Invalid admin token namespace');
@@ -148,9 +326,134 @@ export async function verifyBackgroundAdminToken(env: ServerEnv, token: string):
     throw new Error('Admin token expired');
   }
 
+  // Tokens issued before scopes existed carry none and can do nothing.
+  payload.scopes = Array.isArray(payload.scopes) ? payload.scopes : [];
+
   return payload;
 }
 
+function mapRevocation(node: MetaobjectNode): BackgroundAdminRevocation | null {
+  const fields = extractFieldMap(node);
+  const subject = fields.subject?.value;
+  if (!subject) return null;
+  return {
+    id: node.id,
+    tokenId: fields.token_id?.value || undefined,
+    subject,
+    revokedAt: fields.revoked_at?.value ?? node.updatedAt,
+    revokedBy: fields.revoked_by?.value ?? 'unknown',
+  };
+}
+
+/**
+ * Every token a revocation covers was issued before `revokedAt`, so once a full token lifetime has
+ * passed the revocation can no longer match anything.
+ */
+export function isRevocationExpired(revocation: BackgroundAdminRevocation, now = Date.now()): boolean {
+  const revokedAt = new Date(revocation.revokedAt).getTime();
+  return Number.isFinite(revokedAt) && revokedAt + TOKEN_TTL_MS < now;
+}
+
+async function fetchBackgroundAdminRevocations(runtime: BackgroundPresetRuntime): Promise<BackgroundAdminRevocation[]> {
+  const revocations: BackgroundAdminRevocation[] = [];
+  let after: string | undefined;
+  do {
+    const data = await adminFetch<MetaobjectEdgeList>(runtime, QUERY_REVOCATION_LIST, {first: 50, after});
+    for (const edge of data.metaobjects.edges ?? []) {
+      const revocation = mapRevocation(edge.node);
+      if (revocation) revocations.push(revocation);
+    }
+    after = data.metaobjects.pageInfo.hasNextPage ? data.metaobjects.pageInfo.endCursor ?? undefined : undefined;
+  } while (after);
+  return revocations;
+}
+
+/**
+ * Revocations that can still match a live token; expired entries are skipped here and deleted the
+ * next time a token is revoked.
+ */
+export async function listBackgroundAdminRevocations(
+  runtime: BackgroundPresetRuntime,
+  options: {refresh?: boolean} = {},
+): Promise<BackgroundAdminRevocation[]> {
+  if (!options.refresh && revocationCache && revocationCache.expiresAt > Date.now()) {
+    return revocationCache.revocations;
+  }
+
+  const now = Date.now();
+  const revocations = (await fetchBackgroundAdminRevocations(runtime)).filter(
+    (revocation) => !isRevocationExpired(revocation, now),
+  );
+
+  revocationCache = {expiresAt: now + REVOCATION_CACHE_TTL_MS, revocations};
+  return revocations;
+}
+
+/**
+ * Delete revocation entries older than one token lifetime. Failures are logged and left for the next run.
+ */
+export async function pruneBackgroundAdminRevocations(runtime: BackgroundPresetRuntime): Promise<number> {
+  const now = Date.now();
+  const expired = (await fetchBackgroundAdminRevocations(runtime)).filter((revocation) =>
+    isRevocationExpired(revocation, now),
+  );
+
+  let pruned = 0;
+  for (const revocation of expired) {
+    try {
+      const data = await adminFetch<MetaobjectMutationPayload>(runtime, MUTATION_DELETE_REVOCATION, {id: revocation.id});
+      if (data.metaobjectDelete?.userErrors?.length) {
+        throw new Error(data.metaobjectDelete.userErrors.map((err) => err.message).join('; '));
+      }
+      pruned += 1;
+    } catch (error) {
+      console.warn('[backgroundAdminAuth] Failed to prune revocation', revocation.id, error);
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Revoke one token (by nonce) or, without `tokenId`, every token issued to `subject` so far.
+ */
+export async function revokeBackgroundAdminToken(
+  runtime: BackgroundPresetRuntime,
+  target: {subject: string; tokenId?: string},
+  revokedBy: string,
+): Promise<BackgroundAdminRevocation> {
+  const revokedAt = new Date().toISOString();
+  const fields = [
+    {key: 'subject', value: target.subject},
+    {key: 'revoked_at', value: revokedAt},
+    {key: 'revoked_by', value: revokedBy},
+  ];
+  if (target.tokenId) {
+    fields.push({key: 'token_id', value: target.tokenId});
+  }
+
+  const data = await adminFetch<MetaobjectMutationPayload>(runtime, MUTATION_CREATE_REVOCATION, {
+    metaobject: {type: REVOCATION_METAOBJECT_TYPE, fields},
+  });
+  const payload = data.metaobjectCreate;
+  if (!payload || payload.userErrors?.length || !payload.metaobject?.id) {
+    const message = payload?.userErrors?.map((err) => err.message).join('; ') ?? 'Unknown error';
+    throw new Error(`Failed to revoke admin token: ${message}`);
+  }
+
+  await pruneBackgroundAdminRevocations(runtime).catch((error) => {
+    console.warn('[backgroundAdminAuth] Failed to prune expired revocations', error);
+  });
+  revocationCache = null;
+  return {id: payload.metaobject.id, tokenId: target.tokenId, subject: target.subject, revokedAt, revokedBy};
+}
+
+function isRevoked(payload: BackgroundAdminTokenPayload, revocations: BackgroundAdminRevocation[]): boolean {
+  return revocations.some((revocation) => {
+    if (revocation.tokenId) return revocation.tokenId === payload.nonce;
+    return revocation.subject === payload.sub && new Date(revocation.revokedAt).getTime() >= payload.iat;
+  });
+}
+
 export {TOKEN_TTL_MS};
 
 export function extractBearerToken(request: Request): string | null {
@@ -161,13 +464,55 @@ export function extractBearerToken(request: Request): string | null {
   return match[1]!.trim();
 }
 
+/**
+ * Verify the bearer token, then (when given) the revocation list and the scope the route needs.
+ * Throws `BackgroundAdminScopeError` for a missing scope and a plain `Error` otherwise.
+ */
 export async function requireBackgroundAdminToken(
   env: ServerEnv,
   request: Request,
+  options: {scope?: BackgroundAdminScope; runtime?: BackgroundPresetRuntime} = {},
 ): Promise<BackgroundAdminTokenPayload> {
   const token = extractBearerToken(request);
   if (!token) {
     throw new Error('Missing bearer token');
   }
-  return verifyBackgroundAdminToken(env, token);
+  const payload = await verifyBackgroundAdminToken(env, token);
+
+  if (options.runtime && isRevoked(payload, await listBackgroundAdminRevocations(options.runtime))) {
+    throw new Error('Admin token revoked');
+  }
+  if (options.scope && !payload.scopes.includes(options.scope)) {
+    throw new BackgroundAdminScopeError(options.scope);
+  }
+
+  return payload;
+}
+
+/**
+ * Shared gate for the `/api/backgrounds/*` admin routes: checks the bearer token, the revocation
+ * list and `scope`, and throws a `403` (missing scope) or `401` response for the route to return.
+ * `route` prefixes the log line, e.g. `api.backgrounds.$id`.
+ */
+export async function authenticateBackgroundAdmin(
+  request: Request,
+  context: LoaderFunctionArgs['context'],
+  options: {route: string; scope?: BackgroundAdminScope},
+): Promise<{env: ServerEnv; runtime: BackgroundPresetRuntime; admin: BackgroundAdminTokenPayload}> {
+  const env = getEnvServer(context.env);
+  const runtime = {
+    cache: context.storefront.cache,
+    env,
+    rawEnv: context.env as Record<string, string | undefined>,
+  };
+  try {
+    const admin = await requireBackgroundAdminToken(env, request, {scope: options.scope, runtime});
+    return {env, runtime, admin};
+  } catch (error) {
+    if (error instanceof BackgroundAdminScopeError) {
+      throw data({error: error.message}, {status: 403, headers: {'Cache-Control': 'no-store'}});
+    }
+    console.warn(`[${options.route}] Admin token verification failed`, error);
+    throw data({error: 'Unauthorized'}, {status: 401, headers: {'Cache-Control': 'no-store'}});
+  }
 }
@@ -0,0 +1,216 @@
+/**
+ * Storefront ↔ background iframe message bridge
+ * Forwards menu navigation, cart, pointer and theme state into the preset sandbox as typed,
+ * origin-checked messages. Preset JS subscribes through `window.__presetBridge`.
+ */
+
+import {getMenuThemeSettingsSync} from './menuThemeSettings';
+
+const BRIDGE_CHANNEL = 'wm-background-bridge';
+const BRIDGE_VERSION = 1;
+
+type BridgeEventMap = {
+  'carousel:selection': {index: number; label?: string};
+  'submenu:state': {open: boolean; parentIndex: number | null; selectedChildIndex: number | null};
+  'cart:add': {totalQuantity?: number};
+  /** Normalized to the viewport: 0,0 top-left, 1,1 bottom-right. */
+  pointer: {x: number; y: number};
+  theme: {colors: Record<string, string>};
+};
+
+type BridgeEventType = keyof BridgeEventMap;
+
+type BridgeMessage<T extends BridgeEventType = BridgeEventType> = {
+  channel: typeof BRIDGE_CHANNEL;
+  version: typeof BRIDGE_VERSION;
+  type: T;
+  payload: BridgeEventMap[T];
+};
+
+type BackgroundBridge = {
+  send<T extends BridgeEventType>(type: T, payload: BridgeEventMap[T]): void;
+  dispose(): void;
+};
+
+const BRIDGE_EVENT_TYPES: BridgeEventType[] = ['carousel:selection', 'submenu:state', 'cart:add', 'pointer', 'theme'];
+const READY_MESSAGE_TYPE = 'bridge:ready';
+// Events replayed when the sandbox (re)announces itself; cart adds are one-off and not replayed.
+const STATEFUL_EVENT_TYPES: BridgeEventType[] = ['carousel:selection', 'submenu:state', 'pointer', 'theme'];
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/iu;
+
+function toIndex(value: unknown): number | null {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function pickThemeColors(settings: Record<string, unknown> | null | undefined): Record<string, string> {
+  const colors: Record<string, string> = {};
+  for (const [key, value] of Object.entries(settings ?? {})) {
+    if (typeof value === 'string' && HEX_COLOR_PATTERN.test(value)) {
+      colors[key] = value;
+    }
+  }
+  return colors;
+}
+
+/**
+ * Origin the sandboxed document reports. `allow-same-origin` documents written from the storefront
+ * inherit its origin; without it the browser uses the opaque origin `null`.
+ */
+function getFrameOrigin(iframe: HTMLIFrameElement): string {
+  return iframe.sandbox.contains('allow-same-origin') ? window.location.origin : 'null';
+}
+
+/**
+ * Connect an iframe to storefront events. Messages go out with the frame's exact origin as
+ * `targetOrigin`, and only the frame's own `bridge:ready` handshake is accepted back.
+ */
+export function connectBackgroundBridge(iframe: HTMLIFrameElement): BackgroundBridge {
+  const frameOrigin = getFrameOrigin(iframe);
+  const lastPayloads = new Map<BridgeEventType, BridgeEventMap[BridgeEventType]>();
+  let pointerFrame: number | null = null;
+  let pendingPointer: BridgeEventMap['pointer'] | null = null;
+  let disposed = false;
+
+  const post = (message: BridgeMessage) => {
+    const target = iframe.contentWindow;
+    if (!target || disposed) return;
+    // Opaque-origin frames cannot be addressed by origin; `*` is the only option there.
+    target.postMessage(message, frameOrigin === 'null' ? '*' : frameOrigin);
+  };
+
+  const send = <T extends BridgeEventType>(type: T, payload: BridgeEventMap[T]) => {
+    if (STATEFUL_EVENT_TYPES.includes(type)) {
+      lastPayloads.set(type, payload);
+    }
+    post({channel: BRIDGE_CHANNEL, version: BRIDGE_VERSION, type, payload});
+  };
+
+  const handleFrameMessage = (event: MessageEvent) => {
+    if (event.source !== iframe.contentWindow || event.origin !== frameOrigin) return;
+    const data = event.data as Partial<BridgeMessage> | {channel?: string; type?: string} | null;
+    if (!data || data.channel !== BRIDGE_CHANNEL || data.type !== READY_MESSAGE_TYPE) return;
+    lastPayloads.forEach((payload, type) => {
+      post({channel: BRIDGE_CHANNEL, version: BRIDGE_VERSION, type, payload});
+    });
+  };
+
+  const handleSelection = (event: Event) => {
+    const detail = (event as CustomEvent<{index?: unknown; label?: unknown}>).detail ?? {};
+    const index = toIndex(detail.index);
+    if (index === null) return;
+    send('carousel:selection', {index, label: typeof detail.label === 'string' ? detail.label : undefined});
+  };
+
+  const handleSubmenuState = (event: Event) => {
+    const detail = (event as CustomEvent<Record<string, unknown>>).detail ?? {};
+    send('submenu:state', {
+      open: Boolean(detail.open),
+      parentIndex: toIndex(detail.parentIndex),
+      selectedChildIndex: toIndex(detail.selectedChildIndex),
+    });
+  };
+
+  const handleCartAdd = (event: Event) => {
+    const detail = (event as CustomEvent<{totalQuantity?: unknown}>).detail ?? {};
+    send('cart:add', {
+      totalQuantity: typeof detail.totalQuantity === 'number' ? detail.totalQuantity : undefined,
+    });
+  };
+
+  // Pointer moves are coalesced to one message per animation frame.
+  const handlePointerMove = (event: PointerEvent) => {
+    pendingPointer = {
+      x: window.innerWidth ? event.clientX / window.innerWidth : 0,
+      y: window.innerHeight ? event.clientY / window.innerHeight : 0,
+    };
+    if (pointerFrame !== null) return;
+    pointerFrame = window.requestAnimationFrame(() => {
+      pointerFrame = null;
+      if (pendingPointer) send('pointer', pendingPointer);
+    });
+  };
+
+  const handleThemeChange = (event: Event) => {
+    const detail = (event as CustomEvent<{settings?: Record<string, unknown>}>).detail;
+    send('theme', {colors: pickThemeColors(detail?.settings)});
+  };
+
+  window.addEventListener('message', handleFrameMessage);
+  window.addEventListener('carousel-selection-change', handleSelection);
+  window.addEventListener('carousel-submenu-state', handleSubmenuState);
+  window.addEventListener('cart-item-added', handleCartAdd);
+  window.addEventListener('pointermove', handlePointerMove, {passive: true});
+  window.addEventListener('wm-menu-theme-changed', handleThemeChange);
+
+  lastPayloads.set('theme', {colors: pickThemeColors(getMenuThemeSettingsSync())});
+
+  return {
+    send,
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      if (pointerFrame !== null) {
+        window.cancelAnimationFrame(pointerFrame);
+        pointerFrame = null;
+      }
+      window.removeEventListener('message', handleFrameMessage);
+      window.removeEventListener('carousel-selection-change', handleSelection);
+      window.removeEventListener('carousel-submenu-state', handleSubmenuState);
+      window.removeEventListener('cart-item-added', handleCartAdd);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('wm-menu-theme-changed', handleThemeChange);
+    },
+  };
+}
+
+/**
+ * Sandbox half of the bridge, injected ahead of the preset's JS. Exposes
+ * `window.__presetBridge.on(type, handler)` (returns an unsubscribe function) and
+ * `window.__presetBridge.getState(type)` for the latest value of a stateful event.
+ */
+export function buildBridgeScript(parentOrigin: string): string {
+  const config = JSON.stringify({
+    channel: BRIDGE_CHANNEL,
+    version: BRIDGE_VERSION,
+    types: BRIDGE_EVENT_TYPES,
+    ready: READY_MESSAGE_TYPE,
+    parentOrigin,
+  }).replace(/</gu, '\\u003c');
+
+  return `(function() {
+      var config = ${config};
+      var handlers = {};
+      var state = {};
+      window.addEventListener('message', function(event) {
+        if (event.source !== window.parent || event.origin !== config.parentOrigin) return;
+        var data = event.data;
+        if (!data || data.channel !== config.channel || data.version !== config.version) return;
+        if (config.types.indexOf(data.type) === -1) return;
+        state[data.type] = data.payload;
+        (handlers[data.type] || []).slice().forEach(function(handler) {
+          try {
+            handler(data.payload);
+          } catch (error) {
+            console.error('[presetBridge] Handler for ' + data.type + ' failed', error);
+          }
+        });
+      });
+      window.__presetBridge = Object.freeze({
+        on: function(type, handler) {
+          if (config.types.indexOf(type) === -1 || typeof handler !== 'function') {
+            throw new Error('Unknown bridge event: ' + type);
+          }
+          (handlers[type] = handlers[type] || []).push(handler);
+          return function() {
+            handlers[type] = (handlers[type] || []).filter(function(existing) { return existing !== handler; });
+          };
+        },
+        getState: function(type) {
+          return state[type];
+        }
+      });
+      window.parent.postMessage({channel: config.channel, type: config.ready}, config.parentOrigin === 'null' ? '*' : config.parentOrigin);
+    })();`;
+}
+
+export type {BackgroundBridge, BridgeEventMap, BridgeEventType, BridgeMessage};
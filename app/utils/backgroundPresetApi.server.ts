@@ -9,9 +9,138 @@ import {
   type BackgroundPresetRecord,
   type MotionProfile,
 } from './backgroundPresets.server';
+import type {BackgroundPresetRevision} from './backgroundPresetRevisions.server';
+import {normalizeSchedule} from './backgroundPresetSchedule';
+import {normalizeParamSchema, normalizeParamValues} from './backgroundPresetParams';
+import {normalizePresetScene, normalizeRenderKind} from './backgroundPresetScene';
 
 const VALID_MOTION_PROFILES: MotionProfile[] = ['full', 'subtle', 'static'];
 
+export type PresetLintSeverity = 'error' | 'warning';
+
+export type PresetLintIssue = {
+  ruleId: string;
+  severity: PresetLintSeverity;
+  source: 'html' | 'css' | 'js';
+  /** 1-based line within the source field. */
+  line: number;
+  message: string;
+};
+
+type PresetLintRule = {
+  id: string;
+  severity: PresetLintSeverity;
+  source: PresetLintIssue['source'];
+  patterns: RegExp[];
+  message: string;
+  /** Skip the rule when the whole source matches (e.g. the snippet already uses rAF). */
+  unless?: RegExp;
+};
+
+// Line-based checks: cheap enough to run on every save and list, and good enough to point an
+// author at the right line. Errors block activation; warnings are advisory.
+const PRESET_LINT_RULES: PresetLintRule[] = [
+  {
+    id: 'js/no-eval',
+    severity: 'error',
+    source: 'js',
+    patterns: [/\beval\s*\(/u, /\bnew\s+Function\s*\(/u, /\bset(?:Timeout|Interval)\s*\(\s*['"`]/u],
+    message: 'Dynamic code evaluation is not allowed in presets.',
+  },
+  {
+    id: 'js/no-network',
+    severity: 'error',
+    source: 'js',
+    patterns: [
+      /\bfetch\s*\(/u,
+      /\bXMLHttpRequest\b/u,
+      /\bWebSocket\b/u,
+      /\bEventSource\b/u,
+      /\bsendBeacon\b/u,
+      /\bimport\s*\(/u,
+    ],
+    message: 'Presets must not make network requests; inline assets instead.',
+  },
+  {
+    id: 'js/no-storage',
+    severity: 'error',
+    source: 'js',
+    patterns: [/\b(?:localStorage|sessionStorage|indexedDB)\b/u, /\bdocument\s*\.\s*cookie\b/u],
+    message: 'Presets share the storefront origin and must not read or write its storage.',
+  },
+  {
+    id: 'js/no-busy-loop',
+    severity: 'error',
+    source: 'js',
+    patterns: [/\bwhile\s*\(\s*(?:true|1)\s*\)/u, /\bfor\s*\(\s*;\s*;\s*\)/u],
+    message: 'Unbounded loops block the main thread; drive animation with requestAnimationFrame.',
+  },
+  {
+    id: 'js/prefer-raf',
+    severity: 'warning',
+    source: 'js',
+    patterns: [/\bsetInterval\s*\(/u],
+    unless: /\brequestAnimationFrame\s*\(/u,
+    message: 'setInterval keeps running in hidden tabs; prefer requestAnimationFrame for animation.',
+  },
+  {
+    id: 'js/no-parent-access',
+    severity: 'warning',
+    source: 'js',
+    patterns: [/\bwindow\s*\.\s*(?:top|opener)\b/u, /\bparent\s*\.\s*document\b/u],
+    message: 'Reaching into the storefront document couples the preset to page markup.',
+  },
+  {
+    id: 'js/no-document-write',
+    severity: 'warning',
+    source: 'js',
+    patterns: [/\bdocument\s*\.\s*write(?:ln)?\s*\(/u],
+    message: 'document.write replaces the sandbox document; build nodes with the DOM API.',
+  },
+  {
+    id: 'css/no-import',
+    severity: 'error',
+    source: 'css',
+    patterns: [/@import\b/u],
+    message: '@import loads external stylesheets; inline the rules instead.',
+  },
+  {
+    id: 'css/external-url',
+    severity: 'warning',
+    source: 'css',
+    patterns: [/url\(\s*['"]?\s*(?:https?:)?\/\//u],
+    message: 'External url() assets slow the first paint and can disappear; prefer data URIs or gradients.',
+  },
+  {
+    id: 'css/heavy-filter',
+    severity: 'warning',
+    source: 'css',
+    patterns: [/\bbackdrop-filter\s*:/u, /\bfilter\s*:[^;]*blur\(\s*(?:[89]|\d{2,})(?:\.\d+)?px/u],
+    message: 'Large blurs and backdrop filters are expensive on low-end GPUs.',
+  },
+  {
+    id: 'html/no-script',
+    severity: 'warning',
+    source: 'html',
+    patterns: [/<script\b/iu],
+    message: 'Script tags are stripped from markup; move code into the JS snippet.',
+  },
+  {
+    id: 'html/no-inline-handler',
+    severity: 'warning',
+    source: 'html',
+    patterns: [/\son[a-z]+\s*=/iu],
+    message: 'Inline event handlers are stripped by the sanitizer; attach listeners in the JS snippet.',
+  },
+  {
+    id: 'html/external-resource',
+    severity: 'warning',
+    source: 'html',
+    patterns: [/\b(?:src|href)\s*=\s*['"]?\s*(?:https?:)?\/\//iu],
+    message: 'External resources slow the first paint; inline them where possible.',
+  },
+];
+
 function ensureString(value: unknown, field: string): string {
   if (typeof value === 'string') {
     return value;
@@ -83,6 +212,104 @@ function ensureNumberInRange(
   return parsed;
 }
 
+// Blank out comments but keep newlines so reported line numbers still match the source.
+function stripComments(source: string, kind: PresetLintIssue['source']): string {
+  const blankOut = (match: string) => match.replace(/[^\n]/gu, ' ');
+  if (kind === 'html') return source.replace(/<!--[\s\S]*?-->/gu, blankOut);
+  const code = source.replace(/\/\*[\s\S]*?\*\//gu, blankOut);
+  if (kind === 'css') return code;
+  // `://` is skipped so URLs inside strings are not mistaken for line comments.
+  return code.replace(/(^|[^:])\/\/[^\n]*/gmu, (match, lead: string) => lead + blankOut(match.slice(lead.length)));
+}
+
+/**
+ * Static checks over a preset's HTML/CSS/JS. Issues are sorted by source, then line.
+ */
+export function lintPresetContent(content: {
+  htmlMarkup: string;
+  cssStyles: string;
+  jsSnippet?: string;
+}): PresetLintIssue[] {
+  const sources: Record<PresetLintIssue['source'], string> = {
+    html: content.htmlMarkup,
+    css: content.cssStyles,
+    js: content.jsSnippet ?? '',
+  };
+  const issues: PresetLintIssue[] = [];
+
+  for (const [source, raw] of Object.entries(sources) as Array<[PresetLintIssue['source'], string]>) {
+    if (!raw.trim()) continue;
+    const code = stripComments(raw, source);
+    const lines = code.split('\n');
+    for (const rule of PRESET_LINT_RULES) {
+      if (rule.source !== source) continue;
+      if (rule.unless?.test(code)) continue;
+      lines.forEach((text, index) => {
+        if (rule.patterns.some((pattern) => pattern.test(text))) {
+          issues.push({
+            ruleId: rule.id,
+            severity: rule.severity,
+            source,
+            line: index + 1,
+            message: rule.message,
+          });
+        }
+      });
+    }
+  }
+
+  const order = {html: 0, css: 1, js: 2};
+  return issues.sort((a, b) => order[a.source] - order[b.source] || a.line - b.line);
+}
+
+export const LINT_BLOCKS_ACTIVATION_MESSAGE = 'Preset has lint errors; fix them before activating or scheduling it';
+
+export function hasLintErrors(issues: PresetLintIssue[]): boolean {
+  return issues.some((issue) => issue.severity === 'error');
+}
+
+/**
+ * Thrown when a change would leave an active or scheduled preset with lint errors; routes answer 422.
+ */
+export class PresetLintError extends Error {
+  issues: PresetLintIssue[];
+
+  constructor(issues: PresetLintIssue[]) {
+    super(LINT_BLOCKS_ACTIVATION_MESSAGE);
+    this.name = 'PresetLintError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Whether saving `input` would make it eligible to be served (active now or scheduled).
+ */
+export function requestsActivation(input: BackgroundPresetInput): boolean {
+  return Boolean(input.isActive || input.schedule?.windows.length);
+}
+
+/**
+ * Whether saving `input` over `existing` (none when creating) would newly activate the preset or
+ * change its schedule windows. Such saves need the `activate` scope on top of `write`; keeping the
+ * stored activation state as it is does not.
+ */
+export function changesActivation(
+  input: BackgroundPresetInput,
+  existing?: Pick<BackgroundPresetRecord, 'isActive' | 'schedule'> | null,
+): boolean {
+  if (!existing) return requestsActivation(input);
+  if (input.isActive && !existing.isActive) return true;
+  if (!input.schedule?.windows.length) return false;
+  return JSON.stringify(input.schedule) !== JSON.stringify(existing.schedule);
+}
+
+/**
+ * Whether a stored preset is eligible to be served (active now or scheduled).
+ */
+export function isPresetLive(record: Partial<Pick<BackgroundPresetRecord, 'isActive' | 'schedule'>>): boolean {
+  return Boolean(record.isActive || record.schedule?.windows.length);
+}
+
 export function parsePresetInput(payload: unknown): BackgroundPresetInput {
   if (!payload || typeof payload !== 'object') {
     throw new Error('Invalid preset payload');
@@ -113,6 +340,12 @@ export function parsePresetInput(payload: unknown): BackgroundPresetInput {
     MIN_CALM_INTENSITY,
     MAX_CALM_INTENSITY,
   );
+  const paramSchema = normalizeParamSchema(body.paramSchema);
+  const paramValues = normalizeParamValues(paramSchema, body.paramValues);
+  const renderKind = normalizeRenderKind(body.renderKind);
+  const scene = renderKind === 'scene' ? normalizePresetScene(body.scene) : null;
+  // Omitted schedules leave the stored one untouched; send `{windows: []}` to clear it.
+  const schedule = body.schedule === undefined ? undefined : normalizeSchedule(body.schedule);
 
   return {
     title,
@@ -126,6 +359,11 @@ export function parsePresetInput(payload: unknown): BackgroundPresetInput {
     isActive,
     calmRadius,
     calmIntensity,
+    paramSchema,
+    paramValues,
+    renderKind,
+    scene,
+    schedule,
   };
 }
 
@@ -145,5 +383,25 @@ export function serializePreset(record: BackgroundPresetRecord) {
     updatedAt: record.updatedAt,
     calmRadius: record.calmRadius,
     calmIntensity: record.calmIntensity,
+    paramSchema: record.paramSchema,
+    paramValues: record.paramValues,
+    renderKind: record.renderKind,
+    scene: record.scene,
+    schedule: record.schedule,
+    quarantine: record.quarantine,
+    lint: lintPresetContent(record),
+  };
+}
+
+export function serializeRevision(revision: BackgroundPresetRevision) {
+  return {
+    id: revision.id,
+    presetId: revision.presetId,
+    versionHash: revision.versionHash,
+    author: revision.author,
+    createdAt: revision.createdAt,
+    restoredFrom: revision.restoredFrom,
+    title: revision.content.title,
+    motionProfile: revision.content.motionProfile,
   };
 }
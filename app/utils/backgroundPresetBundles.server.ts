@@ -0,0 +1,298 @@
+// Import/export bundles for background presets.
+// A bundle is a versioned JSON document that carries preset content (no ids, activation state,
+// schedules or quarantine) between shops, with a checksum per preset and one over the whole bundle.
+import {
+  computeVersionHash,
+  createBackgroundPreset,
+  listBackgroundPresets,
+  updateBackgroundPreset,
+  type BackgroundPresetInput,
+  type BackgroundPresetRecord,
+  type BackgroundPresetRuntime,
+} from './backgroundPresets.server';
+import {
+  LINT_BLOCKS_ACTIVATION_MESSAGE,
+  hasLintErrors,
+  isPresetLive,
+  lintPresetContent,
+  parsePresetInput,
+} from './backgroundPresetApi.server';
+import {ensureBaselineRevision} from './backgroundPresetRevisions.server';
+import type {PresetParamSchema, PresetParamValues} from './backgroundPresetParams';
+import type {PresetRenderKind, PresetScene} from './backgroundPresetScene';
+
+export const BUNDLE_FORMAT = 'watermelon.background-presets';
+export const BUNDLE_VERSION = 1;
+export const MAX_BUNDLE_PRESETS = 100;
+
+export type SlugCollisionResolution = 'rename' | 'overwrite' | 'skip';
+
+export type BundledPresetContent = {
+  title: string;
+  slug: string;
+  htmlMarkup: string;
+  cssStyles: string;
+  jsSnippet: string;
+  motionProfile: BackgroundPresetInput['motionProfile'];
+  supportsReducedMotion: boolean;
+  thumbnailUrl?: string;
+  calmRadius: number;
+  calmIntensity: number;
+  paramSchema?: PresetParamSchema;
+  paramValues?: PresetParamValues;
+  renderKind?: PresetRenderKind;
+  scene?: PresetScene | null;
+};
+
+export type PresetBundle = {
+  format: typeof BUNDLE_FORMAT;
+  version: typeof BUNDLE_VERSION;
+  exportedAt: string;
+  source?: string;
+  checksum: string;
+  presets: Array<{checksum: string; preset: BundledPresetContent}>;
+};
+
+export type SlugCollision = {
+  slug: string;
+  title: string;
+  existingId: string;
+  existingTitle: string;
+};
+
+export type PresetImportResult = {
+  slug: string;
+  title: string;
+  action: 'created' | 'overwritten' | 'renamed' | 'skipped' | 'rejected';
+  renamedTo?: string;
+  record?: BackgroundPresetRecord;
+  // Set when the preset was saved but its revision could not be recorded.
+  warning?: string;
+  // Why an overwrite was refused; the target is left untouched.
+  error?: string;
+};
+
+export const SLUG_COLLISION_RESOLUTIONS: SlugCollisionResolution[] = ['rename', 'overwrite', 'skip'];
+
+function toBundledContent(record: BackgroundPresetRecord): BundledPresetContent {
+  return {
+    title: record.title,
+    slug: record.slug,
+    htmlMarkup: record.htmlMarkup,
+    cssStyles: record.cssStyles,
+    jsSnippet: record.jsSnippet,
+    motionProfile: record.motionProfile,
+    supportsReducedMotion: record.supportsReducedMotion,
+    thumbnailUrl: record.thumbnailUrl,
+    calmRadius: record.calmRadius,
+    calmIntensity: record.calmIntensity,
+    paramSchema: record.paramSchema,
+    paramValues: record.paramValues,
+    renderKind: record.renderKind,
+    scene: record.scene,
+  };
+}
+
+// Fixed key order so the checksum does not depend on how the bundle was re-serialized.
+// Parameters and scene references only join the checksum when present, so bundles exported
+// before either was introduced still verify.
+function computeContentChecksum(content: BundledPresetContent): Promise<string> {
+  const params = content.paramSchema?.length
+    ? [JSON.stringify(content.paramSchema), JSON.stringify(content.paramValues ?? {})]
+    : [];
+  const scene = content.renderKind === 'scene' ? [content.renderKind, JSON.stringify(content.scene ?? null)] : [];
+  return computeVersionHash([
+    content.title,
+    content.slug,
+    content.htmlMarkup,
+    content.cssStyles,
+    content.jsSnippet,
+    content.motionProfile,
+    String(content.supportsReducedMotion),
+    content.thumbnailUrl ?? '',
+    String(content.calmRadius),
+    String(content.calmIntensity),
+    ...params,
+    ...scene,
+  ]);
+}
+
+function computeBundleChecksum(presetChecksums: string[]): Promise<string> {
+  return computeVersionHash([BUNDLE_FORMAT, String(BUNDLE_VERSION), ...presetChecksums]);
+}
+
+export async function buildPresetBundle(
+  records: BackgroundPresetRecord[],
+  options: {source?: string} = {},
+): Promise<PresetBundle> {
+  const presets = await Promise.all(
+    records.map(async (record) => {
+      const preset = toBundledContent(record);
+      return {checksum: await computeContentChecksum(preset), preset};
+    }),
+  );
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: options.source,
+    checksum: await computeBundleChecksum(presets.map((entry) => entry.checksum)),
+    presets,
+  };
+}
+
+/**
+ * Validate a bundle and return import-ready inputs. Every preset goes through `parsePresetInput`;
+ * imported presets are never active and carry no schedule.
+ */
+export async function parsePresetBundle(raw: unknown): Promise<BackgroundPresetInput[]> {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid bundle payload');
+  }
+  const bundle = raw as Record<string, unknown>;
+  if (bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`Unsupported bundle format: ${String(bundle.format)}`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version: ${String(bundle.version)}`);
+  }
+  if (!Array.isArray(bundle.presets) || bundle.presets.length === 0) {
+    throw new Error('Bundle contains no presets');
+  }
+  if (bundle.presets.length > MAX_BUNDLE_PRESETS) {
+    throw new Error(`Bundle exceeds limit of ${MAX_BUNDLE_PRESETS} presets`);
+  }
+
+  const inputs: BackgroundPresetInput[] = [];
+  const checksums: string[] = [];
+
+  for (const [index, entry] of (bundle.presets as unknown[]).entries()) {
+    const {checksum, preset} = (entry ?? {}) as {checksum?: unknown; preset?: unknown};
+    let input: BackgroundPresetInput;
+    try {
+      input = parsePresetInput(preset);
+    } catch (error) {
+      throw new Error(`presets[${index}]: ${error instanceof Error ? error.message : 'Invalid preset'}`);
+    }
+
+    const expected = await computeContentChecksum({
+      title: input.title,
+      slug: input.slug,
+      htmlMarkup: input.htmlMarkup,
+      cssStyles: input.cssStyles,
+      jsSnippet: input.jsSnippet ?? '',
+      motionProfile: input.motionProfile,
+      supportsReducedMotion: input.supportsReducedMotion,
+      thumbnailUrl: input.thumbnailUrl,
+      calmRadius: input.calmRadius ?? 0,
+      calmIntensity: input.calmIntensity ?? 0,
+      paramSchema: input.paramSchema,
+      paramValues: input.paramValues,
+      renderKind: input.renderKind,
+      scene: input.scene,
+    });
+    if (checksum !== expected) {
+      throw new Error(`presets[${index}]: checksum mismatch for "${input.slug}"`);
+    }
+
+    checksums.push(expected);
+    inputs.push({...input, isActive: false, schedule: undefined});
+  }
+
+  if (bundle.checksum !== (await computeBundleChecksum(checksums))) {
+    throw new Error('Bundle checksum mismatch');
+  }
+
+  return inputs;
+}
+
+function normalizeSlug(slug: string) {
+  return slug.trim().toLowerCase();
+}
+
+export function detectSlugCollisions(
+  existing: BackgroundPresetRecord[],
+  inputs: BackgroundPresetInput[],
+): SlugCollision[] {
+  const bySlug = new Map(existing.map((record) => [normalizeSlug(record.slug), record]));
+  const collisions: SlugCollision[] = [];
+  for (const input of inputs) {
+    const match = bySlug.get(normalizeSlug(input.slug));
+    if (match) {
+      collisions.push({
+        slug: input.slug,
+        title: input.title,
+        existingId: match.id,
+        existingTitle: match.title,
+      });
+    }
+  }
+  return collisions;
+}
+
+function nextAvailableSlug(slug: string, taken: Set<string>): string {
+  let suffix = 2;
+  let candidate = `${slug}-${suffix}`;
+  while (taken.has(normalizeSlug(candidate))) {
+    suffix += 1;
+    candidate = `${slug}-${suffix}`;
+  }
+  return candidate;
+}
+
+/**
+ * Apply a parsed bundle. `resolutions` maps a colliding slug to rename/overwrite/skip; collisions
+ * without an entry fall back to `defaultResolution`. Overwrites keep the target's activation
+ * state and schedule, and snapshot a target that has no revision history yet. Overwriting an
+ * active or scheduled preset with content that has lint errors is rejected.
+ */
+export async function importPresetBundle(
+  runtime: BackgroundPresetRuntime,
+  inputs: BackgroundPresetInput[],
+  options: {
+    resolutions?: Record<string, SlugCollisionResolution>;
+    defaultResolution?: SlugCollisionResolution;
+  } = {},
+): Promise<PresetImportResult[]> {
+  const existing = await listBackgroundPresets(runtime);
+  const bySlug = new Map(existing.map((record) => [normalizeSlug(record.slug), record]));
+  const taken = new Set(bySlug.keys());
+  const results: PresetImportResult[] = [];
+
+  for (const input of inputs) {
+    const key = normalizeSlug(input.slug);
+    const collision = bySlug.get(key);
+
+    if (!collision && !taken.has(key)) {
+      const record = await createBackgroundPreset(runtime, input);
+      taken.add(key);
+      results.push({slug: input.slug, title: input.title, action: 'created', record});
+      continue;
+    }
+
+    const resolution = options.resolutions?.[input.slug] ?? options.defaultResolution ?? 'skip';
+    if (resolution === 'skip') {
+      results.push({slug: input.slug, title: input.title, action: 'skipped'});
+    } else if (resolution === 'overwrite' && collision) {
+      if (isPresetLive(collision) && hasLintErrors(lintPresetContent(input))) {
+        results.push({slug: input.slug, title: input.title, action: 'rejected', error: LINT_BLOCKS_ACTIVATION_MESSAGE});
+        continue;
+      }
+      await ensureBaselineRevision(runtime, collision);
+      const record = await updateBackgroundPreset(runtime, collision.id, {
+        ...input,
+        isActive: collision.isActive,
+      });
+      results.push({slug: input.slug, title: input.title, action: 'overwritten', record});
+    } else {
+      // Rename, or a duplicate slug inside the bundle itself.
+      const renamedTo = nextAvailableSlug(input.slug, taken);
+      const record = await createBackgroundPreset(runtime, {...input, slug: renamedTo});
+      taken.add(normalizeSlug(renamedTo));
+      results.push({slug: input.slug, title: input.title, action: 'renamed', renamedTo, record});
+    }
+  }
+
+  return results;
+}
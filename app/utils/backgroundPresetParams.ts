@@ -0,0 +1,285 @@
+// Typed parameter schema for background presets.
+// A preset declares tunables (colors, ranged numbers, booleans, enums); the renderer exposes the
+// resolved values to its iframe as `--preset-*` CSS custom properties and `window.__presetParams`,
+// and the admin manager builds controls from the same schema.
+
+export type PresetParamType = 'color' | 'number' | 'boolean' | 'enum';
+
+type PresetParamBase = {
+  /** Identifier used in `window.__presetParams` and, kebab-cased, in the CSS variable name. */
+  key: string;
+  label?: string;
+  description?: string;
+};
+
+export type PresetColorParam = PresetParamBase & {
+  type: 'color';
+  default: string;
+};
+
+export type PresetNumberParam = PresetParamBase & {
+  type: 'number';
+  default: number;
+  min: number;
+  max: number;
+  step?: number;
+  /** CSS unit appended to the custom property (`px`, `s`, `deg`, ...). */
+  unit?: string;
+};
+
+export type PresetBooleanParam = PresetParamBase & {
+  type: 'boolean';
+  default: boolean;
+};
+
+export type PresetEnumParam = PresetParamBase & {
+  type: 'enum';
+  default: string;
+  options: string[];
+};
+
+export type PresetParamDefinition =
+  | PresetColorParam
+  | PresetNumberParam
+  | PresetBooleanParam
+  | PresetEnumParam;
+
+export type PresetParamSchema = PresetParamDefinition[];
+
+export type PresetParamValue = string | number | boolean;
+
+export type PresetParamValues = Record<string, PresetParamValue>;
+
+export const PRESET_PARAM_TYPES: PresetParamType[] = ['color', 'number', 'boolean', 'enum'];
+export const MAX_PRESET_PARAMS = 24;
+export const MAX_ENUM_OPTIONS = 20;
+export const PRESET_PARAM_CSS_PREFIX = '--preset-';
+
+const PARAM_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/u;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/u;
+const CSS_UNIT_PATTERN = /^(?:px|rem|em|%|vw|vh|vmin|vmax|s|ms|deg|turn)$/u;
+const ENUM_OPTION_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/u;
+const MAX_LABEL_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 240;
+
+function fail(index: number, message: string): never {
+  throw new Error(`paramSchema[${index}]: ${message}`);
+}
+
+function optionalText(value: unknown, maxLength: number): string | undefined {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, maxLength) : undefined;
+}
+
+function toFiniteNumber(value: unknown): number | null {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeDefinition(raw: unknown, index: number): PresetParamDefinition {
+  if (!raw || typeof raw !== 'object') fail(index, 'expected an object');
+  const entry = raw as Record<string, unknown>;
+
+  const key = typeof entry.key === 'string' ? entry.key.trim() : '';
+  if (!PARAM_KEY_PATTERN.test(key)) {
+    fail(index, 'key must start with a letter and contain only letters, digits or underscores');
+  }
+  const base: PresetParamBase = {
+    key,
+    label: optionalText(entry.label, MAX_LABEL_LENGTH),
+    description: optionalText(entry.description, MAX_DESCRIPTION_LENGTH),
+  };
+
+  switch (entry.type) {
+    case 'color': {
+      if (typeof entry.default !== 'string' || !HEX_COLOR_PATTERN.test(entry.default.trim())) {
+        fail(index, `default for "${key}" must be a hex color`);
+      }
+      return {...base, type: 'color', default: entry.default.trim().toLowerCase()};
+    }
+    case 'number': {
+      const min = toFiniteNumber(entry.min);
+      const max = toFiniteNumber(entry.max);
+      const defaultValue = toFiniteNumber(entry.default);
+      if (min === null || max === null || min >= max) {
+        fail(index, `"${key}" needs numeric min < max`);
+      }
+      if (defaultValue === null || defaultValue < min || defaultValue > max) {
+        fail(index, `default for "${key}" must be between ${min} and ${max}`);
+      }
+      const step = entry.step === undefined ? undefined : toFiniteNumber(entry.step);
+      if (step !== undefined && (step === null || step <= 0)) {
+        fail(index, `step for "${key}" must be a positive number`);
+      }
+      const unit = typeof entry.unit === 'string' && entry.unit ? entry.unit : undefined;
+      if (unit !== undefined && !CSS_UNIT_PATTERN.test(unit)) {
+        fail(index, `unsupported unit "${unit}" for "${key}"`);
+      }
+      return {...base, type: 'number', default: defaultValue, min, max, step, unit};
+    }
+    case 'boolean': {
+      if (typeof entry.default !== 'boolean') {
+        fail(index, `default for "${key}" must be true or false`);
+      }
+      return {...base, type: 'boolean', default: entry.default};
+    }
+    case 'enum': {
+      const options = Array.isArray(entry.options) ? entry.options : [];
+      if (options.length === 0 || options.length > MAX_ENUM_OPTIONS) {
+        fail(index, `"${key}" needs between 1 and ${MAX_ENUM_OPTIONS} options`);
+      }
+      if (!options.every((option) => typeof option === 'string' && ENUM_OPTION_PATTERN.test(option))) {
+        fail(index, `options for "${key}" must be short identifiers`);
+      }
+      const unique = Array.from(new Set(options as string[]));
+      const defaultValue = entry.default === undefined ? unique[0] : entry.default;
+      if (typeof defaultValue !== 'string' || !unique.includes(defaultValue)) {
+        fail(index, `default for "${key}" must be one of its options`);
+      }
+      return {...base, type: 'enum', default: defaultValue, options: unique};
+    }
+    default:
+      return fail(index, `type must be one of ${PRESET_PARAM_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate an authored schema. Throws with the offending entry index so the admin can find it.
+ */
+export function normalizeParamSchema(raw: unknown): PresetParamSchema {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) {
+    throw new Error('paramSchema must be an array');
+  }
+  if (raw.length > MAX_PRESET_PARAMS) {
+    throw new Error(`paramSchema exceeds limit of ${MAX_PRESET_PARAMS} parameters`);
+  }
+
+  const seen = new Set<string>();
+  return raw.map((entry, index) => {
+    const definition = normalizeDefinition(entry, index);
+    if (seen.has(definition.key)) {
+      fail(index, `duplicate key "${definition.key}"`);
+    }
+    seen.add(definition.key);
+    return definition;
+  });
+}
+
+function coerceParamValue(definition: PresetParamDefinition, value: unknown): PresetParamValue | null {
+  switch (definition.type) {
+    case 'color':
+      return typeof value === 'string' && HEX_COLOR_PATTERN.test(value.trim()) ? value.trim().toLowerCase() : null;
+    case 'number': {
+      const parsed = toFiniteNumber(value);
+      return parsed === null ? null : Math.min(definition.max, Math.max(definition.min, parsed));
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : null;
+    case 'enum':
+      return typeof value === 'string' && definition.options.includes(value) ? value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Strict check for admin input: every value must match its definition. Keys the schema does not
+ * declare are rejected; omitted keys fall back to their defaults at render time.
+ */
+export function normalizeParamValues(schema: PresetParamSchema, raw: unknown): PresetParamValues {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('paramValues must be an object');
+  }
+
+  const byKey = new Map(schema.map((definition) => [definition.key, definition]));
+  const values: PresetParamValues = {};
+  for (const [key, value] of Object.entries(raw as Record<string, unknown>)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      throw new Error(`paramValues.${key} is not declared in paramSchema`);
+    }
+    const coerced = coerceParamValue(definition, value);
+    if (coerced === null) {
+      throw new Error(`Invalid value for paramValues.${key}`);
+    }
+    values[key] = coerced;
+  }
+  return values;
+}
+
+/**
+ * Lenient merge used when rendering: defaults first, then any stored value that still fits the schema.
+ */
+export function resolveParamValues(schema: PresetParamSchema, values?: PresetParamValues | null): PresetParamValues {
+  const resolved: PresetParamValues = {};
+  for (const definition of schema) {
+    const stored = values?.[definition.key];
+    const coerced = stored === undefined ? null : coerceParamValue(definition, stored);
+    resolved[definition.key] = coerced ?? definition.default;
+  }
+  return resolved;
+}
+
+export function getParamCssVariable(key: string): string {
+  return `${PRESET_PARAM_CSS_PREFIX}${key.replace(/_/gu, '-').replace(/([a-z0-9])([A-Z])/gu, '$1-$2').toLowerCase()}`;
+}
+
+function toCssValue(definition: PresetParamDefinition, value: PresetParamValue): string {
+  if (definition.type === 'number') return `${value}${definition.unit ?? ''}`;
+  if (definition.type === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+/**
+ * `:root` rule declaring one custom property per parameter. Booleans become `1`/`0` so CSS can use
+ * them in `calc()`.
+ */
+export function buildParamCssRule(schema: PresetParamSchema, values: PresetParamValues): string {
+  if (!schema.length) return '';
+  const declarations = schema
+    .map((definition) => `${getParamCssVariable(definition.key)}:${toCssValue(definition, values[definition.key] ?? definition.default)};`)
+    .join('');
+  return `:root{${declarations}}`;
+}
+
+/**
+ * Script statement that exposes the values as a frozen `window.__presetParams`.
+ * `<` is escaped so the JSON cannot close the surrounding script element.
+ */
+export function buildParamScript(values: PresetParamValues): string {
+  const json = JSON.stringify(values).replace(/</gu, '\\u003c');
+  return `window.__presetParams=Object.freeze(${json});`;
+}
+
+export function parseStoredParamSchema(raw: string | null | undefined): PresetParamSchema {
+  if (!raw) return [];
+  try {
+    return normalizeParamSchema(JSON.parse(raw));
+  } catch (error) {
+    console.warn('[backgroundPresetParams] Ignoring invalid stored parameter schema', error);
+    return [];
+  }
+}
+
+export function parseStoredParamValues(raw: string | null | undefined, schema: PresetParamSchema): PresetParamValues {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw) as unknown;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    // Drop values the schema no longer declares or accepts instead of failing the whole record.
+    const byKey = new Map(schema.map((definition) => [definition.key, definition]));
+    const values: PresetParamValues = {};
+    for (const [key, value] of Object.entries(parsed as Record<string, unknown>)) {
+      const definition = byKey.get(key);
+      const coerced = definition ? coerceParamValue(definition, value) : null;
+      if (coerced !== null) values[key] = coerced;
+    }
+    return values;
+  } catch (error) {
+    console.warn('[backgroundPresetParams] Ignoring invalid stored parameter values', error);
+    return {};
+  }
+}
@@ -0,0 +1,168 @@
+// Circuit breaker for background presets.
+// Only telemetry carrying a valid render token counts (see backgroundRenderTokens.server.ts).
+// `getActiveBackgroundPreset` skips a version that trips the breaker; the quarantine itself is
+// written by the admin sweep (`sweepBackgroundPresetQuarantine`) and holds until an admin releases it.
+import {
+  getTelemetryStorage,
+  summarizeRenderEvents,
+  type BackgroundRenderEvent,
+  type BackgroundTelemetrySummary,
+} from './backgroundTelemetry.server';
+
+export type PresetQuarantine = {
+  versionHash: string;
+  failureRate: number;
+  sampleSize: number;
+  quarantinedAt: string;
+};
+
+export type QuarantinePolicy = {
+  enabled: boolean;
+  /** Combined error + timeout rate (0-1) that trips the breaker. */
+  failureRate: number;
+  /** Minimum events for a version before its rate is trusted. */
+  minEvents: number;
+  /** Minimum distinct sources reporting failures before the breaker trips. */
+  minSources: number;
+  windowMs: number;
+};
+
+const DEFAULT_FAILURE_RATE = 0.5;
+const DEFAULT_MIN_EVENTS = 20;
+const DEFAULT_MIN_SOURCES = 5;
+const DEFAULT_WINDOW_MINUTES = 15;
+// Outcomes one source may contribute per version, so a single client cannot fill the sample.
+const MAX_OUTCOMES_PER_SOURCE = 3;
+
+function readNumber(raw: string | undefined, fallback: number): number {
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Thresholds come from `BACKGROUND_QUARANTINE_FAILURE_RATE`, `BACKGROUND_QUARANTINE_MIN_EVENTS`,
+ * `BACKGROUND_QUARANTINE_MIN_SOURCES` and `BACKGROUND_QUARANTINE_WINDOW_MINUTES`.
+ * A failure rate of `0` disables the breaker.
+ */
+export function resolveQuarantinePolicy(rawEnv?: Record<string, string | undefined>): QuarantinePolicy {
+  const failureRate = readNumber(rawEnv?.BACKGROUND_QUARANTINE_FAILURE_RATE, DEFAULT_FAILURE_RATE);
+  const minEvents = readNumber(rawEnv?.BACKGROUND_QUARANTINE_MIN_EVENTS, DEFAULT_MIN_EVENTS);
+  const minSources = readNumber(rawEnv?.BACKGROUND_QUARANTINE_MIN_SOURCES, DEFAULT_MIN_SOURCES);
+  const windowMinutes = readNumber(rawEnv?.BACKGROUND_QUARANTINE_WINDOW_MINUTES, DEFAULT_WINDOW_MINUTES);
+
+  return {
+    enabled: failureRate > 0,
+    failureRate: Math.min(1, Math.max(0, failureRate)),
+    minEvents: Math.max(1, Math.round(minEvents)),
+    minSources: Math.max(1, Math.round(minSources)),
+    windowMs: Math.max(1, windowMinutes) * 60 * 1000,
+  };
+}
+
+/**
+ * Events the breaker may count: render-token verified, one outcome per render nonce, and at most
+ * `MAX_OUTCOMES_PER_SOURCE` outcomes per source for each preset version.
+ */
+export function selectTrustedOutcomes(events: BackgroundRenderEvent[]): BackgroundRenderEvent[] {
+  const seenNonces = new Set<string>();
+  const perSource = new Map<string, number>();
+  const selected: BackgroundRenderEvent[] = [];
+
+  for (const event of events) {
+    if (event.event === 'degraded' || !event.source || !event.nonce) continue;
+    if (seenNonces.has(event.nonce)) continue;
+    const sourceKey = `${event.presetId}|${event.versionHash}|${event.source}`;
+    const count = perSource.get(sourceKey) ?? 0;
+    if (count >= MAX_OUTCOMES_PER_SOURCE) continue;
+    seenNonces.add(event.nonce);
+    perSource.set(sourceKey, count + 1);
+    selected.push(event);
+  }
+
+  return selected;
+}
+
+/**
+ * Recent per-version summaries of trusted telemetry for the breaker.
+ * Telemetry problems never block serving a preset.
+ */
+export async function loadBreakerTelemetry(
+  rawEnv: Record<string, string | undefined> | undefined,
+  policy: QuarantinePolicy,
+  now = Date.now(),
+): Promise<BackgroundTelemetrySummary[]> {
+  if (!policy.enabled) return [];
+  try {
+    const events = await getTelemetryStorage(rawEnv).list({since: now - policy.windowMs});
+    return summarizeRenderEvents(selectTrustedOutcomes(events));
+  } catch (error) {
+    console.warn('[backgroundPresetQuarantine] Failed to load telemetry for circuit breaker', error);
+    return [];
+  }
+}
+
+function findSummary(summaries: BackgroundTelemetrySummary[], presetId: string, versionHash: string) {
+  return summaries.find((summary) => summary.presetId === presetId && summary.versionHash === versionHash);
+}
+
+/**
+ * Returns the quarantine record to store when `versionHash` has tripped the breaker, otherwise null.
+ * Tripping needs `minEvents` trusted outcomes and failures from at least `minSources` sources.
+ */
+export function evaluateCircuitBreaker(
+  summaries: BackgroundTelemetrySummary[],
+  presetId: string,
+  versionHash: string,
+  policy: QuarantinePolicy,
+): PresetQuarantine | null {
+  if (!policy.enabled) return null;
+  const summary = findSummary(summaries, presetId, versionHash);
+  if (!summary || summary.total < policy.minEvents) return null;
+  if (summary.failureSources < policy.minSources) return null;
+
+  const failureRate = (summary.errors + summary.timeouts) / summary.total;
+  if (failureRate < policy.failureRate) return null;
+
+  return {
+    versionHash,
+    failureRate,
+    sampleSize: summary.total,
+    quarantinedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * A version counts as healthy once visitors have loaded it and it stays under the threshold.
+ * Returns the time of its latest event so callers can prefer the most recently healthy preset.
+ */
+export function getHealthyTimestamp(
+  summaries: BackgroundTelemetrySummary[],
+  presetId: string,
+  versionHash: string,
+  policy: QuarantinePolicy,
+): string | null {
+  const summary = findSummary(summaries, presetId, versionHash);
+  if (!summary || summary.loads === 0) return null;
+  if (evaluateCircuitBreaker(summaries, presetId, versionHash, policy)) return null;
+  return summary.lastEventAt;
+}
+
+export function parseStoredQuarantine(raw: string | null | undefined): PresetQuarantine | null {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw) as Partial<PresetQuarantine> | null;
+    if (!parsed || typeof parsed.versionHash !== 'string' || typeof parsed.quarantinedAt !== 'string') {
+      return null;
+    }
+    return {
+      versionHash: parsed.versionHash,
+      failureRate: Number(parsed.failureRate) || 0,
+      sampleSize: Number(parsed.sampleSize) || 0,
+      quarantinedAt: parsed.quarantinedAt,
+    };
+  } catch (error) {
+    console.warn('[backgroundPresetQuarantine] Ignoring invalid stored quarantine', error);
+    return null;
+  }
+}
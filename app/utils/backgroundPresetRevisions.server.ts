@@ -0,0 +1,428 @@
+// Immutable revision history for background presets.
+// Every save writes a `background_preset_revision` metaobject that is never updated afterwards;
+// restoring a revision re-applies its content and records a new revision on top.
+import {
+  adminFetch,
+  computeVersionHash,
+  extractFieldMap,
+  getBackgroundPreset,
+  updateBackgroundPreset,
+  type BackgroundPresetInput,
+  type BackgroundPresetRecord,
+  type BackgroundPresetRuntime,
+  type MetaobjectEdgeList,
+  type MetaobjectMutationPayload,
+  type MetaobjectNode,
+  type MetaobjectPayload,
+} from './backgroundPresets.server';
+import {hasLintErrors, isPresetLive, lintPresetContent, PresetLintError} from './backgroundPresetApi.server';
+
+// Activation state (`isActive`, `schedule`) is deliberately not versioned.
+export type BackgroundPresetRevisionContent = Omit<BackgroundPresetInput, 'isActive' | 'schedule'>;
+
+export type BackgroundPresetRevision = {
+  id: string;
+  presetId: string;
+  versionHash: string;
+  author: string;
+  createdAt: string;
+  restoredFrom?: string;
+  content: BackgroundPresetRevisionContent;
+};
+
+type RevisionDiffLine = {
+  type: 'equal' | 'added' | 'removed';
+  text: string;
+};
+
+export type RevisionFieldDiff = {
+  field: keyof BackgroundPresetRevisionContent;
+  from: unknown;
+  to: unknown;
+  lines?: RevisionDiffLine[];
+};
+
+const REVISION_METAOBJECT_TYPE = 'background_preset_revision';
+const DEFAULT_REVISION_AUTHOR = 'unknown';
+// Author of the snapshot taken of presets that predate revision history.
+const BASELINE_REVISION_AUTHOR = 'baseline';
+const REVISION_PAGE_SIZE = 50;
+// Upper bound on the LCS table so large snippets cannot blow the Worker CPU budget.
+const MAX_DIFF_CELLS = 1_000_000;
+
+const TEXT_FIELDS: Array<keyof BackgroundPresetRevisionContent> = ['htmlMarkup', 'cssStyles', 'jsSnippet'];
+// Compared as pretty-printed JSON so the diff view can show them line by line.
+const JSON_FIELDS: Array<keyof BackgroundPresetRevisionContent> = ['paramSchema', 'paramValues', 'scene'];
+const JSON_FIELD_DEFAULTS: Partial<Record<keyof BackgroundPresetRevisionContent, unknown>> = {
+  paramSchema: [],
+  paramValues: {},
+  scene: null,
+};
+const SCALAR_FIELDS: Array<keyof BackgroundPresetRevisionContent> = [
+  'title',
+  'slug',
+  'motionProfile',
+  'supportsReducedMotion',
+  'thumbnailUrl',
+  'calmRadius',
+  'calmIntensity',
+  'renderKind',
+];
+
+const QUERY_REVISION_LIST = `
+  query BackgroundPresetRevisionList($first: Int!, $after: String, $query: String!) {
+    metaobjects(first: $first, after: $after, type: "${REVISION_METAOBJECT_TYPE}", query: $query) {
+      edges {
+        cursor
+        node {
+          id
+          handle
+          type
+          updatedAt
+          fields {
+            key
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const QUERY_REVISION_BY_ID = `
+  query BackgroundPresetRevisionById($id: ID!) {
+    metaobject(id: $id) {
+      id
+      handle
+      type
+      updatedAt
+      fields {
+        key
+        value
+      }
+    }
+  }
+`;
+
+const MUTATION_CREATE_REVISION = `
+  mutation CreateBackgroundPresetRevision($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject {
+        id
+        handle
+        updatedAt
+      }
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+export function toRevisionContent(record: BackgroundPresetRecord): BackgroundPresetRevisionContent {
+  return {
+    title: record.title,
+    slug: record.slug,
+    htmlMarkup: record.htmlMarkup,
+    cssStyles: record.cssStyles,
+    jsSnippet: record.jsSnippet,
+    motionProfile: record.motionProfile,
+    supportsReducedMotion: record.supportsReducedMotion,
+    thumbnailUrl: record.thumbnailUrl,
+    calmRadius: record.calmRadius,
+    calmIntensity: record.calmIntensity,
+    paramSchema: record.paramSchema,
+    paramValues: record.paramValues,
+    renderKind: record.renderKind,
+    scene: record.scene,
+  };
+}
+
+function computeRevisionHash(presetId: string, content: BackgroundPresetRevisionContent) {
+  return computeVersionHash([
+    presetId,
+    content.htmlMarkup,
+    content.cssStyles,
+    content.jsSnippet ?? '',
+    content.motionProfile,
+    String(content.calmRadius),
+    String(content.calmIntensity),
+    JSON.stringify(content.paramSchema ?? []),
+    JSON.stringify(content.paramValues ?? {}),
+    ...(content.renderKind === 'scene' ? [content.renderKind, JSON.stringify(content.scene ?? null)] : []),
+  ]);
+}
+
+function parseRevisionContent(raw: string | null | undefined): BackgroundPresetRevisionContent | null {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw) as BackgroundPresetRevisionContent;
+    if (!parsed || typeof parsed !== 'object') return null;
+    return parsed;
+  } catch (error) {
+    console.warn('[backgroundPresetRevisions] Failed to parse revision content', error);
+    return null;
+  }
+}
+
+function mapMetaobjectToRevision(node: MetaobjectNode): BackgroundPresetRevision | null {
+  const fields = extractFieldMap(node);
+  const presetId = fields.preset_id?.value;
+  const content = parseRevisionContent(fields.content?.value);
+  if (!presetId || !content) return null;
+
+  return {
+    id: node.id,
+    presetId,
+    versionHash: fields.version_hash?.value ?? '',
+    author: fields.author?.value ?? DEFAULT_REVISION_AUTHOR,
+    createdAt: fields.created_at?.value ?? node.updatedAt,
+    restoredFrom: fields.restored_from?.value ?? undefined,
+    content,
+  };
+}
+
+export async function recordBackgroundPresetRevision(
+  runtime: BackgroundPresetRuntime,
+  record: BackgroundPresetRecord,
+  options: {author?: string; restoredFrom?: string} = {},
+): Promise<BackgroundPresetRevision> {
+  const content = toRevisionContent(record);
+  const versionHash = await computeRevisionHash(record.id, content);
+  const createdAt = new Date().toISOString();
+  const author = options.author ?? DEFAULT_REVISION_AUTHOR;
+
+  const fields: Array<{key: string; value: string}> = [
+    {key: 'preset_id', value: record.id},
+    {key: 'version_hash', value: versionHash},
+    {key: 'author', value: author},
+    {key: 'created_at', value: createdAt},
+    {key: 'content', value: JSON.stringify(content)},
+  ];
+  if (options.restoredFrom) {
+    fields.push({key: 'restored_from', value: options.restoredFrom});
+  }
+
+  const data = await adminFetch<MetaobjectMutationPayload>(runtime, MUTATION_CREATE_REVISION, {
+    metaobject: {
+      type: REVISION_METAOBJECT_TYPE,
+      fields,
+    },
+  });
+
+  const payload = data.metaobjectCreate;
+  if (!payload || payload.userErrors?.length || !payload.metaobject?.id) {
+    const message = payload?.userErrors?.map((err) => err.message).join('; ') ?? 'Unknown error';
+    throw new Error(`Failed to record background preset revision: ${message}`);
+  }
+
+  return {
+    id: payload.metaobject.id,
+    presetId: record.id,
+    versionHash,
+    author,
+    createdAt,
+    restoredFrom: options.restoredFrom,
+    content,
+  };
+}
+
+// Search filter on the `preset_id` field, so the Admin API only returns this preset's revisions.
+function presetRevisionQuery(presetId: string) {
+  return `fields.preset_id:"${presetId.replace(/["\\]/g, '\\$&')}"`;
+}
+
+export async function listBackgroundPresetRevisions(
+  runtime: BackgroundPresetRuntime,
+  presetId: string,
+  options: {limit?: number} = {},
+): Promise<BackgroundPresetRevision[]> {
+  const results: BackgroundPresetRevision[] = [];
+  const query = presetRevisionQuery(presetId);
+  const first = Math.min(options.limit ?? REVISION_PAGE_SIZE, REVISION_PAGE_SIZE);
+  let after: string | undefined;
+
+  do {
+    const data = await adminFetch<MetaobjectEdgeList>(runtime, QUERY_REVISION_LIST, {first, after, query});
+    const edges = data.metaobjects.edges ?? [];
+    for (const edge of edges) {
+      const revision = mapMetaobjectToRevision(edge.node);
+      if (revision && revision.presetId === presetId) {
+        results.push(revision);
+      }
+    }
+    if (options.limit && results.length >= options.limit) break;
+    after = data.metaobjects.pageInfo.hasNextPage ? data.metaobjects.pageInfo.endCursor ?? undefined : undefined;
+  } while (after);
+
+  return results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Snapshot a preset that has no history yet (created before revisions were recorded), so its
+// first edit does not lose the original content. Call before updating the record.
+export async function ensureBaselineRevision(
+  runtime: BackgroundPresetRuntime,
+  record: BackgroundPresetRecord,
+): Promise<BackgroundPresetRevision | null> {
+  const revisions = await listBackgroundPresetRevisions(runtime, record.id, {limit: 1});
+  if (revisions.length) return null;
+  return recordBackgroundPresetRevision(runtime, record, {author: BASELINE_REVISION_AUTHOR});
+}
+
+// Message returned with a saved preset whose revision could not be written.
+export function revisionWarning(error: unknown): string {
+  const reason = error instanceof Error ? error.message : 'Unknown error';
+  return `Preset saved, but its revision was not recorded (${reason}). Save again to record it.`;
+}
+
+export async function getBackgroundPresetRevision(
+  runtime: BackgroundPresetRuntime,
+  revisionId: string,
+): Promise<BackgroundPresetRevision | null> {
+  const data = await adminFetch<MetaobjectPayload>(runtime, QUERY_REVISION_BY_ID, {id: revisionId});
+  if (!data.metaobject) return null;
+  return mapMetaobjectToRevision(data.metaobject);
+}
+
+function splitLines(value: string | undefined): string[] {
+  if (!value) return [];
+  return value.split(/\r?\n/u);
+}
+
+export function diffLines(fromText: string | undefined, toText: string | undefined): RevisionDiffLine[] {
+  const from = splitLines(fromText);
+  const to = splitLines(toText);
+
+  let prefix = 0;
+  while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < from.length - prefix &&
+    suffix < to.length - prefix &&
+    from[from.length - 1 - suffix] === to[to.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const head = from.slice(0, prefix).map((text) => ({type: 'equal' as const, text}));
+  const tail = from.slice(from.length - suffix).map((text) => ({type: 'equal' as const, text}));
+  const a = from.slice(prefix, from.length - suffix);
+  const b = to.slice(prefix, to.length - suffix);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...a.map((text) => ({type: 'removed' as const, text})),
+      ...b.map((text) => ({type: 'added' as const, text})),
+      ...tail,
+    ];
+  }
+
+  // Longest-common-subsequence table, walked forwards to emit the edit script.
+  const lcs: number[][] = Array.from({length: a.length + 1}, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i]![j] = a[i] === b[j] ? lcs[i + 1]![j + 1]! + 1 : Math.max(lcs[i + 1]![j]!, lcs[i]![j + 1]!);
+    }
+  }
+
+  const middle: RevisionDiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push({type: 'equal', text: a[i]!});
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1]![j]! >= lcs[i]![j + 1]!) {
+      middle.push({type: 'removed', text: a[i]!});
+      i += 1;
+    } else {
+      middle.push({type: 'added', text: b[j]!});
+      j += 1;
+    }
+  }
+  while (i < a.length) {
+    middle.push({type: 'removed', text: a[i]!});
+    i += 1;
+  }
+  while (j < b.length) {
+    middle.push({type: 'added', text: b[j]!});
+    j += 1;
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+export function diffRevisionContent(
+  from: BackgroundPresetRevisionContent,
+  to: BackgroundPresetRevisionContent,
+): RevisionFieldDiff[] {
+  const changes: RevisionFieldDiff[] = [];
+
+  for (const field of SCALAR_FIELDS) {
+    if (from[field] !== to[field]) {
+      changes.push({field, from: from[field], to: to[field]});
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    const fromText = (from[field] as string | undefined) ?? '';
+    const toText = (to[field] as string | undefined) ?? '';
+    if (fromText !== toText) {
+      changes.push({field, from: fromText, to: toText, lines: diffLines(fromText, toText)});
+    }
+  }
+
+  for (const field of JSON_FIELDS) {
+    const fromText = JSON.stringify(from[field] ?? JSON_FIELD_DEFAULTS[field], null, 2);
+    const toText = JSON.stringify(to[field] ?? JSON_FIELD_DEFAULTS[field], null, 2);
+    if (fromText !== toText) {
+      changes.push({field, from: fromText, to: toText, lines: diffLines(fromText, toText)});
+    }
+  }
+
+  return changes;
+}
+
+export async function restoreBackgroundPresetRevision(
+  runtime: BackgroundPresetRuntime,
+  presetId: string,
+  revisionId: string,
+  options: {author?: string} = {},
+): Promise<{record: BackgroundPresetRecord; revision: BackgroundPresetRevision}> {
+  const target = await getBackgroundPresetRevision(runtime, revisionId);
+  if (!target || target.presetId !== presetId) {
+    throw new Error('Revision not found for preset');
+  }
+
+  const current = await getBackgroundPreset(runtime, presetId);
+  if (!current) {
+    throw new Error('Background preset not found');
+  }
+
+  if (isPresetLive(current)) {
+    const lint = lintPresetContent(target.content);
+    if (hasLintErrors(lint)) {
+      throw new PresetLintError(lint);
+    }
+  }
+
+  // Activation state is not part of a revision; `schedule` is omitted so the stored one is kept.
+  const record = await updateBackgroundPreset(runtime, presetId, {
+    ...target.content,
+    isActive: current.isActive,
+  });
+  const revision = await recordBackgroundPresetRevision(runtime, record, {
+    author: options.author,
+    restoredFrom: target.id,
+  });
+
+  return {record, revision};
+}
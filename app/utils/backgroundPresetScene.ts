@@ -0,0 +1,116 @@
+// Render target for background presets.
+// `iframe` presets ship HTML/CSS/JS rendered in the sandboxed iframe; `scene` presets point at one
+// of the Three.js modules the carousel's BackgroundManager registers, plus a config object that is
+// passed to the module's `init` as options. This registry is shared by the admin, the API
+// validation and the carousel so all three agree on which modules exist.
+
+export type PresetRenderKind = 'iframe' | 'scene';
+
+export const PRESET_RENDER_KINDS: PresetRenderKind[] = ['iframe', 'scene'];
+
+export const SCENE_MODULES = {
+  solid: {label: 'Original Solid Color'},
+  skyball: {label: 'Hexagon Skyball (360°)'},
+  hexagons: {label: 'Hexagon Wall'},
+  polygons: {label: 'Polygons Wall'},
+  dome: {label: 'Iridescent Dome'},
+} as const;
+
+export type SceneModuleId = keyof typeof SCENE_MODULES;
+
+export const SCENE_MODULE_IDS = Object.keys(SCENE_MODULES) as SceneModuleId[];
+
+/** Module options are flat: numbers (including `0x` colors), booleans, strings or number lists. */
+export type PresetSceneConfigValue = number | boolean | string | number[];
+
+export type PresetSceneConfig = Record<string, PresetSceneConfigValue>;
+
+export type PresetScene = {
+  module: SceneModuleId;
+  config: PresetSceneConfig;
+};
+
+export const MAX_SCENE_CONFIG_KEYS = 40;
+
+const CONFIG_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/u;
+const MAX_CONFIG_STRING_LENGTH = 120;
+const MAX_CONFIG_LIST_LENGTH = 16;
+
+function isSceneModuleId(value: unknown): value is SceneModuleId {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(SCENE_MODULES, value);
+}
+
+function normalizeConfigValue(key: string, value: unknown): PresetSceneConfigValue {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`scene.config.${key} must be a finite number`);
+    return value;
+  }
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (value.length > MAX_CONFIG_STRING_LENGTH) {
+      throw new Error(`scene.config.${key} exceeds ${MAX_CONFIG_STRING_LENGTH} characters`);
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    if (value.length > MAX_CONFIG_LIST_LENGTH || !value.every((item) => typeof item === 'number' && Number.isFinite(item))) {
+      throw new Error(`scene.config.${key} must be a list of up to ${MAX_CONFIG_LIST_LENGTH} numbers`);
+    }
+    return value as number[];
+  }
+  throw new Error(`Invalid value for scene.config.${key}`);
+}
+
+export function normalizeRenderKind(raw: unknown): PresetRenderKind {
+  if (raw === undefined || raw === null || raw === '') return 'iframe';
+  if (typeof raw === 'string' && PRESET_RENDER_KINDS.includes(raw as PresetRenderKind)) {
+    return raw as PresetRenderKind;
+  }
+  throw new Error(`renderKind must be one of ${PRESET_RENDER_KINDS.join(', ')}`);
+}
+
+/**
+ * Validate an authored scene reference. Unknown modules are rejected so a preset cannot be
+ * activated store-wide against a module the carousel does not register.
+ */
+export function normalizePresetScene(raw: unknown): PresetScene {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('scene must be an object');
+  }
+  const entry = raw as Record<string, unknown>;
+  if (!isSceneModuleId(entry.module)) {
+    throw new Error(`scene.module must be one of ${SCENE_MODULE_IDS.join(', ')}`);
+  }
+
+  const rawConfig = entry.config ?? {};
+  if (typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+    throw new Error('scene.config must be an object');
+  }
+  const configEntries = Object.entries(rawConfig as Record<string, unknown>);
+  if (configEntries.length > MAX_SCENE_CONFIG_KEYS) {
+    throw new Error(`scene.config exceeds limit of ${MAX_SCENE_CONFIG_KEYS} keys`);
+  }
+
+  const config: PresetSceneConfig = {};
+  for (const [key, value] of configEntries) {
+    if (!CONFIG_KEY_PATTERN.test(key)) {
+      throw new Error(`scene.config key "${key}" must start with a letter and contain only letters, digits or underscores`);
+    }
+    config[key] = normalizeConfigValue(key, value);
+  }
+  return {module: entry.module, config};
+}
+
+export function parseStoredRenderKind(raw: string | null | undefined): PresetRenderKind {
+  return raw === 'scene' ? 'scene' : 'iframe';
+}
+
+export function parseStoredScene(raw: string | null | undefined): PresetScene | null {
+  if (!raw) return null;
+  try {
+    return normalizePresetScene(JSON.parse(raw));
+  } catch (error) {
+    console.warn('[backgroundPresetScene] Ignoring invalid stored scene', error);
+    return null;
+  }
+}
@@ -0,0 +1,276 @@
+// Scheduled activation windows for background presets.
+// Pure helpers shared by the server resolver (`getActiveBackgroundPreset`) and the admin calendar,
+// so both agree on which preset a given moment belongs to.
+
+export type ScheduleRecurrence = 'none' | 'daily' | 'weekends' | 'holidays';
+
+export type PresetScheduleWindow = {
+  /** Local datetime `YYYY-MM-DDTHH:mm` in `timezone`; for recurring windows, the first day it applies. */
+  startsAt: string;
+  /** Exclusive local datetime end; open-ended when omitted. */
+  endsAt?: string;
+  /** IANA timezone the local datetimes are expressed in. */
+  timezone: string;
+  recurrence: ScheduleRecurrence;
+  /** Recurring windows only: local `HH:mm` range within each matching day. */
+  dailyStart?: string;
+  dailyEnd?: string;
+  /** `holidays` recurrence only: local `YYYY-MM-DD` dates. */
+  holidays?: string[];
+};
+
+export type PresetSchedule = {
+  windows: PresetScheduleWindow[];
+};
+
+type ZonedParts = {
+  date: string;
+  time: string;
+  weekday: number;
+};
+
+export const SCHEDULE_RECURRENCES: ScheduleRecurrence[] = ['none', 'daily', 'weekends', 'holidays'];
+export const DEFAULT_SCHEDULE_TIMEZONE = 'UTC';
+export const MAX_SCHEDULE_WINDOWS = 20;
+
+const DAY_START = '00:00';
+const DAY_END = '24:00';
+const WEEKDAY_INDEX: Record<string, number> = {Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6};
+// Higher wins when several presets are scheduled at the same moment.
+const RECURRENCE_SPECIFICITY: Record<ScheduleRecurrence, number> = {
+  holidays: 3,
+  none: 2,
+  weekends: 1,
+  daily: 0,
+};
+
+const LOCAL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/u;
+const LOCAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/u;
+const LOCAL_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/u;
+
+const formatterCache = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function getZonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const lookup = (type: Intl.DateTimeFormatPartTypes) =>
+    parts.find((part) => part.type === type)?.value ?? '';
+  return {
+    date: `${lookup('year')}-${lookup('month')}-${lookup('day')}`,
+    time: `${lookup('hour')}:${lookup('minute')}`,
+    weekday: WEEKDAY_INDEX[lookup('weekday')] ?? 0,
+  };
+}
+
+function weekdayOfDate(day: string): number {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+function matchesRecurrenceDay(scheduleWindow: PresetScheduleWindow, day: string, weekday: number): boolean {
+  switch (scheduleWindow.recurrence) {
+    case 'daily':
+      return true;
+    case 'weekends':
+      return weekday === 0 || weekday === 6;
+    case 'holidays':
+      return (scheduleWindow.holidays ?? []).includes(day);
+    default:
+      return false;
+  }
+}
+
+export function isWindowActiveAt(scheduleWindow: PresetScheduleWindow, now: Date): boolean {
+  let local: ZonedParts;
+  try {
+    local = getZonedParts(now, scheduleWindow.timezone || DEFAULT_SCHEDULE_TIMEZONE);
+  } catch {
+    return false;
+  }
+  const localDateTime = `${local.date}T${local.time}`;
+
+  if (localDateTime < scheduleWindow.startsAt.slice(0, 16)) return false;
+  if (scheduleWindow.endsAt && localDateTime >= scheduleWindow.endsAt.slice(0, 16)) return false;
+  if (scheduleWindow.recurrence === 'none') return true;
+
+  if (!matchesRecurrenceDay(scheduleWindow, local.date, local.weekday)) return false;
+  const dailyStart = scheduleWindow.dailyStart ?? DAY_START;
+  const dailyEnd = scheduleWindow.dailyEnd ?? DAY_END;
+  return local.time >= dailyStart && local.time < dailyEnd;
+}
+
+/**
+ * Day-level check used by the admin calendar: does any part of the window fall on `day`
+ * (a `YYYY-MM-DD` date read in the window's own timezone)?
+ */
+export function isWindowActiveOnDay(scheduleWindow: PresetScheduleWindow, day: string): boolean {
+  const startDay = scheduleWindow.startsAt.slice(0, 10);
+  if (day < startDay) return false;
+  if (scheduleWindow.endsAt) {
+    const endsAt = scheduleWindow.endsAt.slice(0, 16);
+    if (`${day}T00:00` >= endsAt) return false;
+  }
+  if (scheduleWindow.recurrence === 'none') return true;
+  return matchesRecurrenceDay(scheduleWindow, day, weekdayOfDate(day));
+}
+
+function getScheduleSpecificity(schedule: PresetSchedule | null | undefined, now: Date): number | null {
+  let best: number | null = null;
+  for (const scheduleWindow of schedule?.windows ?? []) {
+    if (!isWindowActiveAt(scheduleWindow, now)) continue;
+    const specificity = RECURRENCE_SPECIFICITY[scheduleWindow.recurrence] ?? 0;
+    if (best === null || specificity > best) best = specificity;
+  }
+  return best;
+}
+
+/**
+ * Pick the preset whose schedule covers `now`. The most specific recurrence wins
+ * (holidays > one-off > weekends > daily); ties go to the most recently updated preset.
+ */
+export function selectScheduledPreset<T extends {schedule?: PresetSchedule | null; updatedAt: string}>(
+  presets: T[],
+  now: Date,
+): T | null {
+  let winner: T | null = null;
+  let winnerSpecificity = -1;
+
+  for (const preset of presets) {
+    const specificity = getScheduleSpecificity(preset.schedule, now);
+    if (specificity === null) continue;
+    if (
+      specificity > winnerSpecificity ||
+      (specificity === winnerSpecificity && winner && preset.updatedAt > winner.updatedAt)
+    ) {
+      winner = preset;
+      winnerSpecificity = specificity;
+    }
+  }
+
+  return winner;
+}
+
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function ensureLocalDateTime(value: unknown, field: string): string {
+  if (typeof value === 'string' && LOCAL_DATETIME_PATTERN.test(value.trim())) {
+    return value.trim().slice(0, 16);
+  }
+  throw new Error(`Invalid value for ${field}`);
+}
+
+function ensureLocalTime(value: unknown, field: string, fallback: string): string {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'string' && LOCAL_TIME_PATTERN.test(value.trim())) {
+    return value.trim();
+  }
+  throw new Error(`Invalid value for ${field}`);
+}
+
+function normalizeWindow(raw: unknown, index: number): PresetScheduleWindow {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Invalid schedule window at index ${index}`);
+  }
+  const body = raw as Record<string, unknown>;
+  const label = `schedule.windows[${index}]`;
+
+  const recurrence = (typeof body.recurrence === 'string' ? body.recurrence : 'none') as ScheduleRecurrence;
+  if (!SCHEDULE_RECURRENCES.includes(recurrence)) {
+    throw new Error(`Invalid value for ${label}.recurrence`);
+  }
+
+  const timezone =
+    typeof body.timezone === 'string' && body.timezone.trim() !== ''
+      ? body.timezone.trim()
+      : DEFAULT_SCHEDULE_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone for ${label}.timezone: ${timezone}`);
+  }
+
+  const startsAt = ensureLocalDateTime(body.startsAt, `${label}.startsAt`);
+  const endsAt =
+    body.endsAt === undefined || body.endsAt === null || body.endsAt === ''
+      ? undefined
+      : ensureLocalDateTime(body.endsAt, `${label}.endsAt`);
+  if (endsAt && endsAt <= startsAt) {
+    throw new Error(`${label}.endsAt must be after startsAt`);
+  }
+
+  const scheduleWindow: PresetScheduleWindow = {startsAt, endsAt, timezone, recurrence};
+  if (recurrence === 'none') return scheduleWindow;
+
+  scheduleWindow.dailyStart = ensureLocalTime(body.dailyStart, `${label}.dailyStart`, DAY_START);
+  scheduleWindow.dailyEnd = ensureLocalTime(body.dailyEnd, `${label}.dailyEnd`, DAY_END);
+  if (scheduleWindow.dailyEnd <= scheduleWindow.dailyStart) {
+    throw new Error(`${label}.dailyEnd must be after dailyStart`);
+  }
+
+  if (recurrence === 'holidays') {
+    const holidays = Array.isArray(body.holidays) ? body.holidays : [];
+    if (!holidays.length) {
+      throw new Error(`${label}.holidays must list at least one date`);
+    }
+    scheduleWindow.holidays = holidays.map((day, dayIndex) => {
+      if (typeof day === 'string' && LOCAL_DATE_PATTERN.test(day.trim())) return day.trim();
+      throw new Error(`Invalid value for ${label}.holidays[${dayIndex}]`);
+    });
+  }
+
+  return scheduleWindow;
+}
+
+/**
+ * Strict validation for admin input; throws with a field path on the first problem.
+ */
+export function normalizeSchedule(raw: unknown): PresetSchedule {
+  if (raw === undefined || raw === null) return {windows: []};
+  if (typeof raw !== 'object') {
+    throw new Error('Invalid value for schedule');
+  }
+  const windows = (raw as Record<string, unknown>).windows;
+  if (windows === undefined || windows === null) return {windows: []};
+  if (!Array.isArray(windows)) {
+    throw new Error('Invalid value for schedule.windows');
+  }
+  if (windows.length > MAX_SCHEDULE_WINDOWS) {
+    throw new Error(`schedule.windows exceeds limit of ${MAX_SCHEDULE_WINDOWS}`);
+  }
+  return {windows: windows.map(normalizeWindow)};
+}
+
+/**
+ * Lenient parse for values already stored on the metaobject: a broken schedule
+ * disables scheduling for that preset instead of failing the whole resolver.
+ */
+export function parseStoredSchedule(raw: string | null | undefined): PresetSchedule {
+  if (!raw) return {windows: []};
+  try {
+    return normalizeSchedule(JSON.parse(raw));
+  } catch (error) {
+    console.warn('[backgroundPresetSchedule] Ignoring invalid stored schedule', error);
+    return {windows: []};
+  }
+}
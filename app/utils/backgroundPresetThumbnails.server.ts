@@ -0,0 +1,196 @@
+// Thumbnail storage for background presets.
+// Captured snapshots arrive as data URLs, are uploaded to Shopify Files through a staged upload,
+// and the resulting CDN URL is written to the preset's `thumbnail` field.
+import {adminFetch, type BackgroundPresetRuntime} from './backgroundPresets.server';
+
+export type ThumbnailImage = {
+  mimeType: string;
+  bytes: Uint8Array;
+};
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_THUMBNAIL_BYTES = 512 * 1024;
+const FILE_READY_ATTEMPTS = 10;
+const FILE_READY_DELAY_MS = 500;
+const DATA_URL_PATTERN = /^data:(image\/[a-z+]+);base64,([A-Za-z0-9+/=]+)$/u;
+
+type StagedUploadPayload = {
+  stagedUploadsCreate: {
+    stagedTargets: Array<{
+      url: string;
+      resourceUrl: string;
+      parameters: Array<{name: string; value: string}>;
+    }>;
+    userErrors: {message: string}[];
+  };
+};
+
+type FileNode = {
+  id: string;
+  fileStatus: string;
+  image?: {url: string} | null;
+};
+
+type FileCreatePayload = {
+  fileCreate: {
+    files: FileNode[];
+    userErrors: {message: string}[];
+  };
+};
+
+type FileNodePayload = {
+  node: FileNode | null;
+};
+
+const MUTATION_STAGED_UPLOAD = `
+  mutation BackgroundThumbnailStagedUpload($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters {
+          name
+          value
+        }
+      }
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+const MUTATION_FILE_CREATE = `
+  mutation BackgroundThumbnailFileCreate($files: [FileCreateInput!]!) {
+    fileCreate(files: $files) {
+      files {
+        id
+        fileStatus
+        ... on MediaImage {
+          image {
+            url
+          }
+        }
+      }
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+const QUERY_FILE = `
+  query BackgroundThumbnailFile($id: ID!) {
+    node(id: $id) {
+      ... on MediaImage {
+        id
+        fileStatus
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+function extensionFor(mimeType: string) {
+  return mimeType === 'image/jpeg' ? 'jpg' : mimeType.split('/')[1]!;
+}
+
+/**
+ * Decode and validate a captured `data:image/...;base64,` URL.
+ */
+export function parseThumbnailDataUrl(dataUrl: unknown): ThumbnailImage {
+  if (typeof dataUrl !== 'string') {
+    throw new Error('Invalid value for dataUrl');
+  }
+  const match = DATA_URL_PATTERN.exec(dataUrl.trim());
+  if (!match) {
+    throw new Error('Thumbnail must be a base64 image data URL');
+  }
+  const mimeType = match[1]!;
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new Error(`Unsupported thumbnail type: ${mimeType}`);
+  }
+
+  const binary = globalThis.atob(match[2]!);
+  if (binary.length > MAX_THUMBNAIL_BYTES) {
+    throw new Error(`Thumbnail exceeds limit of ${MAX_THUMBNAIL_BYTES} bytes`);
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return {mimeType, bytes};
+}
+
+async function waitForFileUrl(runtime: BackgroundPresetRuntime, file: FileNode): Promise<string> {
+  let current: FileNode | null = file;
+  for (let attempt = 0; attempt < FILE_READY_ATTEMPTS; attempt += 1) {
+    if (current?.image?.url) return current.image.url;
+    if (current?.fileStatus === 'FAILED') break;
+    await new Promise((resolve) => setTimeout(resolve, FILE_READY_DELAY_MS));
+    const data = await adminFetch<FileNodePayload>(runtime, QUERY_FILE, {id: file.id});
+    current = data.node;
+  }
+  throw new Error('Thumbnail upload did not finish processing');
+}
+
+/**
+ * Upload a thumbnail to Shopify Files and return its CDN URL.
+ */
+export async function uploadPresetThumbnail(
+  runtime: BackgroundPresetRuntime,
+  presetSlug: string,
+  image: ThumbnailImage,
+): Promise<string> {
+  const filename = `background-${presetSlug || 'preset'}-${Date.now()}.${extensionFor(image.mimeType)}`;
+
+  const staged = await adminFetch<StagedUploadPayload>(runtime, MUTATION_STAGED_UPLOAD, {
+    input: [
+      {
+        filename,
+        mimeType: image.mimeType,
+        resource: 'IMAGE',
+        httpMethod: 'POST',
+        fileSize: String(image.bytes.byteLength),
+      },
+    ],
+  });
+  const target = staged.stagedUploadsCreate.stagedTargets[0];
+  if (staged.stagedUploadsCreate.userErrors.length || !target) {
+    const message = staged.stagedUploadsCreate.userErrors.map((err) => err.message).join('; ') || 'No upload target';
+    throw new Error(`Failed to stage thumbnail upload: ${message}`);
+  }
+
+  const form = new FormData();
+  for (const parameter of target.parameters) {
+    form.append(parameter.name, parameter.value);
+  }
+  const buffer = new Uint8Array(image.bytes.byteLength);
+  buffer.set(image.bytes);
+  form.append('file', new Blob([buffer], {type: image.mimeType}), filename);
+
+  const fetchImpl = runtime.fetch ?? fetch;
+  const upload = await fetchImpl(target.url, {method: 'POST', body: form});
+  if (!upload.ok) {
+    throw new Error(`Thumbnail upload failed (${upload.status})`);
+  }
+
+  const created = await adminFetch<FileCreatePayload>(runtime, MUTATION_FILE_CREATE, {
+    files: [
+      {
+        originalSource: target.resourceUrl,
+        contentType: 'IMAGE',
+        alt: `Background preset ${presetSlug} thumbnail`,
+      },
+    ],
+  });
+  const file = created.fileCreate.files[0];
+  if (created.fileCreate.userErrors.length || !file) {
+    const message = created.fileCreate.userErrors.map((err) => err.message).join('; ') || 'No file created';
+    throw new Error(`Failed to create thumbnail file: ${message}`);
+  }
+
+  return waitForFileUrl(runtime, file);
+}
@@ -2,6 +2,34 @@
 // Note: sanitize-html library was removed as it causes global scope issues in Cloudflare Workers
 import type {ServerEnv} from './env.server';
 import {getEnvPublic} from './env.public';
+import {
+  parseStoredSchedule,
+  selectScheduledPreset,
+  type PresetSchedule,
+} from './backgroundPresetSchedule';
+import {
+  evaluateCircuitBreaker,
+  getHealthyTimestamp,
+  loadBreakerTelemetry,
+  parseStoredQuarantine,
+  resolveQuarantinePolicy,
+  type PresetQuarantine,
+  type QuarantinePolicy,
+} from './backgroundPresetQuarantine.server';
+import type {BackgroundTelemetrySummary} from './backgroundTelemetry.server';
+import {
+  parseStoredParamSchema,
+  parseStoredParamValues,
+  resolveParamValues,
+  type PresetParamSchema,
+  type PresetParamValues,
+} from './backgroundPresetParams';
+import {
+  parseStoredRenderKind,
+  parseStoredScene,
+  type PresetRenderKind,
+  type PresetScene,
+} from './backgroundPresetScene';
 
 export type MotionProfile = 'full' | 'subtle' | 'static';
 
@@ -82,6 +110,11 @@ export type BackgroundPresetInput = {
   isActive?: boolean;
   calmRadius?: number;
   calmIntensity?: number;
+  paramSchema?: PresetParamSchema;
+  paramValues?: PresetParamValues;
+  renderKind?: PresetRenderKind;
+  scene?: PresetScene | null;
+  schedule?: PresetSchedule;
 };
 
 export type BackgroundPresetRecord = {
@@ -99,10 +132,19 @@ export type BackgroundPresetRecord = {
   updatedAt: string;
   calmRadius: number;
   calmIntensity: number;
+  paramSchema: PresetParamSchema;
+  paramValues: PresetParamValues;
+  renderKind: PresetRenderKind;
+  /** Set when `renderKind` is `scene`. */
+  scene: PresetScene | null;
+  schedule: PresetSchedule;
+  quarantine: PresetQuarantine | null;
 };
 
 type BackgroundTelemetryState = 'ok' | 'fallback' | 'error';
 
+type ActivationSource = 'schedule' | 'manual' | 'fallback';
+
 type BackgroundTelemetry = {
   state: BackgroundTelemetryState;
   reason?: string;
@@ -123,6 +165,14 @@ type ActivePresetPayload = {
   status: BackgroundTelemetry;
   calmRadius: number;
   calmIntensity: number;
+  paramSchema: PresetParamSchema;
+  /** Fully resolved: every schema key is present. */
+  paramValues: PresetParamValues;
+  renderKind: PresetRenderKind;
+  scene: PresetScene | null;
+  activationSource: ActivationSource;
+  /** Per-request token the renderer sends back with telemetry; added by the /active route, never cached. */
+  renderToken?: string;
 };
 
 type BackgroundPresetRuntime = {
@@ -316,6 +366,11 @@ function getFallbackPreset(): ActivePresetPayload {
     status: telemetry,
     calmRadius: DEFAULT_CALM_RADIUS,
     calmIntensity: DEFAULT_CALM_INTENSITY,
+    paramSchema: [],
+    paramValues: {},
+    renderKind: 'iframe',
+    scene: null,
+    activationSource: 'fallback',
   };
 }
 
@@ -347,7 +402,7 @@ function buildCacheRequest(storeDomain: string): Request {
   return new Request(`${CACHE_NAMESPACE}/${storeDomain}/active`);
 }
 
-async function computeVersionHash(parts: string[]): Promise<string> {
+export async function computeVersionHash(parts: string[]): Promise<string> {
   const encoder = new TextEncoder();
   const data = encoder.encode(parts.join('|'));
   const digest = await crypto.subtle.digest('SHA-256', data);
@@ -468,7 +523,7 @@ function sanitizeMarkup(html: string): string {
   return sanitized;
 }
 
-function extractFieldMap(node: MetaobjectNode): Record<string, MetaobjectField> {
+export function extractFieldMap(node: MetaobjectNode): Record<string, MetaobjectField> {
   return node.fields.reduce<Record<string, MetaobjectField>>((acc, field) => {
     acc[field.key] = field;
     return acc;
@@ -512,6 +567,13 @@ function mapMetaobjectToRecord(node: MetaobjectNode): BackgroundPresetRecord {
     MIN_CALM_INTENSITY,
     MAX_CALM_INTENSITY,
   );
+  const paramSchema = parseStoredParamSchema(fields.param_schema?.value);
+  const paramValues = parseStoredParamValues(fields.param_values?.value, paramSchema);
+  const scene = parseStoredScene(fields.scene?.value);
+  // A scene preset whose module reference no longer validates falls back to its iframe content.
+  const renderKind = scene ? parseStoredRenderKind(fields.render_kind?.value) : 'iframe';
+  const schedule = parseStoredSchedule(fields.schedule?.value);
+  const quarantine = parseStoredQuarantine(fields.quarantine?.value);
 
   return {
     id: node.id,
@@ -528,6 +590,12 @@ function mapMetaobjectToRecord(node: MetaobjectNode): BackgroundPresetRecord {
     updatedAt: node.updatedAt,
     calmRadius,
     calmIntensity,
+    paramSchema,
+    paramValues,
+    renderKind,
+    scene: renderKind === 'scene' ? scene : null,
+    schedule,
+    quarantine,
   };
 }
 
@@ -576,7 +644,7 @@ export async function bustActivePresetCache(runtime: BackgroundPresetRuntime) {
   await runtime.cache.delete(cacheRequest);
 }
 
-async function adminFetch<T>(runtime: BackgroundPresetRuntime, query: string, variables?: Record<string, unknown>): Promise<T> {
+export async function adminFetch<T>(runtime: BackgroundPresetRuntime, query: string, variables?: Record<string, unknown>): Promise<T> {
   const storeDomain = resolveStoreDomain(runtime.rawEnv);
   const apiVersion = getAdminApiVersion(runtime.rawEnv);
   const endpoint = `https://${storeDomain}/admin/api/${apiVersion}/graphql.json`;
@@ -622,9 +690,10 @@ function sanitizeRecord(record: BackgroundPresetRecord): BackgroundPresetRecord
   };
 }
 
-async function toActivePayload(record: BackgroundPresetRecord): Promise<ActivePresetPayload> {
-  const sanitized = sanitizeRecord(record);
-  const versionHash = await computeVersionHash([
+function hashSanitizedRecord(sanitized: BackgroundPresetRecord): Promise<string> {
+  // `updatedAt` is part of the hash, so any metaobject write (including quarantine release)
+  // starts a fresh telemetry series for the circuit breaker.
+  return computeVersionHash([
     sanitized.id,
     sanitized.htmlMarkup,
     sanitized.cssStyles,
@@ -632,7 +701,19 @@ async function toActivePayload(record: BackgroundPresetRecord): Promise<ActivePr
     sanitized.updatedAt,
     String(sanitized.calmRadius),
     String(sanitized.calmIntensity),
+    JSON.stringify(sanitized.paramSchema),
+    JSON.stringify(sanitized.paramValues),
+    // Only scene presets hash their module reference, so existing iframe presets keep their hash.
+    ...(sanitized.renderKind === 'scene' ? [sanitized.renderKind, JSON.stringify(sanitized.scene)] : []),
   ]);
+}
+
+async function toActivePayload(
+  record: BackgroundPresetRecord,
+  activationSource: ActivationSource,
+): Promise<ActivePresetPayload> {
+  const sanitized = sanitizeRecord(record);
+  const versionHash = await hashSanitizedRecord(sanitized);
 
   const status = updateTelemetry('ok', undefined, sanitized.id);
   return {
@@ -648,6 +729,11 @@ async function toActivePayload(record: BackgroundPresetRecord): Promise<ActivePr
     status,
     calmRadius: sanitized.calmRadius,
     calmIntensity: sanitized.calmIntensity,
+    paramSchema: sanitized.paramSchema,
+    paramValues: resolveParamValues(sanitized.paramSchema, sanitized.paramValues),
+    renderKind: sanitized.renderKind,
+    scene: sanitized.scene,
+    activationSource,
   };
 }
 
@@ -772,9 +858,112 @@ export async function activateBackgroundPreset(runtime: BackgroundPresetRuntime,
   await bustActivePresetCache(runtime);
 }
 
+// Single-field update that leaves content (and revisions) alone.
+async function writePresetField(runtime: BackgroundPresetRuntime, id: string, key: string, value: string) {
+  const data = await adminFetch<MetaobjectMutationPayload>(runtime, MUTATION_UPDATE, {
+    id,
+    metaobject: {fields: [{key, value}]},
+  });
+
+  const payload = data.metaobjectUpdate;
+  if (!payload || payload.userErrors?.length) {
+    const message = payload?.userErrors?.map((err) => err.message).join('; ') ?? 'Unknown error';
+    throw new Error(`Failed to update background preset ${key}: ${message}`);
+  }
+}
+
+export async function setBackgroundPresetThumbnail(
+  runtime: BackgroundPresetRuntime,
+  id: string,
+  thumbnailUrl: string,
+): Promise<BackgroundPresetRecord> {
+  await writePresetField(runtime, id, 'thumbnail', thumbnailUrl);
+  await bustActivePresetCache(runtime);
+
+  const record = await getBackgroundPreset(runtime, id);
+  if (!record) {
+    throw new Error('Failed to load background preset after thumbnail update');
+  }
+  return record;
+}
+
+export async function quarantineBackgroundPreset(
+  runtime: BackgroundPresetRuntime,
+  id: string,
+  quarantine: PresetQuarantine,
+) {
+  await writePresetField(runtime, id, 'quarantine', JSON.stringify(quarantine));
+  await bustActivePresetCache(runtime);
+}
+
+/**
+ * Clear a quarantine. The write bumps `updatedAt`, so the preset is served again under a new
+ * version hash and the breaker judges it on fresh telemetry only.
+ */
+export async function releaseBackgroundPresetQuarantine(runtime: BackgroundPresetRuntime, id: string) {
+  await writePresetField(runtime, id, 'quarantine', '');
+  await bustActivePresetCache(runtime);
+}
+
+/**
+ * Quarantine every preset whose current version trips the circuit breaker. Run from the admin
+ * sweep route (e.g. on a schedule), never from a visitor's request.
+ */
+export async function sweepBackgroundPresetQuarantine(
+  runtime: BackgroundPresetRuntime,
+): Promise<Array<{id: string; quarantine: PresetQuarantine}>> {
+  const policy = resolveQuarantinePolicy(runtime.rawEnv);
+  const summaries = await loadBreakerTelemetry(runtime.rawEnv, policy);
+  if (!summaries.length) return [];
+
+  const quarantined: Array<{id: string; quarantine: PresetQuarantine}> = [];
+  for (const preset of await listBackgroundPresets(runtime)) {
+    if (preset.quarantine) continue;
+    const versionHash = await hashSanitizedRecord(sanitizeRecord(preset));
+    const quarantine = evaluateCircuitBreaker(summaries, preset.id, versionHash, policy);
+    if (!quarantine) continue;
+    console.warn('[backgroundPresets] Quarantining failing preset', preset.id, quarantine);
+    await quarantineBackgroundPreset(runtime, preset.id, quarantine);
+    quarantined.push({id: preset.id, quarantine});
+  }
+  return quarantined;
+}
+
+/**
+ * Most recently healthy preset other than the excluded ones, judged on its current version hash.
+ */
+async function findPreviousHealthyPayload(
+  presets: BackgroundPresetRecord[],
+  excludedIds: Set<string>,
+  summaries: BackgroundTelemetrySummary[],
+  policy: QuarantinePolicy,
+): Promise<ActivePresetPayload | null> {
+  let best: {payload: ActivePresetPayload; healthyAt: string} | null = null;
+
+  for (const preset of presets) {
+    if (preset.quarantine || excludedIds.has(preset.id)) continue;
+    if (!summaries.some((summary) => summary.presetId === preset.id)) continue;
+    const payload = await toActivePayload(preset, 'fallback');
+    const healthyAt = getHealthyTimestamp(summaries, preset.id, payload.versionHash, policy);
+    if (healthyAt && (!best || healthyAt > best.healthyAt)) {
+      best = {payload, healthyAt};
+    }
+  }
+
+  return best?.payload ?? null;
+}
+
+/**
+ * Resolve the preset to serve right now. Fallback chain: a preset whose schedule covers
+ * `options.now` → the manually activated preset → the static fallback payload.
+ * Quarantined presets are skipped, and so is a candidate whose current version trips the render
+ * circuit breaker (this public path never writes; `sweepBackgroundPresetQuarantine` persists the
+ * quarantine). When every candidate is out, the most recently healthy preset is served before the
+ * static fallback.
+ */
 export async function getActiveBackgroundPreset(
   runtime: BackgroundPresetRuntime,
-  options: {refresh?: boolean} = {},
+  options: {refresh?: boolean; now?: Date} = {},
 ): Promise<ActivePresetPayload> {
   const storeDomain = resolveStoreDomain(runtime.rawEnv);
   if (!options.refresh) {
@@ -786,11 +975,39 @@ export async function getActiveBackgroundPreset(
   }
 
   try {
+    const now = options.now ?? new Date();
     const presets = await listBackgroundPresets(runtime);
-    const activeCandidates = presets.filter((preset) => preset.isActive);
-    const active = activeCandidates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+    const available = presets.filter((preset) => !preset.quarantine);
+    const scheduled = selectScheduledPreset(available, now);
+    const activeCandidates = available.filter((preset) => preset.isActive);
+    const manual = activeCandidates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+
+    const candidates: Array<{record: BackgroundPresetRecord; source: ActivationSource}> = [];
+    if (scheduled) candidates.push({record: scheduled, source: 'schedule'});
+    if (manual && manual.id !== scheduled?.id) candidates.push({record: manual, source: 'manual'});
+
+    const policy = resolveQuarantinePolicy(runtime.rawEnv);
+    const summaries = await loadBreakerTelemetry(runtime.rawEnv, policy);
+    // Presets that would be candidates now but are already quarantined.
+    const quarantinedIds = new Set(
+      presets
+        .filter((preset) => preset.quarantine && (preset.isActive || selectScheduledPreset([preset], now)))
+        .map((preset) => preset.id),
+    );
+
+    for (const candidate of candidates) {
+      const payload = await toActivePayload(candidate.record, candidate.source);
+      const quarantine = evaluateCircuitBreaker(summaries, candidate.record.id, payload.versionHash, policy);
+      if (!quarantine) {
+        await writeActivePresetCache(runtime, storeDomain, payload);
+        return payload;
+      }
+
+      console.warn('[backgroundPresets] Skipping preset that trips the circuit breaker', candidate.record.id, quarantine);
+      quarantinedIds.add(candidate.record.id);
+    }
 
-    if (!active) {
+    if (!quarantinedIds.size) {
       const status = updateTelemetry('fallback', 'no-active-preset');
       const payload: ActivePresetPayload = {
         ...getFallbackPreset(),
@@ -800,7 +1017,10 @@ export async function getActiveBackgroundPreset(
       return payload;
     }
 
-    const payload = await toActivePayload(active);
+    const [quarantinedId] = quarantinedIds;
+    const healthy = await findPreviousHealthyPayload(presets, quarantinedIds, summaries, policy);
+    const status = updateTelemetry('fallback', 'quarantined', quarantinedId);
+    const payload: ActivePresetPayload = healthy ? {...healthy, status} : {...getFallbackPreset(), status};
     await writeActivePresetCache(runtime, storeDomain, payload);
     return payload;
   } catch (error) {
@@ -851,11 +1071,37 @@ function buildMetaobjectFieldsFromInput(input: BackgroundPresetInput) {
     },
   ];
 
+  // Written on every save (like the calm fields) so clearing a schema or switching back to an
+  // iframe preset is persisted.
+  fields.push(
+    {key: 'param_schema', value: JSON.stringify(input.paramSchema ?? [])},
+    {key: 'param_values', value: JSON.stringify(input.paramValues ?? {})},
+    {key: 'render_kind', value: input.renderKind ?? 'iframe'},
+  );
+
+  // A stale scene reference is harmless once `render_kind` is back to `iframe`.
+  if (input.renderKind === 'scene' && input.scene) {
+    fields.push({key: 'scene', value: JSON.stringify(input.scene)});
+  }
+
   if (input.thumbnailUrl) {
     fields.push({key: 'thumbnail', value: input.thumbnailUrl});
   }
 
+  if (input.schedule) {
+    fields.push({key: 'schedule', value: JSON.stringify(input.schedule)});
+  }
+
   return fields;
 }
 
-export type {BackgroundTelemetry, ActivePresetPayload, BackgroundPresetRuntime};
+export type {
+  ActivationSource,
+  BackgroundTelemetry,
+  ActivePresetPayload,
+  BackgroundPresetRuntime,
+  MetaobjectNode,
+  MetaobjectEdgeList,
+  MetaobjectPayload,
+  MetaobjectMutationPayload,
+};
@@ -0,0 +1,129 @@
+// Render tokens for background preset telemetry.
+// `/api/backgrounds/active` hands each visitor a signed token naming the preset version it served,
+// a per-render nonce and a hashed client source. The telemetry endpoint only marks events as
+// trusted when they carry a matching token, and the circuit breaker only counts trusted events.
+import type {ServerEnv} from './env.server';
+import {createNonce, readSignedToken, signTokenPayload} from './backgroundAdminAuth.server';
+
+const RENDER_TOKEN_NAMESPACE = 'watermelon-background-render';
+const RENDER_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const UNKNOWN_SOURCE = 'unknown';
+const SOURCE_HASH_LENGTH = 16;
+const CLIENT_IP_HEADERS = ['oxygen-buyer-ip', 'cf-connecting-ip', 'x-forwarded-for'];
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_EVENTS = 30;
+// Bound the per-isolate limiter; expired windows are pruned once it grows past this.
+const RATE_LIMIT_MAX_SOURCES = 10_000;
+
+export type RenderTokenPayload = {
+  presetId: string;
+  versionHash: string;
+  /** Hashed client address the token was issued to. */
+  source: string;
+  nonce: string;
+  iat: number;
+  exp: number;
+  namespace: string;
+};
+
+/** Trust attached to a telemetry event whose render token checked out. */
+export type RenderTokenClaim = {
+  source: string;
+  nonce: string;
+};
+
+const encoder = new TextEncoder();
+
+const rateLimitWindows = new Map<string, {startedAt: number; count: number}>();
+
+function getRenderSecret(env: ServerEnv) {
+  return encoder.encode(`${env.SESSION_SECRET}:background-render`);
+}
+
+function readClientIp(request: Request): string | null {
+  for (const header of CLIENT_IP_HEADERS) {
+    const value = request.headers.get(header)?.split(',')[0]?.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Keyed hash of the client address, so telemetry can count distinct visitors without storing IPs.
+ */
+export async function resolveTelemetrySource(env: ServerEnv, request: Request): Promise<string> {
+  const ip = readClientIp(request);
+  if (!ip) return UNKNOWN_SOURCE;
+  const key = await crypto.subtle.importKey('raw', getRenderSecret(env), {name: 'HMAC', hash: 'SHA-256'}, false, [
+    'sign',
+  ]);
+  const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(ip)));
+  return Array.from(digest)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, SOURCE_HASH_LENGTH);
+}
+
+export async function issueRenderToken(
+  env: ServerEnv,
+  target: {presetId: string; versionHash: string; source: string},
+  now = Date.now(),
+): Promise<string> {
+  const payload: RenderTokenPayload = {
+    presetId: target.presetId,
+    versionHash: target.versionHash,
+    source: target.source,
+    nonce: createNonce(),
+    iat: now,
+    exp: now + RENDER_TOKEN_TTL_MS,
+    namespace: RENDER_TOKEN_NAMESPACE,
+  };
+  return signTokenPayload(getRenderSecret(env), payload);
+}
+
+/**
+ * Returns the claim when `token` was issued to `source` for this preset version, otherwise null.
+ */
+export async function verifyRenderToken(
+  env: ServerEnv,
+  token: unknown,
+  expected: {presetId: string; versionHash?: string; source: string},
+  now = Date.now(),
+): Promise<RenderTokenClaim | null> {
+  if (typeof token !== 'string' || !token) return null;
+  try {
+    const payload = await readSignedToken<RenderTokenPayload>(getRenderSecret(env), token, 'render token');
+    if (payload.namespace !== RENDER_TOKEN_NAMESPACE || payload.exp <= now) return null;
+    if (payload.presetId !== expected.presetId || payload.versionHash !== expected.versionHash) return null;
+    if (payload.source !== expected.source) return null;
+    return {source: payload.source, nonce: payload.nonce};
+  } catch (error) {
+    console.warn('[backgroundRenderTokens] Rejected render token', error);
+    return null;
+  }
+}
+
+/**
+ * Fixed-window limit per source for the public telemetry endpoint. Returns the seconds to wait
+ * when the source is over the limit, otherwise null.
+ */
+export function consumeTelemetryRateLimit(source: string, now = Date.now()): number | null {
+  if (rateLimitWindows.size > RATE_LIMIT_MAX_SOURCES) {
+    rateLimitWindows.forEach((entry, key) => {
+      if (now - entry.startedAt >= RATE_LIMIT_WINDOW_MS) rateLimitWindows.delete(key);
+    });
+  }
+
+  const entry = rateLimitWindows.get(source);
+  if (!entry || now - entry.startedAt >= RATE_LIMIT_WINDOW_MS) {
+    rateLimitWindows.set(source, {startedAt: now, count: 1});
+    return null;
+  }
+  if (entry.count >= RATE_LIMIT_MAX_EVENTS) {
+    return Math.ceil((entry.startedAt + RATE_LIMIT_WINDOW_MS - now) / 1000);
+  }
+  entry.count += 1;
+  return null;
+}
+
+export {RENDER_TOKEN_TTL_MS};
@@ -1,15 +1,49 @@
 /**
  * Client-side background renderer using iframe sandbox
- * Handles loading, error detection, timeout, and telemetry
+ * Handles loading, error detection, timeout, frame budget enforcement, and telemetry
  */
 
+import {
+  buildParamCssRule,
+  buildParamScript,
+  resolveParamValues,
+  type PresetParamSchema,
+  type PresetParamValues,
+} from './backgroundPresetParams';
+import {
+  buildBridgeScript,
+  connectBackgroundBridge,
+  type BackgroundBridge,
+  type BridgeEventMap,
+  type BridgeEventType,
+} from './backgroundBridge.client';
+
 type RendererState = 'idle' | 'loading' | 'loaded' | 'error' | 'timeout';
 
+type MotionProfile = 'full' | 'subtle' | 'static';
+
+type FrameBudget = {
+  minFps: number;
+  maxP95FrameMs: number;
+};
+
+type FrameBudgetMetrics = {
+  fps: number;
+  p95FrameMs: number;
+  longFrames: number;
+  sampleMs: number;
+  fromProfile: MotionProfile;
+  toProfile: MotionProfile;
+};
+
 type RendererEvent = {
-  type: 'load' | 'error' | 'timeout';
+  type: 'load' | 'error' | 'timeout' | 'degraded';
   presetId: string;
+  versionHash: string;
   timestamp: number;
   details?: string;
+  loadTimeMs?: number;
+  metrics?: FrameBudgetMetrics;
 };
 
 type RendererOptions = {
@@ -19,19 +53,268 @@ type RendererOptions = {
   js: string;
   presetId: string;
   versionHash: string;
+  /** Declared tunables, exposed as `--preset-*` custom properties and `window.__presetParams` */
+  paramSchema?: PresetParamSchema;
+  paramValues?: PresetParamValues;
+  /** Visitor's starting motion profile; degraded one step at a time when the frame budget is blown. */
+  motionProfile?: MotionProfile;
+  /** Per-profile frame budgets, or `false` to disable enforcement. */
+  frameBudgets?: FrameBudgets | false;
+  /** Forward storefront events into the sandbox via `window.__presetBridge`. Defaults to true. */
+  bridge?: boolean;
   loadTimeout?: number;
   onEvent?: (event: RendererEvent) => void;
+  /** Post events to the telemetry endpoint (feeds the server-side circuit breaker). Defaults to true. */
+  reportTelemetry?: boolean;
+  /** `renderToken` from `/api/backgrounds/active`; only events carrying it count toward the breaker. */
+  renderToken?: string;
 };
 
 const DEFAULT_LOAD_TIMEOUT = 5000; // 5 seconds
 const SANDBOX_PERMISSIONS = 'allow-scripts allow-same-origin';
+const TELEMETRY_ENDPOINT = '/api/backgrounds/telemetry';
+const FRAME_SAMPLE_MS = 2000;
+const LONG_FRAME_MS = 50;
+// Consecutive over-budget samples before stepping down, so a single GC pause does not degrade.
+const BUDGET_BREACHES_BEFORE_DEGRADE = 2;
+const FRAME_MESSAGE_TYPE = 'background-renderer-frames';
+const MOTION_MESSAGE_TYPE = 'background-renderer-motion';
+const DEFAULT_FRAME_BUDGETS: Record<Exclude<MotionProfile, 'static'>, FrameBudget> = {
+  full: {minFps: 45, maxP95FrameMs: 34},
+  subtle: {minFps: 30, maxP95FrameMs: 50},
+};
+const NEXT_MOTION_PROFILE: Record<MotionProfile, MotionProfile> = {
+  full: 'subtle',
+  subtle: 'static',
+  static: 'static',
+};
+
+type FrameBudgets = Partial<Record<Exclude<MotionProfile, 'static'>, FrameBudget>>;
+
+type FrameMonitorOptions = {
+  presetId: string;
+  versionHash: string;
+  /** Starting motion profile; the monitor steps it down when the budget is blown. */
+  motionProfile: MotionProfile;
+  /** Per-profile frame budgets, or `false` to only apply the motion profile. */
+  frameBudgets?: FrameBudgets | false;
+};
+
+type FrameBudgetMonitor = {
+  /** Feed a window `message` event; returns the degradation to report when the profile stepped down. */
+  handleMessage(event: MessageEvent): RendererEvent | null;
+  getMotionProfile(): MotionProfile;
+};
+
+/**
+ * Escape a value for a single-quoted string inside an inline script
+ */
+function escapeJs(text: string): string {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/<\/script/gi, '<\\/script');
+}
+
+/**
+ * Script run before the preset's JS. It wraps requestAnimationFrame so the parent can throttle
+ * (subtle: every other frame) or stop (static) preset animation, and reports frame timing
+ * samples measured with the native rAF.
+ */
+export function buildFrameMonitorScript(options: FrameMonitorOptions): string {
+  const {presetId, versionHash} = options;
+  const monitorFrames = options.frameBudgets !== false;
+  const sampler = monitorFrames
+    ? `var deltas = [];
+      var last = 0;
+      var windowStart = 0;
+      var resetSample = function() {
+        deltas = [];
+        last = 0;
+        windowStart = 0;
+      };
+      // rAF pauses in hidden tabs; the gap on return is not a slow frame.
+      document.addEventListener('visibilitychange', resetSample);
+      var sample = function(time) {
+        if (motion === 'static') return;
+        if (last) deltas.push(time - last);
+        last = time;
+        if (!windowStart) windowStart = time;
+        if (time - windowStart >= ${FRAME_SAMPLE_MS} && deltas.length) {
+          var sorted = deltas.slice().sort(function(a, b) { return a - b; });
+          var total = deltas.reduce(function(sum, delta) { return sum + delta; }, 0);
+          window.parent.postMessage({
+            type: '${FRAME_MESSAGE_TYPE}',
+            presetId: '${escapeJs(presetId)}',
+            versionHash: '${escapeJs(versionHash)}',
+            fps: deltas.length * 1000 / total,
+            p95FrameMs: sorted[Math.ceil(sorted.length * 0.95) - 1],
+            longFrames: deltas.filter(function(delta) { return delta > ${LONG_FRAME_MS}; }).length,
+            sampleMs: time - windowStart
+          }, '*');
+          deltas = [];
+          windowStart = time;
+        }
+        nativeRaf(sample);
+      };
+      nativeRaf(sample);`
+    : '';
+
+  return `(function() {
+      var nativeRaf = window.requestAnimationFrame.bind(window);
+      var nativeCaf = window.cancelAnimationFrame.bind(window);
+      var root = document.documentElement;
+      var motion = 'full';
+      var pending = {};
+      var nextId = 0;
+      var pauseStyle = null;
+
+      var applyMotion = function(profile) {
+        motion = profile;
+        // A document already in reduced-motion mode keeps that marker.
+        if (root.dataset.motion !== 'reduced') root.dataset.motion = profile;
+        window.__presetMotion = profile;
+        if (profile === 'static' && !pauseStyle) {
+          pauseStyle = document.createElement('style');
+          pauseStyle.textContent = '*,*::before,*::after{animation-play-state:paused!important;transition:none!important;}';
+          document.head.appendChild(pauseStyle);
+        }
+        window.dispatchEvent(new CustomEvent('presetmotionchange', {detail: profile}));
+      };
+
+      window.requestAnimationFrame = function(callback) {
+        var id = ++nextId;
+        if (motion === 'static') return id;
+        var framesLeft = motion === 'subtle' ? 2 : 1;
+        var tick = function(time) {
+          if (!(id in pending)) return;
+          framesLeft -= 1;
+          if (framesLeft > 0) {
+            pending[id] = nativeRaf(tick);
+            return;
+          }
+          delete pending[id];
+          callback(time);
+        };
+        pending[id] = nativeRaf(tick);
+        return id;
+      };
+      window.cancelAnimationFrame = function(id) {
+        if (id in pending) {
+          nativeCaf(pending[id]);
+          delete pending[id];
+        }
+      };
+
+      window.addEventListener('message', function(event) {
+        if (event.source !== window.parent || !event.data || event.data.type !== '${MOTION_MESSAGE_TYPE}') return;
+        if (['full', 'subtle', 'static'].indexOf(event.data.motionProfile) === -1) return;
+        applyMotion(event.data.motionProfile);
+      });
+      applyMotion('${escapeJs(options.motionProfile)}');
+
+      ${sampler}
+    })();`;
+}
+
+/**
+ * Parent half of the frame monitor: checks the sandbox's timing samples against the budget for
+ * the current profile and steps the iframe down one profile after repeated breaches.
+ */
+export function createFrameBudgetMonitor(iframe: HTMLIFrameElement, options: FrameMonitorOptions): FrameBudgetMonitor {
+  let motionProfile = options.motionProfile;
+  let budgetBreaches = 0;
+
+  const checkFrameBudget = (sample: Omit<FrameBudgetMetrics, 'fromProfile' | 'toProfile'>): RendererEvent | null => {
+    const {frameBudgets} = options;
+    if (frameBudgets === false || motionProfile === 'static') return null;
+
+    const budget = frameBudgets?.[motionProfile] ?? DEFAULT_FRAME_BUDGETS[motionProfile];
+    const overBudget = sample.fps < budget.minFps || sample.p95FrameMs > budget.maxP95FrameMs;
+    budgetBreaches = overBudget ? budgetBreaches + 1 : 0;
+    if (budgetBreaches < BUDGET_BREACHES_BEFORE_DEGRADE) return null;
+
+    const fromProfile = motionProfile;
+    const toProfile = NEXT_MOTION_PROFILE[fromProfile];
+    motionProfile = toProfile;
+    budgetBreaches = 0;
+    iframe.contentWindow?.postMessage({type: MOTION_MESSAGE_TYPE, motionProfile: toProfile}, '*');
+
+    const round = (value: number) => Math.round(value * 10) / 10;
+    return {
+      type: 'degraded',
+      presetId: options.presetId,
+      versionHash: options.versionHash,
+      timestamp: Date.now(),
+      details: `Frame budget exceeded (${round(sample.fps)} fps, p95 ${round(sample.p95FrameMs)}ms); ${fromProfile} → ${toProfile}`,
+      metrics: {
+        fps: round(sample.fps),
+        p95FrameMs: round(sample.p95FrameMs),
+        longFrames: sample.longFrames,
+        sampleMs: Math.round(sample.sampleMs),
+        fromProfile,
+        toProfile,
+      },
+    };
+  };
+
+  return {
+    handleMessage(event) {
+      if (event.source !== iframe.contentWindow) return null;
+      const message = event.data as Record<string, unknown> | null;
+      if (!message || message.type !== FRAME_MESSAGE_TYPE || message.versionHash !== options.versionHash) return null;
+
+      const fps = Number(message.fps);
+      const p95FrameMs = Number(message.p95FrameMs);
+      if (!Number.isFinite(fps) || !Number.isFinite(p95FrameMs)) return null;
+      return checkFrameBudget({
+        fps,
+        p95FrameMs,
+        longFrames: Number(message.longFrames) || 0,
+        sampleMs: Number(message.sampleMs) || 0,
+      });
+    },
+    getMotionProfile() {
+      return motionProfile;
+    },
+  };
+}
+
+/**
+ * Send a renderer event to the telemetry endpoint without blocking the page. `renderToken` comes
+ * from `/api/backgrounds/active`; only events carrying it count toward the circuit breaker.
+ */
+export function reportRendererEvent(event: RendererEvent, renderToken?: string): void {
+  const {type, ...rest} = event;
+  const body = JSON.stringify({event: type, ...rest, renderToken});
+  try {
+    if (typeof navigator.sendBeacon === 'function') {
+      navigator.sendBeacon(TELEMETRY_ENDPOINT, new Blob([body], {type: 'application/json'}));
+      return;
+    }
+    void fetch(TELEMETRY_ENDPOINT, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body,
+      keepalive: true,
+    }).catch(() => {});
+  } catch {
+    // Telemetry is best effort.
+  }
+}
 
 export class BackgroundRenderer {
   private iframe: HTMLIFrameElement | null = null;
   private container: HTMLElement;
   private state: RendererState = 'idle';
   private loadTimeoutId: number | null = null;
+  private renderStartedAt = 0;
   private options: RendererOptions;
+  private frameMonitor: FrameBudgetMonitor | null = null;
+  private bridge: BackgroundBridge | null = null;
 
   constructor(options: RendererOptions) {
     this.options = options;
@@ -44,6 +327,7 @@ export class BackgroundRenderer {
   public render(): void {
     this.cleanup();
     this.state = 'loading';
+    this.renderStartedAt = performance.now();
 
     // Create iframe
     this.iframe = document.createElement('iframe');
@@ -62,6 +346,8 @@ export class BackgroundRenderer {
     // Set up load/error handlers
     this.iframe.addEventListener('load', this.handleLoad);
     this.iframe.addEventListener('error', this.handleError);
+    window.addEventListener('message', this.handleMessage);
+    this.frameMonitor = createFrameBudgetMonitor(this.iframe, this.getFrameMonitorOptions());
 
     // Set timeout for load detection
     const timeout = this.options.loadTimeout ?? DEFAULT_LOAD_TIMEOUT;
@@ -72,6 +358,10 @@ export class BackgroundRenderer {
     
     // Append iframe and write content
     this.container.appendChild(this.iframe);
+    // Connected before the write so the sandbox's ready handshake is not missed
+    if (this.options.bridge !== false) {
+      this.bridge = connectBackgroundBridge(this.iframe);
+    }
     
     const iframeDoc = this.iframe.contentDocument;
     if (iframeDoc) {
@@ -92,6 +382,10 @@ export class BackgroundRenderer {
       this.loadTimeoutId = null;
     }
 
+    window.removeEventListener('message', this.handleMessage);
+    this.bridge?.dispose();
+    this.bridge = null;
+
     if (this.iframe) {
       this.iframe.removeEventListener('load', this.handleLoad);
       this.iframe.removeEventListener('error', this.handleError);
@@ -111,11 +405,33 @@ export class BackgroundRenderer {
     return this.state;
   }
 
+  /**
+   * Push an event to the preset's bridge subscribers (no-op when the bridge is disabled)
+   */
+  public sendToPreset<T extends BridgeEventType>(type: T, payload: BridgeEventMap[T]): void {
+    this.bridge?.send(type, payload);
+  }
+
+  /**
+   * Motion profile currently applied inside the sandbox (may be lower than requested after degrading)
+   */
+  public getMotionProfile(): MotionProfile {
+    return this.frameMonitor?.getMotionProfile() ?? this.options.motionProfile ?? 'full';
+  }
+
+  private getFrameMonitorOptions() {
+    const {presetId, versionHash, frameBudgets} = this.options;
+    // A re-render keeps any degradation already applied.
+    return {presetId, versionHash, frameBudgets, motionProfile: this.getMotionProfile()};
+  }
+
   /**
    * Build the HTML document for the iframe
    */
   private buildDocument(): string {
     const {html, css, js, presetId, versionHash} = this.options;
+    const paramSchema = this.options.paramSchema ?? [];
+    const paramValues = resolveParamValues(paramSchema, this.options.paramValues);
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -135,12 +451,16 @@ export class BackgroundRenderer {
       height: 100%;
       overflow: hidden;
     }
+    ${buildParamCssRule(paramSchema, paramValues)}
     ${css}
   </style>
 </head>
 <body>
   ${html}
   <script>
+    ${buildParamScript(paramValues)}
+    ${this.options.bridge !== false ? buildBridgeScript(window.location.origin) : ''}
+    ${buildFrameMonitorScript(this.getFrameMonitorOptions())}
     (function() {
       'use strict';
       try {
@@ -148,13 +468,13 @@ export class BackgroundRenderer {
         // Signal successful initialization
         window.parent.postMessage({
           type: 'background-renderer-ready',
-          presetId: '${this.escapeJs(presetId)}',
-          versionHash: '${this.escapeJs(versionHash)}'
+          presetId: '${escapeJs(presetId)}',
+          versionHash: '${escapeJs(versionHash)}'
         }, '*');
       } catch (error) {
         window.parent.postMessage({
           type: 'background-renderer-error',
-          presetId: '${this.escapeJs(presetId)}',
+          presetId: '${escapeJs(presetId)}',
           error: error.message
         }, '*');
       }
@@ -164,6 +484,14 @@ export class BackgroundRenderer {
 </html>`;
   }
 
+  /**
+   * Handle frame timing samples posted from the sandbox
+   */
+  private handleMessage = (event: MessageEvent): void => {
+    const degraded = this.frameMonitor?.handleMessage(event);
+    if (degraded) this.emitEvent(degraded);
+  };
+
   /**
    * Handle successful iframe load
    */
@@ -177,7 +505,9 @@ export class BackgroundRenderer {
     this.emitEvent({
       type: 'load',
       presetId: this.options.presetId,
+      versionHash: this.options.versionHash,
       timestamp: Date.now(),
+      loadTimeMs: Math.round(performance.now() - this.renderStartedAt),
     });
   };
 
@@ -196,6 +526,7 @@ export class BackgroundRenderer {
     this.emitEvent({
       type: 'error',
       presetId: this.options.presetId,
+      versionHash: this.options.versionHash,
       timestamp: Date.now(),
       details: message,
     });
@@ -211,6 +542,7 @@ export class BackgroundRenderer {
     this.emitEvent({
       type: 'timeout',
       presetId: this.options.presetId,
+      versionHash: this.options.versionHash,
       timestamp: Date.now(),
       details: `Load timeout after ${this.options.loadTimeout ?? DEFAULT_LOAD_TIMEOUT}ms`,
     });
@@ -229,6 +561,10 @@ export class BackgroundRenderer {
       detail: event,
     });
     window.dispatchEvent(customEvent);
+
+    if (this.options.reportTelemetry !== false) {
+      reportRendererEvent(event, this.options.renderToken);
+    }
   }
 
   /**
@@ -239,18 +575,6 @@ export class BackgroundRenderer {
     div.textContent = text;
     return div.innerHTML;
   }
-
-  /**
-   * Escape JavaScript string for embedding in script
-   */
-  private escapeJs(text: string): string {
-    return text
-      .replace(/\\/g, '\\\\')
-      .replace(/'/g, "\\'")
-      .replace(/"/g, '\\"')
-      .replace(/\n/g, '\\n')
-      .replace(/\r/g, '\\r');
-  }
 }
 
-export type {RendererState, RendererEvent, RendererOptions};
+export type {RendererState, RendererEvent, RendererOptions, MotionProfile, FrameBudget, FrameBudgetMetrics};
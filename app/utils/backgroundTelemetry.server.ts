@@ -0,0 +1,286 @@
+// Persistent render telemetry for background presets.
+// Events posted to `/api/backgrounds/telemetry` are appended to a pluggable storage adapter and
+// aggregated per presetId/versionHash for the admin health view.
+
+export type BackgroundRenderEventType = 'load' | 'error' | 'timeout' | 'degraded';
+
+type DegradeMotionProfile = 'full' | 'subtle' | 'static';
+
+/** Frame timing measured inside the sandbox when the renderer degraded a preset. */
+export type FrameBudgetMetrics = {
+  fps: number;
+  p95FrameMs: number;
+  longFrames: number;
+  sampleMs: number;
+  fromProfile: DegradeMotionProfile;
+  toProfile: DegradeMotionProfile;
+};
+
+export type BackgroundRenderEvent = {
+  event: BackgroundRenderEventType;
+  presetId: string;
+  versionHash?: string;
+  details?: string;
+  userAgent?: string;
+  loadTimeMs?: number;
+  metrics?: FrameBudgetMetrics;
+  timestamp: number;
+  /** Hashed client source and render nonce; set only when the event carried a valid render token. */
+  source?: string;
+  nonce?: string;
+};
+
+export type TelemetryStorageAdapter = {
+  name: string;
+  append(event: BackgroundRenderEvent): Promise<void>;
+  list(options?: {since?: number}): Promise<BackgroundRenderEvent[]>;
+};
+
+type LoadTimePercentiles = {
+  p50: number | null;
+  p90: number | null;
+  p99: number | null;
+};
+
+export type BackgroundTelemetrySummary = {
+  presetId: string;
+  versionHash: string;
+  /** Render outcomes (load/error/timeout); degradations are counted separately. */
+  total: number;
+  loads: number;
+  errors: number;
+  timeouts: number;
+  degradations: number;
+  /** Distinct verified sources reporting any outcome, and those reporting an error or timeout. */
+  sources: number;
+  failureSources: number;
+  errorRate: number;
+  timeoutRate: number;
+  loadTimeMs: LoadTimePercentiles;
+  lastEventAt: string;
+};
+
+const DEFAULT_EVENT_LIMIT = 5_000;
+const DEFAULT_SUMMARY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const UNKNOWN_VERSION = 'unknown';
+const VALID_EVENTS: BackgroundRenderEventType[] = ['load', 'error', 'timeout', 'degraded'];
+const MOTION_PROFILES: DegradeMotionProfile[] = ['full', 'subtle', 'static'];
+const MAX_DETAILS_LENGTH = 500;
+
+export function createMemoryTelemetryStorage(limit = DEFAULT_EVENT_LIMIT): TelemetryStorageAdapter {
+  const events: BackgroundRenderEvent[] = [];
+  return {
+    name: 'memory',
+    async append(event) {
+      events.push(event);
+      if (events.length > limit) {
+        events.splice(0, events.length - limit);
+      }
+    },
+    async list(options = {}) {
+      const since = options.since ?? 0;
+      return events.filter((event) => event.timestamp >= since);
+    },
+  };
+}
+
+/**
+ * JSON-lines file adapter for local development on the Node runtime.
+ * `node:fs` is imported lazily so Worker bundles never evaluate it. Like the memory adapter it keeps
+ * the newest `limit` events: the file is trimmed back to `limit` lines once it reaches twice that.
+ */
+export function createFileTelemetryStorage(filePath: string, limit = DEFAULT_EVENT_LIMIT): TelemetryStorageAdapter {
+  const loadFs = () => import(/* @vite-ignore */ 'node:fs/promises');
+  let lineCount: number | null = null;
+
+  const readLines = async () => {
+    const fs = await loadFs();
+    try {
+      return (await fs.readFile(filePath, 'utf8')).split('\n').filter((line) => line.trim());
+    } catch (error) {
+      if ((error as {code?: string}).code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    name: 'file',
+    async append(event) {
+      const fs = await loadFs();
+      await fs.appendFile(filePath, `${JSON.stringify(event)}\n`, 'utf8');
+      lineCount = lineCount === null ? (await readLines()).length : lineCount + 1;
+      if (lineCount < limit * 2) return;
+
+      const kept = (await readLines()).slice(-limit);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, `${kept.join('\n')}\n`, 'utf8');
+      await fs.rename(tempPath, filePath);
+      lineCount = kept.length;
+    },
+    async list(options = {}) {
+      const since = options.since ?? 0;
+      const events: BackgroundRenderEvent[] = [];
+      for (const line of (await readLines()).slice(-limit)) {
+        try {
+          const event = JSON.parse(line) as BackgroundRenderEvent;
+          if (event.timestamp >= since) events.push(event);
+        } catch {
+          // Skip partially written lines.
+        }
+      }
+      return events;
+    },
+  };
+}
+
+let storageAdapter: TelemetryStorageAdapter | null = null;
+
+/**
+ * Swap the storage backend (e.g. a KV or analytics adapter in production).
+ */
+export function setTelemetryStorage(adapter: TelemetryStorageAdapter) {
+  storageAdapter = adapter;
+}
+
+/**
+ * Resolve the configured adapter. `BACKGROUND_TELEMETRY_FILE` selects the file adapter;
+ * otherwise events stay in memory for the lifetime of the isolate.
+ */
+export function getTelemetryStorage(rawEnv?: Record<string, string | undefined>): TelemetryStorageAdapter {
+  if (storageAdapter) return storageAdapter;
+  const filePath = rawEnv?.BACKGROUND_TELEMETRY_FILE?.trim();
+  storageAdapter = filePath ? createFileTelemetryStorage(filePath) : createMemoryTelemetryStorage();
+  return storageAdapter;
+}
+
+function optionalString(value: unknown): string | undefined {
+  return typeof value === 'string' && value.trim() !== '' ? value : undefined;
+}
+
+function nonNegativeNumber(value: unknown): number | null {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function parseFrameBudgetMetrics(value: unknown): FrameBudgetMetrics | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+  const raw = value as Record<string, unknown>;
+  const fps = nonNegativeNumber(raw.fps);
+  const p95FrameMs = nonNegativeNumber(raw.p95FrameMs);
+  const longFrames = nonNegativeNumber(raw.longFrames);
+  const sampleMs = nonNegativeNumber(raw.sampleMs);
+  const fromProfile = raw.fromProfile as DegradeMotionProfile;
+  const toProfile = raw.toProfile as DegradeMotionProfile;
+  if (fps === null || p95FrameMs === null || longFrames === null || sampleMs === null) return undefined;
+  if (!MOTION_PROFILES.includes(fromProfile) || !MOTION_PROFILES.includes(toProfile)) return undefined;
+  return {fps, p95FrameMs, longFrames, sampleMs, fromProfile, toProfile};
+}
+
+/**
+ * Validate a client-posted payload; returns null when it cannot be recorded.
+ * Events are stamped with server time: the endpoint is public, and a client-chosen (e.g. future)
+ * timestamp would keep an event inside every summary and circuit-breaker window.
+ */
+export function parseRenderEvent(
+  payload: unknown,
+  userAgent?: string | null,
+  now = Date.now(),
+): BackgroundRenderEvent | null {
+  if (!payload || typeof payload !== 'object') return null;
+  const body = payload as Record<string, unknown>;
+  const event = body.event as BackgroundRenderEventType;
+  const presetId = optionalString(body.presetId);
+  if (!VALID_EVENTS.includes(event) || !presetId) return null;
+  const metrics = event === 'degraded' ? parseFrameBudgetMetrics(body.metrics) : undefined;
+  if (event === 'degraded' && !metrics) return null;
+
+  const loadTimeMs = typeof body.loadTimeMs === 'number' && Number.isFinite(body.loadTimeMs) && body.loadTimeMs >= 0
+    ? body.loadTimeMs
+    : undefined;
+
+  return {
+    event,
+    presetId,
+    versionHash: optionalString(body.versionHash),
+    details: optionalString(body.details)?.slice(0, MAX_DETAILS_LENGTH),
+    userAgent: optionalString(body.userAgent) ?? userAgent ?? undefined,
+    loadTimeMs,
+    metrics,
+    timestamp: now,
+  };
+}
+
+function percentile(sorted: number[], ratio: number): number | null {
+  if (!sorted.length) return null;
+  const rank = Math.ceil(ratio * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))]!;
+}
+
+export function summarizeRenderEvents(events: BackgroundRenderEvent[]): BackgroundTelemetrySummary[] {
+  const groups = new Map<string, {presetId: string; versionHash: string; events: BackgroundRenderEvent[]}>();
+
+  for (const event of events) {
+    const versionHash = event.versionHash ?? UNKNOWN_VERSION;
+    const key = `${event.presetId}|${versionHash}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = {presetId: event.presetId, versionHash, events: []};
+      groups.set(key, group);
+    }
+    group.events.push(event);
+  }
+
+  const summaries: BackgroundTelemetrySummary[] = [];
+  for (const group of groups.values()) {
+    const loads = group.events.filter((event) => event.event === 'load').length;
+    const errors = group.events.filter((event) => event.event === 'error').length;
+    const timeouts = group.events.filter((event) => event.event === 'timeout').length;
+    const degradations = group.events.filter((event) => event.event === 'degraded').length;
+    // Degradations follow a successful load, so they must not dilute the error/timeout rates.
+    const total = loads + errors + timeouts;
+    const loadTimes = group.events
+      .filter((event) => event.event === 'load' && typeof event.loadTimeMs === 'number')
+      .map((event) => event.loadTimeMs!)
+      .sort((a, b) => a - b);
+    const lastEventAt = group.events.reduce((latest, event) => Math.max(latest, event.timestamp), 0);
+    const outcomes = group.events.filter((event) => event.event !== 'degraded');
+    const sources = new Set(outcomes.map((event) => event.source).filter(Boolean));
+    const failureSources = new Set(
+      outcomes.filter((event) => event.event !== 'load').map((event) => event.source).filter(Boolean),
+    );
+
+    summaries.push({
+      presetId: group.presetId,
+      versionHash: group.versionHash,
+      total,
+      loads,
+      errors,
+      timeouts,
+      degradations,
+      sources: sources.size,
+      failureSources: failureSources.size,
+      errorRate: total ? errors / total : 0,
+      timeoutRate: total ? timeouts / total : 0,
+      loadTimeMs: {
+        p50: percentile(loadTimes, 0.5),
+        p90: percentile(loadTimes, 0.9),
+        p99: percentile(loadTimes, 0.99),
+      },
+      lastEventAt: new Date(lastEventAt).toISOString(),
+    });
+  }
+
+  return summaries.sort((a, b) => b.lastEventAt.localeCompare(a.lastEventAt));
+}
+
+export async function getRenderTelemetrySummary(
+  storage: TelemetryStorageAdapter,
+  options: {windowMs?: number; presetId?: string; now?: number} = {},
+): Promise<BackgroundTelemetrySummary[]> {
+  const now = options.now ?? Date.now();
+  const since = now - (options.windowMs ?? DEFAULT_SUMMARY_WINDOW_MS);
+  const events = await storage.list({since});
+  const filtered = options.presetId ? events.filter((event) => event.presetId === options.presetId) : events;
+  return summarizeRenderEvents(filtered);
+}
+
+export {DEFAULT_SUMMARY_WINDOW_MS};
@@ -0,0 +1,172 @@
+/**
+ * Client-side thumbnail capture for background presets
+ * Renders a preset offscreen through BackgroundRenderer, lets it animate for a few frames,
+ * then rasterizes the iframe document via an SVG foreignObject snapshot.
+ */
+
+import {BackgroundRenderer} from './backgroundRenderer.client';
+import type {PresetParamSchema, PresetParamValues} from './backgroundPresetParams';
+
+type ThumbnailCaptureOptions = {
+  html: string;
+  css: string;
+  js: string;
+  presetId: string;
+  versionHash?: string;
+  paramSchema?: PresetParamSchema;
+  paramValues?: PresetParamValues;
+  /** Animation frames to wait after load before snapshotting */
+  frames?: number;
+  width?: number;
+  height?: number;
+  /** JPEG quality 0-1 */
+  quality?: number;
+  loadTimeout?: number;
+};
+
+const DEFAULT_FRAMES = 30;
+const DEFAULT_WIDTH = 480;
+const DEFAULT_HEIGHT = 270;
+const DEFAULT_QUALITY = 0.82;
+const THUMBNAIL_MIME_TYPE = 'image/jpeg';
+
+function waitFrames(view: Window, frames: number): Promise<void> {
+  return new Promise((resolve) => {
+    let remaining = frames;
+    const tick = () => {
+      remaining -= 1;
+      if (remaining <= 0) {
+        resolve();
+        return;
+      }
+      view.requestAnimationFrame(tick);
+    };
+    view.requestAnimationFrame(tick);
+  });
+}
+
+function createOffscreenContainer(width: number, height: number): HTMLElement {
+  const container = document.createElement('div');
+  container.setAttribute('aria-hidden', 'true');
+  // Kept in the layout (not display:none) so the preset's own rAF loop keeps running.
+  container.style.cssText = `
+    position: fixed;
+    left: -${width * 2}px;
+    top: 0;
+    width: ${width}px;
+    height: ${height}px;
+    overflow: hidden;
+    pointer-events: none;
+  `;
+  document.body.appendChild(container);
+  return container;
+}
+
+/**
+ * Serialize the live iframe document. Canvases do not survive serialization,
+ * so each one is swapped for an <img> of its current pixels.
+ */
+function serializeDocument(doc: Document): string {
+  const clone = doc.documentElement.cloneNode(true) as HTMLElement;
+  const sourceCanvases = Array.from(doc.querySelectorAll('canvas'));
+  const clonedCanvases = Array.from(clone.querySelectorAll('canvas'));
+
+  clonedCanvases.forEach((canvas, index) => {
+    const source = sourceCanvases[index];
+    if (!source) return;
+    try {
+      const image = doc.createElement('img');
+      image.src = source.toDataURL('image/png');
+      image.setAttribute('style', canvas.getAttribute('style') ?? '');
+      image.width = source.clientWidth || source.width;
+      image.height = source.clientHeight || source.height;
+      canvas.replaceWith(image);
+    } catch {
+      // Tainted canvas; leave it blank in the snapshot.
+    }
+  });
+
+  clone.querySelectorAll('script').forEach((script) => script.remove());
+  clone.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+  return new XMLSerializer().serializeToString(clone);
+}
+
+function loadImage(src: string): Promise<HTMLImageElement> {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to rasterize background snapshot'));
+    image.src = src;
+  });
+}
+
+async function rasterize(doc: Document, width: number, height: number, quality: number): Promise<string> {
+  const markup = serializeDocument(doc);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+  const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Canvas 2D context unavailable');
+  }
+  const background = doc.defaultView?.getComputedStyle(doc.body).backgroundColor;
+  context.fillStyle = background && background !== 'rgba(0, 0, 0, 0)' ? background : '#0b1220';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return canvas.toDataURL(THUMBNAIL_MIME_TYPE, quality);
+}
+
+/**
+ * Render a preset offscreen and return a JPEG data URL of it after `frames` animation frames
+ */
+export function captureBackgroundThumbnail(options: ThumbnailCaptureOptions): Promise<string> {
+  const width = options.width ?? DEFAULT_WIDTH;
+  const height = options.height ?? DEFAULT_HEIGHT;
+  const container = createOffscreenContainer(width, height);
+  let renderer: BackgroundRenderer | null = null;
+
+  const teardown = () => {
+    renderer?.cleanup();
+    container.remove();
+  };
+
+  return new Promise<string>((resolve, reject) => {
+    renderer = new BackgroundRenderer({
+      container,
+      html: options.html,
+      css: options.css,
+      js: options.js,
+      presetId: options.presetId,
+      versionHash: options.versionHash ?? `thumbnail-${Date.now()}`,
+      paramSchema: options.paramSchema,
+      paramValues: options.paramValues,
+      loadTimeout: options.loadTimeout,
+      reportTelemetry: false,
+      frameBudgets: false,
+      bridge: false,
+      onEvent: (event) => {
+        if (event.type === 'degraded') return;
+        if (event.type !== 'load') {
+          reject(new Error(event.details ?? `Preset failed to render (${event.type})`));
+          return;
+        }
+        const iframe = container.querySelector('iframe');
+        const doc = iframe?.contentDocument;
+        const view = iframe?.contentWindow;
+        if (!doc || !view) {
+          reject(new Error('Preset document unavailable for capture'));
+          return;
+        }
+        waitFrames(view, options.frames ?? DEFAULT_FRAMES)
+          .then(() => rasterize(doc, width, height, options.quality ?? DEFAULT_QUALITY))
+          .then(resolve, reject);
+      },
+    });
+    renderer.render();
+  }).finally(teardown);
+}
+
+export type {ThumbnailCaptureOptions};
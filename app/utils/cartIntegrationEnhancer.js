@@ -46,19 +46,8 @@ export function enhanceCartIntegration() {
         console.log('🔄 Cart state changed:', currentState);
         lastCartState = currentState;
         
-        // Update content manager cache
-        if (window.contentManager) {
-          window.contentManager.clearCache();
-          console.log('🗑️ Cart cache cleared for fresh data');
-        }
-        
-        // Update 3D display if cart is currently shown
-        if (window.loadContentForItem && window.currentContentItem === 'Cart') {
-          window.loadContentForItem('Cart');
-          console.log('🎯 Cart display refreshed');
-        }
-        
-        // Dispatch custom event for other systems
+        // Dispatch custom event for other systems (the carousel clears its content cache and
+        // refreshes the cart view if shown)
         window.dispatchEvent(new CustomEvent('watermelon-cart-updated', {
           detail: { cartData: currentCartData, state: currentState }
         }));
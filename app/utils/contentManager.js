@@ -529,6 +529,34 @@ export class ContentManager {
   constructor() {
     this.contentCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.translator = null; // Translator from createCarouselTranslator; null keeps the English map
+  }
+
+  /**
+   * Resolve titles and descriptions for a locale. Cached content is per locale, so switching
+   * drops it.
+   * @param {import('../lib/i18n.js').Translator|null} translator
+   */
+  setTranslator(translator) {
+    this.translator = translator;
+    this.clearCache();
+  }
+
+  /**
+   * Copy of content built from a NUWUD_CONTENT_MAP entry with the map's title and description
+   * in the current locale. Fetchers keep the English entry, since handles derive from its title;
+   * text that came from Shopify is already localized and left alone.
+   */
+  localizeContent(itemTitle, contentInfo, contentData) {
+    if (!this.translator || !contentData) return contentData;
+    const localized = { ...contentData };
+    if (contentData.title === (contentInfo.title || itemTitle)) {
+      localized.title = this.translator.label(itemTitle);
+    }
+    if (contentInfo.description && contentData.description === contentInfo.description) {
+      localized.description = this.translator.description(itemTitle, contentInfo.description);
+    }
+    return localized;
   }
 
   /**
@@ -543,7 +571,7 @@ export class ContentManager {
     }
 
     // Check cache first
-    const cacheKey = `${contentInfo.type}_${itemTitle}`;
+    const cacheKey = `${contentInfo.type}_${itemTitle}_${this.translator?.key ?? ''}`;
     const cachedContent = this.contentCache.get(cacheKey);
     
     if (cachedContent && Date.now() - cachedContent.timestamp < this.cacheTimeout) {
@@ -573,6 +601,7 @@ export class ContentManager {
         default:
           contentData = this.createFallbackContent(itemTitle);
       }
+      contentData = this.localizeContent(itemTitle, contentInfo, contentData);
 
       // Cache the result
       this.contentCache.set(cacheKey, {
@@ -600,7 +629,7 @@ export class ContentManager {
     }
 
     // Return the basic info immediately (no async operations)
-    return {
+    return this.localizeContent(itemTitle, contentInfo, {
       type: contentInfo.type,
       title: contentInfo.title || itemTitle,
       description: contentInfo.description,
@@ -610,7 +639,7 @@ export class ContentManager {
       handle: contentInfo.handle,
       price: contentInfo.price,
       isSync: true // Flag to indicate this is sync data
-    };
+    });
   }
 
   async fetchPageContent(contentInfo) {
@@ -1287,10 +1316,13 @@ export class ContentManager {
    * Create fallback content when Shopify page is not found
    */
   createFallbackContent(itemTitle) {
+    const title = this.translator ? this.translator.label(itemTitle) : itemTitle;
     return {
       type: 'page',
-      title: itemTitle,
-      content: `Content for "${itemTitle}" is being prepared. Please check back soon!`,
+      title,
+      content: this.translator
+        ? this.translator.t('contentPreparing', {title})
+        : `Content for "${title}" is being prepared. Please check back soon!`,
       icon: '📄',
       timestamp: Date.now()
     };
@@ -5,6 +5,8 @@ export type ServerEnv = {
   // Optional: Admin API for background presets feature
   PRIVATE_SHOPIFY_ADMIN_TOKEN?: string;
   BACKGROUND_ADMIN_KEY?: string;
+  // Optional: JSON list of named admin identities with their own keys and scopes
+  BACKGROUND_ADMIN_IDENTITIES?: string;
 };
 
 function requireEnv(name: string, value: string | undefined): string {
@@ -44,5 +46,6 @@ export function getEnvServer(
     // Optional admin keys - background presets feature will be disabled without them
     PRIVATE_SHOPIFY_ADMIN_TOKEN: optionalEnv(resolveValue('PRIVATE_SHOPIFY_ADMIN_TOKEN')),
     BACKGROUND_ADMIN_KEY: optionalEnv(resolveValue('BACKGROUND_ADMIN_KEY')),
+    BACKGROUND_ADMIN_IDENTITIES: optionalEnv(resolveValue('BACKGROUND_ADMIN_IDENTITIES')),
   };
 }
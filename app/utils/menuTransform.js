@@ -36,6 +36,170 @@ export function transformShopifyMenuForCarousel(menuData) {
   return { items, submenus };
 }
 
+/**
+ * Pairs a menu fetched in the default language with the same menu fetched in the visitor's
+ * language (by item id), so the carousel keeps default-language titles as keys and shows the
+ * titles translated in Shopify.
+ * @param {Object} defaultMenuData - Raw Shopify menu data in the default language
+ * @param {Object} localizedMenuData - The same menu queried with the visitor's language
+ * @returns {Object<string, string>} Default-language title -> translated title (only titles
+ *   that differ)
+ */
+export function collectMenuLabels(defaultMenuData, localizedMenuData) {
+  const localizedTitles = new Map();
+  const collect = (items = []) => items.forEach((item) => {
+    localizedTitles.set(item.id, item.title);
+    collect(item.items);
+  });
+  collect(localizedMenuData?.menu?.items);
+
+  const labels = {};
+  const pair = (items = []) => items.forEach((item) => {
+    const translated = localizedTitles.get(item.id);
+    if (translated && translated !== item.title) labels[item.title] = translated;
+    pair(item.items);
+  });
+  pair(defaultMenuData?.menu?.items);
+  return labels;
+}
+
+/** Metaobject type merchandisers use to give menu items their 3D look. */
+export const MENU_3D_METAOBJECT_TYPE = 'menu_item_3d';
+
+/**
+ * Lowercase, hyphenated form of a title, as used for menu item ids and metaobject handles
+ * ("My Library" -> "my-library")
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugifyMenuTitle(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads `menu_item_3d` metaobjects into a lookup of 3D metadata. Each is keyed by its
+ * `menu_item` field (an item title, or a path like "Gallery / Photos" to target one branch),
+ * falling back to its handle (the slugified item title).
+ * @param {Array<Object>} nodes - Storefront API metaobject nodes
+ * @returns {Map<string, Object>} Slug or slug path ("gallery/photos") -> metadata
+ */
+export function collectMenuMetadata(nodes = []) {
+  const metadata = new Map();
+  nodes.forEach((node) => {
+    const fields = Object.fromEntries((node.fields ?? []).map((field) => [field.key, field]));
+    const value = (key) => fields[key]?.value?.trim() || null;
+    const modelReference = fields.model_3d?.reference;
+    const modelSource = modelReference?.sources?.find((source) => source.format === 'glb') ?? modelReference?.sources?.[0];
+    const modelUrl = modelReference?.url ?? modelSource?.url ?? null;
+    const shape = value('shape');
+
+    const entry = {
+      icon: value('icon'),
+      shape,
+      color: value('color'),
+      // Only a referenced file becomes `model3D`; a bare `shape` stays a submenu icon hint.
+      model3D: modelUrl ? {type: shape, glbPath: modelUrl} : null,
+    };
+    const target = value('menu_item');
+    const key = target
+      ? target.split(/\s*[/>›]\s*/).map(slugifyMenuTitle).filter(Boolean).join('/')
+      : node.handle;
+    if (key) metadata.set(key, entry);
+  });
+  return metadata;
+}
+
+/**
+ * Relative path for links inside the shop, absolute URL otherwise
+ * @private
+ */
+function toMenuUrl(url, internalHosts) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname.endsWith('myshopify.com') || internalHosts.includes(parsed.hostname)) {
+      return `${parsed.pathname}${parsed.search}${parsed.hash}`;
+    }
+  } catch {
+    // Already relative
+  }
+  return url;
+}
+
+/**
+ * Builds the carousel's menu structure (the `nuwud-menu-structure-final.json` format read by
+ * `parseMenuTree` in utils/menuTreeManager.js) from a Shopify menu, keeping every level, link
+ * targets and resource ids, and merging in `menu_item_3d` metaobject metadata (icon, shape,
+ * model3D, color). Run it on the default-language menu: its titles are the carousel's keys.
+ * @param {Object} menuResult - MENU_3D_QUERY result (`menu`, `shop`, optional `metaobjects`)
+ * @param {Object} [options]
+ * @param {string} [options.publicStoreDomain] - Also treated as an internal link host
+ * @returns {Object|null} `{menuName, source: 'shopify', menu: [...]}`, or null without a menu
+ */
+export function buildMenuStructure(menuResult, {publicStoreDomain} = {}) {
+  if (!menuResult?.menu?.items?.length) {
+    console.warn('[MenuTransform] No Shopify menu items to build the menu structure from');
+    return null;
+  }
+
+  const internalHosts = [publicStoreDomain, menuResult.shop?.primaryDomain?.url]
+    .filter(Boolean)
+    .map((host) => (host.includes('://') ? new URL(host).hostname : host));
+  const metadata = collectMenuMetadata(menuResult.metaobjects?.nodes);
+
+  const toNode = (item, parentPath) => {
+    const slug = slugifyMenuTitle(item.title);
+    const path = [...parentPath, slug];
+    const meta = metadata.get(path.join('/')) ?? metadata.get(slug) ?? {};
+    const node = {
+      id: item.id,
+      label: item.title,
+      url: toMenuUrl(item.url, internalHosts),
+      type: item.type ?? null,
+      resourceId: item.resourceId ?? null,
+      resourceType: item.resource?.__typename ?? null,
+      handle: item.resource?.handle ?? null,
+      tags: item.tags ?? [],
+      icon: meta.icon ?? null,
+      shape: meta.shape ?? null,
+      color: meta.color ?? null,
+      model3D: meta.model3D ?? null,
+    };
+    if (item.items?.length) node.submenu = item.items.map((child) => toNode(child, path));
+    return node;
+  };
+
+  return {
+    menuName: menuResult.menu.title || menuResult.shop?.name || 'Main Menu',
+    source: 'shopify',
+    menu: menuResult.menu.items.map((item) => toNode(item, [])),
+  };
+}
+
+/**
+ * Flattens a menu structure to the carousel's `{items, submenus}` (main items and their direct
+ * children); deeper levels are opened from the menu tree.
+ * @param {Object} menuStructure - From buildMenuStructure
+ * @returns {Object} `{items, submenus}`
+ */
+export function menuStructureToCarouselData(menuStructure) {
+  const items = [];
+  const submenus = {};
+  menuStructure.menu.forEach((node) => {
+    items.push(node.label);
+    // Items without children get a minimal submenu with the item itself, as in
+    // transformShopifyMenuForCarousel
+    submenus[node.label] = node.submenu?.length ? node.submenu.map((child) => child.label) : [node.label];
+  });
+  return {items, submenus};
+}
+
 /**
  * Creates fallback menu data with enhanced structure for testing
  * @returns {Object} - Default menu structure for carousel
@@ -4,8 +4,11 @@
  * Maintains navigation history for back navigation
  */
 
+import { slugifyMenuTitle } from './menuTransform.js';
+
 /**
  * Parse the nuwud-menu-structure-final.json into a navigation-ready tree
+ * (or the same structure built from the Shopify menu, see buildMenuStructure in menuTransform.js)
  * @param {Object} menuStructure - Raw JSON menu structure
  * @returns {Object} Parsed menu tree with navigation helpers
  */
@@ -42,16 +45,35 @@ export function parseMenuTree(menuStructure) {
 }
 
 /**
- * Recursively parse a menu item and its children
+ * Recursively parse a menu item and its children.
+ * Items without an id get their slug path ("gallery/photos"), so the id is the same on every load;
+ * `npm run validate:menu` reports missing and duplicate ids in the menu files.
  */
 function parseMenuItem(item, parent, depth, tree) {
+  let id = item.id;
+  if (!id) {
+    id = [parent.depth > 0 ? parent.id : null, slugifyMenuTitle(item.label)].filter(Boolean).join('/');
+    console.warn(`[MenuTree] Menu item "${item.label}" has no id, using "${id}"`);
+  }
+  if (tree.nodeMap.has(id)) {
+    console.warn(`[MenuTree] Duplicate menu item id "${id}" ("${item.label}"), lookups by id return the last one`);
+  }
+
   const node = {
-    id: item.id || `item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    id,
     label: item.label,
     url: item.url || null,
     description: item.description || null,
     model3D: item.model3D || null,
     productType: item.productType || null,
+    // Shopify menus: link target and `menu_item_3d` metaobject look
+    type: item.type || null,
+    resourceId: item.resourceId || null,
+    resourceType: item.resourceType || null,
+    handle: item.handle || null,
+    icon: item.icon || null,
+    shape: item.shape || null,
+    color: item.color || null,
     parent,
     depth,
     children: [],
@@ -107,6 +129,21 @@ export function getNodeByLabel(menuTree, label) {
   return menuTree.labelMap.get(label) || null;
 }
 
+/**
+ * Walk the tree along a path of labels (main item first), so labels repeated in different
+ * branches resolve to the right node
+ * @param {Object} menuTree - Parsed menu tree
+ * @param {string[]} labels - Labels from the main item down to the target
+ * @returns {Object|null} Node data or null
+ */
+export function getNodeByPath(menuTree, labels) {
+  let node = menuTree?.root ?? null;
+  for (const label of labels) {
+    node = node?.children.find(child => child.label === label) ?? null;
+  }
+  return node === menuTree?.root ? null : node;
+}
+
 /**
  * Get breadcrumb path from root to a node
  * @param {Object} node - The target node
@@ -191,6 +228,128 @@ export class NavigationHistory {
     const current = this.peek();
     this.listeners.forEach(cb => cb(current, this.stack));
   }
+
+  /**
+   * Mirror carousel state into the URL hash and replay browser back/forward.
+   * Opening or closing a submenu level (including pushes/pops on this history) adds a browser
+   * history entry; selection and scatter changes replace the current one.
+   * @param {Object} options
+   * @param {function(): CarouselUrlState} options.getState - Current carousel state
+   * @param {function(CarouselUrlState): Promise<void>} options.applyState - Animate the carousel to a state
+   * @returns {{commit: function(): void, restore: function(): Promise<void>, dispose: function(): void}}
+   */
+  bindBrowserHistory({ getState, applyState }) {
+    let committed = getState();
+    let restoring = null;
+    let pending = null;
+
+    const commit = () => {
+      if (restoring) return;
+      const state = getState();
+      const hash = buildCarouselHash(state);
+      if (hash === window.location.hash) {
+        committed = state;
+        return;
+      }
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      // Keep the router's own history.state (key/index) on our entries
+      if (isStructuralChange(committed, state)) {
+        window.history.pushState(window.history.state, '', url);
+      } else {
+        window.history.replaceState(window.history.state, '', url);
+      }
+      committed = state;
+    };
+
+    // Apply the URL's state; a back/forward arriving mid-restore is applied once it finishes
+    const restore = async () => {
+      const target = parseCarouselHash(window.location.hash);
+      if (!target) return;
+      if (restoring) {
+        pending = target;
+        return;
+      }
+      restoring = target;
+      try {
+        await applyState(target);
+      } catch (error) {
+        console.warn('[MenuTree] Failed to restore carousel state from URL:', error);
+      } finally {
+        restoring = null;
+        committed = getState();
+      }
+      if (pending) {
+        pending = null;
+        await restore();
+      }
+    };
+
+    const unsubscribe = this.onNavigate(commit);
+    window.addEventListener('popstate', restore);
+
+    return {
+      commit,
+      restore,
+      dispose() {
+        unsubscribe();
+        window.removeEventListener('popstate', restore);
+      },
+    };
+  }
+}
+
+/**
+ * @typedef {Object} CarouselUrlState
+ * @property {string|null} item - Selected main carousel label
+ * @property {boolean} submenu - Whether the selected item's submenu is open
+ * @property {string[]} nested - Labels of submenu items opened as nested submenus, outermost first
+ * @property {string|null} child - Selected item in the innermost open submenu
+ * @property {boolean} scatter - Whether the ring is scattered
+ */
+
+const HASH_KEYS = ['menu', 'submenu', 'nested', 'child', 'scatter'];
+
+/**
+ * Read carousel state from a URL hash such as `#menu=Shop&submenu=1&child=Gallery`
+ * @param {string} hash - `location.hash`
+ * @returns {CarouselUrlState|null} Null when the hash holds no carousel state
+ */
+export function parseCarouselHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (!HASH_KEYS.some(key => params.has(key))) return null;
+
+  const submenu = params.get('submenu') === '1';
+  return {
+    item: params.get('menu') || null,
+    submenu,
+    nested: submenu ? params.getAll('nested').filter(Boolean) : [],
+    child: submenu ? params.get('child') || null : null,
+    scatter: params.get('scatter') === '1',
+  };
+}
+
+/**
+ * Build the URL hash for a carousel state (labels are URL-encoded; nested levels repeat `nested`)
+ * @param {CarouselUrlState} state
+ * @returns {string} Hash including the leading `#`, or '' for an empty state
+ */
+export function buildCarouselHash(state) {
+  const params = new URLSearchParams();
+  if (state.item) params.set('menu', state.item);
+  if (state.submenu) {
+    params.set('submenu', '1');
+    state.nested.forEach(label => params.append('nested', label));
+    if (state.child) params.set('child', state.child);
+  }
+  if (state.scatter) params.set('scatter', '1');
+  const query = params.toString();
+  return query ? `#${query}` : '';
+}
+
+function isStructuralChange(previous, next) {
+  return previous.submenu !== next.submenu ||
+    previous.nested.length !== next.nested.length ||
+    previous.nested.some((label, i) => label !== next.nested[i]);
 }
 
 /**
@@ -219,22 +378,22 @@ let globalMenuTree = null;
 
 /**
  * Initialize the global menu tree
+ * @param {Object} [menuStructure] - Structure loaded on the server from the Shopify menu; without
+ *   it the static nuwud-menu-structure-final.json is fetched
  */
-export async function initializeMenuTree() {
-  if (globalMenuTree) return globalMenuTree;
-
-  try {
-    const response = await fetch('/nuwud-menu-structure-final.json');
-    const menuStructure = await response.json();
+export async function initializeMenuTree(menuStructure = null) {
+  if (menuStructure) {
     globalMenuTree = parseMenuTree(menuStructure);
-  } catch (error) {
-    console.warn('[MenuTree] Failed to load menu structure:', error);
-    globalMenuTree = getDefaultMenuTree();
-  }
-
-  // Expose globally for debugging
-  if (typeof window !== 'undefined') {
-    window.menuTree = globalMenuTree;
+  } else if (globalMenuTree) {
+    return globalMenuTree;
+  } else {
+    try {
+      const response = await fetch('/nuwud-menu-structure-final.json');
+      globalMenuTree = parseMenuTree(await response.json());
+    } catch (error) {
+      console.warn('[MenuTree] Failed to load menu structure:', error);
+      globalMenuTree = getDefaultMenuTree();
+    }
   }
 
   return globalMenuTree;
@@ -250,22 +409,36 @@ export function getMenuTree() {
 // Global navigation history instance
 let globalNavHistory = null;
 
+/**
+ * Get the global navigation history (null until initializeMenuTreeWithAPI resolves)
+ */
+export function getNavigationHistory() {
+  return globalNavHistory;
+}
+
+/**
+ * Find a child of the submenu currently on screen.
+ * Once nested levels are open the lookup starts from the deepest one, so labels repeated in
+ * different branches (e.g. "Overview") resolve to the branch being browsed.
+ * @param {string} parentLabel - Main carousel item owning the submenu
+ * @param {string} childLabel - Label of the submenu item
+ * @returns {Object|null} Tree node
+ */
+function resolveSubmenuNode(parentLabel, childLabel) {
+  if (!globalMenuTree) return null;
+  const parentNode = globalNavHistory?.peek()?.node ?? globalMenuTree.labelMap.get(parentLabel);
+  return parentNode?.children.find(c => c.label === childLabel) ?? null;
+}
+
 /**
  * Create the public API for menu tree operations
- * This is what's exposed as window.menuTree for use in main.client.js
+ * Shared through getMenuTreeAPI; main.client.js mirrors it to window.menuTree behind the debug flag
  */
 function createMenuTreeAPI() {
   return {
-    // Get children of a submenu item (for nested navigation)
+    // Get children of a submenu item (for nested navigation, at any depth)
     getChildrenOf(parentLabel, childLabel) {
-      if (!globalMenuTree) return null;
-      
-      // Find the parent node first
-      const parentNode = globalMenuTree.labelMap.get(parentLabel);
-      if (!parentNode) return null;
-      
-      // Find the child node within parent's children
-      const childNode = parentNode.children.find(c => c.label === childLabel);
+      const childNode = resolveSubmenuNode(parentLabel, childLabel);
       if (!childNode || !childNode.children || childNode.children.length === 0) {
         return null;
       }
@@ -274,10 +447,15 @@ function createMenuTreeAPI() {
       return childNode.children.map(c => c.label);
     },
     
+    // Full node of a submenu item (3D metadata, url, resource), resolved like getChildrenOf
+    getNodeOf(parentLabel, childLabel) {
+      return resolveSubmenuNode(parentLabel, childLabel);
+    },
+    
     // Navigation tracking
     pushNavigation(parentLabel, childLabel) {
       if (!globalNavHistory) return;
-      const node = globalMenuTree?.labelMap.get(childLabel);
+      const node = resolveSubmenuNode(parentLabel, childLabel);
       if (node) {
         globalNavHistory.push({ parentLabel, childLabel, node });
       }
@@ -315,16 +493,20 @@ function createMenuTreeAPI() {
   };
 }
 
-// Override initializeMenuTree to use the new API
-const originalInitialize = initializeMenuTree;
-export async function initializeMenuTreeWithAPI() {
-  await originalInitialize();
+const menuTreeAPI = createMenuTreeAPI();
+
+/**
+ * Menu tree operations (children, 3D metadata, navigation history) over the global tree.
+ * Every method is safe to call before initializeMenuTreeWithAPI resolves.
+ */
+export function getMenuTreeAPI() {
+  return menuTreeAPI;
+}
+
+// Initialize the tree and start a fresh navigation history
+export async function initializeMenuTreeWithAPI(menuStructure = null) {
+  await initializeMenuTree(menuStructure);
   globalNavHistory = new NavigationHistory();
   
-  // Replace with API object
-  if (typeof window !== 'undefined') {
-    window.menuTree = createMenuTreeAPI();
-  }
-  
   return globalMenuTree;
 }
@@ -207,6 +207,10 @@ export default [
     plugins: {
       jest,
     },
+    settings: {
+      // Tests run on Vitest (Jest-compatible API); jest itself is not installed to detect.
+      jest: {version: 29},
+    },
     languageOptions: {
       globals: {
         ...globals.node,
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+// Menu structure validation
+// Checks nuwud-menu-structure*.json against nuwud-menu-structure.schema.json, then for:
+// - duplicate ids (anywhere in the tree) and duplicate labels among siblings
+// - submenu items with no NUWUD_CONTENT_MAP entry (they only get fallback content)
+// - model3D.glbPath files missing from public/
+// Older formats (`menuStructure.items` with shape3D/iconType, or carousel `items` + `submenus`)
+// are validated as their migrated form; --migrate rewrites them in the current format.
+//
+// Usage: node scripts/validate-menu-structure.mjs [files...] [--json] [--strict] [--migrate]
+//   --json     Machine-readable report on stdout (for CI)
+//   --strict   Fail on warnings too
+//   --migrate  Write older formats back in the current format
+// Exit code: 0 valid, 1 errors (or warnings with --strict), 2 usage error
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NUWUD_CONTENT_MAP } from '../app/utils/contentManager.js';
+import { slugifyMenuTitle } from '../app/utils/menuTransform.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..');
+const SCHEMA_FILE = 'nuwud-menu-structure.schema.json';
+const FILE_PATTERN = /^nuwud-menu-structure.*\.json$/;
+
+const args = process.argv.slice(2);
+const options = {
+  json: args.includes('--json'),
+  strict: args.includes('--strict'),
+  migrate: args.includes('--migrate'),
+};
+const unknown = args.filter((arg) => arg.startsWith('--') && !['--json', '--strict', '--migrate'].includes(arg));
+if (unknown.length) {
+  console.error(`Unknown option ${unknown.join(', ')}. Usage: validate-menu-structure.mjs [files...] [--json] [--strict] [--migrate]`);
+  process.exit(2);
+}
+
+// ---------------------------------------------------------------------------
+// Schema: the draft-07 keywords nuwud-menu-structure.schema.json uses
+// ---------------------------------------------------------------------------
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+}
+
+function checkSchema(value, schema, root, pointer, errors) {
+  if (schema.$ref) return checkSchema(value, resolveRef(root, schema.$ref), root, pointer, errors);
+  const at = pointer || '/';
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => {
+      const optionErrors = [];
+      checkSchema(value, option, root, pointer, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (matches.length !== 1) {
+      // Report why the closest non-null option failed
+      const option = schema.oneOf.find((o) => o.type !== 'null') ?? schema.oneOf[0];
+      if (matches.length === 0) checkSchema(value, option, root, pointer, errors);
+      else errors.push({ path: at, message: 'matches more than one allowed shape' });
+    }
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${actual}` });
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, root, `${pointer}/${index}`, errors));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push({ path: at, message: `missing required "${key}"` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        checkSchema(child, childSchema, root, `${pointer}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${pointer}/${key}`, message: `unknown property "${key}"` });
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Migration from older formats
+// ---------------------------------------------------------------------------
+
+function detectFormat(data) {
+  if (Array.isArray(data?.menu)) return 'current';
+  if (Array.isArray(data?.menuStructure?.items)) return 'legacy-menu-structure';
+  if (Array.isArray(data?.items) && data?.submenus && typeof data.submenus === 'object') return 'carousel-data';
+  return 'unknown';
+}
+
+function toRelativeUrl(url, shopifyDomain) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname === shopifyDomain || parsed.hostname.endsWith('.myshopify.com')) {
+      return `${parsed.pathname}${parsed.search}${parsed.hash}`;
+    }
+  } catch {
+    // Already relative
+  }
+  return url;
+}
+
+// Ids missing from older files are the slug path, as parseMenuTree derives them
+function migrateLegacyItem(item, parentId, shopifyDomain) {
+  const id = item.id || [parentId, slugifyMenuTitle(item.label)].filter(Boolean).join('/');
+  const { floatingPreview, ...metafields } = item.metafields ?? {};
+  const migrated = {
+    id,
+    label: item.label,
+    url: toRelativeUrl(item.url, shopifyDomain),
+  };
+  if (item.description) migrated.description = item.description;
+  if (item.shape3D || floatingPreview) {
+    migrated.model3D = {
+      type: item.shape3D ?? null,
+      glbPath: floatingPreview
+        ? (/^(https?:)?\/\//.test(floatingPreview) || floatingPreview.startsWith('/') ? floatingPreview : `/assets/models/${floatingPreview}`)
+        : `/assets/models/${item.shape3D}.glb`,
+    };
+  }
+  if (item.iconType) migrated.icon = item.iconType;
+  if (Object.keys(metafields).length) migrated.metafields = metafields;
+  if (item.submenu?.length) {
+    migrated.submenu = item.submenu.map((child) => migrateLegacyItem(child, id, shopifyDomain));
+  }
+  return migrated;
+}
+
+function migrate(data, format) {
+  if (format === 'legacy-menu-structure') {
+    const { metadata = {}, items } = data.menuStructure;
+    const shopifyDomain = items.map((item) => {
+      try {
+        return new URL(item.url).hostname;
+      } catch {
+        return null;
+      }
+    }).find(Boolean);
+    return {
+      $schema: `./${SCHEMA_FILE}`,
+      menuName: metadata.name || 'Main Menu',
+      ...(shopifyDomain && { shopifyDomain }),
+      ...(metadata.version && { version: metadata.version }),
+      lastUpdated: new Date().toISOString().slice(0, 10),
+      ...(metadata.description && { description: metadata.description }),
+      menu: items.map((item) => migrateLegacyItem(item, null, shopifyDomain)),
+    };
+  }
+  if (format === 'carousel-data') {
+    return {
+      $schema: `./${SCHEMA_FILE}`,
+      menuName: 'Main Menu',
+      lastUpdated: new Date().toISOString().slice(0, 10),
+      menu: data.items.map((label) => {
+        const id = slugifyMenuTitle(label);
+        // A submenu holding only the item itself means "no children" (transformShopifyMenuForCarousel)
+        const children = (data.submenus[label] ?? []).filter((child) => child !== label);
+        return {
+          id,
+          label,
+          ...(children.length && {
+            submenu: children.map((child) => ({ id: `${id}/${slugifyMenuTitle(child)}`, label: child })),
+          }),
+        };
+      }),
+    };
+  }
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// Menu checks
+// ---------------------------------------------------------------------------
+
+async function fileExists(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function checkMenu(data, report) {
+  const ids = new Map();
+  const missingContent = [];
+  const models = [];
+
+  const walk = (items, pointer, depth) => {
+    const siblings = new Map();
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') return;
+      const at = `${pointer}/${index}`;
+
+      if (typeof item.id === 'string') {
+        if (ids.has(item.id)) {
+          report.errors.push({ code: 'duplicate-id', path: at, message: `id "${item.id}" is also used at ${ids.get(item.id)}` });
+        } else {
+          ids.set(item.id, at);
+        }
+      }
+      if (typeof item.label === 'string') {
+        if (siblings.has(item.label)) {
+          report.errors.push({ code: 'duplicate-label', path: at, message: `label "${item.label}" is also used by a sibling at ${siblings.get(item.label)}` });
+        } else {
+          siblings.set(item.label, at);
+        }
+      }
+
+      const children = Array.isArray(item.submenu) ? item.submenu : [];
+      // Items that open content: submenu leaves, and top-level items without a submenu
+      // (the carousel gives those a submenu of themselves)
+      if (!children.length && item.label && !NUWUD_CONTENT_MAP[item.label]) {
+        missingContent.push({ path: at, label: item.label, depth });
+      }
+      if (item.model3D?.glbPath) models.push({ path: `${at}/model3D/glbPath`, glbPath: item.model3D.glbPath });
+
+      if (children.length) walk(children, `${at}/submenu`, depth + 1);
+    });
+  };
+  walk(Array.isArray(data.menu) ? data.menu : [], '/menu', 1);
+
+  for (const { path: at, label } of missingContent) {
+    report.warnings.push({ code: 'missing-content', path: at, message: `"${label}" has no NUWUD_CONTENT_MAP entry and will show fallback content` });
+  }
+
+  for (const { path: at, glbPath } of models) {
+    if (/^(https?:)?\/\//.test(glbPath)) continue;
+    const file = path.join(repoRoot, 'public', glbPath.split(/[?#]/)[0]);
+    if (!(await fileExists(file))) {
+      report.warnings.push({ code: 'missing-model', path: at, message: `${glbPath} not found in public/` });
+    }
+  }
+}
+
+async function validateFile(file, schema) {
+  const report = {
+    file: path.relative(repoRoot, file),
+    format: null,
+    migrated: false,
+    errors: [],
+    warnings: [],
+  };
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    report.errors.push({ code: 'unreadable', path: '/', message: error.message });
+    return report;
+  }
+
+  report.format = detectFormat(data);
+  if (report.format === 'unknown') {
+    report.errors.push({ code: 'unknown-format', path: '/', message: 'expected a "menu" array (or an older "menuStructure.items" / carousel "items" + "submenus" file)' });
+    return report;
+  }
+  if (report.format !== 'current') {
+    data = migrate(data, report.format);
+    if (options.migrate) {
+      await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+      report.migrated = true;
+    } else {
+      report.warnings.push({ code: 'legacy-format', path: '/', message: `${report.format} format; checked as migrated, run with --migrate to rewrite it` });
+    }
+  }
+
+  const schemaErrors = [];
+  checkSchema(data, schema, schema, '', schemaErrors);
+  report.errors.push(...schemaErrors.map((error) => ({ code: 'schema', ...error })));
+  await checkMenu(data, report);
+  return report;
+}
+
+async function main() {
+  const schema = JSON.parse(await fs.readFile(path.join(repoRoot, SCHEMA_FILE), 'utf8'));
+
+  let files = args.filter((arg) => !arg.startsWith('--')).map((file) => path.resolve(file));
+  if (!files.length) {
+    files = (await fs.readdir(repoRoot))
+      .filter((name) => FILE_PATTERN.test(name) && name !== SCHEMA_FILE)
+      .map((name) => path.join(repoRoot, name));
+  }
+
+  const reports = [];
+  for (const file of files) reports.push(await validateFile(file, schema));
+
+  const summary = {
+    files: reports.length,
+    errors: reports.reduce((sum, r) => sum + r.errors.length, 0),
+    warnings: reports.reduce((sum, r) => sum + r.warnings.length, 0),
+  };
+  const ok = summary.errors === 0 && !(options.strict && summary.warnings > 0);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok, strict: options.strict, summary, files: reports }, null, 2));
+  } else {
+    for (const report of reports) {
+      const status = report.errors.length ? '❌' : report.warnings.length ? '⚠️ ' : '✅';
+      console.log(`${status} ${report.file}${report.format ? ` (${report.format}${report.migrated ? ', migrated' : ''})` : ''}`);
+      for (const error of report.errors) console.log(`   error   ${error.code} ${error.path}: ${error.message}`);
+      for (const warning of report.warnings) console.log(`   warning ${warning.code} ${warning.path}: ${warning.message}`);
+    }
+    console.log(`\nvalidate:menu ${ok ? 'OK' : 'FAILED'} (${summary.files} file(s), ${summary.errors} error(s), ${summary.warnings} warning(s)${options.strict ? ', strict' : ''})`);
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error('[validate-menu-structure] Error:', error);
+  process.exit(2);
+});
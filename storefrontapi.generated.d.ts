@@ -315,6 +315,208 @@ export type PagesQuery = {
   };
 };
 
+export type Menu3DItemFragment = Pick<
+  StorefrontAPI.MenuItem,
+  'id' | 'title' | 'type' | 'url' | 'resourceId' | 'tags'
+> & {
+  resource?: StorefrontAPI.Maybe<
+    | ({__typename: 'Article'} & Pick<StorefrontAPI.Article, 'handle'>)
+    | ({__typename: 'Blog'} & Pick<StorefrontAPI.Blog, 'handle'>)
+    | ({__typename: 'Collection'} & Pick<StorefrontAPI.Collection, 'handle'>)
+    | {__typename: 'Metaobject' | 'ShopPolicy'}
+    | ({__typename: 'Page'} & Pick<StorefrontAPI.Page, 'handle'>)
+    | ({__typename: 'Product'} & Pick<StorefrontAPI.Product, 'handle'>)
+  >;
+};
+
+export type Menu3DMetaobjectFragment = Pick<
+  StorefrontAPI.Metaobject,
+  'handle'
+> & {
+  fields: Array<
+    Pick<StorefrontAPI.MetaobjectField, 'key' | 'value'> & {
+      reference?: StorefrontAPI.Maybe<
+        | {
+            __typename:
+              | 'Collection'
+              | 'MediaImage'
+              | 'Metaobject'
+              | 'Page'
+              | 'Product'
+              | 'ProductVariant'
+              | 'Video';
+          }
+        | ({__typename: 'GenericFile'} & Pick<StorefrontAPI.GenericFile, 'url'>)
+        | ({__typename: 'Model3d'} & {
+            sources: Array<Pick<StorefrontAPI.Model3dSource, 'url' | 'format'>>;
+          })
+      >;
+    }
+  >;
+};
+
+export type Menu3DQueryVariables = StorefrontAPI.Exact<{
+  country?: StorefrontAPI.InputMaybe<StorefrontAPI.CountryCode>;
+  language?: StorefrontAPI.InputMaybe<StorefrontAPI.LanguageCode>;
+  menuHandle: StorefrontAPI.Scalars['String']['input'];
+  metaobjectType: StorefrontAPI.Scalars['String']['input'];
+  withMetaobjects: StorefrontAPI.Scalars['Boolean']['input'];
+}>;
+
+export type Menu3DQuery = {
+  shop: Pick<StorefrontAPI.Shop, 'id' | 'name'> & {
+    primaryDomain: Pick<StorefrontAPI.Domain, 'url'>;
+  };
+  menu?: StorefrontAPI.Maybe<
+    Pick<StorefrontAPI.Menu, 'id' | 'title'> & {
+      items: Array<
+        Pick<
+          StorefrontAPI.MenuItem,
+          'id' | 'title' | 'type' | 'url' | 'resourceId' | 'tags'
+        > & {
+          items: Array<
+            Pick<
+              StorefrontAPI.MenuItem,
+              'id' | 'title' | 'type' | 'url' | 'resourceId' | 'tags'
+            > & {
+              items: Array<
+                Pick<
+                  StorefrontAPI.MenuItem,
+                  'id' | 'title' | 'type' | 'url' | 'resourceId' | 'tags'
+                > & {
+                  resource?: StorefrontAPI.Maybe<
+                    | ({__typename: 'Article'} & Pick<
+                        StorefrontAPI.Article,
+                        'handle'
+                      >)
+                    | ({__typename: 'Blog'} & Pick<
+                        StorefrontAPI.Blog,
+                        'handle'
+                      >)
+                    | ({__typename: 'Collection'} & Pick<
+                        StorefrontAPI.Collection,
+                        'handle'
+                      >)
+                    | {__typename: 'Metaobject' | 'ShopPolicy'}
+                    | ({__typename: 'Page'} & Pick<
+                        StorefrontAPI.Page,
+                        'handle'
+                      >)
+                    | ({__typename: 'Product'} & Pick<
+                        StorefrontAPI.Product,
+                        'handle'
+                      >)
+                  >;
+                }
+              >;
+              resource?: StorefrontAPI.Maybe<
+                | ({__typename: 'Article'} & Pick<
+                    StorefrontAPI.Article,
+                    'handle'
+                  >)
+                | ({__typename: 'Blog'} & Pick<StorefrontAPI.Blog, 'handle'>)
+                | ({__typename: 'Collection'} & Pick<
+                    StorefrontAPI.Collection,
+                    'handle'
+                  >)
+                | {__typename: 'Metaobject' | 'ShopPolicy'}
+                | ({__typename: 'Page'} & Pick<StorefrontAPI.Page, 'handle'>)
+                | ({__typename: 'Product'} & Pick<
+                    StorefrontAPI.Product,
+                    'handle'
+                  >)
+              >;
+            }
+          >;
+          resource?: StorefrontAPI.Maybe<
+            | ({__typename: 'Article'} & Pick<StorefrontAPI.Article, 'handle'>)
+            | ({__typename: 'Blog'} & Pick<StorefrontAPI.Blog, 'handle'>)
+            | ({__typename: 'Collection'} & Pick<
+                StorefrontAPI.Collection,
+                'handle'
+              >)
+            | {__typename: 'Metaobject' | 'ShopPolicy'}
+            | ({__typename: 'Page'} & Pick<StorefrontAPI.Page, 'handle'>)
+            | ({__typename: 'Product'} & Pick<StorefrontAPI.Product, 'handle'>)
+          >;
+        }
+      >;
+    }
+  >;
+  metaobjects?: {
+    nodes: Array<
+      Pick<StorefrontAPI.Metaobject, 'handle'> & {
+        fields: Array<
+          Pick<StorefrontAPI.MetaobjectField, 'key' | 'value'> & {
+            reference?: StorefrontAPI.Maybe<
+              | {
+                  __typename:
+                    | 'Collection'
+                    | 'MediaImage'
+                    | 'Metaobject'
+                    | 'Page'
+                    | 'Product'
+                    | 'ProductVariant'
+                    | 'Video';
+                }
+              | ({__typename: 'GenericFile'} & Pick<
+                  StorefrontAPI.GenericFile,
+                  'url'
+                >)
+              | ({__typename: 'Model3d'} & {
+                  sources: Array<
+                    Pick<StorefrontAPI.Model3dSource, 'url' | 'format'>
+                  >;
+                })
+            >;
+          }
+        >;
+      }
+    >;
+    pageInfo: Pick<StorefrontAPI.PageInfo, 'hasNextPage' | 'endCursor'>;
+  };
+};
+
+export type Menu3DMetaobjectsQueryVariables = StorefrontAPI.Exact<{
+  metaobjectType: StorefrontAPI.Scalars['String']['input'];
+  after?: StorefrontAPI.InputMaybe<StorefrontAPI.Scalars['String']['input']>;
+}>;
+
+export type Menu3DMetaobjectsQuery = {
+  metaobjects: {
+    nodes: Array<
+      Pick<StorefrontAPI.Metaobject, 'handle'> & {
+        fields: Array<
+          Pick<StorefrontAPI.MetaobjectField, 'key' | 'value'> & {
+            reference?: StorefrontAPI.Maybe<
+              | {
+                  __typename:
+                    | 'Collection'
+                    | 'MediaImage'
+                    | 'Metaobject'
+                    | 'Page'
+                    | 'Product'
+                    | 'ProductVariant'
+                    | 'Video';
+                }
+              | ({__typename: 'GenericFile'} & Pick<
+                  StorefrontAPI.GenericFile,
+                  'url'
+                >)
+              | ({__typename: 'Model3d'} & {
+                  sources: Array<
+                    Pick<StorefrontAPI.Model3dSource, 'url' | 'format'>
+                  >;
+                })
+            >;
+          }
+        >;
+      }
+    >;
+    pageInfo: Pick<StorefrontAPI.PageInfo, 'hasNextPage' | 'endCursor'>;
+  };
+};
+
 export type FooterQueryVariables = StorefrontAPI.Exact<{
   country?: StorefrontAPI.InputMaybe<StorefrontAPI.CountryCode>;
   footerMenuHandle: StorefrontAPI.Scalars['String']['input'];
@@ -1490,6 +1692,14 @@ interface GeneratedQueryTypes {
     return: PagesQuery;
     variables: PagesQueryVariables;
   };
+  '#graphql\n  query Menu3D(\n    $country: CountryCode\n    $language: LanguageCode\n    $menuHandle: String!\n    $metaobjectType: String!\n    $withMetaobjects: Boolean!\n  ) @inContext(language: $language, country: $country) {\n    shop {\n      id\n      name\n      primaryDomain {\n        url\n      }\n    }\n    menu(handle: $menuHandle) {\n      id\n      title\n      items {\n        ...Menu3DItem\n        items {\n          ...Menu3DItem\n          items {\n            ...Menu3DItem\n          }\n        }\n      }\n    }\n    metaobjects(type: $metaobjectType, first: 250) @include(if: $withMetaobjects) {\n      nodes {\n        ...Menu3DMetaobject\n      }\n      pageInfo {\n        hasNextPage\n        endCursor\n      }\n    }\n  }\n  #graphql\n  fragment Menu3DItem on MenuItem {\n    id\n    title\n    type\n    url\n    resourceId\n    tags\n    resource {\n      __typename\n      ... on Product {\n        handle\n      }\n      ... on Collection {\n        handle\n      }\n      ... on Page {\n        handle\n      }\n      ... on Blog {\n        handle\n      }\n      ... on Article {\n        handle\n      }\n    }\n  }\n\n  #graphql\n  fragment Menu3DMetaobject on Metaobject {\n    handle\n    fields {\n      key\n      value\n      reference {\n        __typename\n        ... on GenericFile {\n          url\n        }\n        ... on Model3d {\n          sources {\n            url\n            format\n          }\n        }\n      }\n    }\n  }\n\n': {
+    return: Menu3DQuery;
+    variables: Menu3DQueryVariables;
+  };
+  '#graphql\n  query Menu3DMetaobjects($metaobjectType: String!, $after: String) {\n    metaobjects(type: $metaobjectType, first: 250, after: $after) {\n      nodes {\n        ...Menu3DMetaobject\n      }\n      pageInfo {\n        hasNextPage\n        endCursor\n      }\n    }\n  }\n  #graphql\n  fragment Menu3DMetaobject on Metaobject {\n    handle\n    fields {\n      key\n      value\n      reference {\n        __typename\n        ... on GenericFile {\n          url\n        }\n        ... on Model3d {\n          sources {\n            url\n            format\n          }\n        }\n      }\n    }\n  }\n\n': {
+    return: Menu3DMetaobjectsQuery;
+    variables: Menu3DMetaobjectsQueryVariables;
+  };
   '#graphql\n  query Footer(\n    $country: CountryCode\n    $footerMenuHandle: String!\n    $language: LanguageCode\n  ) @inContext(language: $language, country: $country) {\n    menu(handle: $footerMenuHandle) {\n      ...Menu\n    }\n  }\n  #graphql\n  fragment MenuItem on MenuItem {\n    id\n    resourceId\n    tags\n    title\n    type\n    url\n  }\n  fragment ChildMenuItem on MenuItem {\n    ...MenuItem\n  }\n  fragment ParentMenuItem on MenuItem {\n    ...MenuItem\n    items {\n      ...ChildMenuItem\n    }\n  }\n  fragment Menu on Menu {\n    id\n    items {\n      ...ParentMenuItem\n    }\n  }\n\n': {
     return: FooterQuery;
     variables: FooterQueryVariables;
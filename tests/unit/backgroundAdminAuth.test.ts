@@ -0,0 +1,195 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {
+  BackgroundAdminScopeError,
+  isRevocationExpired,
+  issueBackgroundAdminToken,
+  listBackgroundAdminRevocations,
+  readSignedToken,
+  requireBackgroundAdminToken,
+  resolveBackgroundAdminIdentity,
+  signTokenPayload,
+  TOKEN_TTL_MS,
+  verifyBackgroundAdminToken,
+  type BackgroundAdminRevocation,
+} from '../../app/utils/backgroundAdminAuth.server';
+import type {BackgroundPresetRuntime} from '../../app/utils/backgroundPresets.server';
+import type {ServerEnv} from '../../app/utils/env.server';
+
+const env: ServerEnv = {
+  PRIVATE_STOREFRONT_API_TOKEN: 'storefront-token',
+  SESSION_SECRET: 'session-secret',
+  SHOP_ID: '1',
+  BACKGROUND_ADMIN_KEY: 'shared-key',
+  BACKGROUND_ADMIN_IDENTITIES: JSON.stringify([{id: 'editor', key: 'editor-key', scopes: ['read', 'write']}]),
+};
+
+const encoder = new TextEncoder();
+
+function bearer(token: string) {
+  return new Request('https://shop.test/api/backgrounds', {headers: {Authorization: `Bearer ${token}`}});
+}
+
+function revocationRuntime(revocations: Array<{subject: string; tokenId?: string; revokedAt: string}>) {
+  const fetch = vi.fn(async () =>
+    Response.json({
+      data: {
+        metaobjects: {
+          edges: revocations.map((revocation, index) => ({
+            cursor: String(index),
+            node: {
+              id: `gid://shopify/Metaobject/${index}`,
+              handle: `revocation-${index}`,
+              type: 'background_admin_revocation',
+              updatedAt: revocation.revokedAt,
+              fields: [
+                {key: 'subject', value: revocation.subject},
+                {key: 'token_id', value: revocation.tokenId ?? ''},
+                {key: 'revoked_at', value: revocation.revokedAt},
+                {key: 'revoked_by', value: 'background-admin'},
+              ],
+            },
+          })),
+          pageInfo: {hasNextPage: false, endCursor: null},
+        },
+      },
+    }),
+  );
+  const runtime: BackgroundPresetRuntime = {
+    cache: {} as Cache,
+    env,
+    rawEnv: {PUBLIC_STORE_DOMAIN: 'shop.myshopify.com', PUBLIC_STOREFRONT_API_VERSION: '2025-07'},
+    fetch: fetch as unknown as typeof globalThis.fetch,
+  };
+  return {runtime, fetch};
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('signTokenPayload / readSignedToken', () => {
+  const secret = encoder.encode('secret');
+
+  it('round-trips the payload', async () => {
+    const token = await signTokenPayload(secret, {sub: 'alice', n: 1});
+
+    expect(token).toMatch(/^[\w-]+\.[\w-]+$/u);
+    await expect(readSignedToken(secret, token, 'test token')).resolves.toEqual({sub: 'alice', n: 1});
+  });
+
+  it('rejects tampered payloads, other secrets and malformed tokens', async () => {
+    const token = await signTokenPayload(secret, {sub: 'alice'});
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({sub: 'mallory'})).toString('base64url')}.${signature}`;
+
+    await expect(readSignedToken(secret, forged, 'test token')).rejects.toThrow('Invalid test token signature');
+    await expect(readSignedToken(encoder.encode('other'), token, 'test token')).rejects.toThrow(
+      'Invalid test token signature',
+    );
+    await expect(readSignedToken(secret, 'no-signature', 'test token')).rejects.toThrow('Invalid test token format');
+  });
+});
+
+describe('admin tokens', () => {
+  it('verifies issued tokens until they expire', async () => {
+    vi.useFakeTimers({now: new Date('2025-03-01T12:00:00Z')});
+    const {token, subject, scopes} = await issueBackgroundAdminToken(env, 'editor', ['read']);
+
+    await expect(verifyBackgroundAdminToken(env, token)).resolves.toMatchObject({sub: subject, scopes});
+
+    vi.setSystemTime(Date.now() + TOKEN_TTL_MS);
+    await expect(verifyBackgroundAdminToken(env, token)).rejects.toThrow('Admin token expired');
+  });
+
+  it('rejects tokens signed with another session secret', async () => {
+    const {token} = await issueBackgroundAdminToken(env);
+
+    await expect(verifyBackgroundAdminToken({...env, SESSION_SECRET: 'rotated'}, token)).rejects.toThrow(
+      'Invalid admin token signature',
+    );
+  });
+
+  it('resolves named identities and the shared key', () => {
+    expect(resolveBackgroundAdminIdentity(env, 'editor-key')).toMatchObject({id: 'editor', scopes: ['read', 'write']});
+    expect(resolveBackgroundAdminIdentity(env, 'shared-key')?.scopes).toEqual(['read', 'write', 'activate', 'delete']);
+    expect(resolveBackgroundAdminIdentity(env, 'wrong-key')).toBeNull();
+  });
+});
+
+describe('requireBackgroundAdminToken', () => {
+  it('checks the bearer token and the route scope', async () => {
+    const {token} = await issueBackgroundAdminToken(env, 'editor', ['read', 'write']);
+
+    await expect(requireBackgroundAdminToken(env, bearer(token), {scope: 'write'})).resolves.toMatchObject({
+      sub: 'editor',
+    });
+    await expect(requireBackgroundAdminToken(env, bearer(token), {scope: 'activate'})).rejects.toBeInstanceOf(
+      BackgroundAdminScopeError,
+    );
+    await expect(requireBackgroundAdminToken(env, new Request('https://shop.test/'))).rejects.toThrow(
+      'Missing bearer token',
+    );
+  });
+
+  it('refuses revoked tokens and identities', async () => {
+    vi.useFakeTimers({now: new Date('2025-03-01T12:00:00Z')});
+    const revoked = await issueBackgroundAdminToken(env, 'editor', ['read']);
+    const other = await issueBackgroundAdminToken(env, 'alice', ['read']);
+    const [encodedPayload] = revoked.token.split('.');
+    const {nonce} = JSON.parse(Buffer.from(encodedPayload!, 'base64url').toString()) as {nonce: string};
+
+    const {runtime} = revocationRuntime([{subject: 'editor', tokenId: nonce, revokedAt: new Date().toISOString()}]);
+    await listBackgroundAdminRevocations(runtime, {refresh: true});
+    await expect(requireBackgroundAdminToken(env, bearer(revoked.token), {runtime})).rejects.toThrow(
+      'Admin token revoked',
+    );
+    await expect(requireBackgroundAdminToken(env, bearer(other.token), {runtime})).resolves.toMatchObject({
+      sub: 'alice',
+    });
+
+    // Revoking a subject covers tokens issued up to that moment, not ones issued afterwards.
+    const subjectRevocation = revocationRuntime([{subject: 'alice', revokedAt: new Date().toISOString()}]);
+    await listBackgroundAdminRevocations(subjectRevocation.runtime, {refresh: true});
+    vi.setSystemTime(Date.now() + 1000);
+    const reissued = await issueBackgroundAdminToken(env, 'alice', ['read']);
+    await expect(
+      requireBackgroundAdminToken(env, bearer(other.token), {runtime: subjectRevocation.runtime}),
+    ).rejects.toThrow('Admin token revoked');
+    await expect(
+      requireBackgroundAdminToken(env, bearer(reissued.token), {runtime: subjectRevocation.runtime}),
+    ).resolves.toMatchObject({sub: 'alice'});
+  });
+});
+
+describe('revocation expiry', () => {
+  const revocation = (revokedAt: string): BackgroundAdminRevocation => ({
+    id: 'gid://shopify/Metaobject/1',
+    subject: 'editor',
+    revokedAt,
+    revokedBy: 'background-admin',
+  });
+
+  it('expires a revocation one token lifetime after it was made', () => {
+    const now = Date.parse('2025-03-01T12:00:00Z');
+
+    expect(isRevocationExpired(revocation(new Date(now - TOKEN_TTL_MS + 1).toISOString()), now)).toBe(false);
+    expect(isRevocationExpired(revocation(new Date(now - TOKEN_TTL_MS - 1).toISOString()), now)).toBe(true);
+    expect(isRevocationExpired(revocation('not a date'), now)).toBe(false);
+  });
+
+  it('leaves expired revocations out of the list', async () => {
+    vi.useFakeTimers({now: new Date('2025-03-01T12:00:00Z')});
+    const {runtime, fetch} = revocationRuntime([
+      {subject: 'fresh', revokedAt: new Date(Date.now() - 60_000).toISOString()},
+      {subject: 'stale', revokedAt: new Date(Date.now() - TOKEN_TTL_MS - 60_000).toISOString()},
+    ]);
+
+    const revocations = await listBackgroundAdminRevocations(runtime, {refresh: true});
+
+    expect(revocations.map(({subject}) => subject)).toEqual(['fresh']);
+    expect(fetch).toHaveBeenCalledWith(
+      'https://shop.myshopify.com/admin/api/2025-07/graphql.json',
+      expect.objectContaining({method: 'POST'}),
+    );
+  });
+});
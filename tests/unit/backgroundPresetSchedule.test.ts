@@ -0,0 +1,142 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {
+  isWindowActiveAt,
+  isWindowActiveOnDay,
+  MAX_SCHEDULE_WINDOWS,
+  normalizeSchedule,
+  parseStoredSchedule,
+  selectScheduledPreset,
+  type PresetSchedule,
+  type PresetScheduleWindow,
+} from '../../app/utils/backgroundPresetSchedule';
+
+// 2025-03-01 is a Saturday, 2025-03-03 a Monday.
+const SATURDAY_NOON = new Date('2025-03-01T12:00:00Z');
+const MONDAY_NOON = new Date('2025-03-03T12:00:00Z');
+
+function scheduleWindow(overrides: Partial<PresetScheduleWindow> = {}): PresetScheduleWindow {
+  return {startsAt: '2025-01-01T00:00', timezone: 'UTC', recurrence: 'daily', ...overrides};
+}
+
+function preset(id: string, windows: PresetScheduleWindow[], updatedAt = '2025-01-01T00:00:00Z') {
+  return {id, updatedAt, schedule: {windows} satisfies PresetSchedule};
+}
+
+describe('isWindowActiveAt', () => {
+  it('reads one-off windows in their own timezone with an exclusive end', () => {
+    const christmasEve = scheduleWindow({
+      startsAt: '2025-12-24T18:00',
+      endsAt: '2025-12-26T00:00',
+      timezone: 'America/New_York',
+      recurrence: 'none',
+    });
+
+    expect(isWindowActiveAt(christmasEve, new Date('2025-12-24T22:30:00Z'))).toBe(false); // 17:30 local
+    expect(isWindowActiveAt(christmasEve, new Date('2025-12-24T23:30:00Z'))).toBe(true); // 18:30 local
+    expect(isWindowActiveAt(christmasEve, new Date('2025-12-26T04:59:00Z'))).toBe(true); // 23:59 local
+    expect(isWindowActiveAt(christmasEve, new Date('2025-12-26T05:00:00Z'))).toBe(false); // midnight local
+  });
+
+  it('limits recurring windows to their daily hours', () => {
+    const officeHours = scheduleWindow({dailyStart: '09:00', dailyEnd: '17:00'});
+
+    expect(isWindowActiveAt(officeHours, new Date('2025-03-03T08:59:00Z'))).toBe(false);
+    expect(isWindowActiveAt(officeHours, new Date('2025-03-03T09:00:00Z'))).toBe(true);
+    expect(isWindowActiveAt(officeHours, new Date('2025-03-03T17:00:00Z'))).toBe(false);
+  });
+
+  it('matches weekends and listed holidays only', () => {
+    const weekends = scheduleWindow({recurrence: 'weekends'});
+    const holidays = scheduleWindow({recurrence: 'holidays', holidays: ['2025-03-03']});
+
+    expect(isWindowActiveAt(weekends, SATURDAY_NOON)).toBe(true);
+    expect(isWindowActiveAt(weekends, MONDAY_NOON)).toBe(false);
+    expect(isWindowActiveAt(holidays, MONDAY_NOON)).toBe(true);
+    expect(isWindowActiveAt(holidays, SATURDAY_NOON)).toBe(false);
+  });
+
+  it('never starts before startsAt and treats an unknown timezone as inactive', () => {
+    expect(isWindowActiveAt(scheduleWindow({startsAt: '2025-06-01T00:00'}), MONDAY_NOON)).toBe(false);
+    expect(isWindowActiveAt(scheduleWindow({timezone: 'Mars/Olympus_Mons'}), MONDAY_NOON)).toBe(false);
+  });
+});
+
+describe('isWindowActiveOnDay', () => {
+  it('covers every day a window touches', () => {
+    const weekend = scheduleWindow({startsAt: '2025-03-01T18:00', endsAt: '2025-03-03T00:00', recurrence: 'none'});
+
+    expect(isWindowActiveOnDay(weekend, '2025-02-28')).toBe(false);
+    expect(isWindowActiveOnDay(weekend, '2025-03-01')).toBe(true);
+    expect(isWindowActiveOnDay(weekend, '2025-03-02')).toBe(true);
+    expect(isWindowActiveOnDay(weekend, '2025-03-03')).toBe(false);
+    expect(isWindowActiveOnDay(scheduleWindow({recurrence: 'weekends'}), '2025-03-03')).toBe(false);
+  });
+});
+
+describe('selectScheduledPreset', () => {
+  const daily = preset('daily', [scheduleWindow()]);
+  const weekends = preset('weekends', [scheduleWindow({recurrence: 'weekends'})]);
+  const oneOff = preset('one-off', [scheduleWindow({recurrence: 'none', endsAt: '2025-12-31T00:00'})]);
+  const holiday = preset('holiday', [scheduleWindow({recurrence: 'holidays', holidays: ['2025-03-01']})]);
+
+  it('prefers holidays, then one-off, weekends and daily windows', () => {
+    expect(selectScheduledPreset([daily, weekends, oneOff, holiday], SATURDAY_NOON)?.id).toBe('holiday');
+    expect(selectScheduledPreset([daily, weekends, oneOff], SATURDAY_NOON)?.id).toBe('one-off');
+    expect(selectScheduledPreset([daily, weekends], SATURDAY_NOON)?.id).toBe('weekends');
+    expect(selectScheduledPreset([daily, weekends], MONDAY_NOON)?.id).toBe('daily');
+  });
+
+  it('breaks ties with the most recently updated preset', () => {
+    const older = preset('older', [scheduleWindow()], '2025-01-01T00:00:00Z');
+    const newer = preset('newer', [scheduleWindow()], '2025-02-01T00:00:00Z');
+
+    expect(selectScheduledPreset([older, newer], MONDAY_NOON)?.id).toBe('newer');
+    expect(selectScheduledPreset([newer, older], MONDAY_NOON)?.id).toBe('newer');
+  });
+
+  it('returns null when nothing is scheduled', () => {
+    expect(selectScheduledPreset([preset('empty', []), {id: 'none', updatedAt: '', schedule: null}], MONDAY_NOON)).toBeNull();
+  });
+});
+
+describe('normalizeSchedule', () => {
+  it('fills defaults and trims seconds', () => {
+    expect(
+      normalizeSchedule({windows: [{startsAt: '2025-03-01T09:00:30', recurrence: 'daily', dailyStart: '09:00'}]}),
+    ).toEqual({
+      windows: [
+        {startsAt: '2025-03-01T09:00', endsAt: undefined, timezone: 'UTC', recurrence: 'daily', dailyStart: '09:00', dailyEnd: '24:00'},
+      ],
+    });
+    expect(normalizeSchedule(undefined)).toEqual({windows: []});
+  });
+
+  it('rejects invalid windows with the field path', () => {
+    expect(() => normalizeSchedule({windows: [{startsAt: '2025-03-02T00:00', endsAt: '2025-03-01T00:00'}]})).toThrow(
+      'schedule.windows[0].endsAt must be after startsAt',
+    );
+    expect(() => normalizeSchedule({windows: [{startsAt: '2025-03-01T00:00', timezone: 'Nowhere/City'}]})).toThrow(
+      'Unknown timezone for schedule.windows[0].timezone',
+    );
+    expect(() => normalizeSchedule({windows: [{startsAt: '2025-03-01T00:00', recurrence: 'holidays'}]})).toThrow(
+      'schedule.windows[0].holidays must list at least one date',
+    );
+    expect(() =>
+      normalizeSchedule({windows: Array.from({length: MAX_SCHEDULE_WINDOWS + 1}, () => ({startsAt: '2025-03-01T00:00'}))}),
+    ).toThrow(`schedule.windows exceeds limit of ${MAX_SCHEDULE_WINDOWS}`);
+  });
+});
+
+describe('parseStoredSchedule', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('drops a broken stored schedule instead of throwing', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(parseStoredSchedule('{not json')).toEqual({windows: []});
+    expect(parseStoredSchedule(JSON.stringify({windows: [{startsAt: 'tomorrow'}]}))).toEqual({windows: []});
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,146 @@
+import {mkdtemp, readFile, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {afterEach, describe, expect, it} from 'vitest';
+import {
+  createFileTelemetryStorage,
+  createMemoryTelemetryStorage,
+  getRenderTelemetrySummary,
+  parseRenderEvent,
+  summarizeRenderEvents,
+  type BackgroundRenderEvent,
+} from '../../app/utils/backgroundTelemetry.server';
+
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+
+function event(overrides: Partial<BackgroundRenderEvent> = {}): BackgroundRenderEvent {
+  return {event: 'load', presetId: 'aurora', versionHash: 'v1', timestamp: NOW, ...overrides};
+}
+
+const degradedMetrics = {fps: 24, p95FrameMs: 48, longFrames: 12, sampleMs: 2000, fromProfile: 'full', toProfile: 'subtle'};
+
+describe('parseRenderEvent', () => {
+  it('stamps server time and keeps only known fields', () => {
+    expect(
+      parseRenderEvent(
+        {event: 'load', presetId: 'aurora', versionHash: 'v1', loadTimeMs: 120, timestamp: NOW + 1e9, extra: true},
+        'UA/1.0',
+        NOW,
+      ),
+    ).toEqual({
+      event: 'load',
+      presetId: 'aurora',
+      versionHash: 'v1',
+      details: undefined,
+      userAgent: 'UA/1.0',
+      loadTimeMs: 120,
+      metrics: undefined,
+      timestamp: NOW,
+    });
+  });
+
+  it('rejects unknown events, missing preset ids and degradations without metrics', () => {
+    expect(parseRenderEvent({event: 'crash', presetId: 'aurora'})).toBeNull();
+    expect(parseRenderEvent({event: 'load', presetId: '  '})).toBeNull();
+    expect(parseRenderEvent({event: 'degraded', presetId: 'aurora'})).toBeNull();
+    expect(parseRenderEvent({event: 'degraded', presetId: 'aurora', metrics: {...degradedMetrics, toProfile: 'off'}})).toBeNull();
+    expect(parseRenderEvent(null)).toBeNull();
+  });
+
+  it('keeps valid frame metrics, drops negative load times and truncates details', () => {
+    const parsed = parseRenderEvent(
+      {event: 'degraded', presetId: 'aurora', metrics: degradedMetrics, loadTimeMs: -5, details: 'x'.repeat(600)},
+      null,
+      NOW,
+    );
+
+    expect(parsed?.metrics).toEqual(degradedMetrics);
+    expect(parsed?.loadTimeMs).toBeUndefined();
+    expect(parsed?.details).toHaveLength(500);
+  });
+});
+
+describe('summarizeRenderEvents', () => {
+  it('groups by preset version and computes rates without counting degradations', () => {
+    const [summary, other] = summarizeRenderEvents([
+      event({loadTimeMs: 100, source: 'a'}),
+      event({loadTimeMs: 300, source: 'b'}),
+      event({loadTimeMs: 200, source: 'a'}),
+      event({event: 'error', source: 'c', timestamp: NOW + 1000}),
+      event({event: 'timeout', source: 'c'}),
+      event({event: 'degraded', source: 'd'}),
+      event({presetId: 'aurora', versionHash: undefined, timestamp: NOW - 1000}),
+    ]);
+
+    expect(summary).toMatchObject({
+      presetId: 'aurora',
+      versionHash: 'v1',
+      total: 5,
+      loads: 3,
+      errors: 1,
+      timeouts: 1,
+      degradations: 1,
+      sources: 3,
+      failureSources: 1,
+      errorRate: 0.2,
+      timeoutRate: 0.2,
+      loadTimeMs: {p50: 200, p90: 300, p99: 300},
+      lastEventAt: new Date(NOW + 1000).toISOString(),
+    });
+    expect(other).toMatchObject({versionHash: 'unknown', total: 1, loadTimeMs: {p50: null, p90: null, p99: null}});
+  });
+
+  it('handles more events than fit in a spread call', () => {
+    const events = Array.from({length: 200_000}, (_, index) => event({timestamp: NOW + index}));
+
+    expect(summarizeRenderEvents(events)[0]?.lastEventAt).toBe(new Date(NOW + 199_999).toISOString());
+  });
+});
+
+describe('telemetry storage', () => {
+  let directory: string | null = null;
+
+  afterEach(async () => {
+    if (directory) await rm(directory, {recursive: true, force: true});
+    directory = null;
+  });
+
+  it('keeps the newest events in memory up to the limit', async () => {
+    const storage = createMemoryTelemetryStorage(3);
+    for (let index = 0; index < 5; index += 1) {
+      await storage.append(event({timestamp: NOW + index}));
+    }
+
+    expect((await storage.list()).map(({timestamp}) => timestamp - NOW)).toEqual([2, 3, 4]);
+    expect(await storage.list({since: NOW + 4})).toHaveLength(1);
+  });
+
+  it('trims the JSON-lines file once it reaches twice the limit', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'telemetry-'));
+    const filePath = join(directory, 'events.jsonl');
+    const storage = createFileTelemetryStorage(filePath, 3);
+
+    expect(await storage.list()).toEqual([]);
+    for (let index = 0; index < 5; index += 1) {
+      await storage.append(event({timestamp: NOW + index}));
+    }
+    expect((await storage.list()).map(({timestamp}) => timestamp - NOW)).toEqual([2, 3, 4]);
+    expect((await readFile(filePath, 'utf8')).trim().split('\n')).toHaveLength(5);
+
+    await storage.append(event({timestamp: NOW + 5}));
+    expect((await readFile(filePath, 'utf8')).trim().split('\n')).toHaveLength(3);
+    expect((await storage.list()).map(({timestamp}) => timestamp - NOW)).toEqual([3, 4, 5]);
+  });
+
+  it('summarizes only the requested window and preset', async () => {
+    const storage = createMemoryTelemetryStorage();
+    await storage.append(event({timestamp: NOW - 2 * 60 * 60 * 1000}));
+    await storage.append(event({event: 'error'}));
+    await storage.append(event({presetId: 'nebula'}));
+
+    const summaries = await getRenderTelemetrySummary(storage, {now: NOW, windowMs: 60 * 60 * 1000, presetId: 'aurora'});
+
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({presetId: 'aurora', total: 1, errors: 1});
+  });
+});
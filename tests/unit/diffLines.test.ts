@@ -0,0 +1,48 @@
+import {describe, expect, it} from 'vitest';
+import {diffLines} from '../../app/utils/backgroundPresetRevisions.server';
+
+describe('diffLines', () => {
+  it('keeps identical text as equal lines', () => {
+    expect(diffLines('a\nb', 'a\r\nb')).toEqual([
+      {type: 'equal', text: 'a'},
+      {type: 'equal', text: 'b'},
+    ]);
+  });
+
+  it('emits a minimal edit script around the common prefix and suffix', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne')).toEqual([
+      {type: 'equal', text: 'a'},
+      {type: 'removed', text: 'b'},
+      {type: 'added', text: 'x'},
+      {type: 'equal', text: 'c'},
+      {type: 'equal', text: 'd'},
+      {type: 'added', text: 'e'},
+    ]);
+  });
+
+  it('keeps moved-around common lines through the LCS', () => {
+    const diff = diffLines('one\ntwo\nthree\nfour', 'two\nfour\none');
+
+    expect(diff.filter((line) => line.type === 'equal').map((line) => line.text)).toEqual(['two', 'four']);
+    expect(diff.filter((line) => line.type === 'removed').map((line) => line.text)).toEqual(['one', 'three']);
+    expect(diff.filter((line) => line.type === 'added').map((line) => line.text)).toEqual(['one']);
+  });
+
+  it('treats missing text as empty', () => {
+    expect(diffLines(undefined, 'a')).toEqual([{type: 'added', text: 'a'}]);
+    expect(diffLines('a', undefined)).toEqual([{type: 'removed', text: 'a'}]);
+    expect(diffLines(undefined, undefined)).toEqual([]);
+  });
+
+  it('falls back to remove-all/add-all when the LCS table would be too large', () => {
+    const from = Array.from({length: 1001}, (_, i) => `old ${i}`);
+    const to = Array.from({length: 1000}, (_, i) => `new ${i}`);
+    const diff = diffLines(['head', ...from, 'tail'].join('\n'), ['head', ...to, 'tail'].join('\n'));
+
+    expect(diff).toHaveLength(2 + from.length + to.length);
+    expect(diff[0]).toEqual({type: 'equal', text: 'head'});
+    expect(diff[1]).toEqual({type: 'removed', text: 'old 0'});
+    expect(diff[from.length + 1]).toEqual({type: 'added', text: 'new 0'});
+    expect(diff.at(-1)).toEqual({type: 'equal', text: 'tail'});
+  });
+});
@@ -0,0 +1,100 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {buildMenuStructure, collectMenuMetadata} from '../../app/utils/menuTransform';
+
+function metaobject(handle, fields) {
+  return {handle, fields: Object.entries(fields).map(([key, value]) => ({key, value}))};
+}
+
+const menuResult = {
+  shop: {name: 'Watermelon', primaryDomain: {url: 'https://shop.example.com'}},
+  menu: {
+    title: 'Main Menu',
+    items: [
+      {
+        id: 'gid://shopify/MenuItem/1',
+        title: 'Gallery',
+        url: 'https://watermelon.myshopify.com/collections/gallery',
+        type: 'COLLECTION',
+        resourceId: 'gid://shopify/Collection/1',
+        resource: {__typename: 'Collection', handle: 'gallery'},
+        tags: [],
+        items: [
+          {id: 'gid://shopify/MenuItem/2', title: 'Photos', url: 'https://shop.example.com/pages/photos?x=1#top', items: []},
+          {id: 'gid://shopify/MenuItem/3', title: 'Docs', url: 'https://docs.example.org/start', items: []},
+        ],
+      },
+      {id: 'gid://shopify/MenuItem/4', title: 'Photos', url: '/pages/about'},
+    ],
+  },
+  metaobjects: {
+    nodes: [
+      metaobject('photos', {icon: '📷', shape: 'sphere'}),
+      metaobject('gallery-photos', {menu_item: 'Gallery / Photos', icon: '🖼️', color: '#ff0066'}),
+    ],
+  },
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('collectMenuMetadata', () => {
+  it('keys entries by menu_item path, falling back to the handle', () => {
+    const metadata = collectMenuMetadata([
+      metaobject('gallery', {icon: ' 🖼️ ', shape: 'cube', color: ''}),
+      metaobject('ignored-handle', {menu_item: 'Gallery › Photos & Video'}),
+    ]);
+
+    expect([...metadata.keys()]).toEqual(['gallery', 'gallery/photos-and-video']);
+    expect(metadata.get('gallery')).toEqual({icon: '🖼️', shape: 'cube', color: null, model3D: null});
+  });
+
+  it('only turns a referenced file into model3D, preferring its glb source', () => {
+    const node = metaobject('globe', {shape: 'globe'});
+    node.fields.push({
+      key: 'model_3d',
+      reference: {
+        sources: [
+          {format: 'usdz', url: 'https://cdn.example.com/globe.usdz'},
+          {format: 'glb', url: 'https://cdn.example.com/globe.glb'},
+        ],
+      },
+    });
+
+    expect(collectMenuMetadata([node]).get('globe')?.model3D).toEqual({
+      type: 'globe',
+      glbPath: 'https://cdn.example.com/globe.glb',
+    });
+  });
+});
+
+describe('buildMenuStructure', () => {
+  it('keeps every level with link targets, resources and metadata', () => {
+    const structure = buildMenuStructure(menuResult, {publicStoreDomain: 'watermelon.example.com'});
+    const [gallery, topLevelPhotos] = structure.menu;
+    const [photos, docs] = gallery.submenu;
+
+    expect(structure).toMatchObject({menuName: 'Main Menu', source: 'shopify'});
+    expect(gallery).toMatchObject({
+      id: 'gid://shopify/MenuItem/1',
+      label: 'Gallery',
+      url: '/collections/gallery',
+      type: 'COLLECTION',
+      resourceId: 'gid://shopify/Collection/1',
+      resourceType: 'Collection',
+      handle: 'gallery',
+      icon: null,
+    });
+    expect(photos).toMatchObject({url: '/pages/photos?x=1#top', icon: '🖼️', color: '#ff0066', shape: null});
+    expect(docs.url).toBe('https://docs.example.org/start');
+    expect(docs).not.toHaveProperty('submenu');
+    expect(topLevelPhotos).toMatchObject({url: '/pages/about', icon: '📷', shape: 'sphere', type: null, tags: []});
+  });
+
+  it('returns null without menu items', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(buildMenuStructure({menu: {items: []}})).toBeNull();
+    expect(buildMenuStructure(null)).toBeNull();
+  });
+});
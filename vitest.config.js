@@ -0,0 +1,10 @@
+import {defineConfig} from 'vitest/config';
+
+// Unit tests for pure helpers; kept apart from vite.config.js so the Hydrogen/Oxygen
+// plugins (and their worker runtime) are not started for a test run.
+export default defineConfig({
+  test: {
+    include: ['tests/unit/**/*.test.{js,ts}'],
+    environment: 'node',
+  },
+});